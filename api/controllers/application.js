@@ -3,6 +3,14 @@ var defaultLog = require('../helpers/logger')('application');
 var mongoose = require('mongoose');
 var qs = require('qs');
 var Actions = require('../helpers/actions');
+var ApplicationImport = require('../helpers/applicationImport');
+var Audit = require('../helpers/audit');
+var Cascade = require('../helpers/cascade');
+var Clusters = require('../helpers/clusters');
+var Codes = require('../helpers/codes');
+var FeatureUpload = require('../helpers/featureUpload');
+var InterestedParties = require('../helpers/interestedParties');
+var Scheduler = require('../helpers/scheduler');
 var Utils = require('../helpers/utils');
 var TTLSUtils = require('../helpers/ttlsUtils');
 var tagList = [
@@ -15,11 +23,14 @@ var tagList = [
   '_createdBy',
   'createdDate',
   'description',
+  'interestedParties',
   'legalDescription',
   'statusHistoryEffectiveDate',
   'location',
   'name',
   'publishDate',
+  'publishAt',
+  'unpublishAt',
   'purpose',
   'status',
   'reason',
@@ -27,7 +38,15 @@ var tagList = [
   'subtype',
   'tantalisID',
   'tenureStage',
-  'type'
+  'type',
+  'purposeCode',
+  'subpurposeCode',
+  'typeCode',
+  'subtypeCode',
+  'statusCode',
+  'reasonCode',
+  'tenureStageCode',
+  'retirementExempt'
 ];
 
 var getSanitizedFields = function(fields) {
@@ -155,6 +174,55 @@ exports.publicGet = function(args, res, next) {
   );
 };
 
+// Get the published applications, clustered by how close their centroids are at the zoom of the map.
+exports.publicGetClusters = function(args, res, next) {
+  var query = {};
+  var zoom = args.swagger.params.zoom.value;
+
+  try {
+    query = addStandardQueryFilters(query, args);
+    if (args.swagger.params.bbox && args.swagger.params.bbox.value !== undefined) {
+      _.assignIn(query, Clusters.getBboxQuery(Clusters.parseBbox(args.swagger.params.bbox.value)));
+    }
+  } catch (error) {
+    defaultLog.error('application publicGetClusters:', error);
+    return Actions.sendResponse(res, 400, { error: error.message });
+  }
+
+  _.assignIn(query, { isDeleted: false });
+
+  handleCommentPeriodDateQueryParameters(
+    args,
+    Clusters.FIELDS.slice(),
+    function(commentPeriodPipeline) {
+      Utils.runDataQuery(
+        'Application',
+        ['public'],
+        query,
+        Clusters.FIELDS, // Fields
+        null, // sort warmup
+        null, // sort
+        null, // skip
+        null, // limit
+        false,
+        commentPeriodPipeline
+      )
+        .then(function(data) {
+          var clusters = Clusters.getClusters(data, zoom);
+          res.setHeader('x-total-count', _.sumBy(clusters, 'count'));
+          return Actions.sendResponse(res, 200, clusters);
+        })
+        .catch(function(err) {
+          defaultLog.error('application publicGetClusters runDataQuery:', err);
+          return Actions.sendResponse(res, 400, err);
+        });
+    },
+    function(error) {
+      return Actions.sendResponse(res, 400, error);
+    }
+  );
+};
+
 exports.protectedGet = function(args, res, next) {
   var query = {};
   var sort = {};
@@ -272,23 +340,30 @@ exports.protectedHead = function(args, res, next) {
     });
 };
 
+// Soft-deletes the application, along with its comment periods, comments, decisions, documents and features.
 exports.protectedDelete = function(args, res, next) {
   var appId = args.swagger.params.appId.value;
   defaultLog.info('Delete Application:', appId);
 
   var Application = mongoose.model('Application');
-  Application.findOne({ _id: appId }, function(err, o) {
+  Application.findOne({ _id: appId, isDeleted: false }, function(err, o) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
-      // Set the deleted flag.
-      Actions.delete(o).then(
-        function(deleted) {
+      Cascade.deleteApplication(o, args.swagger.params.auth_payload.preferred_username).then(
+        function(data) {
+          if (!data.success) {
+            return Actions.sendResponse(res, 400, {
+              message: 'Failed to delete all objects, changes have been rolled back.',
+              results: data.results
+            });
+          }
           // Deleted successfully
-          return Actions.sendResponse(res, 200, deleted);
+          return Actions.sendResponse(res, 200, o);
         },
         function(err) {
           // Error
+          defaultLog.error('application protectedDelete:', err);
           return Actions.sendResponse(res, 400, err);
         }
       );
@@ -299,60 +374,99 @@ exports.protectedDelete = function(args, res, next) {
   });
 };
 
-var doFeaturePubUnPub = function(action, objId) {
-  return new Promise(function(resolve, reject) {
-    var Feature = require('mongoose').model('Feature');
+// Restores a deleted application, along with the objects that were deleted with it.  Nothing is re-published.
+exports.protectedRestore = function(args, res, next) {
+  var appId = args.swagger.params.appId.value;
+  defaultLog.info('Restore Application:', appId);
+
+  var Application = mongoose.model('Application');
+  Application.findOne({ _id: appId }, function(err, o) {
+    if (o) {
+      if (!o.isDeleted) {
+        defaultLog.info('HTTP 409, Object is not deleted:', appId);
+        return Actions.sendResponse(res, 409, { message: 'Object is not deleted' });
+      }
 
-    Feature.find({ applicationID: objId }, function(err, featureObjects) {
-      if (err) {
-        reject(err);
-      } else {
-        var promises = [];
-        _.each(featureObjects, function(f) {
-          promises.push(f);
-        });
-        // Iterate through all the promises before returning.
-        Promise.resolve()
-          .then(function() {
-            return promises.reduce(function(previousItem, currentItem) {
-              return previousItem.then(function() {
-                if (action == 'publish') {
-                  if (!Actions.isPublished(currentItem)) {
-                    return Actions.publish(currentItem);
-                  } else {
-                    return Promise.resolve();
-                  }
-                } else {
-                  // Default unpub
-                  if (Actions.isPublished(currentItem)) {
-                    return Actions.unPublish(currentItem);
-                  } else {
-                    return Promise.resolve();
-                  }
-                }
+      // Another application for the same disposition may have been added since this one was deleted.
+      TTLSUtils.getExistingApplication(o.tantalisID, o._id)
+        .then(function(existing) {
+          if (existing) {
+            defaultLog.info('HTTP 409, Application already exists for tantalisID:', o.tantalisID);
+            return Actions.sendResponse(res, 409, TTLSUtils.getDuplicateError(existing));
+          }
+
+          return Cascade.restoreApplication(o, args.swagger.params.auth_payload.preferred_username).then(function(
+            data
+          ) {
+            if (!data.success) {
+              return Actions.sendResponse(res, 400, {
+                message: 'Failed to restore all objects, changes have been rolled back.',
+                results: data.results
               });
-            }, Promise.resolve());
-          })
-          .then(function() {
-            // All done with promises in the array, return to the caller.
-            defaultLog.info('done Pub/UnPub all features.');
-            resolve();
+            }
+            return Actions.sendResponse(res, 200, { application: o, results: data.results });
           });
-      }
-    });
+        })
+        .catch(function(err) {
+          defaultLog.error('application protectedRestore:', err);
+          return Actions.sendResponse(res, 400, err);
+        });
+    } else {
+      defaultLog.warn("Couldn't find that object!");
+      return Actions.sendResponse(res, 404, {});
+    }
   });
 };
 
-var doFeatureSave = function(item, appId) {
-  return new Promise(function(resolve, reject) {
-    // MBL TODO: What to do if feature was already in?
-    var Feature = mongoose.model('Feature');
-    var feat = new Feature(item);
+// Merges a duplicate (source) application into this one, along with its CommentPeriods, Decisions, Documents and
+// Features.  The source is deleted.
+exports.protectedMerge = function(args, res, next) {
+  var appId = args.swagger.params.appId.value;
+  var sourceId = (args.swagger.params.merge.value || {}).sourceId;
+  defaultLog.info('Merge Application:', sourceId, 'into:', appId);
 
-    // Bind reference to application Obj
-    feat.applicationID = appId;
-    feat.save().then(resolve, reject);
-  });
+  if (!mongoose.Types.ObjectId.isValid(appId) || !mongoose.Types.ObjectId.isValid(sourceId)) {
+    return Actions.sendResponse(res, 404, {});
+  }
+
+  if (String(appId) === String(sourceId)) {
+    return Actions.sendResponse(res, 400, { message: 'An application cannot be merged into itself.' });
+  }
+
+  var Application = mongoose.model('Application');
+  Promise.all([
+    Application.findOne({ _id: appId, isDeleted: false }).exec(),
+    Application.findOne({ _id: sourceId, isDeleted: false }).exec()
+  ])
+    .then(function([target, source]) {
+      if (!target || !source) {
+        defaultLog.warn("Couldn't find that object!");
+        return Actions.sendResponse(res, 404, {});
+      }
+
+      if (target.tantalisID && source.tantalisID && target.tantalisID !== source.tantalisID) {
+        defaultLog.info('HTTP 409, Applications are for different dispositions:', target.tantalisID, source.tantalisID);
+        return Actions.sendResponse(res, 409, {
+          message: 'Only applications for the same Tantalis disposition can be merged.'
+        });
+      }
+
+      return Cascade.mergeApplication(target, source, args.swagger.params.auth_payload.preferred_username).then(
+        function(data) {
+          if (!data.success) {
+            return Actions.sendResponse(res, 400, {
+              message: 'Failed to merge all objects, changes have been rolled back.',
+              results: data.results
+            });
+          }
+          return Actions.sendResponse(res, 200, { application: target, results: data.results });
+        }
+      );
+    })
+    .catch(function(err) {
+      defaultLog.error('application protectedMerge:', err);
+      return Actions.sendResponse(res, 400, err);
+    });
 };
 
 //  Create a new application
@@ -369,80 +483,54 @@ exports.protectedPost = function(args, res, next) {
   delete obj.status;
   delete obj.reason;
   delete obj.tenureStage;
+  delete obj.purposeCode;
+  delete obj.subpurposeCode;
+  delete obj.typeCode;
+  delete obj.subtypeCode;
+  delete obj.statusCode;
+  delete obj.reasonCode;
+  delete obj.tenureStageCode;
   delete obj.location;
   delete obj.businessUnit;
   delete obj.cl_file;
   delete obj.client;
+  delete obj.interestedParties;
 
   defaultLog.info('Incoming new object:', obj);
 
-  var Application = mongoose.model('Application');
-  var app = new Application(obj);
-  // Define security tag defaults
-  app.tags = [['sysadmin']];
-  app._createdBy = args.swagger.params.auth_payload.preferred_username;
-  app.createdDate = Date.now();
-  app.save().then(function(savedApp) {
-    return new Promise(function(resolve, reject) {
-      return TTLSUtils.loginWebADE()
-        .then(function(accessToken) {
-          defaultLog.debug('TTLS API Logged in:', accessToken);
-          // Disp lookup
-          return TTLSUtils.getApplicationByDispositionID(accessToken, savedApp.tantalisID);
-        })
-        .then(resolve, reject);
+  TTLSUtils.createApplication(obj, args.swagger.params.auth_payload.preferred_username)
+    .then(function(theApp) {
+      return Actions.sendResponse(res, 200, theApp);
     })
-      .then(function(data) {
-        // Copy in the meta
-        savedApp.areaHectares = data.areaHectares;
-        savedApp.centroid = data.centroid;
-        savedApp.purpose = data.TENURE_PURPOSE;
-        savedApp.subpurpose = data.TENURE_SUBPURPOSE;
-        savedApp.type = data.TENURE_TYPE;
-        savedApp.subtype = data.TENURE_SUBTYPE;
-        savedApp.status = data.TENURE_STATUS;
-        savedApp.reason = data.TENURE_REASON;
-        savedApp.tenureStage = data.TENURE_STAGE;
-        savedApp.location = data.TENURE_LOCATION;
-        savedApp.businessUnit = data.RESPONSIBLE_BUSINESS_UNIT;
-        savedApp.cl_file = data.CROWN_LANDS_FILE;
-        savedApp.tantalisID = data.DISPOSITION_TRANSACTION_SID;
-
-        for (let [idx, client] of Object.entries(data.interestedParties)) {
-          if (idx > 0) {
-            savedApp.client += ', ';
-          }
-          if (client.interestedPartyType == 'O') {
-            savedApp.client += client.legalName;
-          } else {
-            savedApp.client += client.firstName + ' ' + client.lastName;
-          }
-        }
+    .catch(function(err) {
+      defaultLog.error('application protectedPost:', err);
+      return Actions.sendResponse(res, err.code === 409 ? 409 : 400, err);
+    });
+};
 
-        Promise.resolve()
-          .then(function() {
-            return data.parcels.reduce(function(previousItem, currentItem) {
-              return previousItem.then(function() {
-                // publish
-                currentItem.tags = [['sysadmin'], ['public']];
-                return doFeatureSave(currentItem, savedApp._id);
-              });
-            }, Promise.resolve());
-          })
-          .then(function() {
-            // All done with promises in the array, return to the caller.
-            defaultLog.debug('all done');
-            return savedApp.save();
-          })
-          .then(function(theApp) {
-            return Actions.sendResponse(res, 200, theApp);
-          });
-      })
-      .catch(function(err) {
-        defaultLog.error('application protectedPost:', err);
-        return Actions.sendResponse(res, 400, err);
-      });
-  });
+// Imports applications from Tantalis by file number and/or disposition ID.  Responds as soon as the import has started,
+// with the Job that records its progress and the result of each application.
+exports.protectedImport = function(args, res, next) {
+  var obj = args.swagger.params.import.value || {};
+  var params = {
+    fileNumbers: _.uniq(_.compact(obj.fileNumbers)),
+    dispositionIDs: _.uniq(_.compact(obj.dispositionIDs))
+  };
+
+  defaultLog.info('Import Applications:', params);
+
+  if (!params.fileNumbers.length && !params.dispositionIDs.length) {
+    return Actions.sendResponse(res, 400, { message: 'At least one file number or disposition ID is required.' });
+  }
+
+  Scheduler.runNow(ApplicationImport.TASK_NAME, args.swagger.params.auth_payload.preferred_username, params)
+    .then(function(job) {
+      return Actions.sendResponse(res, 202, job);
+    })
+    .catch(function(err) {
+      defaultLog.error('application protectedImport:', err);
+      return Actions.sendResponse(res, 400, { message: err.message });
+    });
 };
 
 // Update an existing application
@@ -453,14 +541,46 @@ exports.protectedPut = function(args, res, next) {
   var obj = args.swagger.params.AppObject.value;
   // Strip security tags - these will not be updated on this route.
   delete obj.tags;
+  delete obj._id;
+  // Interested parties come from Tantalis, so only their tags (who can see them) are updated on this route.
+  var interestedParties = obj.interestedParties;
+  delete obj.interestedParties;
+  delete obj.client;
+  // Only changed by merging.
+  delete obj._mergedInto;
+  delete obj._mergedFrom;
   defaultLog.info('Incoming updated object:', obj);
-  // TODO sanitize/update audits.
 
   var Application = require('mongoose').model('Application');
-  Application.findOneAndUpdate({ _id: objId }, obj, { upsert: false, new: true }, function(err, o) {
+  Application.findOne({ _id: objId }, function(err, o) {
     if (o) {
-      defaultLog.debug('o:', JSON.stringify(o));
-      return Actions.sendResponse(res, 200, o);
+      var existingCheck = Promise.resolve(null);
+      if (obj.tantalisID !== undefined && obj.tantalisID !== o.tantalisID && !o.isDeleted) {
+        existingCheck = TTLSUtils.getExistingApplication(obj.tantalisID, o._id);
+      }
+
+      existingCheck
+        .then(function(existing) {
+          if (existing) {
+            defaultLog.info('HTTP 409, Application already exists for tantalisID:', obj.tantalisID);
+            return Actions.sendResponse(res, 409, TTLSUtils.getDuplicateError(existing));
+          }
+
+          o.set(obj);
+          if (interestedParties) {
+            InterestedParties.setTags(o.interestedParties, interestedParties);
+            o.client = InterestedParties.getClient(o.interestedParties);
+          }
+          Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+          return o.save().then(function(updated) {
+            defaultLog.debug('o:', JSON.stringify(updated));
+            return Actions.sendResponse(res, 200, updated);
+          });
+        })
+        .catch(function(error) {
+          defaultLog.error('application protectedPut:', error);
+          return Actions.sendResponse(res, 400, { message: error.message });
+        });
     } else {
       defaultLog.warn("Couldn't find that object!");
       return Actions.sendResponse(res, 404, {});
@@ -468,6 +588,25 @@ exports.protectedPut = function(args, res, next) {
   });
 };
 
+// Publishes/unpublishes the application along with its comment periods, decisions, documents and features, responding
+// with the result for each object.  Nothing is left changed if any of them fail.
+var cascadePubUnPub = function(res, application, action, username) {
+  return Cascade.publishApplication(application, action, username)
+    .then(function(data) {
+      if (!data.success) {
+        return Actions.sendResponse(res, 400, {
+          message: 'Failed to ' + action + ' all objects, changes have been rolled back.',
+          results: data.results
+        });
+      }
+      return Actions.sendResponse(res, 200, { application: application, results: data.results });
+    })
+    .catch(function(err) {
+      defaultLog.error('application cascadePubUnPub:', err);
+      return Actions.sendResponse(res, 400, err);
+    });
+};
+
 // Publish/Unpublish the application
 exports.protectedPublish = function(args, res, next) {
   var objId = args.swagger.params.appId.value;
@@ -478,8 +617,14 @@ exports.protectedPublish = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      if (args.swagger.params.cascade && args.swagger.params.cascade.value) {
+        return cascadePubUnPub(res, o, 'publish', args.swagger.params.auth_payload.preferred_username);
+      }
+
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Go through the feature collection and publish the corresponding features.
-      doFeaturePubUnPub('publish', objId)
+      Cascade.publishFeatures(objId, 'publish', args.swagger.params.auth_payload.preferred_username)
         .then(function() {
           // Publish the application
           return Actions.publish(o);
@@ -510,8 +655,14 @@ exports.protectedUnPublish = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      if (args.swagger.params.cascade && args.swagger.params.cascade.value) {
+        return cascadePubUnPub(res, o, 'unpublish', args.swagger.params.auth_payload.preferred_username);
+      }
+
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Go through the feature collection and publish the corresponding features.
-      doFeaturePubUnPub('unpublish', objId)
+      Cascade.publishFeatures(objId, 'unpublish', args.swagger.params.auth_payload.preferred_username)
         .then(function() {
           return Actions.unPublish(o);
         })
@@ -542,7 +693,7 @@ exports.protectedRefresh = function(args, res, next) {
     if (applicationObject) {
       defaultLog.debug('application before refresh:', JSON.stringify(applicationObject));
 
-      TTLSUtils.updateApplication(applicationObject).then(
+      TTLSUtils.updateApplication(applicationObject, args.swagger.params.auth_payload.preferred_username).then(
         updatedApplicationAndFeatures => {
           defaultLog.debug('application after refresh:', JSON.stringify(applicationObject));
           return Actions.sendResponse(res, 200, updatedApplicationAndFeatures);
@@ -558,6 +709,133 @@ exports.protectedRefresh = function(args, res, next) {
   });
 };
 
+// Shows what refreshing an application would change, without changing anything.
+exports.protectedRefreshPreview = function(args, res, next) {
+  var objId = args.swagger.params.appId.value;
+  defaultLog.info('Preview Application refresh, _id:', objId);
+
+  var Application = require('mongoose').model('Application');
+  Application.findOne({ _id: objId }, function(err, applicationObject) {
+    if (applicationObject) {
+      TTLSUtils.previewApplicationUpdate(applicationObject).then(
+        preview => {
+          if (!preview) {
+            return Actions.sendResponse(res, 404, { message: 'No matching Tantalis application found.' });
+          }
+          return Actions.sendResponse(res, 200, preview);
+        },
+        error => {
+          return Actions.sendResponse(res, null, error);
+        }
+      );
+    } else {
+      defaultLog.warn("Couldn't find that object!");
+      return Actions.sendResponse(res, 404, {});
+    }
+  });
+};
+
+// Adds Features to an application from an uploaded GeoJSON, KML, WKT or zipped Shapefile file.
+exports.protectedUploadFeatures = function(args, res, next) {
+  var objId = args.swagger.params.appId.value;
+  var upfile = args.swagger.params.upfile.value;
+  defaultLog.info('Upload Features to Application, _id:', objId, 'file:', upfile && upfile.originalname);
+
+  if (!mongoose.Types.ObjectId.isValid(objId)) {
+    return Actions.sendResponse(res, 404, {});
+  }
+
+  var options = {
+    format: args.swagger.params.format && args.swagger.params.format.value,
+    crs: args.swagger.params.crs && args.swagger.params.crs.value
+  };
+  var replace = !!(args.swagger.params.replace && args.swagger.params.replace.value);
+
+  var Application = mongoose.model('Application');
+  Application.findOne({ _id: objId, isDeleted: false })
+    .then(function(applicationObject) {
+      if (!applicationObject) {
+        defaultLog.warn("Couldn't find that object!");
+        return Actions.sendResponse(res, 404, {});
+      }
+
+      return FeatureUpload.read(upfile, options)
+        .then(function(features) {
+          return FeatureUpload.addFeatures(
+            applicationObject,
+            features,
+            replace,
+            args.swagger.params.auth_payload.preferred_username
+          );
+        })
+        .then(function(features) {
+          return Actions.sendResponse(res, 200, features);
+        });
+    })
+    .catch(function(err) {
+      defaultLog.error('application protectedUploadFeatures:', err);
+      return Actions.sendResponse(res, err.code || 500, { message: err.message });
+    });
+};
+
+// Returns the audit trail (change history) of an application, newest first.
+exports.protectedGetHistory = function(args, res, next) {
+  var objId = args.swagger.params.appId.value;
+  defaultLog.info('Get Application History, _id:', objId);
+
+  if (!mongoose.Types.ObjectId.isValid(objId)) {
+    return Actions.sendResponse(res, 404, {});
+  }
+
+  var processedParameters = Utils.getSkipLimitParameters(args.swagger.params.pageSize, args.swagger.params.pageNum);
+
+  Audit.getAuditRecords(
+    { objectType: 'Application', _objectId: mongoose.Types.ObjectId(objId) },
+    processedParameters.skip,
+    processedParameters.limit
+  )
+    .then(function(data) {
+      res.setHeader('x-total-count', data.total);
+      return Actions.sendResponse(res, 200, data.records);
+    })
+    .catch(function(err) {
+      defaultLog.error('application protectedGetHistory:', err);
+      return Actions.sendResponse(res, 400, err);
+    });
+};
+
+// Lists the dispositions (tantalisIDs) that have more than one non-deleted application, so that they can be merged.
+exports.protectedGetDuplicates = function(args, res, next) {
+  defaultLog.info('Get duplicate Applications');
+
+  var Application = mongoose.model('Application');
+  Application.aggregate([
+    { $match: { isDeleted: false, tantalisID: { $gt: 0 } } },
+    { $sort: { createdDate: 1, _id: 1 } },
+    {
+      $group: {
+        _id: '$tantalisID',
+        count: { $sum: 1 },
+        applications: {
+          $push: { _id: '$_id', name: '$name', cl_file: '$cl_file', createdDate: '$createdDate', tags: '$tags' }
+        }
+      }
+    },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, tantalisID: '$_id', count: 1, applications: 1 } }
+  ])
+    .exec()
+    .then(function(duplicates) {
+      res.setHeader('x-total-count', duplicates.length);
+      return Actions.sendResponse(res, 200, duplicates);
+    })
+    .catch(function(err) {
+      defaultLog.error('application protectedGetDuplicates:', err);
+      return Actions.sendResponse(res, 400, err);
+    });
+};
+
 /* eslint-disable no-redeclare */
 var handleCommentPeriodDateQueryParameters = function(args, requestedFields, callback, error) {
   var pipelineSteps = null;
@@ -635,6 +913,7 @@ var handleCommentPeriodDateQueryParameters = function(args, requestedFields, cal
 };
 
 var addStandardQueryFilters = function(query, args) {
+  var clientName = null;
   if (args.swagger.params.publishDate && args.swagger.params.publishDate.value !== undefined) {
     var queryString = qs.parse(args.swagger.params.publishDate.value);
     if (queryString.since && queryString.until) {
@@ -681,6 +960,7 @@ var addStandardQueryFilters = function(query, args) {
     } else {
       queryArray.push(queryString.eq);
     }
+    Codes.checkDescriptions(Codes.PURPOSE, queryArray);
     _.assignIn(query, { purpose: { $in: queryArray } });
   }
   if (args.swagger.params.subpurpose && args.swagger.params.subpurpose.value !== undefined) {
@@ -691,12 +971,15 @@ var addStandardQueryFilters = function(query, args) {
     } else {
       queryArray.push(queryString.eq);
     }
+    Codes.checkDescriptions(Codes.SUBPURPOSE, queryArray);
     _.assignIn(query, { subpurpose: { $in: queryArray } });
   }
   if (args.swagger.params.type && args.swagger.params.type.value !== undefined) {
+    Codes.checkDescriptions(Codes.TYPE, args.swagger.params.type.value);
     _.assignIn(query, { type: args.swagger.params.type.value });
   }
   if (args.swagger.params.subtype && args.swagger.params.subtype.value !== undefined) {
+    Codes.checkDescriptions(Codes.SUBTYPE, args.swagger.params.subtype.value);
     _.assignIn(query, { subtype: args.swagger.params.subtype.value });
   }
   if (args.swagger.params.status && args.swagger.params.status.value !== undefined) {
@@ -707,6 +990,7 @@ var addStandardQueryFilters = function(query, args) {
     } else {
       queryArray.push(queryString.eq);
     }
+    Codes.checkDescriptions(Codes.STATUS, queryArray);
     _.assignIn(query, { status: { $in: queryArray } });
   }
   if (args.swagger.params.reason && args.swagger.params.reason.value !== undefined) {
@@ -718,6 +1002,7 @@ var addStandardQueryFilters = function(query, args) {
       } else {
         queryArray.push(queryString.eq);
       }
+      Codes.checkDescriptions(Codes.REASON, queryArray);
       _.assignIn(query, { reason: { $in: queryArray } });
     } else if (queryString.ne) {
       if (Array.isArray(queryString.ne)) {
@@ -725,6 +1010,7 @@ var addStandardQueryFilters = function(query, args) {
       } else {
         queryArray.push(queryString.ne);
       }
+      Codes.checkDescriptions(Codes.REASON, queryArray);
       _.assignIn(query, { reason: { $nin: queryArray } });
     }
   }
@@ -742,10 +1028,11 @@ var addStandardQueryFilters = function(query, args) {
       // as well, which may be un-desired. See docs.mongodb.com/manual/reference/operator/query/text/
       _.assignIn(query, { $text: { $search: queryString.text } });
     } else if (queryString.eq) {
-      _.assignIn(query, { client: { $eq: queryString.eq } });
+      clientName = queryString.eq;
     }
   }
   if (args.swagger.params.tenureStage && args.swagger.params.tenureStage.value !== undefined) {
+    Codes.checkDescriptions(Codes.STAGE, args.swagger.params.tenureStage.value);
     _.assignIn(query, { tenureStage: args.swagger.params.tenureStage.value });
   }
   if (args.swagger.params.areaHectares && args.swagger.params.areaHectares.value !== undefined) {
@@ -852,6 +1139,22 @@ var addStandardQueryFilters = function(query, args) {
     }
   }
 
+  if (clientName) {
+    // Matches any one of the interested parties that the user can see, or the whole client of an application that has
+    // no interested parties yet.  Added to the $and, so as not to replace the $or of another filter.
+    var roles = (args.swagger.operation && args.swagger.operation['x-security-scopes']) || ['public'];
+    query.$and = (query.$and || []).concat({
+      $or: [
+        {
+          interestedParties: {
+            $elemMatch: { name: clientName, tags: { $in: _.map(roles, role => [role]) } }
+          }
+        },
+        { 'interestedParties.0': { $exists: false }, client: { $eq: clientName } }
+      ]
+    });
+  }
+
   defaultLog.debug('query:', JSON.stringify(query));
 
   return query;
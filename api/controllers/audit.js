@@ -0,0 +1,69 @@
+var _ = require('lodash');
+var defaultLog = require('../helpers/logger')('audit');
+var mongoose = require('mongoose');
+var qs = require('qs');
+var Actions = require('../helpers/actions');
+var Audit = require('../helpers/audit');
+var Utils = require('../helpers/utils');
+
+exports.protectedOptions = function(args, res, rest) {
+  res.status(200).send();
+};
+
+// Get a page of audit records, across all audited models, newest first.
+exports.protectedGet = function(args, res, next) {
+  var query = {};
+
+  if (args.swagger.params.objectType && args.swagger.params.objectType.value !== undefined) {
+    _.assignIn(query, { objectType: args.swagger.params.objectType.value });
+  }
+
+  if (args.swagger.params.objectId && args.swagger.params.objectId.value !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(args.swagger.params.objectId.value)) {
+      return Actions.sendResponse(res, 400, { message: 'Invalid objectId.' });
+    }
+    _.assignIn(query, { _objectId: mongoose.Types.ObjectId(args.swagger.params.objectId.value) });
+  }
+
+  if (args.swagger.params.performedBy && args.swagger.params.performedBy.value !== undefined) {
+    _.assignIn(query, { _performedBy: args.swagger.params.performedBy.value });
+  }
+
+  if (args.swagger.params.action && args.swagger.params.action.value !== undefined) {
+    _.assignIn(query, { action: args.swagger.params.action.value });
+  }
+
+  if (args.swagger.params.performedDate && args.swagger.params.performedDate.value !== undefined) {
+    var queryString = qs.parse(args.swagger.params.performedDate.value);
+    var performedDate = {};
+    if (queryString.since) {
+      performedDate.$gte = new Date(queryString.since);
+      if (isNaN(performedDate.$gte.getTime())) {
+        return Actions.sendResponse(res, 400, { message: 'Invalid performedDate since.' });
+      }
+    }
+    if (queryString.until) {
+      performedDate.$lte = new Date(queryString.until);
+      if (isNaN(performedDate.$lte.getTime())) {
+        return Actions.sendResponse(res, 400, { message: 'Invalid performedDate until.' });
+      }
+    }
+    if (!_.isEmpty(performedDate)) {
+      _.assignIn(query, { performedDate: performedDate });
+    }
+  }
+
+  defaultLog.info('Get Audit records:', JSON.stringify(query));
+
+  var processedParameters = Utils.getSkipLimitParameters(args.swagger.params.pageSize, args.swagger.params.pageNum);
+
+  Audit.getAuditRecords(query, processedParameters.skip, processedParameters.limit)
+    .then(function(data) {
+      res.setHeader('x-total-count', data.total);
+      return Actions.sendResponse(res, 200, data.records);
+    })
+    .catch(function(err) {
+      defaultLog.error('audit protectedGet:', err);
+      return Actions.sendResponse(res, 400, err);
+    });
+};
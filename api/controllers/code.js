@@ -0,0 +1,54 @@
+var _ = require('lodash');
+var defaultLog = require('../helpers/logger')('code');
+var Actions = require('../helpers/actions');
+var Codes = require('../helpers/codes');
+var Scheduler = require('../helpers/scheduler');
+var TantalisCodeSync = require('../helpers/tantalisCodeSync');
+
+var getCodes = function(args, res) {
+  var table = args.swagger.params.table.value;
+  var parentCode = args.swagger.params.parentCode && args.swagger.params.parentCode.value;
+  defaultLog.info('Get Codes, table:', table, 'parentCode:', parentCode);
+
+  return Codes.getCodes(table, parentCode)
+    .then(function(codes) {
+      return Actions.sendResponse(
+        res,
+        200,
+        _.map(codes, function(code) {
+          return _.pick(code, ['_id', 'table', 'code', 'description', 'parentCode', 'lastSyncedDate']);
+        })
+      );
+    })
+    .catch(function(err) {
+      defaultLog.error('code getCodes:', err);
+      return Actions.sendResponse(res, 400, { message: err.message });
+    });
+};
+
+exports.protectedOptions = function(args, res, rest) {
+  res.status(200).send();
+};
+
+exports.publicGet = function(args, res, next) {
+  return getCodes(args, res);
+};
+
+exports.protectedGet = function(args, res, next) {
+  return getCodes(args, res);
+};
+
+// Sync the Tantalis code tables now, rather than waiting for the next scheduled sync.
+exports.protectedSync = function(args, res, next) {
+  var params = { full: !!(args.swagger.params.full && args.swagger.params.full.value) };
+  defaultLog.info('Sync Codes:', params);
+
+  Scheduler.runNow(TantalisCodeSync.TASK_NAME, args.swagger.params.auth_payload.preferred_username, params)
+    .then(function(job) {
+      return Actions.sendResponse(res, 202, job);
+    })
+    .catch(function(err) {
+      defaultLog.error('code protectedSync:', err);
+      return Actions.sendResponse(res, 400, { message: err.message });
+    });
+};
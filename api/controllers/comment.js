@@ -2,6 +2,7 @@ var _ = require('lodash');
 var defaultLog = require('../helpers/logger')('comment');
 var mongoose = require('mongoose');
 var Actions = require('../helpers/actions');
+var Audit = require('../helpers/audit');
 var Utils = require('../helpers/utils');
 
 var getSanitizedFields = function(fields) {
@@ -276,13 +277,22 @@ exports.protectedPut = function(args, res, next) {
   }
 
   defaultLog.info('Incoming updated object:', obj);
-  // TODO sanitize/update audits.
 
   var Comment = require('mongoose').model('Comment');
-  Comment.findOneAndUpdate({ _id: objId }, obj, { upsert: false, new: true }, function(err, o) {
+  Comment.findOne({ _id: objId }, function(err, o) {
     if (o) {
-      defaultLog.debug('o:', JSON.stringify(o));
-      return Actions.sendResponse(res, 200, o);
+      o.set(obj);
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+      o.save().then(
+        function(updated) {
+          defaultLog.debug('o:', JSON.stringify(updated));
+          return Actions.sendResponse(res, 200, updated);
+        },
+        function(error) {
+          defaultLog.error('comment protectedPut:', error);
+          return Actions.sendResponse(res, 400, { message: error.message });
+        }
+      );
     } else {
       defaultLog.warn("Couldn't find that object!");
       return Actions.sendResponse(res, 404, {});
@@ -300,6 +310,8 @@ exports.protectedPublish = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Add public to the tag of this obj.
       Actions.publish(o).then(
         function(published) {
@@ -328,6 +340,8 @@ exports.protectedUnPublish = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Remove public to the tag of this obj.
       Actions.unPublish(o).then(
         function(unpublished) {
@@ -345,3 +359,33 @@ exports.protectedUnPublish = function(args, res, next) {
     }
   });
 };
+
+// Restore (un-delete) the Comment.  It is not re-published.
+exports.protectedRestore = function(args, res, next) {
+  var objId = args.swagger.params.CommentId.value;
+  defaultLog.info('Restore Comment:', objId);
+
+  var Comment = require('mongoose').model('Comment');
+  Comment.findOne({ _id: objId }, function(err, o) {
+    if (o) {
+      defaultLog.debug('o:', JSON.stringify(o));
+
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
+      // Clear the deleted flag.
+      Actions.restore(o).then(
+        function(restored) {
+          // Restored successfully
+          return Actions.sendResponse(res, 200, restored);
+        },
+        function(err) {
+          // Error
+          return Actions.sendResponse(res, null, err);
+        }
+      );
+    } else {
+      defaultLog.warn("Couldn't find that object!");
+      return Actions.sendResponse(res, 404, {});
+    }
+  });
+};
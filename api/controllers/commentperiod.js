@@ -2,11 +2,17 @@ var _ = require('lodash');
 var defaultLog = require('../helpers/logger')('commentperiod');
 var mongoose = require('mongoose');
 var Actions = require('../helpers/actions');
+var Audit = require('../helpers/audit');
 var Utils = require('../helpers/utils');
 
 var getSanitizedFields = function(fields) {
   return _.remove(fields, function(f) {
-    return _.indexOf(['name', 'startDate', 'endDate', '_addedBy', '_application', 'isDeleted'], f) !== -1;
+    return (
+      _.indexOf(
+        ['name', 'startDate', 'endDate', '_addedBy', '_application', 'isDeleted', 'publishAt', 'unpublishAt'],
+        f
+      ) !== -1
+    );
   });
 };
 
@@ -137,6 +143,7 @@ exports.protectedPost = function(args, res, next) {
   // Define security tag defaults
   commentperiod.tags = [['sysadmin']];
   commentperiod._addedBy = args.swagger.params.auth_payload.preferred_username;
+  Audit.setContext(commentperiod, args.swagger.params.auth_payload.preferred_username);
   commentperiod.save().then(function(c) {
     // defaultLog.info("Saved new CommentPeriod object:", c);
     return Actions.sendResponse(res, 200, c);
@@ -155,13 +162,22 @@ exports.protectedPut = function(args, res, next) {
   delete obj._addedBy;
 
   defaultLog.info('Incoming updated object:', obj);
-  // TODO sanitize/update audits.
 
   var commentperiod = require('mongoose').model('CommentPeriod');
-  commentperiod.findOneAndUpdate({ _id: objId }, obj, { upsert: false, new: true }, function(err, o) {
+  commentperiod.findOne({ _id: objId }, function(err, o) {
     if (o) {
-      defaultLog.debug('o:', JSON.stringify(o));
-      return Actions.sendResponse(res, 200, o);
+      o.set(obj);
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+      o.save().then(
+        function(updated) {
+          defaultLog.debug('o:', JSON.stringify(updated));
+          return Actions.sendResponse(res, 200, updated);
+        },
+        function(error) {
+          defaultLog.error('commentperiod protectedPut:', error);
+          return Actions.sendResponse(res, 400, { message: error.message });
+        }
+      );
     } else {
       defaultLog.warn("Couldn't find that object!");
       return Actions.sendResponse(res, 404, {});
@@ -179,6 +195,8 @@ exports.protectedDelete = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Set the deleted flag.
       Actions.delete(o).then(
         function(deleted) {
@@ -208,6 +226,8 @@ exports.protectedPublish = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Add public to the tag of this obj.
       Actions.publish(o).then(
         function(published) {
@@ -234,6 +254,8 @@ exports.protectedUnPublish = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Remove public to the tag of this obj.
       Actions.unPublish(o).then(
         function(unpublished) {
@@ -251,3 +273,33 @@ exports.protectedUnPublish = function(args, res, next) {
     }
   });
 };
+
+// Restore (un-delete) the Comment Period.  It is not re-published.
+exports.protectedRestore = function(args, res, next) {
+  var objId = args.swagger.params.CommentPeriodId.value;
+  defaultLog.info('Restore CommentPeriod:', objId);
+
+  var CommentPeriod = require('mongoose').model('CommentPeriod');
+  CommentPeriod.findOne({ _id: objId }, function(err, o) {
+    if (o) {
+      defaultLog.debug('o:', JSON.stringify(o));
+
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
+      // Clear the deleted flag.
+      Actions.restore(o).then(
+        function(restored) {
+          // Restored successfully
+          return Actions.sendResponse(res, 200, restored);
+        },
+        function(err) {
+          // Error
+          return Actions.sendResponse(res, null, err);
+        }
+      );
+    } else {
+      defaultLog.warn("Couldn't find that object!");
+      return Actions.sendResponse(res, 404, {});
+    }
+  });
+};
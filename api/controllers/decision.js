@@ -2,11 +2,12 @@ var _ = require('lodash');
 var defaultLog = require('../helpers/logger')('decision');
 var mongoose = require('mongoose');
 var Actions = require('../helpers/actions');
+var Audit = require('../helpers/audit');
 var Utils = require('../helpers/utils');
 
 var getSanitizedFields = function(fields) {
   return _.remove(fields, function(f) {
-    return _.indexOf(['name', '_addedBy', '_application', 'decisionDate'], f) !== -1;
+    return _.indexOf(['name', '_addedBy', '_application', 'decisionDate', 'publishAt', 'unpublishAt'], f) !== -1;
   });
 };
 
@@ -130,6 +131,7 @@ exports.protectedPost = function(args, res, next) {
   var decision = new Decision(obj);
   // Define security tag defaults
   decision.tags = [['sysadmin']];
+  Audit.setContext(decision, args.swagger.params.auth_payload.preferred_username);
   decision.save().then(function(a) {
     defaultLog.info('Saved new decision object:', a);
     return Actions.sendResponse(res, 200, a);
@@ -147,10 +149,20 @@ exports.protectedPut = function(args, res, next) {
   defaultLog.info('Incoming updated object:', obj);
 
   var Decision = require('mongoose').model('Decision');
-  Decision.findOneAndUpdate({ _id: objId }, obj, { upsert: false, new: true }, function(err, o) {
+  Decision.findOne({ _id: objId }, function(err, o) {
     if (o) {
-      defaultLog.debug('o:', JSON.stringify(o));
-      return Actions.sendResponse(res, 200, o);
+      o.set(obj);
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+      o.save().then(
+        function(updated) {
+          defaultLog.debug('o:', JSON.stringify(updated));
+          return Actions.sendResponse(res, 200, updated);
+        },
+        function(error) {
+          defaultLog.error('decision protectedPut:', error);
+          return Actions.sendResponse(res, 400, { message: error.message });
+        }
+      );
     } else {
       defaultLog.warn("Couldn't find that object!");
       return Actions.sendResponse(res, 404, {});
@@ -167,6 +179,8 @@ exports.protectedDelete = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Set the deleted flag.
       Actions.delete(o).then(
         function(deleted) {
@@ -195,6 +209,8 @@ exports.protectedPublish = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Add public to the tag of this obj.
       Actions.publish(o).then(
         function(published) {
@@ -221,6 +237,8 @@ exports.protectedUnPublish = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Remove public to the tag of this obj.
       Actions.unPublish(o).then(
         function(unpublished) {
@@ -238,3 +256,33 @@ exports.protectedUnPublish = function(args, res, next) {
     }
   });
 };
+
+// Restore (un-delete) the Decision.  It is not re-published.
+exports.protectedRestore = function(args, res, next) {
+  var objId = args.swagger.params.decisionId.value;
+  defaultLog.info('Restore Decision:', objId);
+
+  var Decision = require('mongoose').model('Decision');
+  Decision.findOne({ _id: objId }, function(err, o) {
+    if (o) {
+      defaultLog.debug('o:', JSON.stringify(o));
+
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
+      // Clear the deleted flag.
+      Actions.restore(o).then(
+        function(restored) {
+          // Restored successfully
+          return Actions.sendResponse(res, 200, restored);
+        },
+        function(err) {
+          // Error
+          return Actions.sendResponse(res, null, err);
+        }
+      );
+    } else {
+      defaultLog.warn("Couldn't find that object!");
+      return Actions.sendResponse(res, 404, {});
+    }
+  });
+};
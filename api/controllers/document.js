@@ -3,6 +3,7 @@ var defaultLog = require('../helpers/logger')('document');
 var mongoose = require('mongoose');
 var mime = require('mime-types');
 var Actions = require('../helpers/actions');
+var Audit = require('../helpers/audit');
 var Utils = require('../helpers/utils');
 var FlakeIdGen = require('flake-idgen'),
   intformat = require('biguint-format'),
@@ -13,7 +14,12 @@ var ENABLE_VIRUS_SCANNING = process.env.ENABLE_VIRUS_SCANNING || false;
 
 var getSanitizedFields = function(fields) {
   return _.remove(fields, function(f) {
-    return _.indexOf(['displayName', 'internalURL', 'passedAVCheck', 'documentFileName', 'internalMime'], f) !== -1;
+    return (
+      _.indexOf(
+        ['displayName', 'internalURL', 'passedAVCheck', 'documentFileName', 'internalMime', 'publishAt', 'unpublishAt'],
+        f
+      ) !== -1
+    );
   });
 };
 
@@ -315,6 +321,7 @@ exports.protectedPost = function(args, res, next) {
           doc.passedAVCheck = true;
           // Update who did this?
           doc._addedBy = args.swagger.params.auth_payload.preferred_username;
+          Audit.setContext(doc, args.swagger.params.auth_payload.preferred_username);
           doc.save().then(function(d) {
             defaultLog.info('Saved new document object:', d._id);
             return Actions.sendResponse(res, 200, d);
@@ -338,6 +345,8 @@ exports.protectedDelete = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Set the deleted flag.
       Actions.delete(o).then(
         function(deleted) {
@@ -365,6 +374,8 @@ exports.protectedPublish = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Add public to the tag of this obj.
       Actions.publish(o).then(
         function(published) {
@@ -391,6 +402,8 @@ exports.protectedUnPublish = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Remove public to the tag of this obj.
       Actions.unPublish(o).then(
         function(unpublished) {
@@ -409,6 +422,36 @@ exports.protectedUnPublish = function(args, res, next) {
   });
 };
 
+// Restore (un-delete) the Document.  It is not re-published.
+exports.protectedRestore = function(args, res, next) {
+  var objId = args.swagger.params.docId.value;
+  defaultLog.info('Restore Document:', objId);
+
+  var Document = require('mongoose').model('Document');
+  Document.findOne({ _id: objId }, function(err, o) {
+    if (o) {
+      defaultLog.debug('o:', JSON.stringify(o));
+
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
+      // Clear the deleted flag.
+      Actions.restore(o).then(
+        function(restored) {
+          // Restored successfully
+          return Actions.sendResponse(res, 200, restored);
+        },
+        function(err) {
+          // Error
+          return Actions.sendResponse(res, null, err);
+        }
+      );
+    } else {
+      defaultLog.warn("Couldn't find that object!");
+      return Actions.sendResponse(res, 404, {});
+    }
+  });
+};
+
 // Update an existing document
 exports.protectedPut = function(args, res, next) {
   // defaultLog.info("upfile:", args.swagger.params.upfile);
@@ -450,10 +493,19 @@ exports.protectedPut = function(args, res, next) {
           obj.displayName = displayName;
           obj.passedAVCheck = true;
           var Document = require('mongoose').model('Document');
-          Document.findOneAndUpdate({ _id: objId }, obj, { upsert: false, new: true }, function(err, o) {
+          Document.findOne({ _id: objId }, function(err, o) {
             if (o) {
-              // defaultLog.info("o:", o);
-              return Actions.sendResponse(res, 200, o);
+              o.set(obj);
+              Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+              o.save().then(
+                function(updated) {
+                  return Actions.sendResponse(res, 200, updated);
+                },
+                function(error) {
+                  defaultLog.error('document protectedPut:', error);
+                  return Actions.sendResponse(res, 400, { message: error.message });
+                }
+              );
             } else {
               defaultLog.warn("Couldn't find that object!");
               return Actions.sendResponse(res, 404, {});
@@ -2,8 +2,15 @@ var _ = require('lodash');
 var defaultLog = require('../helpers/logger')('feature');
 var mongoose = require('mongoose');
 var Actions = require('../helpers/actions');
+var Audit = require('../helpers/audit');
+var GeoJSON = require('../helpers/geojson');
+var KML = require('../helpers/kml');
+var Shapefile = require('../helpers/shapefile');
 var Utils = require('../helpers/utils');
 
+// How many features are read from the database at a time when exporting.
+var EXPORT_BATCH_SIZE = 100;
+
 exports.protectedOptions = function(args, res, rest) {
   res.status(200).send();
 };
@@ -38,9 +45,7 @@ exports.publicGet = function(args, res, next) {
   }
   _.assignIn(query, { isDeleted: false });
 
-  getFeatures(['public'], query, args.swagger.params.fields.value).then(function(data) {
-    return Actions.sendResponse(res, 200, data);
-  });
+  sendFeatures(args, res, ['public'], query);
 };
 exports.protectedGet = function(args, res, next) {
   defaultLog.info(
@@ -82,11 +87,7 @@ exports.protectedGet = function(args, res, next) {
     _.assignIn(query, { isDeleted: false });
   }
 
-  getFeatures(args.swagger.operation['x-security-scopes'], query, args.swagger.params.fields.value).then(function(
-    data
-  ) {
-    return Actions.sendResponse(res, 200, data);
-  });
+  sendFeatures(args, res, args.swagger.operation['x-security-scopes'], query);
 };
 
 exports.protectedDelete = function(args, res, next) {
@@ -110,14 +111,22 @@ exports.protectedDelete = function(args, res, next) {
     return Actions.sendResponse(res, 400, "Can't delete entire collection.");
   }
 
-  // Straight delete, don't isDelete=true them.
-  Feature.remove(query, function(err, data) {
-    if (data) {
-      return Actions.sendResponse(res, 200, data);
-    } else {
+  // Straight delete, don't isDelete=true them.  Removed one at a time so that each is recorded in the audit trail.
+  Feature.find(query)
+    .then(function(features) {
+      return Promise.all(
+        features.map(function(feature) {
+          Audit.setContext(feature, args.swagger.params.auth_payload.preferred_username);
+          return feature.remove();
+        })
+      );
+    })
+    .then(function(removed) {
+      return Actions.sendResponse(res, 200, { n: removed.length, ok: 1 });
+    })
+    .catch(function(err) {
       return Actions.sendResponse(res, 400, err);
-    }
-  });
+    });
 };
 
 //  Create a new Feature
@@ -129,6 +138,7 @@ exports.protectedPost = function(args, res, next) {
   var feature = new Feature(obj);
   // Define security tag defaults.  Default public and sysadmin.
   feature.tags = [['sysadmin'], ['public']];
+  Audit.setContext(feature, args.swagger.params.auth_payload.preferred_username);
   feature.save().then(function(a) {
     // defaultLog.info("Saved new Feature object:", a);
     return Actions.sendResponse(res, 200, a);
@@ -144,13 +154,22 @@ exports.protectedPut = function(args, res, next) {
   // Strip security tags - these will not be updated on this route.
   delete obj.tags;
   defaultLog.info('Incoming updated object:', obj);
-  // TODO sanitize/update audits.
 
   var Feature = require('mongoose').model('Feature');
-  Feature.findOneAndUpdate({ _id: objId }, obj, { upsert: false, new: true }, function(err, o) {
+  Feature.findOne({ _id: objId }, function(err, o) {
     if (o) {
-      defaultLog.debug('o:', JSON.stringify(o));
-      return Actions.sendResponse(res, 200, o);
+      o.set(obj);
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+      o.save().then(
+        function(updated) {
+          defaultLog.debug('o:', JSON.stringify(updated));
+          return Actions.sendResponse(res, 200, updated);
+        },
+        function(error) {
+          defaultLog.error('feature protectedPut:', error);
+          return Actions.sendResponse(res, 400, { message: error.message });
+        }
+      );
     } else {
       defaultLog.warn("Couldn't find that object!");
       return Actions.sendResponse(res, 404, {});
@@ -168,6 +187,8 @@ exports.protectedPublish = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Add public to the tag of this obj.
       Actions.publish(o).then(
         function(published) {
@@ -194,6 +215,8 @@ exports.protectedUnPublish = function(args, res, next) {
     if (o) {
       defaultLog.debug('o:', JSON.stringify(o));
 
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+
       // Remove public to the tag of this obj.
       Actions.unPublish(o).then(
         function(unpublished) {
@@ -211,7 +234,286 @@ exports.protectedUnPublish = function(args, res, next) {
     }
   });
 };
-var getFeatures = function(role, query, fields) {
+// Download the published features, as a zipped shapefile or KML document.
+exports.publicExport = function(args, res, next) {
+  var query = {};
+  try {
+    query = getFilterQuery(args);
+  } catch (err) {
+    defaultLog.error('feature publicExport:', err);
+    return Actions.sendResponse(res, 400, { message: err.message });
+  }
+  _.assignIn(query, { isDeleted: false });
+
+  sendExport(args, res, ['public'], query);
+};
+
+exports.protectedExport = function(args, res, next) {
+  var query = {};
+  try {
+    query = getFilterQuery(args);
+  } catch (err) {
+    defaultLog.error('feature protectedExport:', err);
+    return Actions.sendResponse(res, 400, { message: err.message });
+  }
+  _.assignIn(query, { isDeleted: false });
+
+  sendExport(args, res, args.swagger.operation['x-security-scopes'], query);
+};
+
+// Gets the query of the applicationId, tantalisId and coordinates filters.  Throws if the coordinates can't be parsed.
+var getFilterQuery = function(args) {
+  var query = {};
+  if (args.swagger.params.coordinates && args.swagger.params.coordinates.value !== undefined) {
+    query.geometry = {
+      $geoIntersects: {
+        $geometry: { type: 'Polygon', coordinates: JSON.parse(args.swagger.params.coordinates.value) }
+      }
+    };
+  }
+  if (args.swagger.params.applicationId && args.swagger.params.applicationId.value !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(args.swagger.params.applicationId.value)) {
+      throw new Error('Invalid applicationId: ' + args.swagger.params.applicationId.value);
+    }
+    query.applicationID = mongoose.Types.ObjectId(args.swagger.params.applicationId.value);
+  }
+  if (args.swagger.params.tantalisId && args.swagger.params.tantalisId.value !== undefined) {
+    query['properties.DISPOSITION_TRANSACTION_SID'] = args.swagger.params.tantalisId.value;
+  }
+  return query;
+};
+
+// Streams the features that can be seen by the role as a download, one at a time from the database.
+var sendExport = function(args, res, role, query) {
+  var format = args.swagger.params.format.value;
+  var filename = 'features-' + new Date().toISOString().slice(0, 10);
+
+  if (format === 'kml') {
+    return sendKml(res, getExportCursor(res, role, query), filename);
+  }
+
+  // Shapefiles are written out in full before they can be zipped, so they are limited in size.
+  countFeatures(role, query)
+    .then(function(total) {
+      if (total > Shapefile.MAX_FEATURES) {
+        return Actions.sendResponse(res, 400, {
+          message:
+            'Too many features to export as a shapefile: ' +
+            total +
+            ' (most is ' +
+            Shapefile.MAX_FEATURES +
+            '), filter them by application or area, or export them as KML'
+        });
+      }
+      return sendShapefile(res, getExportCursor(res, role, query), filename);
+    })
+    .catch(function(err) {
+      defaultLog.error('feature sendExport:', err);
+      return Actions.sendResponse(res, 400, { message: err.message });
+    });
+};
+
+var getExportCursor = function(res, role, query) {
+  var cursor = mongoose
+    .model('Feature')
+    .aggregate([
+      { $match: query },
+      { $project: { _id: 1, tags: 1, geometry: 1, properties: 1, applicationID: 1 } },
+      Utils.getFeatureRedactStage(role)
+    ])
+    .cursor({ batchSize: EXPORT_BATCH_SIZE })
+    .exec();
+
+  // Stop reading features if the download is cancelled.
+  res.on('close', function() {
+    cursor.close();
+  });
+
+  return cursor;
+};
+
+// Writes, waiting for the response to drain if its buffer is full.
+var write = function(res, chunk) {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(function(resolve) {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+};
+
+var sendKml = function(res, cursor, filename) {
+  var started = false;
+
+  // Nothing is sent until the first feature has been read, so that a failed query can still be responded to.
+  var start = function() {
+    if (!started) {
+      started = true;
+      res.setHeader('Content-Type', KML.MEDIA_TYPE);
+      res.setHeader('Content-Disposition', 'attachment;filename="' + filename + '.kml"');
+      res.status(200);
+      res.write(KML.getHeader(filename));
+    }
+  };
+
+  cursor
+    .eachAsync(function(feature) {
+      start();
+      return write(res, KML.toPlacemark(feature));
+    })
+    .then(function() {
+      start();
+      res.end(KML.FOOTER);
+    })
+    .catch(function(err) {
+      defaultLog.error('feature sendKml:', err);
+      if (started) {
+        // Cut the download short, rather than leaving it looking complete.
+        return res.destroy(err);
+      }
+      return Actions.sendResponse(res, 400, { message: err.message });
+    });
+};
+
+var sendShapefile = function(res, cursor, filename) {
+  var writer = Shapefile.createWriter('features');
+  var finished = false;
+  var closed = false;
+  res.on('finish', function() {
+    finished = true;
+  });
+  res.on('close', function() {
+    closed = true;
+  });
+
+  var remove = _.once(function() {
+    writer.remove().catch(function(err) {
+      defaultLog.error('feature sendShapefile:', err);
+    });
+  });
+
+  // Closing the cursor when the download is cancelled ends the loop early, so check before going on to zip.
+  var isCancelled = function() {
+    return (closed && !finished) || res.destroyed;
+  };
+
+  cursor
+    .eachAsync(function(feature) {
+      return writer.add(feature);
+    })
+    .then(function() {
+      if (isCancelled() || res.writableEnded) {
+        return remove();
+      }
+      return writer.toZip().then(function(zip) {
+        // The files are only removed once the archive is done reading them.
+        zip.on('end', remove);
+        zip.on('error', function(err) {
+          defaultLog.error('feature sendShapefile:', err);
+          remove();
+          res.destroy(err);
+        });
+
+        var cancel = function() {
+          zip.unpipe(res);
+          zip.abort();
+          // Let the archive run to its end, so that the files are removed.
+          zip.resume();
+        };
+
+        if (isCancelled()) {
+          return cancel();
+        }
+        res.on('close', function() {
+          if (!finished) {
+            cancel();
+          }
+        });
+
+        res.setHeader('Content-Type', Shapefile.MEDIA_TYPE);
+        res.setHeader('Content-Disposition', 'attachment;filename="' + filename + '.zip"');
+        res.status(200);
+        zip.pipe(res);
+      });
+    })
+    .catch(function(err) {
+      defaultLog.error('feature sendShapefile:', err);
+      remove();
+      if (res.headersSent) {
+        return res.destroy(err);
+      }
+      if (isCancelled()) {
+        return null;
+      }
+      return Actions.sendResponse(res, 400, { message: err.message });
+    });
+};
+
+// Responds with a (page of) features, as a bare array, or a GeoJSON FeatureCollection if asked for.
+var sendFeatures = function(args, res, role, query) {
+  var processedParameters = Utils.getSkipLimitParameters(args.swagger.params.pageSize, args.swagger.params.pageNum);
+
+  if (!GeoJSON.isRequested(args)) {
+    return getFeatures(
+      role,
+      query,
+      args.swagger.params.fields.value,
+      processedParameters.skip,
+      processedParameters.limit
+    )
+      .then(function(data) {
+        return Actions.sendResponse(res, 200, data);
+      })
+      .catch(function(err) {
+        defaultLog.error('feature sendFeatures:', err);
+        return Actions.sendResponse(res, 400, { message: err.message });
+      });
+  }
+
+  var fields = ['type', 'geometry', 'properties', 'applicationID'];
+  Promise.all([
+    getFeatures(role, query, fields, processedParameters.skip, processedParameters.limit),
+    countFeatures(role, query)
+  ])
+    .then(function([features, total]) {
+      var applicationIds = _.uniqBy(_.compact(_.map(features, 'applicationID')), String);
+      return Utils.runDataQuery(
+        'Application',
+        role,
+        { _id: { $in: applicationIds }, isDeleted: false },
+        GeoJSON.APPLICATION_FIELDS
+      ).then(function(applications) {
+        var collection = GeoJSON.toFeatureCollection(args, features, applications, {
+          skip: processedParameters.skip || 0,
+          limit: processedParameters.limit,
+          total: total
+        });
+        res.writeHead(200, { 'Content-Type': GeoJSON.MEDIA_TYPE });
+        return res.end(JSON.stringify(collection));
+      });
+    })
+    .catch(function(err) {
+      defaultLog.error('feature sendFeatures:', err);
+      return Actions.sendResponse(res, 400, { message: err.message });
+    });
+};
+
+var countFeatures = function(role, query) {
+  var Feature = mongoose.model('Feature');
+  return Feature.aggregate([
+    { $match: query },
+    { $project: { _id: 1, tags: 1 } },
+    Utils.getFeatureRedactStage(role),
+    { $group: { _id: null, total: { $sum: 1 } } }
+  ])
+    .exec()
+    .then(function(data) {
+      return data.length ? data[0].total : 0;
+    });
+};
+
+var getFeatures = function(role, query, fields, skip, limit) {
   return new Promise(function(resolve, reject) {
     var Feature = mongoose.model('Feature');
     var projection = {};
@@ -224,48 +526,28 @@ var getFeatures = function(role, query, fields) {
 
     // Add requested fields - sanitize first by including only those that we can/want to return
     var sanitizedFields = _.remove(fields, function(f) {
-      return _.indexOf(['type', 'tags', 'geometry', 'properties', 'isDeleted', 'applicationID'], f) !== -1;
+      return _.indexOf(['type', 'tags', 'geometry', 'properties', 'isDeleted', 'applicationID', 'uploaded'], f) !== -1;
     });
     _.each(sanitizedFields, function(f) {
       projection[f] = 1;
     });
 
-    Feature.aggregate([
+    var aggregations = [
       {
         $match: query
       },
       {
         $project: projection
       },
-      {
-        $redact: {
-          $cond: {
-            if: {
-              $and: [
-                // This checks to see that 'tags' field exists before doing the RBAC compare for
-                // redaction.  If it doesn't contain the 'tags' field, then we allow the result.
-                { $cond: { if: '$tags', then: true, else: false } },
-                {
-                  $anyElementTrue: {
-                    $map: {
-                      input: '$tags',
-                      as: 'fieldTag',
-                      in: { $setIsSubset: ['$$fieldTag', role] }
-                    }
-                  }
-                }
-              ]
-            },
-            then: '$$DESCEND',
-            else: {
-              // If the object didn't have the $tags field, allow recursion
-              // If the object had the tags field, prune it as it failed RBAC
-              $cond: { if: '$tags', then: '$$PRUNE', else: '$$DESCEND' }
-            }
-          }
-        }
-      }
-    ])
+      Utils.getFeatureRedactStage(role)
+    ];
+
+    // Pages need a stable order.
+    if (limit) {
+      aggregations.push({ $sort: { _id: 1 } }, { $skip: skip || 0 }, { $limit: limit });
+    }
+
+    Feature.aggregate(aggregations)
       .exec()
       .then(function(data) {
         // Strip the tags from any object because this is geoJSON
@@ -280,6 +562,6 @@ var getFeatures = function(role, query, fields) {
           removeTags(d);
         });
         resolve(data);
-      });
+      }, reject);
   });
 };
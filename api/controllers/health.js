@@ -0,0 +1,25 @@
+var defaultLog = require('../helpers/logger')('health');
+var Actions = require('../helpers/actions');
+var Audit = require('../helpers/audit');
+var HttpClient = require('../helpers/httpClient');
+
+exports.protectedOptions = function(args, res, rest) {
+  res.status(200).send();
+};
+
+// Get the state of the circuit breakers on the external APIs, and how many audit records have failed to be written.
+// Always responds with a 200, as the API itself is up.
+exports.publicGet = function(args, res, next) {
+  defaultLog.debug('Get health');
+
+  var circuits = HttpClient.getStates();
+  var degraded = circuits.some(function(circuit) {
+    return circuit.state !== HttpClient.CLOSED;
+  });
+
+  return Actions.sendResponse(res, 200, {
+    status: degraded ? 'degraded' : 'ok',
+    circuits: circuits,
+    auditFailures: Audit.getFailedWrites()
+  });
+};
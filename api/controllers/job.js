@@ -0,0 +1,32 @@
+var defaultLog = require('../helpers/logger')('job');
+var mongoose = require('mongoose');
+var Actions = require('../helpers/actions');
+
+exports.protectedOptions = function(args, res, rest) {
+  res.status(200).send();
+};
+
+// Get a run of a background task (eg: an application import), to follow its progress and see its results.
+exports.protectedGet = function(args, res, next) {
+  var jobId = args.swagger.params.jobId.value;
+  defaultLog.info('Get Job, _id:', jobId);
+
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return Actions.sendResponse(res, 404, {});
+  }
+
+  var Job = mongoose.model('Job');
+  Job.findById(jobId)
+    .lean()
+    .exec()
+    .then(function(job) {
+      if (!job) {
+        return Actions.sendResponse(res, 404, {});
+      }
+      return Actions.sendResponse(res, 200, job);
+    })
+    .catch(function(err) {
+      defaultLog.error('job protectedGet:', err);
+      return Actions.sendResponse(res, 400, err);
+    });
+};
@@ -0,0 +1,121 @@
+var _ = require('lodash');
+var defaultLog = require('../helpers/logger')('reconciliation');
+var mongoose = require('mongoose');
+var Actions = require('../helpers/actions');
+var Reconciliation = require('../helpers/reconciliation');
+var Scheduler = require('../helpers/scheduler');
+var Utils = require('../helpers/utils');
+
+var csvColumns = [
+  'finding',
+  '_id',
+  'tantalisID',
+  'fileNumber',
+  'name',
+  'businessUnit',
+  'field',
+  'acrfd',
+  'tantalis',
+  'message'
+];
+
+// Quotes a CSV value, if it needs it.  Text that a spreadsheet would run as a formula is prefixed with a quote.
+var toCsvValue = function(value) {
+  var str = value === undefined || value === null ? '' : String(value);
+  if (_.isString(value) && /^[=+\-@\t\r]/.test(str)) {
+    str = "'" + str;
+  }
+  if (/[",\r\n]/.test(str)) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+};
+
+var toCsv = function(rows) {
+  var lines = [csvColumns.join(',')];
+  _.forEach(rows, function(row) {
+    lines.push(_.map(csvColumns, column => toCsvValue(row[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+exports.protectedOptions = function(args, res, rest) {
+  res.status(200).send();
+};
+
+// Starts a reconciliation now.  Responds as soon as it has started, with the Job that records its progress and report.
+exports.protectedRun = function(args, res, next) {
+  var obj = (args.swagger.params.reconciliation && args.swagger.params.reconciliation.value) || {};
+  var params = { businessUnits: _.uniq(_.compact(obj.businessUnits)) };
+  defaultLog.info('Run reconciliation:', params);
+
+  Scheduler.runNow(Reconciliation.TASK_NAME, args.swagger.params.auth_payload.preferred_username, params)
+    .then(function(job) {
+      return Actions.sendResponse(res, 202, job);
+    })
+    .catch(function(err) {
+      defaultLog.error('reconciliation protectedRun:', err);
+      return Actions.sendResponse(res, 400, { message: err.message });
+    });
+};
+
+// Get a page of reconciliation runs, newest first.
+exports.protectedGetRuns = function(args, res, next) {
+  var query = { name: Reconciliation.TASK_NAME };
+
+  if (args.swagger.params.status && args.swagger.params.status.value !== undefined) {
+    _.assignIn(query, { status: args.swagger.params.status.value });
+  }
+
+  var processedParameters = Utils.getSkipLimitParameters(args.swagger.params.pageSize, args.swagger.params.pageNum);
+
+  Scheduler.getJobs(query, processedParameters.skip, processedParameters.limit)
+    .then(function(data) {
+      res.setHeader('x-total-count', data.total);
+      return Actions.sendResponse(res, 200, data.jobs);
+    })
+    .catch(function(err) {
+      defaultLog.error('reconciliation protectedGetRuns:', err);
+      return Actions.sendResponse(res, 400, err);
+    });
+};
+
+// Download the report of a completed reconciliation run, as CSV (one row per finding) or JSON.
+exports.protectedDownload = function(args, res, next) {
+  var jobId = args.swagger.params.jobId.value;
+  var format = (args.swagger.params.format && args.swagger.params.format.value) || 'csv';
+  defaultLog.info('Download reconciliation, _id:', jobId, 'format:', format);
+
+  if (!mongoose.Types.ObjectId.isValid(jobId)) {
+    return Actions.sendResponse(res, 404, {});
+  }
+
+  var Job = mongoose.model('Job');
+  Job.findOne({ _id: jobId, name: Reconciliation.TASK_NAME })
+    .lean()
+    .exec()
+    .then(function(job) {
+      if (!job) {
+        return Actions.sendResponse(res, 404, {});
+      }
+
+      if (job.status !== 'completed') {
+        return Actions.sendResponse(res, 409, { message: 'The reconciliation is ' + job.status + '.' });
+      }
+
+      var filename = 'reconciliation-' + job.startedDate.toISOString().slice(0, 10) + '.' + format;
+      res.setHeader('Content-Disposition', 'attachment;filename="' + filename + '"');
+
+      if (format === 'json') {
+        res.setHeader('Content-Type', 'application/json');
+        return res.status(200).send(JSON.stringify(job.results));
+      }
+
+      res.setHeader('Content-Type', 'text/csv');
+      return res.status(200).send(toCsv(Reconciliation.getRows(job.results)));
+    })
+    .catch(function(err) {
+      defaultLog.error('reconciliation protectedDownload:', err);
+      return Actions.sendResponse(res, 400, err);
+    });
+};
@@ -0,0 +1,154 @@
+var _ = require('lodash');
+var defaultLog = require('../helpers/logger')('retirementrule');
+var mongoose = require('mongoose');
+var Actions = require('../helpers/actions');
+var Audit = require('../helpers/audit');
+var Codes = require('../helpers/codes');
+var Retirement = require('../helpers/retirement');
+
+var DUPLICATE_KEY_ERROR = 11000;
+
+// Gets the response to a failed save: 409 if there is already a rule for the status, 400 otherwise.
+var sendSaveError = function(res, error) {
+  if (error && error.code === DUPLICATE_KEY_ERROR) {
+    return Actions.sendResponse(res, 409, { message: 'A retirement rule for this status already exists.' });
+  }
+  return Actions.sendResponse(res, 400, { message: error.message });
+};
+
+// Only the status and retention period can be set.
+var getFields = function(obj) {
+  return _.pick(obj, ['status', 'retentionMonths']);
+};
+
+exports.protectedOptions = function(args, res, rest) {
+  res.status(200).send();
+};
+
+exports.protectedGet = function(args, res, next) {
+  Retirement.getRules()
+    .then(function(rules) {
+      return Actions.sendResponse(res, 200, rules);
+    })
+    .catch(function(err) {
+      defaultLog.error('retirementrule protectedGet:', err);
+      return Actions.sendResponse(res, 400, err);
+    });
+};
+
+// Get the applications that would be unpublished for being retired on the next Tantalis sync.
+exports.protectedPreview = function(args, res, next) {
+  var asOf = new Date();
+  if (args.swagger.params.asOf && args.swagger.params.asOf.value !== undefined) {
+    asOf = new Date(args.swagger.params.asOf.value);
+  }
+  defaultLog.info('Preview retired applications, asOf:', asOf);
+
+  Retirement.getApplicationsToUnpublish(asOf)
+    .then(function(data) {
+      res.setHeader('x-total-count', data.applications.length);
+      return Actions.sendResponse(
+        res,
+        200,
+        _.map(data.applications, function(application) {
+          return Retirement.getSummary(application, data.rules);
+        })
+      );
+    })
+    .catch(function(err) {
+      defaultLog.error('retirementrule protectedPreview:', err);
+      return Actions.sendResponse(res, 400, err);
+    });
+};
+
+//  Create a new retirement rule
+exports.protectedPost = function(args, res, next) {
+  var obj = getFields(args.swagger.params.rule.value);
+  defaultLog.info('Incoming new object:', obj);
+
+  Codes.checkDescriptions(Codes.STATUS, obj.status);
+
+  var RetirementRule = mongoose.model('RetirementRule');
+  var rule = new RetirementRule(obj);
+  rule.tags = [['sysadmin']];
+
+  Audit.setContext(rule, args.swagger.params.auth_payload.preferred_username);
+  rule.save().then(
+    function(saved) {
+      defaultLog.info('Saved new retirement rule object:', saved._id);
+      return Actions.sendResponse(res, 200, saved);
+    },
+    function(error) {
+      defaultLog.error('retirementrule protectedPost:', error);
+      return sendSaveError(res, error);
+    }
+  );
+};
+
+// Update an existing retirement rule
+exports.protectedPut = function(args, res, next) {
+  var objId = args.swagger.params.ruleId.value;
+  var obj = getFields(args.swagger.params.rule.value);
+  defaultLog.info('ObjectID:', objId, 'Incoming updated object:', obj);
+
+  if (!mongoose.Types.ObjectId.isValid(objId)) {
+    return Actions.sendResponse(res, 404, {});
+  }
+
+  if (obj.status !== undefined) {
+    Codes.checkDescriptions(Codes.STATUS, obj.status);
+  }
+
+  var RetirementRule = mongoose.model('RetirementRule');
+  RetirementRule.findById(objId)
+    .exec()
+    .then(function(rule) {
+      if (!rule) {
+        return Actions.sendResponse(res, 404, {});
+      }
+
+      rule.set(obj);
+      Audit.setContext(rule, args.swagger.params.auth_payload.preferred_username);
+      return rule.save().then(
+        function(updated) {
+          return Actions.sendResponse(res, 200, updated);
+        },
+        function(error) {
+          defaultLog.error('retirementrule protectedPut:', error);
+          return sendSaveError(res, error);
+        }
+      );
+    })
+    .catch(function(err) {
+      defaultLog.error('retirementrule protectedPut:', err);
+      return Actions.sendResponse(res, 400, { message: err.message });
+    });
+};
+
+// Delete a retirement rule.  Applications with its status are no longer retired.
+exports.protectedDelete = function(args, res, next) {
+  var objId = args.swagger.params.ruleId.value;
+  defaultLog.info('Delete RetirementRule:', objId);
+
+  if (!mongoose.Types.ObjectId.isValid(objId)) {
+    return Actions.sendResponse(res, 404, {});
+  }
+
+  var RetirementRule = mongoose.model('RetirementRule');
+  RetirementRule.findById(objId)
+    .exec()
+    .then(function(rule) {
+      if (!rule) {
+        return Actions.sendResponse(res, 404, {});
+      }
+
+      Audit.setContext(rule, args.swagger.params.auth_payload.preferred_username);
+      return rule.remove().then(function(removed) {
+        return Actions.sendResponse(res, 200, removed);
+      });
+    })
+    .catch(function(err) {
+      defaultLog.error('retirementrule protectedDelete:', err);
+      return Actions.sendResponse(res, 400, { message: err.message });
+    });
+};
@@ -1,21 +1,12 @@
 var defaultLog = require('../helpers/logger')('search');
 var Actions = require('../helpers/actions');
 var TTLSUtils = require('../helpers/ttlsUtils');
-var _accessToken = null;
 
 exports.protectedTTLSGetApplicationsByFileNumber = function(args, res, rest) {
   var fileNumber = args.swagger.params.fileNumber.value;
   defaultLog.info('Searching TTLS API for Crown Land FileNumber:', fileNumber);
-  return new Promise(function(r, j) {
-    return TTLSUtils.loginWebADE()
-      .then(function(accessToken) {
-        _accessToken = accessToken;
-        defaultLog.info('TTLS API Logged in:', _accessToken);
-        // fileNumber lookup
-        return TTLSUtils.getApplicationByFilenumber(_accessToken, fileNumber);
-      })
-      .then(r, j);
-  })
+  // fileNumber lookup
+  return TTLSUtils.getApplicationByFilenumber(fileNumber)
     .then(function(promises) {
       defaultLog.info('returning number of items:', promises.length);
 
@@ -28,10 +19,9 @@ exports.protectedTTLSGetApplicationsByFileNumber = function(args, res, rest) {
             return previousItem.then(function() {
               // return Actions.publish(currentItem);
               defaultLog.info('executing disp:', currentItem.DISPOSITION_TRANSACTION_SID);
-              return TTLSUtils.getApplicationByDispositionID(
-                _accessToken,
-                currentItem.DISPOSITION_TRANSACTION_SID
-              ).then(function(appData) {
+              return TTLSUtils.getApplicationByDispositionID(currentItem.DISPOSITION_TRANSACTION_SID).then(function(
+                appData
+              ) {
                 allApps.push(appData);
                 return appData;
               });
@@ -53,16 +43,8 @@ exports.protectedTTLSGetApplicationsByFileNumber = function(args, res, rest) {
 exports.protectedTTLSGetApplicationByDisp = function(args, res, rest) {
   var dtId = args.swagger.params.dtId.value;
   defaultLog.info('Searching TTLS API for Disposition Transaction ID:', dtId);
-  return new Promise(function(resolve, reject) {
-    return TTLSUtils.loginWebADE()
-      .then(function(accessToken) {
-        _accessToken = accessToken;
-        defaultLog.info('TTLS API Logged in:', _accessToken);
-        // Disp lookup
-        return TTLSUtils.getApplicationByDispositionID(_accessToken, dtId);
-      })
-      .then(resolve, reject);
-  })
+  // Disp lookup
+  return TTLSUtils.getApplicationByDispositionID(dtId)
     .then(function(data) {
       defaultLog.info('returning:', data.DISPOSITION_TRANSACTION_SID);
       return Actions.sendResponse(res, 200, data);
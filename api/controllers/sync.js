@@ -0,0 +1,45 @@
+var _ = require('lodash');
+var defaultLog = require('../helpers/logger')('sync');
+var Actions = require('../helpers/actions');
+var Scheduler = require('../helpers/scheduler');
+var TantalisSync = require('../helpers/tantalisSync');
+var Utils = require('../helpers/utils');
+
+exports.protectedOptions = function(args, res, rest) {
+  res.status(200).send();
+};
+
+// Starts a Tantalis sync now.  Responds as soon as the sync has started, with the Job that records its progress.
+exports.protectedRun = function(args, res, next) {
+  defaultLog.info('Run Tantalis sync');
+
+  Scheduler.runNow(TantalisSync.TASK_NAME, args.swagger.params.auth_payload.preferred_username)
+    .then(function(job) {
+      return Actions.sendResponse(res, 202, job);
+    })
+    .catch(function(err) {
+      defaultLog.error('sync protectedRun:', err);
+      return Actions.sendResponse(res, 400, { message: err.message });
+    });
+};
+
+// Get a page of Tantalis sync runs, newest first.
+exports.protectedGetRuns = function(args, res, next) {
+  var query = { name: TantalisSync.TASK_NAME };
+
+  if (args.swagger.params.status && args.swagger.params.status.value !== undefined) {
+    _.assignIn(query, { status: args.swagger.params.status.value });
+  }
+
+  var processedParameters = Utils.getSkipLimitParameters(args.swagger.params.pageSize, args.swagger.params.pageNum);
+
+  Scheduler.getJobs(query, processedParameters.skip, processedParameters.limit)
+    .then(function(data) {
+      res.setHeader('x-total-count', data.total);
+      return Actions.sendResponse(res, 200, data.jobs);
+    })
+    .catch(function(err) {
+      defaultLog.error('sync protectedGetRuns:', err);
+      return Actions.sendResponse(res, 400, err);
+    });
+};
@@ -0,0 +1,38 @@
+var defaultLog = require('../helpers/logger')('tiles');
+var Actions = require('../helpers/actions');
+var Tiles = require('../helpers/tiles');
+
+// How long browsers and proxies may keep a tile, in seconds.  Short, as tiles change when applications are published.
+var MAX_AGE = 5 * 60;
+
+exports.protectedOptions = function(args, res, rest) {
+  res.status(200).send();
+};
+
+// Get a vector tile of the published features and application centroids.
+exports.publicGet = function(args, res, next) {
+  var z = args.swagger.params.z.value;
+  var x = args.swagger.params.x.value;
+  var y = args.swagger.params.y.value;
+
+  if (!Tiles.isValidTile(z, x, y)) {
+    return Actions.sendResponse(res, 400, { message: 'Invalid tile: ' + z + '/' + x + '/' + y });
+  }
+
+  Tiles.getTile(z, x, y)
+    .then(function(tile) {
+      res.setHeader('Cache-Control', 'public, max-age=' + MAX_AGE);
+
+      // Empty tile
+      if (!tile) {
+        return res.status(204).send();
+      }
+
+      res.setHeader('Content-Type', Tiles.MEDIA_TYPE);
+      return res.status(200).send(tile);
+    })
+    .catch(function(err) {
+      defaultLog.error('tiles publicGet:', err);
+      return Actions.sendResponse(res, 400, { message: err.message });
+    });
+};
@@ -3,6 +3,7 @@ var _ = require('lodash');
 var defaultLog = require('../helpers/logger')('user');
 var mongoose = require('mongoose');
 var Actions = require('../helpers/actions');
+var Audit = require('../helpers/audit');
 var Utils = require('../helpers/utils');
 
 exports.protectedOptions = function(args, res, rest) {
@@ -39,6 +40,7 @@ exports.protectedPost = function(args, res, next) {
 
   // Define security tag defaults - users not public by default.
   user.tags = [['sysadmin']];
+  Audit.setContext(user, args.swagger.params.auth_payload.preferred_username);
   user.save().then(function(a) {
     defaultLog.info('Saved new user object:', a);
     return Actions.sendResponse(res, 200, a);
@@ -86,10 +88,20 @@ exports.protectedPut = function(args, res, next) {
   }
 
   var User = require('mongoose').model('User');
-  User.findOneAndUpdate({ _id: objId }, obj, { upsert: false, new: true }, function(err, o) {
+  User.findOne({ _id: objId }, function(err, o) {
     if (o) {
-      defaultLog.debug('o:', JSON.stringify(o));
-      return Actions.sendResponse(res, 200, o);
+      o.set(obj);
+      Audit.setContext(o, args.swagger.params.auth_payload.preferred_username);
+      o.save().then(
+        function(updated) {
+          defaultLog.debug('o:', JSON.stringify(updated));
+          return Actions.sendResponse(res, 200, updated);
+        },
+        function(error) {
+          defaultLog.error('user protectedPut:', error);
+          return Actions.sendResponse(res, 400, { message: error.message });
+        }
+      );
     } else {
       defaultLog.warn("Couldn't find that object!");
       return Actions.sendResponse(res, 404, {});
@@ -1,5 +1,6 @@
 'use strict';
 const _ = require('lodash');
+const Tiles = require('./tiles');
 const defaultLog = require('./logger')('actions');
 
 exports.publish = function(o) {
@@ -18,9 +19,15 @@ exports.publish = function(o) {
     } else {
       // Add publish, save then return.
       o.tags.push(['public']);
-      o.save().then(resolve, function(err) {
-        reject({ code: 400, message: err.message });
-      });
+      o.save().then(
+        function(saved) {
+          Tiles.invalidate(o);
+          resolve(saved);
+        },
+        function(err) {
+          reject({ code: 400, message: err.message });
+        }
+      );
     }
   });
 };
@@ -46,9 +53,15 @@ exports.unPublish = function(o) {
     } else {
       o.markModified('tags');
       // Remove publish, save then return.
-      o.save().then(resolve, function(err) {
-        reject({ code: 400, message: err.message });
-      });
+      o.save().then(
+        function(saved) {
+          Tiles.invalidate(o);
+          resolve(saved);
+        },
+        function(err) {
+          reject({ code: 400, message: err.message });
+        }
+      );
     }
   });
 };
@@ -62,9 +75,37 @@ exports.delete = function(o) {
     o.markModified('tags');
     o.markModified('isDeleted');
     // save then return.
-    o.save().then(resolve, function(err) {
-      reject({ code: 400, message: err.message });
-    });
+    o.save().then(
+      function(saved) {
+        Tiles.invalidate(o);
+        resolve(saved);
+      },
+      function(err) {
+        reject({ code: 400, message: err.message });
+      }
+    );
+  });
+};
+
+// Undoes a soft-delete.  The object is not re-published: it has to be published again separately.
+exports.restore = function(o) {
+  return new Promise(function(resolve, reject) {
+    // Object wasn't deleted?
+    if (!o.isDeleted) {
+      defaultLog.info('HTTP 409, Object is not deleted:', o._id);
+      reject({
+        code: 409,
+        message: 'Object is not deleted'
+      });
+    } else {
+      o.isDeleted = false;
+      o._deletionId = null;
+      o.markModified('isDeleted');
+      // save then return.
+      o.save().then(resolve, function(err) {
+        reject({ code: 400, message: err.message });
+      });
+    }
   });
 };
 
@@ -80,3 +80,29 @@ describe('#delete', () => {
     expect(newOrg.isDeleted).toEqual(true);
   });
 });
+
+describe('#restore', () => {
+  test('it un-deletes the object', () => {
+    let deletedOrg = new Application({ tags: [], isDeleted: true });
+    actions.restore(deletedOrg);
+    expect(deletedOrg.isDeleted).toEqual(false);
+    expect(deletedOrg._deletionId).toBeNull();
+  });
+
+  test('it does not re-publish the object', () => {
+    let deletedOrg = new Application({ tags: [['sysadmin']], isDeleted: true });
+    actions.restore(deletedOrg);
+    expect(actions.isPublished(deletedOrg)).toBeUndefined();
+  });
+
+  describe('with an object that is not deleted', () => {
+    test('it returns 409 with a status message', done => {
+      let newOrg = new Application({ tags: [] });
+      actions.restore(newOrg).catch(error => {
+        expect(error.code).toEqual(409);
+        expect(error.message).toEqual('Object is not deleted');
+        done();
+      });
+    });
+  });
+});
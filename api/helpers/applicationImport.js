@@ -0,0 +1,163 @@
+'use strict';
+
+/**
+ * This file contains the application import task, which creates ACRFD applications in bulk from a list of crown land
+ * file numbers and/or disposition IDs.  Registered with the scheduler (see helpers/scheduler.js) in app.js, to be run
+ * on demand through POST /application/import.
+ *
+ * 1. Resolves the file numbers and disposition IDs to Tantalis applications:
+ *    a. Each file number is looked up in Tantalis, and may have several applications (dispositions).
+ *    b. Each disposition ID is used as is.
+ * 2. For each Tantalis application, in turn:
+ *    a. Skips it if a non-deleted ACRFD application with the same tantalisID already exists.
+ *    b. Otherwise, creates the ACRFD application, along with its features.
+ */
+
+const TTLSUtils = require('./ttlsUtils');
+const defaultLog = require('./logger')('applicationImport');
+
+exports.TASK_NAME = 'applicationImport';
+
+/**
+ * Gets a readable message from an error, which may be an Error, or a Tantalis API response code.
+ *
+ * @param {*} error
+ * @returns {string}
+ */
+const getMessage = function(error) {
+  if (error && error.message) {
+    return error.message;
+  }
+  if (error && error.code) {
+    return 'Tantalis API responded with: ' + error.code;
+  }
+  return String(error);
+};
+
+/**
+ * Looks up the Tantalis applications of each file number, one at a time.
+ *
+ * @param {Array} fileNumbers crown land file numbers
+ * @param {object} results results of the run, updated with each file number that fails
+ * @returns {Promise} promise that resolves with an array of items to import, of the form: { fileNumber, tantalisID }
+ */
+const resolveFileNumbers = function(fileNumbers, results) {
+  const items = [];
+
+  return fileNumbers
+    .reduce((previous, fileNumber) => {
+      return previous.then(() => {
+        return TTLSUtils.getApplicationByFilenumber(fileNumber).then(
+          tantalisApps => {
+            if (!tantalisApps || !tantalisApps.length) {
+              addResult(results, { fileNumber: fileNumber }, 'failed', { message: 'No Tantalis application found.' });
+              return;
+            }
+
+            tantalisApps.forEach(tantalisApp => {
+              items.push({ fileNumber: fileNumber, tantalisID: tantalisApp.DISPOSITION_TRANSACTION_SID });
+            });
+          },
+          error => {
+            defaultLog.error('Failed to look up file number:', fileNumber, error);
+            addResult(results, { fileNumber: fileNumber }, 'failed', { message: getMessage(error) });
+          }
+        );
+      });
+    }, Promise.resolve())
+    .then(() => items);
+};
+
+/**
+ * Records the result of importing an item.
+ *
+ * @param {object} results results of the run
+ * @param {object} item the item, of the form: { fileNumber, dispositionID, tantalisID } (each optional)
+ * @param {string} status 'created', 'skipped' or 'failed'
+ * @param {object} [details] more about the result, of the form: { _id: ObjectID, message: string } (each optional)
+ */
+const addResult = function(results, item, status, details) {
+  results[status]++;
+  results.items.push(Object.assign({}, item, { status: status }, details));
+};
+
+/**
+ * Imports an item, unless an application with its tantalisID already exists.
+ *
+ * @param {object} item item to import, of the form: { fileNumber, dispositionID, tantalisID }
+ * @param {string} username who started the import, recorded as the creator of the application
+ * @param {object} results results of the run, updated with the result of the item
+ * @returns {Promise}
+ */
+const importItem = function(item, username, results) {
+  return TTLSUtils.getExistingApplication(item.tantalisID)
+    .then(existing => {
+      if (existing) {
+        addResult(results, item, 'skipped', { _id: existing._id, message: 'Application already exists.' });
+        return;
+      }
+
+      const fields = { tantalisID: item.tantalisID };
+      if (item.fileNumber) {
+        fields.name = item.fileNumber;
+      }
+
+      return TTLSUtils.createApplication(fields, username).then(application => {
+        defaultLog.info('Imported application, _id:', application._id);
+        addResult(results, item, 'created', { _id: application._id });
+      });
+    })
+    .catch(error => {
+      defaultLog.error('Failed to import application, tantalisID:', item.tantalisID, error);
+      addResult(results, item, 'failed', { message: getMessage(error) });
+    });
+};
+
+/**
+ * Runs an import.
+ *
+ * A failure to import a single application is recorded in the results, and the import carries on with the rest.
+ *
+ * @param {object} params object of the form: { fileNumbers: [string], dispositionIDs: [number] } (each optional)
+ * @param {Job} job the running Job, whose starter is recorded as the creator of the applications
+ * @returns {Promise} promise that resolves with an object of the form:
+ *                    {
+ *                      created: number,
+ *                      skipped: number, // already existed
+ *                      failed: number,
+ *                      items: [
+ *                        {
+ *                          fileNumber: string, // if imported by file number
+ *                          dispositionID: number, // if imported by disposition ID
+ *                          tantalisID: number, // unless the file number could not be looked up
+ *                          status: 'created' | 'skipped' | 'failed',
+ *                          _id: ObjectID, // of the application created, or the one that already exists
+ *                          message: string // why it was skipped or failed
+ *                        }
+ *                      ]
+ *                    }
+ */
+exports.run = function(params, job) {
+  const fileNumbers = (params && params.fileNumbers) || [];
+  const dispositionIDs = (params && params.dispositionIDs) || [];
+  const username = job && job._startedBy;
+  const results = { created: 0, skipped: 0, failed: 0, items: [] };
+
+  return resolveFileNumbers(fileNumbers, results)
+    .then(items => {
+      const allItems = items.concat(
+        dispositionIDs.map(dispositionID => ({ dispositionID: dispositionID, tantalisID: dispositionID }))
+      );
+
+      // One at a time, so that an application listed twice is only created once.
+      return allItems.reduce((previous, item) => {
+        return previous.then(() => importItem(item, username, results));
+      }, Promise.resolve());
+    })
+    .then(() => {
+      defaultLog.info(
+        `Application import done: ${results.created} created, ${results.skipped} skipped, ${results.failed} failed.`
+      );
+      return results;
+    });
+};
@@ -0,0 +1,333 @@
+'use strict';
+
+/**
+ * This file contains the audit trail mongoose plugin, and various utility functions for working with audit records.
+ *
+ * Usage:
+ * Add `__audit: true` to a model definition (see helpers/models.js), and every save of that model will write an Audit
+ * record containing the field-level before/after values of whatever changed.  Sensitive fields can be recorded without
+ * their values with `__audit: { redact: ['password'] }`, and large ones (eg: geometries) with only a summary of their
+ * values with `__audit: { summarize: ['geometry'] }`.
+ *
+ * The before values are read from the database as the document is saved, and only for the fields that changed.
+ *
+ * Only document saves are audited: query updates (update, findOneAndUpdate, etc) bypass the plugin's save hooks, and
+ * so are not recorded.  Changes to audited models should load the document, set the changes, and save it.
+ *
+ * Who made the change is not known to mongoose, so callers attach it to the document before saving:
+ * Audit.setContext(doc, args.swagger.params.auth_payload.preferred_username);
+ */
+
+const _ = require('lodash');
+const defaultLog = require('./logger')('audit');
+
+// Fields that are never recorded in an audit trail.
+const IGNORED_FIELDS = ['_id', '__v'];
+
+// Stands in for the values of sensitive fields (passwords, etc), so the audit trail shows that they changed, but not
+// what to.
+const REDACTED_VALUE = '[redacted]';
+
+/**
+ * Converts a mongoose document into a plain JSON object, so that dates and object ids compare (and store) by value.
+ *
+ * @param {*} doc mongoose document
+ * @returns {object} plain object
+ */
+const toPlainObject = function(doc) {
+  return JSON.parse(JSON.stringify(doc.toObject({ depopulate: true, versionKey: false })));
+};
+
+/**
+ * Returns the field-level differences between two plain objects.
+ *
+ * @param {object} [before={}] object before the change
+ * @param {object} [after={}] object after the change
+ * @returns {Array} array of changes of the form: [{ field: string, before: *, after: * }]
+ */
+exports.getChanges = function(before = {}, after = {}) {
+  const changes = [];
+
+  _.union(_.keys(before), _.keys(after)).forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+
+    if (!_.isEqual(before[field], after[field])) {
+      changes.push({
+        field: field,
+        before: before[field] === undefined ? null : before[field],
+        after: after[field] === undefined ? null : after[field]
+      });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Replaces the before/after values of sensitive fields.
+ *
+ * @param {Array} changes array of changes, as returned by getChanges
+ * @param {Array} [fields=[]] names of the fields to redact
+ * @returns {Array} the changes, with the values of the given fields redacted
+ */
+exports.redactChanges = function(changes, fields = []) {
+  return changes.map(change => {
+    if (!fields.includes(change.field)) {
+      return change;
+    }
+
+    return {
+      field: change.field,
+      before: change.before === null ? null : REDACTED_VALUE,
+      after: change.after === null ? null : REDACTED_VALUE
+    };
+  });
+};
+
+/**
+ * Replaces the before/after values of large fields with a summary: their type (if any) and size.
+ *
+ * @param {Array} changes array of changes, as returned by getChanges
+ * @param {Array} [fields=[]] names of the fields to summarize
+ * @returns {Array} the changes, with the values of the given fields summarized
+ */
+exports.summarizeChanges = function(changes, fields = []) {
+  const summarize = function(value) {
+    if (value === null) {
+      return null;
+    }
+    const size = Buffer.byteLength(JSON.stringify(value)) + ' bytes';
+    return '[' + (_.isString(value.type) ? value.type + ', ' + size : size) + ']';
+  };
+
+  return changes.map(change => {
+    if (!fields.includes(change.field)) {
+      return change;
+    }
+
+    return { field: change.field, before: summarize(change.before), after: summarize(change.after) };
+  });
+};
+
+/**
+ * Works out which action a save represents, based on what changed.
+ *
+ * @param {object} before object before the change, or null if the object is new
+ * @param {object} after object after the change
+ * @returns {string} one of: create, delete, restore, publish, unpublish, update
+ */
+exports.getAction = function(before, after) {
+  if (!before) {
+    return 'create';
+  }
+
+  if (!before.isDeleted && after.isDeleted) {
+    return 'delete';
+  }
+
+  if (before.isDeleted && !after.isDeleted) {
+    return 'restore';
+  }
+
+  const isPublic = function(o) {
+    return _.some(o.tags, tag => _.isEqual(tag, ['public']));
+  };
+
+  if (!isPublic(before) && isPublic(after)) {
+    return 'publish';
+  }
+
+  if (isPublic(before) && !isPublic(after)) {
+    return 'unpublish';
+  }
+
+  return 'update';
+};
+
+/**
+ * Attaches the user making a change (and optionally, a more specific action than the one that would be worked out from
+ * the changes) to a document.  Picked up by the audit plugin the next time the document is saved.
+ *
+ * @param {*} doc mongoose document
+ * @param {string} username who is making the change
+ * @param {string} [action] action to record, for example 'refresh' (optional)
+ * @returns {*} the document
+ */
+exports.setContext = function(doc, username, action) {
+  doc.$locals.auditUser = username || null;
+  if (action) {
+    doc.$locals.auditAction = action;
+  }
+  return doc;
+};
+
+/**
+ * Fetches a page of audit records, newest first.
+ *
+ * @param {object} query mongo query
+ * @param {number} [skip=0] records to skip
+ * @param {number} [limit=0] max records to return, 0 for all
+ * @returns {Promise} promise that resolves with an object of the form: { total: number, records: [Audit] }
+ */
+exports.getAuditRecords = function(query, skip = 0, limit = 0) {
+  const Audit = require('./models/audit');
+
+  return Promise.all([
+    Audit.countDocuments(query).exec(),
+    Audit.find(query)
+      .sort({ performedDate: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+      .exec()
+  ]).then(([total, records]) => {
+    return { total: total, records: records };
+  });
+};
+
+// How many audit records have failed to be written since the API started (see getFailedWrites).
+let failedWrites = 0;
+
+/**
+ * Returns how many audit records have failed to be written since the API started.
+ *
+ * @returns {number}
+ */
+exports.getFailedWrites = function() {
+  return failedWrites;
+};
+
+/**
+ * Writes an Audit record.
+ *
+ * The object itself has already been saved by the time this is called, so failures are logged and counted (see
+ * getFailedWrites) rather than returned to the caller.
+ *
+ * @param {object} record audit record
+ * @returns {Promise}
+ */
+const writeAuditRecord = function(record) {
+  const Audit = require('./models/audit');
+  return Audit.create(record).catch(error => {
+    failedWrites++;
+    defaultLog.error('Failed to write audit record:', JSON.stringify(record), error);
+  });
+};
+
+/**
+ * Fetches the values of the given fields of a document, as they are in the database.
+ *
+ * @param {*} doc mongoose document
+ * @param {Array} fields names of the (top level) fields
+ * @returns {Promise} promise that resolves with a plain object
+ */
+const getSavedValues = function(doc, fields) {
+  if (!fields.length) {
+    return Promise.resolve({});
+  }
+
+  return doc.constructor
+    .findById(doc._id)
+    .select(fields.join(' '))
+    .lean()
+    .exec()
+    .then(saved => JSON.parse(JSON.stringify(_.pick(saved || {}, fields))));
+};
+
+/**
+ * Mongoose plugin that writes an Audit record every time a document is saved or removed.
+ *
+ * @param {*} schema mongoose schema
+ * @param {object} options plugin options: { objectType: string, redact: [string], summarize: [string] }
+ */
+exports.auditPlugin = function(schema, options) {
+  const redact = options.redact || [];
+  const summarize = options.summarize || [];
+
+  const getRecordedChanges = function(before, after) {
+    return exports.summarizeChanges(exports.redactChanges(exports.getChanges(before, after), redact), summarize);
+  };
+
+  schema.pre('save', function(next) {
+    const doc = this;
+
+    // Only the changed fields are compared, so they are all that need to be read back from the database.
+    const fields = doc.isNew ? [] : doc.modifiedPaths().filter(path => !path.includes('.'));
+    const getBefore = doc.isNew ? Promise.resolve(null) : getSavedValues(doc, fields);
+
+    getBefore
+      .then(before => {
+        const after = doc.isNew ? toPlainObject(doc) : _.pick(toPlainObject(doc), fields);
+
+        doc.$locals.auditRecord = {
+          objectType: options.objectType,
+          _objectId: doc._id,
+          action: doc.$locals.auditAction || exports.getAction(before, after),
+          _performedBy: doc.$locals.auditUser || null,
+          changes: getRecordedChanges(before || {}, after),
+          tags: [['sysadmin']]
+        };
+
+        next();
+      })
+      .catch(next);
+  });
+
+  schema.post('save', function(doc, next) {
+    const record = doc.$locals.auditRecord;
+    delete doc.$locals.auditRecord;
+    delete doc.$locals.auditAction;
+
+    // Nothing changed, nothing to record.
+    if (!record || (record.action === 'update' && record.changes.length === 0)) {
+      return next();
+    }
+
+    writeAuditRecord(record).then(() => next());
+  });
+
+  // Hard deletes record the last known values of every field.
+  schema.post('remove', function(doc, next) {
+    writeAuditRecord({
+      objectType: options.objectType,
+      _objectId: doc._id,
+      action: 'delete',
+      _performedBy: doc.$locals.auditUser || null,
+      changes: getRecordedChanges(toPlainObject(doc), {}),
+      tags: [['sysadmin']]
+    }).then(() => next());
+  });
+};
+
+/**
+ * Mongoose plugin that makes a model append-only: new documents can be created, but never changed or removed.
+ *
+ * @param {*} schema mongoose schema
+ */
+exports.immutablePlugin = function(schema) {
+  const rejectChange = function(next) {
+    next(new Error('Audit records cannot be changed or removed.'));
+  };
+
+  schema.pre('save', function(next) {
+    if (!this.isNew) {
+      return rejectChange(next);
+    }
+    next();
+  });
+
+  schema.pre('remove', { document: true, query: true }, rejectChange);
+
+  [
+    'update',
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndRemove'
+  ].forEach(operation => schema.pre(operation, rejectChange));
+};
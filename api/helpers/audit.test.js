@@ -0,0 +1,120 @@
+const Audit = require('./audit');
+
+describe('Audit', () => {
+  describe('getChanges', () => {
+    test('it returns an empty array when nothing changed', () => {
+      const before = { name: 'Boring Application', tags: [['sysadmin']] };
+      const after = { name: 'Boring Application', tags: [['sysadmin']] };
+      expect(Audit.getChanges(before, after)).toEqual([]);
+    });
+
+    test('it returns the before and after values of changed fields', () => {
+      const before = { name: 'Boring Application', status: 'ACCEPTED', description: 'same' };
+      const after = { name: 'Exciting Application', status: 'OFFER ACCEPTED', description: 'same' };
+      expect(Audit.getChanges(before, after)).toEqual([
+        { field: 'name', before: 'Boring Application', after: 'Exciting Application' },
+        { field: 'status', before: 'ACCEPTED', after: 'OFFER ACCEPTED' }
+      ]);
+    });
+
+    test('it records added and removed fields as null', () => {
+      const before = { reason: 'OFFER NOT ACCEPTED' };
+      const after = { legalDescription: 'LOT 1' };
+      expect(Audit.getChanges(before, after)).toEqual([
+        { field: 'reason', before: 'OFFER NOT ACCEPTED', after: null },
+        { field: 'legalDescription', before: null, after: 'LOT 1' }
+      ]);
+    });
+
+    test('it ignores _id and __v', () => {
+      const before = { _id: '1', __v: 0 };
+      const after = { _id: '2', __v: 1 };
+      expect(Audit.getChanges(before, after)).toEqual([]);
+    });
+  });
+
+  describe('redactChanges', () => {
+    test('it redacts the values of the given fields', () => {
+      const changes = [
+        { field: 'username', before: null, after: 'someone' },
+        { field: 'password', before: 'old', after: 'new' }
+      ];
+      expect(Audit.redactChanges(changes, ['password'])).toEqual([
+        { field: 'username', before: null, after: 'someone' },
+        { field: 'password', before: '[redacted]', after: '[redacted]' }
+      ]);
+    });
+
+    test('it leaves missing values as null', () => {
+      const changes = [{ field: 'password', before: null, after: 'new' }];
+      expect(Audit.redactChanges(changes, ['password'])).toEqual([
+        { field: 'password', before: null, after: '[redacted]' }
+      ]);
+    });
+  });
+
+  describe('summarizeChanges', () => {
+    test('it replaces the values of the given fields with their type and size', () => {
+      const changes = [
+        { field: 'name', before: 'Parcel', after: 'Lot 1' },
+        { field: 'geometry', before: null, after: { type: 'GeometryCollection', geometries: [] } }
+      ];
+      expect(Audit.summarizeChanges(changes, ['geometry'])).toEqual([
+        { field: 'name', before: 'Parcel', after: 'Lot 1' },
+        { field: 'geometry', before: null, after: '[GeometryCollection, 45 bytes]' }
+      ]);
+    });
+  });
+
+  describe('getAction', () => {
+    test('it returns create when there is no previous version', () => {
+      expect(Audit.getAction(null, { tags: [['sysadmin']] })).toEqual('create');
+    });
+
+    test('it returns delete when the object is soft-deleted', () => {
+      const before = { isDeleted: false, tags: [['sysadmin'], ['public']] };
+      const after = { isDeleted: true, tags: [['sysadmin']] };
+      expect(Audit.getAction(before, after)).toEqual('delete');
+    });
+
+    test('it returns restore when the object is un-deleted', () => {
+      const before = { isDeleted: true, tags: [['sysadmin']] };
+      const after = { isDeleted: false, tags: [['sysadmin']] };
+      expect(Audit.getAction(before, after)).toEqual('restore');
+    });
+
+    test('it returns publish when the public tag is added', () => {
+      const before = { isDeleted: false, tags: [['sysadmin']] };
+      const after = { isDeleted: false, tags: [['sysadmin'], ['public']] };
+      expect(Audit.getAction(before, after)).toEqual('publish');
+    });
+
+    test('it returns unpublish when the public tag is removed', () => {
+      const before = { isDeleted: false, tags: [['sysadmin'], ['public']] };
+      const after = { isDeleted: false, tags: [['sysadmin']] };
+      expect(Audit.getAction(before, after)).toEqual('unpublish');
+    });
+
+    test('it returns update otherwise', () => {
+      const before = { isDeleted: false, name: 'a', tags: [['sysadmin']] };
+      const after = { isDeleted: false, name: 'b', tags: [['sysadmin']] };
+      expect(Audit.getAction(before, after)).toEqual('update');
+    });
+  });
+
+  describe('setContext', () => {
+    test('it sets the user and action on the document', () => {
+      const doc = { $locals: {} };
+      Audit.setContext(doc, 'idir/someone', 'refresh');
+      expect(doc.$locals.auditUser).toEqual('idir/someone');
+      expect(doc.$locals.auditAction).toEqual('refresh');
+    });
+
+    test('it does not set an action when none is given', () => {
+      const doc = { $locals: {} };
+      Audit.setContext(doc, 'idir/someone');
+      expect(doc.$locals.auditUser).toEqual('idir/someone');
+      expect(doc.$locals.auditAction).toBeUndefined();
+    });
+  });
+});
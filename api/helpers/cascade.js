@@ -0,0 +1,406 @@
+'use strict';
+
+/**
+ * This file contains helpers for acting on an application together with the objects that belong to it (its
+ * CommentPeriods, Decisions, Documents and Features), as a single unit.
+ *
+ * Mongo (3.2) has no multi-document transactions, so each object is saved individually, and if any of them fail, the
+ * ones that already succeeded are reverted.
+ */
+
+const mongoose = require('mongoose');
+const Actions = require('./actions');
+const Audit = require('./audit');
+const defaultLog = require('./logger')('cascade');
+
+/**
+ * Fetches the (non-deleted) objects that belong to an application.
+ *
+ * Comments (and the documents attached to them) are only included when asked for: their visibility is managed through
+ * comment moderation, not along with the application.
+ *
+ * @param {*} applicationId Application ObjectID
+ * @param {boolean} [includeComments=false] whether to include comments and their documents
+ * @returns {Promise} promise that resolves with an array of the form: [{ objectType: string, doc: mongoose document }]
+ */
+exports.getApplicationChildren = function(applicationId, includeComments = false) {
+  const Comment = mongoose.model('Comment');
+  const CommentPeriod = mongoose.model('CommentPeriod');
+  const Decision = mongoose.model('Decision');
+  const Document = mongoose.model('Document');
+  const Feature = mongoose.model('Feature');
+
+  return Promise.all([
+    CommentPeriod.find({ _application: applicationId, isDeleted: false }).exec(),
+    Decision.find({ _application: applicationId, isDeleted: false }).exec(),
+    Feature.find({ applicationID: applicationId, isDeleted: false }).exec()
+  ]).then(([commentPeriods, decisions, features]) => {
+    const commentPeriodIds = commentPeriods.map(commentPeriod => commentPeriod._id);
+    const decisionIds = decisions.map(decision => decision._id);
+
+    const getComments = includeComments
+      ? Comment.find({ _commentPeriod: { $in: commentPeriodIds }, isDeleted: false }).exec()
+      : Promise.resolve([]);
+
+    return getComments.then(comments => {
+      const documentQuery = {
+        $or: [{ _application: applicationId }, { _decision: { $in: decisionIds } }],
+        isDeleted: false
+      };
+      if (includeComments) {
+        documentQuery.$or.push({ _comment: { $in: comments.map(comment => comment._id) } });
+      } else {
+        documentQuery._comment = null;
+      }
+
+      return Document.find(documentQuery)
+        .exec()
+        .then(documents => {
+          return [].concat(
+            toItems('CommentPeriod', commentPeriods),
+            toItems('Comment', comments),
+            toItems('Decision', decisions),
+            toItems('Document', documents),
+            toItems('Feature', features)
+          );
+        });
+    });
+  });
+};
+
+/**
+ * Fetches every object that was soft-deleted by the given deletion.
+ *
+ * @param {*} deletionId ObjectID shared by all objects deleted in the same operation
+ * @returns {Promise} promise that resolves with an array of the form: [{ objectType: string, doc: mongoose document }]
+ */
+exports.getDeletedWith = function(deletionId) {
+  const objectTypes = ['CommentPeriod', 'Comment', 'Decision', 'Document', 'Feature'];
+
+  return Promise.all(
+    objectTypes.map(objectType => {
+      return mongoose
+        .model(objectType)
+        .find({ _deletionId: deletionId, isDeleted: true })
+        .exec();
+    })
+  ).then(docsByType => {
+    return [].concat(...docsByType.map((docs, index) => toItems(objectTypes[index], docs)));
+  });
+};
+
+/**
+ * Wraps mongoose documents with their model name.
+ *
+ * @param {string} objectType model name
+ * @param {Array} docs mongoose documents
+ * @returns {Array} array of the form: [{ objectType: string, doc: mongoose document }]
+ */
+const toItems = function(objectType, docs) {
+  return docs.map(doc => ({ objectType: objectType, doc: doc }));
+};
+
+/**
+ * Builds the result entry reported for a single object.
+ *
+ * @param {object} item object, of the form: { objectType: string, doc: mongoose document }
+ * @param {string} result what happened to the object
+ * @param {string} [message] error message (optional)
+ * @returns {object}
+ */
+const toResult = function(item, result, message) {
+  const entry = { objectType: item.objectType, _id: item.doc._id, result: result };
+  if (message) {
+    entry.message = message;
+  }
+  return entry;
+};
+
+/**
+ * Applies a change to each object in turn.  If any of them fail, the objects already changed are reverted, most recent
+ * first.
+ *
+ * @param {Array} items objects to change, of the form: [{ objectType: string, doc: mongoose document }]
+ * @param {object} change the change, of the form:
+ *                        {
+ *                          result: string, // reported for each object that is changed, for example 'published'
+ *                          isApplied: function(item): boolean, // objects that are already changed are left alone
+ *                          apply: function(item): Promise,
+ *                          revert: function(item): Promise
+ *                        }
+ * @returns {Promise} promise that resolves with an object of the form:
+ *                    { success: boolean, results: [{ objectType: string, _id: ObjectID, result: string, message }] }
+ *                    where result is one of: change.result, unchanged, failed, rolledBack, rollbackFailed
+ */
+const changeAll = function(items, change) {
+  const results = [];
+  const applied = [];
+
+  return items
+    .reduce((previous, item) => {
+      return previous.then(() => {
+        if (change.isApplied(item)) {
+          results.push(toResult(item, 'unchanged'));
+          return;
+        }
+
+        return change.apply(item).then(
+          () => {
+            const result = toResult(item, change.result);
+            applied.push({ item: item, result: result });
+            results.push(result);
+          },
+          error => {
+            results.push(toResult(item, 'failed', error.message));
+            throw error;
+          }
+        );
+      });
+    }, Promise.resolve())
+    .then(
+      () => {
+        return { success: true, results: results };
+      },
+      error => {
+        defaultLog.error('Cascade failed (' + change.result + '), rolling back:', error);
+
+        return applied
+          .reverse()
+          .reduce((previous, { item, result }) => {
+            return previous.then(() => {
+              return change.revert(item).then(
+                () => {
+                  result.result = 'rolledBack';
+                },
+                error => {
+                  defaultLog.error('Failed to roll back', item.objectType, item.doc._id, error);
+                  result.result = 'rollbackFailed';
+                  result.message = error.message;
+                }
+              );
+            });
+          }, Promise.resolve())
+          .then(() => {
+            return { success: false, results: results };
+          });
+      }
+    );
+};
+
+/**
+ * Un-deletes an object.  Does not re-publish it.
+ *
+ * @param {*} doc mongoose document
+ * @param {string} username who requested the change, recorded in the audit trail
+ * @returns {Promise}
+ */
+const restoreObject = function(doc, username) {
+  Audit.setContext(doc, username);
+  return Actions.restore(doc);
+};
+
+/**
+ * Publishes or unpublishes the (non-deleted) features of an application.  Features that are already in the requested
+ * state are left alone.
+ *
+ * @param {*} applicationId Application ObjectID
+ * @param {string} action 'publish' or 'unpublish'
+ * @param {string} username who requested the change, recorded in the audit trail
+ * @returns {Promise}
+ */
+exports.publishFeatures = function(applicationId, action, username) {
+  const Feature = mongoose.model('Feature');
+
+  return Feature.find({ applicationID: applicationId, isDeleted: false }).then(features => {
+    return features
+      .reduce((previous, feature) => {
+        return previous.then(() => {
+          Audit.setContext(feature, username);
+          if (action === 'publish') {
+            return Actions.isPublished(feature) ? Promise.resolve() : Actions.publish(feature);
+          }
+          // Default unpub
+          return Actions.isPublished(feature) ? Actions.unPublish(feature) : Promise.resolve();
+        });
+      }, Promise.resolve())
+      .then(() => {
+        defaultLog.info('done Pub/UnPub all features.');
+      });
+  });
+};
+
+/**
+ * Publishes or unpublishes an application along with all of its CommentPeriods, Decisions, Documents and Features.
+ *
+ * When publishing, the children are published before the application, and when unpublishing, the application is
+ * unpublished first, so that the application is never public while its children are not.
+ *
+ * @param {*} application Application mongoose document
+ * @param {string} action 'publish' or 'unpublish'
+ * @param {string} username who requested the change, recorded in the audit trail
+ * @returns {Promise} promise that resolves with an object of the form: { success: boolean, results: [object] } (see
+ *                    changeAll)
+ */
+exports.publishApplication = function(application, action, username) {
+  const publish = action === 'publish';
+
+  const publishObject = function(item) {
+    Audit.setContext(item.doc, username);
+    return Actions.publish(item.doc);
+  };
+
+  const unPublishObject = function(item) {
+    Audit.setContext(item.doc, username);
+    return Actions.unPublish(item.doc);
+  };
+
+  return exports.getApplicationChildren(application._id).then(children => {
+    const applicationItem = { objectType: 'Application', doc: application };
+    const items = publish ? children.concat([applicationItem]) : [applicationItem].concat(children);
+
+    return changeAll(items, {
+      result: publish ? 'published' : 'unpublished',
+      isApplied: item => !!Actions.isPublished(item.doc) === publish,
+      apply: publish ? publishObject : unPublishObject,
+      revert: publish ? unPublishObject : publishObject
+    });
+  });
+};
+
+/**
+ * Soft-deletes an application along with all of its CommentPeriods, Comments, Decisions, Documents and Features.
+ *
+ * Every object deleted is marked with the same deletion id, so that restoreApplication can bring back exactly what was
+ * deleted here, and not objects that had already been deleted on their own.
+ *
+ * @param {*} application Application mongoose document
+ * @param {string} username who requested the change, recorded in the audit trail
+ * @returns {Promise} promise that resolves with an object of the form: { success: boolean, results: [object] } (see
+ *                    changeAll)
+ */
+exports.deleteApplication = function(application, username) {
+  const deletionId = new mongoose.Types.ObjectId();
+
+  return exports.getApplicationChildren(application._id, true).then(children => {
+    const items = [{ objectType: 'Application', doc: application }].concat(children);
+
+    return changeAll(items, {
+      result: 'deleted',
+      isApplied: item => item.doc.isDeleted,
+      apply: item => {
+        // Deleting removes the public tag, which a rollback has to put back.
+        item.tags = JSON.parse(JSON.stringify(item.doc.tags));
+        item.doc._deletionId = deletionId;
+        Audit.setContext(item.doc, username);
+        return Actions.delete(item.doc);
+      },
+      revert: item => {
+        item.doc.tags = item.tags;
+        item.doc.markModified('tags');
+        return restoreObject(item.doc, username);
+      }
+    });
+  });
+};
+
+/**
+ * Merges a duplicate application into another: re-points the source's CommentPeriods, Decisions, Documents and
+ * Features to the target, then soft-deletes the source.
+ *
+ * Comments follow their comment period.  The merge is recorded on both applications (_mergedInto on the source,
+ * _mergedFrom on the target) and, for every object changed, in the audit trail as a 'merge'.
+ *
+ * @param {*} target Application mongoose document to keep
+ * @param {*} source Application mongoose document to merge into the target
+ * @param {string} username who requested the change, recorded in the audit trail
+ * @returns {Promise} promise that resolves with an object of the form: { success: boolean, results: [object] } (see
+ *                    changeAll)
+ */
+exports.mergeApplication = function(target, source, username) {
+  const deletionId = new mongoose.Types.ObjectId();
+
+  // The field that refers to the application, by object type.
+  const getRefField = item => (item.objectType === 'Feature' ? 'applicationID' : '_application');
+
+  const isSource = id => !!id && id.equals(source._id);
+
+  return exports.getApplicationChildren(source._id, true).then(children => {
+    // Comments (and documents attached to decisions only) don't refer to the application.
+    const items = children
+      .filter(item => item.objectType !== 'Comment' && isSource(item.doc[getRefField(item)]))
+      .concat([{ objectType: 'Application', doc: source }, { objectType: 'Application', doc: target }]);
+
+    return changeAll(items, {
+      result: 'merged',
+      isApplied: () => false,
+      apply: item => {
+        Audit.setContext(item.doc, username, 'merge');
+
+        if (item.doc === source) {
+          // Deleting removes the public tag, which a rollback has to put back.
+          item.tags = JSON.parse(JSON.stringify(source.tags));
+          source._mergedInto = target._id;
+          source._deletionId = deletionId;
+          return Actions.delete(source);
+        }
+
+        if (item.doc === target) {
+          target._mergedFrom.push(source._id);
+          return target.save();
+        }
+
+        item.doc[getRefField(item)] = target._id;
+        return item.doc.save();
+      },
+      revert: item => {
+        Audit.setContext(item.doc, username);
+
+        if (item.doc === source) {
+          source.tags = item.tags;
+          source.markModified('tags');
+          source._mergedInto = null;
+          return Actions.restore(source);
+        }
+
+        if (item.doc === target) {
+          target._mergedFrom.pull(source._id);
+          return target.save();
+        }
+
+        item.doc[getRefField(item)] = source._id;
+        return item.doc.save();
+      }
+    });
+  });
+};
+
+/**
+ * Restores an application, along with every object that was deleted with it by deleteApplication.
+ *
+ * Nothing is re-published: restored objects stay hidden from the public until they are published again.
+ *
+ * @param {*} application Application mongoose document
+ * @param {string} username who requested the change, recorded in the audit trail
+ * @returns {Promise} promise that resolves with an object of the form: { success: boolean, results: [object] } (see
+ *                    changeAll)
+ */
+exports.restoreApplication = function(application, username) {
+  const deletionId = application._deletionId;
+
+  const getChildren = deletionId ? exports.getDeletedWith(deletionId) : Promise.resolve([]);
+
+  return getChildren.then(children => {
+    const items = [{ objectType: 'Application', doc: application }].concat(children);
+
+    return changeAll(items, {
+      result: 'restored',
+      isApplied: item => !item.doc.isDeleted,
+      apply: item => restoreObject(item.doc, username),
+      revert: item => {
+        item.doc._deletionId = deletionId;
+        Audit.setContext(item.doc, username);
+        return Actions.delete(item.doc);
+      }
+    });
+  });
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * This file contains utility functions for clustering applications by their centroids, so that the public map can show
+ * a marker per cluster rather than fetching every application and clustering them in the browser.
+ *
+ * Centroids are clustered on a grid of the map at the zoom being viewed: those that fall in the same cell (of
+ * CLUSTER_RADIUS pixels, at 256 pixels per tile as most map clients use) are one cluster.  Zooming in shrinks the
+ * cells, splitting the clusters, until each application is its own.
+ */
+
+const _ = require('lodash');
+const SpatialUtils = require('./spatialUtils');
+
+// Width of the grid cells, in pixels.
+exports.CLUSTER_RADIUS = Number(process.env.CLUSTER_RADIUS) || 60;
+
+// Application fields needed to cluster applications.
+exports.FIELDS = ['centroid', 'status', 'purpose'];
+
+// Latitudes beyond this can't be shown on a web mercator map.
+const MAX_LATITUDE = 85.0511;
+const TILE_SIZE = 256;
+
+/**
+ * Parses a bounding box.
+ *
+ * @param {string} value of the form: 'west,south,east,north', in degrees
+ * @returns {Array} bbox of the form: [west, south, east, north]
+ * @throws {Error} if the bounding box is invalid
+ */
+exports.parseBbox = function(value) {
+  const bbox = _.map(String(value).split(','), _.toNumber);
+
+  if (bbox.length !== 4 || !_.every(bbox, Number.isFinite)) {
+    throw new Error('Invalid bbox: expected west,south,east,north');
+  }
+
+  const [west, south, east, north] = bbox;
+  if (west >= east || south >= north || west < -180 || east > 180 || south < -90 || north > 90) {
+    throw new Error('Invalid bbox: expected west,south,east,north');
+  }
+
+  return bbox;
+};
+
+/**
+ * Gets the Application query that matches the centroids within a bounding box.
+ *
+ * @param {Array} bbox of the form: [west, south, east, north]
+ * @returns {object} Application query
+ */
+exports.getBboxQuery = function(bbox) {
+  return {
+    centroid: {
+      $geoWithin: {
+        $box: [[bbox[0], bbox[1]], [bbox[2], bbox[3]]]
+      }
+    }
+  };
+};
+
+/**
+ * Gets the pixel that a point is in, on a web mercator map at a zoom.
+ *
+ * @param {Array} coordinates point of the form: [lon, lat]
+ * @param {number} zoom
+ * @returns {Array} pixel of the form: [x, y]
+ */
+const toPixel = function(coordinates, zoom) {
+  const size = TILE_SIZE * Math.pow(2, zoom);
+  const lat = Math.max(Math.min(coordinates[1], MAX_LATITUDE), -MAX_LATITUDE);
+  const sin = Math.sin((lat * Math.PI) / 180);
+
+  return [((coordinates[0] + 180) / 360) * size, (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size];
+};
+
+/**
+ * Clusters applications by their centroids.
+ *
+ * @param {Array} applications Applications, with their centroid, status and purpose (see FIELDS)
+ * @param {number} zoom zoom of the map
+ * @returns {Array} clusters, largest first, of the form:
+ *                  [
+ *                    {
+ *                      count: number, // applications in the cluster
+ *                      centroid: [lon, lat], // mean of the centroids of the applications
+ *                      bbox: [west, south, east, north], // of the centroids of the applications, to zoom to
+ *                      applicationID: string, // if the cluster is a single application
+ *                      breakdown: {
+ *                        status: { [status]: number }, // applications with each status
+ *                        purpose: { [purpose]: number } // applications with each purpose
+ *                      }
+ *                    }
+ *                  ]
+ */
+exports.getClusters = function(applications, zoom) {
+  const cells = _.groupBy(_.filter(applications, SpatialUtils.hasCentroid), application => {
+    const pixel = toPixel(application.centroid, zoom);
+    return `${Math.floor(pixel[0] / exports.CLUSTER_RADIUS)}/${Math.floor(pixel[1] / exports.CLUSTER_RADIUS)}`;
+  });
+
+  const clusters = _.map(cells, members => {
+    const lons = _.map(members, member => member.centroid[0]);
+    const lats = _.map(members, member => member.centroid[1]);
+
+    const cluster = {
+      count: members.length,
+      centroid: [_.mean(lons), _.mean(lats)],
+      bbox: [_.min(lons), _.min(lats), _.max(lons), _.max(lats)],
+      breakdown: {
+        status: _.countBy(members, member => member.status || ''),
+        purpose: _.countBy(members, member => member.purpose || '')
+      }
+    };
+
+    if (members.length === 1) {
+      cluster.applicationID = String(members[0]._id);
+    }
+
+    return cluster;
+  });
+
+  return _.orderBy(clusters, ['count', cluster => cluster.centroid[0]], ['desc', 'asc']);
+};
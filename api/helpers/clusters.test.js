@@ -0,0 +1,53 @@
+const Clusters = require('./clusters');
+
+describe('Clusters', () => {
+  describe('parseBbox', () => {
+    it('parses west,south,east,north', () => {
+      expect(Clusters.parseBbox('-139.1,48.2,-114,60')).toEqual([-139.1, 48.2, -114, 60]);
+    });
+
+    it('throws if the bbox is incomplete, or not a box', () => {
+      expect(() => Clusters.parseBbox('-139.1,48.2,-114')).toThrow('Invalid bbox');
+      expect(() => Clusters.parseBbox('-139.1,48.2,-114,north')).toThrow('Invalid bbox');
+      expect(() => Clusters.parseBbox('-114,48.2,-139.1,60')).toThrow('Invalid bbox');
+      expect(() => Clusters.parseBbox('-139.1,48.2,-114,91')).toThrow('Invalid bbox');
+    });
+  });
+
+  describe('getClusters', () => {
+    const applications = [
+      { _id: 'a1', status: 'ACCEPTED', purpose: 'INDUSTRIAL', centroid: [-123.36, 48.42] },
+      { _id: 'a2', status: 'OFFERED', purpose: 'INDUSTRIAL', centroid: [-123.37, 48.43] },
+      { _id: 'a3', status: 'ACCEPTED', purpose: 'AGRICULTURE', centroid: [-123.94, 49.16] },
+      { _id: 'a4', status: 'ACCEPTED', purpose: 'AGRICULTURE', centroid: [] },
+      { _id: 'a5', status: 'ACCEPTED', purpose: 'AGRICULTURE', centroid: [0, 0] }
+    ];
+
+    it('clusters the applications near each other at the zoom, leaving out those without a centroid', () => {
+      const clusters = Clusters.getClusters(applications, 4);
+
+      expect(clusters.length).toEqual(1);
+      expect(clusters[0].count).toEqual(3);
+      expect(clusters[0].bbox).toEqual([-123.94, 48.42, -123.36, 49.16]);
+      expect(clusters[0].breakdown).toEqual({
+        status: { ACCEPTED: 2, OFFERED: 1 },
+        purpose: { INDUSTRIAL: 2, AGRICULTURE: 1 }
+      });
+      expect(clusters[0].applicationID).toBeUndefined();
+    });
+
+    it('splits the clusters as the zoom increases, largest first', () => {
+      const clusters = Clusters.getClusters(applications, 8);
+
+      expect(clusters.map(cluster => cluster.count)).toEqual([2, 1]);
+      expect(clusters[0].centroid[0]).toBeCloseTo(-123.365);
+      expect(clusters[0].centroid[1]).toBeCloseTo(48.425);
+      expect(clusters[1].applicationID).toEqual('a3');
+      expect(clusters[1].centroid).toEqual([-123.94, 49.16]);
+    });
+
+    it('returns no clusters without applications', () => {
+      expect(Clusters.getClusters([], 8)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * This file contains utility functions for working with the Tantalis code tables.
+ *
+ * Tantalis identifies an application's purpose, subpurpose, type, subtype, status, reason and stage by code, each from
+ * its own code table, and ACRFD stores the description of each (eg: purpose: 'INDUSTRIAL') along with its code (eg:
+ * purposeCode: '3').  Subpurposes and subtypes belong to a purpose and type respectively (their parentCode), and their
+ * codes are only unique within it.
+ *
+ * The code tables are built from the codes that Tantalis applications use, by the code sync task (see
+ * helpers/tantalisCodeSync.js), and kept in memory so that filter values can be checked against them without a
+ * database round trip.
+ */
+
+const _ = require('lodash');
+const mongoose = require('mongoose');
+const defaultLog = require('./logger')('codes');
+
+// Code tables, named after the Application field that holds their description.
+exports.PURPOSE = 'purpose';
+exports.SUBPURPOSE = 'subpurpose';
+exports.TYPE = 'type';
+exports.SUBTYPE = 'subtype';
+exports.STATUS = 'status';
+exports.REASON = 'reason';
+exports.STAGE = 'tenureStage';
+
+exports.TABLES = [
+  exports.PURPOSE,
+  exports.SUBPURPOSE,
+  exports.TYPE,
+  exports.SUBTYPE,
+  exports.STATUS,
+  exports.REASON,
+  exports.STAGE
+];
+
+// How long the in-memory code tables are used before they are reloaded, in milliseconds.  Another replica may have
+// synced the code tables since.
+exports.CACHE_TTL = Number(process.env.CODE_CACHE_TTL) || 60 * 60 * 1000;
+
+// In-memory code tables: { codes: { [table]: [Code] }, loadedAt: number }
+let cache = { codes: {}, loadedAt: 0 };
+
+/**
+ * Gets the name of the Application field that holds the code of a table, eg: purposeCode.
+ *
+ * @param {string} table code table
+ * @returns {string}
+ */
+exports.getCodeField = function(table) {
+  return table + 'Code';
+};
+
+/**
+ * Fetches the codes of a table, sorted by description.
+ *
+ * @param {string} table code table
+ * @param {string} [parentCode] only the codes that belong to this parent code, for subpurposes and subtypes (optional)
+ * @returns {Promise} promise that resolves with an array of Codes
+ */
+exports.getCodes = function(table, parentCode) {
+  const query = { table: table };
+  if (parentCode !== undefined && parentCode !== null) {
+    query.parentCode = String(parentCode);
+  }
+
+  return mongoose
+    .model('Code')
+    .find(query)
+    .sort({ description: 1, code: 1 })
+    .lean()
+    .exec();
+};
+
+/**
+ * Adds new codes, and updates the descriptions of existing ones.
+ *
+ * @param {Array} codes codes of the form: [{ table: string, code: string, description: string, parentCode: string }]
+ * @returns {Promise} promise that resolves with an object of the form: { added: number, updated: number }
+ */
+exports.saveCodes = function(codes) {
+  if (!codes || !codes.length) {
+    return Promise.resolve({ added: 0, updated: 0 });
+  }
+
+  const now = new Date();
+
+  return mongoose
+    .model('Code')
+    .bulkWrite(
+      codes.map(code => ({
+        updateOne: {
+          filter: { table: code.table, code: code.code, parentCode: code.parentCode || null },
+          update: {
+            $set: { description: code.description, lastSyncedDate: now },
+            $setOnInsert: { tags: [['sysadmin'], ['public']] }
+          },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    )
+    .then(result => {
+      return { added: result.upsertedCount, updated: result.modifiedCount };
+    });
+};
+
+/**
+ * Loads the code tables into memory.
+ *
+ * @returns {Promise}
+ */
+exports.loadCache = function() {
+  return mongoose
+    .model('Code')
+    .find({})
+    .lean()
+    .exec()
+    .then(codes => {
+      cache = { codes: _.groupBy(codes, 'table'), loadedAt: Date.now() };
+      defaultLog.info(`Loaded ${codes.length} codes.`);
+    })
+    .catch(error => {
+      defaultLog.error('Failed to load codes:', error);
+    });
+};
+
+/**
+ * Gets the in-memory codes of a table.  Reloads the code tables in the background once they are older than CACHE_TTL.
+ *
+ * @param {string} table code table
+ * @returns {Array} Codes, empty if the table has not been synced (or loaded) yet
+ */
+exports.getCachedCodes = function(table) {
+  if (cache.loadedAt && Date.now() - cache.loadedAt > exports.CACHE_TTL) {
+    // Only reload once at a time.
+    cache.loadedAt = Date.now();
+    exports.loadCache();
+  }
+
+  return cache.codes[table] || [];
+};
+
+/**
+ * Checks filter values against the descriptions in a code table, logging any that are not in it.
+ *
+ * The code tables only hold the codes used by the Tantalis applications synced so far, so a value that is missing from
+ * them may still be valid (eg: a status no application has yet).  Unknown values are only warned about, so that they
+ * keep working as they always have.
+ *
+ * @param {string} table code table
+ * @param {Array|string} values descriptions to check
+ * @returns {Array} the values that are not the description of a code in the table (none if it has not been synced)
+ */
+exports.checkDescriptions = function(table, values) {
+  const codes = exports.getCachedCodes(table);
+  if (!codes.length) {
+    return [];
+  }
+
+  const descriptions = _.map(codes, 'description');
+  const unknown = _.filter(_.castArray(values), value => !descriptions.includes(value));
+
+  if (unknown.length) {
+    defaultLog.warn(`Unknown ${table}: ${unknown.join(', ')}.  Not in the code table yet, or misspelt.`);
+  }
+
+  return unknown;
+};
+
+/**
+ * Sets the in-memory code tables.  For tests.
+ *
+ * @param {Array} codes Codes
+ */
+exports.setCache = function(codes) {
+  cache = { codes: _.groupBy(codes, 'table'), loadedAt: codes.length ? Date.now() : 0 };
+};
@@ -0,0 +1,41 @@
+const Codes = require('./codes');
+
+describe('Codes', () => {
+  afterEach(() => {
+    Codes.setCache([]);
+  });
+
+  describe('getCodeField', () => {
+    it('returns the name of the field that holds the code', () => {
+      expect(Codes.getCodeField(Codes.PURPOSE)).toEqual('purposeCode');
+      expect(Codes.getCodeField(Codes.STAGE)).toEqual('tenureStageCode');
+    });
+  });
+
+  describe('checkDescriptions', () => {
+    beforeEach(() => {
+      Codes.setCache([
+        { table: 'status', code: 'AC', description: 'ACCEPTED', parentCode: null },
+        { table: 'status', code: 'AB', description: 'ABANDONED', parentCode: null },
+        { table: 'purpose', code: '3', description: 'INDUSTRIAL', parentCode: null }
+      ]);
+    });
+
+    it('returns no unknown descriptions for known ones', () => {
+      expect(Codes.checkDescriptions(Codes.STATUS, ['ACCEPTED', 'ABANDONED'])).toEqual([]);
+      expect(Codes.checkDescriptions(Codes.PURPOSE, 'INDUSTRIAL')).toEqual([]);
+    });
+
+    it('returns the unknown descriptions, rather than throwing', () => {
+      expect(Codes.checkDescriptions(Codes.STATUS, ['ACCEPTED', 'ACEPTED', 'NOPE'])).toEqual(['ACEPTED', 'NOPE']);
+    });
+
+    it('only checks against the given table', () => {
+      expect(Codes.checkDescriptions(Codes.STATUS, 'INDUSTRIAL')).toEqual(['INDUSTRIAL']);
+    });
+
+    it('does not check tables that have not been synced', () => {
+      expect(Codes.checkDescriptions(Codes.REASON, 'ANYTHING')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,556 @@
+'use strict';
+
+/**
+ * This file contains utility functions for uploading features to an application from a file, for the applications whose
+ * shapes Tantalis doesn't map well.
+ *
+ * Files can be GeoJSON, KML, WKT or a zipped Shapefile.  The shapes are reprojected to WGS84 from the CRS of the file,
+ * and checked, before anything is saved.  Like the features from Tantalis, each is stored as a GeometryCollection, with
+ * the meta of its application in its properties.  Uploaded features are flagged as such, so that refreshing the
+ * application from Tantalis leaves them alone.
+ */
+
+const _ = require('lodash');
+const path = require('path');
+const mongoose = require('mongoose');
+const turf = require('@turf/turf');
+const epsg = require('epsg');
+const AdmZip = require('adm-zip');
+const shapefile = require('shapefile');
+const toGeoJSON = require('@mapbox/togeojson');
+const DOMParser = require('@xmldom/xmldom').DOMParser;
+const SpatialUtils = require('./spatialUtils');
+const Actions = require('./actions');
+const Audit = require('./audit');
+const Tiles = require('./tiles');
+const defaultLog = require('./logger')('featureUpload');
+
+exports.FORMATS = ['geojson', 'kml', 'wkt', 'shapefile'];
+
+// Most features that can be uploaded at once.
+exports.MAX_FEATURES = Number(process.env.UPLOAD_MAX_FEATURES) || 1000;
+
+// Most that the files in a zipped shapefile can add up to, once unzipped.
+const MAX_UNZIPPED_SIZE = 100 * 1024 * 1024;
+
+const WGS84 = 'EPSG:4326';
+
+// Formats of the file extensions, for when the format isn't given.
+const EXTENSIONS = {
+  '.geojson': 'geojson',
+  '.json': 'geojson',
+  '.kml': 'kml',
+  '.wkt': 'wkt',
+  '.txt': 'wkt',
+  '.zip': 'shapefile'
+};
+
+// How deeply the positions of each type of geometry are nested in its coordinates.
+const DEPTHS = { Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3 };
+
+/**
+ * Gets the format of an uploaded file.
+ *
+ * @param {string} filename name of the file, whose extension is used if the format isn't given
+ * @param {string} [format] one of FORMATS (optional)
+ * @returns {string} one of FORMATS
+ * @throws {Error} if the format is unknown
+ */
+exports.getFormat = function(filename, format) {
+  const result = format || EXTENSIONS[path.extname(filename || '').toLowerCase()];
+
+  if (!exports.FORMATS.includes(result)) {
+    throw new Error(`Unknown format: expected one of ${exports.FORMATS.join(', ')}`);
+  }
+
+  return result;
+};
+
+/**
+ * Gets a CRS by its EPSG code.
+ *
+ * @param {string} name of the form: 'EPSG:3005', '3005' or 'urn:ogc:def:crs:EPSG::3005' (or 'CRS84', for WGS84)
+ * @returns {string} CRS of the form: 'EPSG:3005', or null if there is no name
+ * @throws {Error} if the CRS is unknown
+ */
+exports.getCrs = function(name) {
+  if (!name) {
+    return null;
+  }
+
+  const value = String(name).trim();
+  if (/CRS84$/i.test(value)) {
+    return WGS84;
+  }
+
+  const match = value.match(/^(?:urn:ogc:def:crs:)?EPSG:(?:[\d.]*:)?(\d+)$/i) || value.match(/^(\d+)$/);
+  if (!match || !epsg[`EPSG:${match[1]}`]) {
+    throw new Error(`Unknown CRS: ${value}`);
+  }
+
+  return `EPSG:${match[1]}`;
+};
+
+/**
+ * Reads the features of a GeoJSON FeatureCollection, Feature or geometry.  A (pre-2016) crs member takes precedence
+ * over the given CRS.
+ *
+ * @param {string} text GeoJSON
+ * @param {string} crs CRS of the features, if the GeoJSON doesn't say
+ * @returns {Array} features of the form: [{ geometry: object, properties: object }], in WGS84
+ */
+const readGeoJSON = function(text, crs) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid GeoJSON: ${error.message}`);
+  }
+
+  if (!json || !json.type) {
+    throw new Error('Invalid GeoJSON: expected a FeatureCollection, Feature or geometry');
+  }
+
+  const sourceCrs = (json.crs && json.crs.properties && exports.getCrs(json.crs.properties.name)) || crs;
+
+  let features;
+  if (json.type === 'FeatureCollection') {
+    features = json.features;
+  } else if (json.type === 'Feature') {
+    features = [json];
+  } else {
+    features = [{ geometry: json }];
+  }
+
+  if (!Array.isArray(features)) {
+    throw new Error('Invalid GeoJSON: expected an array of features');
+  }
+
+  return _.map(features, feature => ({
+    geometry: feature && feature.geometry && SpatialUtils.toWgs84(feature.geometry, sourceCrs),
+    properties: (feature && feature.properties) || {}
+  }));
+};
+
+/**
+ * Reads the placemarks of a KML document.  KML is always in WGS84.
+ *
+ * @param {string} text KML
+ * @returns {Array} features of the form: [{ geometry: object, properties: object }], in WGS84
+ */
+const readKml = function(text) {
+  const errors = [];
+  const parser = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: message => errors.push(message),
+      fatalError: message => errors.push(message)
+    }
+  });
+
+  const doc = parser.parseFromString(text, 'text/xml');
+  if (errors.length || !doc || !doc.documentElement) {
+    throw new Error('Invalid KML: unable to parse the document');
+  }
+
+  return _.map(toGeoJSON.kml(doc).features, feature => ({
+    geometry: feature.geometry,
+    properties: feature.properties || {}
+  }));
+};
+
+/**
+ * Reads a WKT (or EWKT) geometry.  The SRID of EWKT takes precedence over the given CRS.
+ *
+ * @param {string} text WKT, eg: 'POLYGON((...))' or 'SRID=3005;POLYGON((...))'
+ * @param {string} crs CRS of the geometry, if it isn't EWKT
+ * @returns {Array} features of the form: [{ geometry: object, properties: object }], in WGS84
+ */
+const readWkt = function(text, crs) {
+  const match = text.trim().match(/^SRID=(\d+);([\s\S]*)$/i);
+  const sourceCrs = match ? exports.getCrs(match[1]) : crs;
+
+  let geometries;
+  try {
+    geometries = SpatialUtils.convertWKTToGeoJson(match ? match[2] : text.trim());
+  } catch (error) {
+    throw new Error(`Invalid WKT: ${error.message}`);
+  }
+
+  // Parsed as one feature, as a GeometryCollection is a single parcel from Tantalis.
+  return [
+    {
+      geometry: {
+        type: 'GeometryCollection',
+        geometries: _.map(geometries, geometry => SpatialUtils.toWgs84(geometry, sourceCrs))
+      },
+      properties: {}
+    }
+  ];
+};
+
+/**
+ * Reads the shapefiles in a zip.  The .prj file of each takes precedence over the given CRS.
+ *
+ * @param {Buffer} buffer zip, containing at least a .shp file, and optionally its .dbf, .prj and .cpg files
+ * @param {string} crs CRS of the shapefiles without a .prj file
+ * @returns {Promise} promise that resolves with features of the form: [{ geometry: object, properties: object }], in
+ *                    WGS84
+ */
+const readShapefile = function(buffer, crs) {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw new Error(`Invalid zip: ${error.message || error}`);
+  }
+
+  entries = _.reject(entries, entry => entry.isDirectory || entry.entryName.startsWith('__MACOSX/'));
+  if (_.sumBy(entries, entry => entry.header.size) > MAX_UNZIPPED_SIZE) {
+    throw new Error(`Invalid zip: larger than ${MAX_UNZIPPED_SIZE / 1024 / 1024}MB once unzipped`);
+  }
+
+  const byName = _.keyBy(entries, entry => entry.entryName.toLowerCase());
+  const layers = _.filter(entries, entry => /\.shp$/i.test(entry.entryName));
+  if (!layers.length) {
+    throw new Error('Invalid zip: no shapefile (.shp) found');
+  }
+
+  return Promise.all(
+    _.map(layers, layer => {
+      const name = layer.entryName.toLowerCase().slice(0, -'.shp'.length);
+      const getFile = extension => byName[name + extension] && byName[name + extension].getData();
+      const prj = getFile('.prj');
+      const cpg = getFile('.cpg');
+      const sourceCrs = prj ? prj.toString('utf8').trim() : crs;
+
+      return shapefile
+        .read(layer.getData(), getFile('.dbf'), { encoding: cpg ? cpg.toString('utf8').trim() : undefined })
+        .then(collection => {
+          return _.map(collection.features, feature => ({
+            geometry: feature.geometry && SpatialUtils.toWgs84(feature.geometry, sourceCrs),
+            properties: feature.properties || {}
+          }));
+        });
+    })
+  ).then(_.flatten);
+};
+
+/**
+ * Gets the geometries of a geometry, flattening any (nested) GeometryCollections.
+ *
+ * @param {object} geometry GeoJSON geometry
+ * @returns {Array} GeoJSON geometries
+ */
+const flatten = function(geometry) {
+  if (geometry && geometry.type === 'GeometryCollection') {
+    return _.flatMap(geometry.geometries, flatten);
+  }
+  return geometry ? [geometry] : [];
+};
+
+/**
+ * Checks the coordinates of a geometry, dropping any altitudes.
+ *
+ * @param {Array} coordinates coordinates of a geometry
+ * @param {number} depth how deeply the positions are nested in the coordinates (see DEPTHS)
+ * @returns {Array} coordinates with positions of the form: [lon, lat]
+ * @throws {Error} if a position isn't a longitude and latitude
+ */
+const toPositions = function(coordinates, depth) {
+  if (!Array.isArray(coordinates)) {
+    throw new Error('missing coordinates');
+  }
+
+  if (depth > 0) {
+    return _.map(coordinates, child => toPositions(child, depth - 1));
+  }
+
+  const [lon, lat] = coordinates;
+  if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
+    throw new Error(`invalid position [${coordinates}]`);
+  }
+  if (lon < -180 || lon > 180 || lat < -90 || lat > 90) {
+    throw new Error(`position [${lon}, ${lat}] is not a longitude and latitude, check the CRS`);
+  }
+
+  return [lon, lat];
+};
+
+/**
+ * Checks the rings of a polygon.
+ *
+ * @param {Array} rings coordinates of a polygon
+ * @throws {Error} if the polygon is invalid
+ */
+const checkPolygon = function(rings) {
+  if (!rings.length) {
+    throw new Error('polygon has no rings');
+  }
+
+  _.each(rings, ring => {
+    if (ring.length < 4 || !_.isEqual(_.first(ring), _.last(ring))) {
+      throw new Error('polygon ring must be closed, with at least 4 positions');
+    }
+  });
+
+  if (turf.kinks(turf.polygon(rings)).features.length) {
+    throw new Error('polygon edges cross each other');
+  }
+};
+
+/**
+ * Checks a geometry.
+ *
+ * @param {object} geometry GeoJSON geometry, other than a GeometryCollection
+ * @returns {object} GeoJSON geometry, with positions of the form: [lon, lat]
+ * @throws {Error} if the geometry is invalid
+ */
+const toGeometry = function(geometry) {
+  if (!_.has(DEPTHS, geometry.type)) {
+    throw new Error(`unsupported geometry type ${geometry.type}`);
+  }
+
+  const coordinates = toPositions(geometry.coordinates, DEPTHS[geometry.type]);
+
+  switch (geometry.type) {
+    case 'LineString':
+      if (coordinates.length < 2) {
+        throw new Error('line must have at least 2 positions');
+      }
+      break;
+    case 'Polygon':
+      checkPolygon(coordinates);
+      break;
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon':
+      if (!coordinates.length) {
+        throw new Error(`${geometry.type} is empty`);
+      }
+      _.each(coordinates, part => toGeometry({ type: geometry.type.replace('Multi', ''), coordinates: part }));
+      break;
+  }
+
+  return { type: geometry.type, coordinates: coordinates };
+};
+
+/**
+ * Gets a geometry as it can be stored in a Feature, whose coordinates are nested arrays: points are stored as
+ * multipoints.
+ *
+ * @param {object} geometry GeoJSON geometry
+ * @returns {object} GeoJSON geometry
+ */
+const toStoredGeometry = function(geometry) {
+  if (geometry.type === 'Point') {
+    return { type: 'MultiPoint', coordinates: [geometry.coordinates] };
+  }
+  return geometry;
+};
+
+/**
+ * Reads the features of an uploaded file, and checks them.
+ *
+ * The CRS of the file is used if it has one (the crs of GeoJSON, the SRID of EWKT, or the .prj file of a shapefile), or
+ * else the given CRS, or else WGS84.  KML is always in WGS84.  Features without shapes (eg: KML placemarks that only
+ * have a description) are skipped.
+ *
+ * @param {object} file uploaded file of the form: { originalname: string, buffer: Buffer }
+ * @param {object} [options] object of the form: { format: string, crs: string }, where format is one of FORMATS
+ *                           (defaults to the one of the file's extension), and crs is an EPSG code (optional)
+ * @returns {Promise} promise that resolves with features of the form:
+ *                    [{ type: 'Feature', geometry: { type: 'GeometryCollection', geometries: [] }, properties: {} }],
+ *                    or rejects with an error of the form: { code: 400, message: string } saying what is wrong with the
+ *                    file
+ */
+exports.read = function(file, options = {}) {
+  return Promise.resolve()
+    .then(() => {
+      if (!file || !file.buffer || !file.buffer.length) {
+        throw new Error('Invalid file: the file is empty');
+      }
+
+      const format = exports.getFormat(file.originalname, options.format);
+      const crs = exports.getCrs(options.crs) || WGS84;
+
+      switch (format) {
+        case 'geojson':
+          return readGeoJSON(file.buffer.toString('utf8'), crs);
+        case 'kml':
+          return readKml(file.buffer.toString('utf8'));
+        case 'wkt':
+          return readWkt(file.buffer.toString('utf8'), crs);
+        default:
+          return readShapefile(file.buffer, crs);
+      }
+    })
+    .then(uploaded => {
+      const features = _.filter(uploaded, feature => flatten(feature.geometry).length);
+
+      if (!features.length) {
+        throw new Error('Invalid file: no shapes found');
+      }
+      if (features.length > exports.MAX_FEATURES) {
+        throw new Error(
+          `Invalid file: ${features.length} features, but at most ${exports.MAX_FEATURES} can be uploaded`
+        );
+      }
+
+      return _.map(features, (feature, index) => {
+        let geometries;
+        try {
+          geometries = _.map(flatten(feature.geometry), geometry => toStoredGeometry(toGeometry(geometry)));
+        } catch (error) {
+          throw new Error(`Invalid shape in feature ${index + 1}: ${error.message}`);
+        }
+
+        return {
+          type: 'Feature',
+          geometry: { type: 'GeometryCollection', geometries: geometries },
+          properties: feature.properties
+        };
+      });
+    })
+    .catch(error => {
+      throw { code: 400, message: error.message };
+    });
+};
+
+/**
+ * Gets the properties that the features of an application carry, the same as the features from Tantalis do.
+ *
+ * @param {Application} application
+ * @returns {object} feature properties
+ */
+const getApplicationProperties = function(application) {
+  return {
+    RESPONSIBLE_BUSINESS_UNIT: application.businessUnit,
+    TENURE_PURPOSE: application.purpose,
+    TENURE_SUBPURPOSE: application.subpurpose,
+    TENURE_STATUS: application.status,
+    TENURE_REASON: application.reason,
+    TENURE_TYPE: application.type,
+    TENURE_STAGE: application.tenureStage,
+    TENURE_SUBTYPE: application.subtype,
+    TENURE_LOCATION: application.location,
+    DISPOSITION_TRANSACTION_SID: application.tantalisID,
+    CROWN_LANDS_FILE: application.cl_file ? _.padStart(String(application.cl_file), 7, '0') : ''
+  };
+};
+
+/**
+ * Saves uploaded features to an application, one at a time.  If any of them fail to save, the ones already saved are
+ * removed.  Like the features from Tantalis, they are published (the application is left as it is).
+ *
+ * Once saved, the features that were uploaded before are deleted if they are being replaced, and the application's
+ * centroid is updated to include the new shapes.
+ *
+ * @param {Application} application Application to add the features to
+ * @param {Array} features features (see read)
+ * @param {boolean} replace whether to delete the features previously uploaded to the application (those from Tantalis
+ *                          are kept)
+ * @param {string} username who uploaded the features, recorded in the audit trail
+ * @returns {Promise} promise that resolves with the new Features, or rejects with an error of the form:
+ *                    { code: number, message: string }
+ */
+exports.addFeatures = function(application, features, replace, username) {
+  const Feature = mongoose.model('Feature');
+
+  const docs = _.map(features, feature => {
+    const properties = Object.assign({}, feature.properties, getApplicationProperties(application));
+
+    // Sized from the shapes, unless given.
+    if (!properties.TENURE_AREA_IN_HECTARES) {
+      const area = turf.area(turf.feature(feature.geometry));
+      properties.FEATURE_AREA_SQM = area;
+      properties.TENURE_AREA_IN_HECTARES = area / 10000;
+    }
+
+    const doc = new Feature({
+      type: 'Feature',
+      geometry: feature.geometry,
+      properties: properties,
+      applicationID: application._id,
+      uploaded: true,
+      tags: [['sysadmin'], ['public']]
+    });
+    Audit.setContext(doc, username);
+    return doc;
+  });
+
+  const saved = [];
+
+  return Promise.all(_.map(docs, doc => doc.validate()))
+    .then(() => {
+      return docs.reduce((previous, doc) => {
+        return previous.then(() => doc.save().then(() => saved.push(doc)));
+      }, Promise.resolve());
+    })
+    .catch(error => {
+      defaultLog.error('Failed to upload features, removing what was saved:', application._id, error);
+
+      return Promise.all(
+        _.map(saved, doc => {
+          return doc.remove().catch(removeError => {
+            defaultLog.error('Failed to remove', doc._id, removeError);
+          });
+        })
+      ).then(() => {
+        throw error;
+      });
+    })
+    .then(() => {
+      if (!replace) {
+        return;
+      }
+
+      const query = {
+        applicationID: application._id,
+        uploaded: true,
+        isDeleted: false,
+        _id: { $nin: _.map(docs, '_id') }
+      };
+      return Feature.find(query).then(previous => {
+        return previous.reduce((chain, feature) => {
+          return chain.then(() => {
+            Audit.setContext(feature, username);
+            return Actions.delete(feature);
+          });
+        }, Promise.resolve());
+      });
+    })
+    .then(() => updateCentroid(application, username))
+    .then(() => {
+      Tiles.invalidate();
+      return docs;
+    })
+    .catch(error => {
+      if (error instanceof Error) {
+        throw { code: error.name === 'ValidationError' ? 400 : 500, message: error.message };
+      }
+      throw error;
+    });
+};
+
+/**
+ * Updates the centroid of an application to the centroid of all of its (non-deleted) features.
+ *
+ * @param {Application} application
+ * @param {string} username who made the change, recorded in the audit trail
+ * @returns {Promise} promise that resolves with the saved application
+ */
+const updateCentroid = function(application, username) {
+  const Feature = mongoose.model('Feature');
+
+  return Feature.find({ applicationID: application._id, isDeleted: false }).then(features => {
+    const centroids = _.map(features, feature => turf.centroid(feature.toObject()));
+    if (!centroids.length) {
+      return application;
+    }
+
+    application.centroid = turf.centroid(turf.featureCollection(centroids)).geometry.coordinates;
+    Audit.setContext(application, username);
+    return application.save();
+  });
+};
@@ -0,0 +1,203 @@
+const FeatureUpload = require('./featureUpload');
+const KML = require('./kml');
+const Shapefile = require('./shapefile');
+
+describe('FeatureUpload', () => {
+  const square = [[[-123.4, 48.4], [-123.4, 48.5], [-123.3, 48.5], [-123.3, 48.4], [-123.4, 48.4]]];
+
+  function file(originalname, content) {
+    return { originalname: originalname, buffer: Buffer.from(content) };
+  }
+
+  function zip(features) {
+    const writer = Shapefile.createWriter('upload');
+
+    return Promise.all(features.map(feature => writer.add(feature)))
+      .then(() => writer.toZip())
+      .then(
+        stream =>
+          new Promise((resolve, reject) => {
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('error', reject);
+            stream.on('end', () => resolve(Buffer.concat(chunks)));
+          })
+      )
+      .then(buffer => writer.remove().then(() => buffer));
+  }
+
+  function expectClose(actual, expected) {
+    expect(actual[0]).toBeCloseTo(expected[0], 4);
+    expect(actual[1]).toBeCloseTo(expected[1], 4);
+  }
+
+  describe('getFormat', () => {
+    it('uses the given format, or else the extension of the file', () => {
+      expect(FeatureUpload.getFormat('parcel.txt', 'geojson')).toEqual('geojson');
+      expect(FeatureUpload.getFormat('parcel.GeoJSON')).toEqual('geojson');
+      expect(FeatureUpload.getFormat('parcel.zip')).toEqual('shapefile');
+    });
+
+    it('throws for an unknown format', () => {
+      expect(() => FeatureUpload.getFormat('parcel.dwg')).toThrow('Unknown format');
+    });
+  });
+
+  describe('getCrs', () => {
+    it('accepts EPSG codes in their different forms', () => {
+      expect(FeatureUpload.getCrs('EPSG:3005')).toEqual('EPSG:3005');
+      expect(FeatureUpload.getCrs('3005')).toEqual('EPSG:3005');
+      expect(FeatureUpload.getCrs('urn:ogc:def:crs:EPSG::3005')).toEqual('EPSG:3005');
+      expect(FeatureUpload.getCrs('urn:ogc:def:crs:OGC:1.3:CRS84')).toEqual('EPSG:4326');
+      expect(FeatureUpload.getCrs(undefined)).toBeNull();
+    });
+
+    it('throws for an unknown CRS', () => {
+      expect(() => FeatureUpload.getCrs('EPSG:99999999')).toThrow('Unknown CRS: EPSG:99999999');
+    });
+  });
+
+  describe('read', () => {
+    it('reads a GeoJSON FeatureCollection, as GeometryCollections', done => {
+      const geojson = {
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: { type: 'Polygon', coordinates: square }, properties: { OBJECTID: 1 } },
+          { type: 'Feature', geometry: { type: 'Point', coordinates: [-123.35, 48.45, 10] }, properties: {} }
+        ]
+      };
+
+      FeatureUpload.read(file('parcels.geojson', JSON.stringify(geojson)))
+        .then(features => {
+          expect(features.length).toEqual(2);
+          expect(features[0]).toEqual({
+            type: 'Feature',
+            geometry: { type: 'GeometryCollection', geometries: [{ type: 'Polygon', coordinates: square }] },
+            properties: { OBJECTID: 1 }
+          });
+          // Altitudes are dropped, and points stored as multipoints.
+          expect(features[1].geometry.geometries[0]).toEqual({ type: 'MultiPoint', coordinates: [[-123.35, 48.45]] });
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('reprojects WKT from the given CRS', done => {
+      FeatureUpload.read(file('parcel.wkt', 'POINT(1195000 382000)'), { crs: 'EPSG:3005' })
+        .then(features => {
+          expectClose(features[0].geometry.geometries[0].coordinates[0], [-123.3704, 48.4212]);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('reprojects EWKT from its SRID', done => {
+      FeatureUpload.read(
+        file('parcel.txt', 'SRID=3005;GEOMETRYCOLLECTION(POINT(1195000 382000),POINT(1195000 382000))')
+      )
+        .then(features => {
+          expect(features.length).toEqual(1);
+          expect(features[0].geometry.geometries.length).toEqual(2);
+          expectClose(features[0].geometry.geometries[1].coordinates[0], [-123.3704, 48.4212]);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('reads the placemarks of a KML document, skipping those without shapes', done => {
+      const kml =
+        KML.getHeader('parcels') +
+        KML.toPlacemark({ _id: 'f1', properties: {}, geometry: { type: 'Polygon', coordinates: square } }) +
+        KML.toPlacemark({ _id: 'f2', properties: {}, geometry: null }) +
+        KML.FOOTER;
+
+      FeatureUpload.read(file('parcels.kml', kml))
+        .then(features => {
+          expect(features.length).toEqual(1);
+          expect(features[0].geometry.geometries).toEqual([{ type: 'Polygon', coordinates: square }]);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('reads the shapefiles of a zip', done => {
+      zip([
+        {
+          _id: 'f1',
+          properties: { CROWN_LANDS_FILE: '7410005' },
+          geometry: {
+            type: 'GeometryCollection',
+            geometries: [{ type: 'Polygon', coordinates: square }, { type: 'Point', coordinates: [-123.35, 48.45] }]
+          }
+        }
+      ])
+        .then(buffer => FeatureUpload.read({ originalname: 'parcels.zip', buffer: buffer }))
+        .then(features => {
+          expect(features.length).toEqual(2);
+          const types = features.map(feature => feature.geometry.geometries[0].type).sort();
+          expect(types).toEqual(['MultiPoint', 'Polygon']);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('rejects shapes that are not in longitude and latitude', done => {
+      FeatureUpload.read(file('parcel.wkt', 'POINT(1195000 382000)'))
+        .then(() => done.fail('should have failed'))
+        .catch(error => {
+          expect(error.message).toEqual(
+            'Invalid shape in feature 1: position [1195000, 382000] is not a longitude and latitude, check the CRS'
+          );
+          done();
+        });
+    });
+
+    it('rejects polygons whose edges cross', done => {
+      const bowtie = { type: 'Polygon', coordinates: [[[0, 0], [1, 1], [1, 0], [0, 1], [0, 0]]] };
+
+      FeatureUpload.read(file('parcel.geojson', JSON.stringify(bowtie)))
+        .then(() => done.fail('should have failed'))
+        .catch(error => {
+          expect(error.message).toEqual('Invalid shape in feature 1: polygon edges cross each other');
+          done();
+        });
+    });
+
+    it('rejects unclosed polygons', done => {
+      const open = { type: 'Polygon', coordinates: [[[0, 0], [0, 1], [1, 1], [1, 0]]] };
+
+      FeatureUpload.read(file('parcel.geojson', JSON.stringify(open)))
+        .then(() => done.fail('should have failed'))
+        .catch(error => {
+          expect(error.message).toMatch('polygon ring must be closed');
+          done();
+        });
+    });
+
+    it('rejects files that cannot be parsed', done => {
+      Promise.all([
+        FeatureUpload.read(file('parcel.geojson', '{ "type": ')).catch(error => error.message),
+        FeatureUpload.read(file('parcel.kml', '<kml><Placemark>')).catch(error => error.message),
+        FeatureUpload.read(file('parcel.wkt', 'POLYGON((0 0')).catch(error => error.message),
+        FeatureUpload.read(file('parcel.zip', 'not a zip')).catch(error => error.message)
+      ])
+        .then(messages => {
+          expect(messages[0]).toMatch('Invalid GeoJSON');
+          expect(messages[1]).toMatch('Invalid KML');
+          expect(messages[2]).toMatch('Invalid WKT');
+          expect(messages[3]).toMatch('Invalid zip');
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('rejects files without shapes', done => {
+      FeatureUpload.read(file('parcels.geojson', JSON.stringify({ type: 'FeatureCollection', features: [] })))
+        .then(() => done.fail('should have failed'))
+        .catch(error => {
+          expect(error).toEqual({ code: 400, message: 'Invalid file: no shapes found' });
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * This file contains utility functions for responding with GeoJSON (https://tools.ietf.org/html/rfc7946), so that GIS
+ * tools (eg: QGIS) can load features straight from the API.
+ *
+ * Features are responded with as a FeatureCollection, whose features carry the id and meta of their application in
+ * their properties.  The collection has a bbox, and when paged (pageNum), links to the next and previous pages.
+ */
+
+const _ = require('lodash');
+const qs = require('qs');
+const turf = require('@turf/turf');
+
+exports.MEDIA_TYPE = 'application/geo+json';
+
+// Application fields carried in the properties of each feature.
+exports.APPLICATION_FIELDS = [
+  'name',
+  'cl_file',
+  'client',
+  'businessUnit',
+  'purpose',
+  'subpurpose',
+  'type',
+  'subtype',
+  'status',
+  'reason',
+  'tenureStage',
+  'statusHistoryEffectiveDate'
+];
+
+/**
+ * Whether GeoJSON is asked for, either with ?format=geojson, or by accepting application/geo+json.
+ *
+ * @param {object} args swagger-tools request
+ * @returns {boolean}
+ */
+exports.isRequested = function(args) {
+  if (args.swagger.params.format && args.swagger.params.format.value !== undefined) {
+    return args.swagger.params.format.value === 'geojson';
+  }
+
+  const accept = (args.headers && args.headers.accept) || '';
+  return accept.includes(exports.MEDIA_TYPE);
+};
+
+/**
+ * Converts a feature to a GeoJSON Feature.
+ *
+ * @param {Feature} feature feature
+ * @param {object} [application] the feature's application, if it can be seen (optional)
+ * @returns {object} GeoJSON Feature
+ */
+exports.toFeature = function(feature, application) {
+  const properties = Object.assign({}, feature.properties, {
+    applicationID: feature.applicationID ? String(feature.applicationID) : null
+  });
+
+  _.forEach(exports.APPLICATION_FIELDS, field => {
+    properties[field] = application && application[field] !== undefined ? application[field] : null;
+  });
+
+  return {
+    type: 'Feature',
+    id: String(feature._id),
+    geometry: exports.toGeometry(feature.geometry),
+    properties: properties
+  };
+};
+
+/**
+ * Converts a stored geometry to a GeoJSON geometry, leaving out the ids mongoose gives each geometry of a collection.
+ *
+ * @param {object} geometry stored geometry (always a GeometryCollection, see TTLSUtils.getApplicationByDispositionID)
+ * @returns {object} GeoJSON geometry, or null if there is none
+ */
+exports.toGeometry = function(geometry) {
+  if (!geometry || !geometry.type) {
+    return null;
+  }
+
+  if (!geometry.geometries) {
+    return geometry;
+  }
+
+  return {
+    type: geometry.type,
+    geometries: _.map(geometry.geometries, part => ({ type: part.type, coordinates: part.coordinates }))
+  };
+};
+
+/**
+ * Gets the bounding box of some GeoJSON Features.
+ *
+ * @param {Array} features GeoJSON Features
+ * @returns {Array} bbox of the form: [west, south, east, north], or undefined if none of the features have a geometry
+ */
+exports.getBbox = function(features) {
+  const located = _.filter(
+    features,
+    feature => feature.geometry && (feature.geometry.coordinates || !_.isEmpty(feature.geometry.geometries))
+  );
+  if (!located.length) {
+    return undefined;
+  }
+
+  return turf.bbox(turf.featureCollection(located));
+};
+
+/**
+ * Gets the links of a page of features: itself, and the next and previous pages.
+ *
+ * @param {object} args swagger-tools request
+ * @param {object} page object of the form: { skip: number, limit: number, total: number, returned: number }
+ * @returns {Array} links of the form: [{ href: string, rel: string, type: string }]
+ */
+exports.getLinks = function(args, page) {
+  const url = args.originalUrl || args.url || '';
+  const path = url.split('?')[0];
+  const query = qs.parse(url.split('?')[1] || '');
+
+  const headers = args.headers || {};
+  const protocol = headers['x-forwarded-proto'] || args.protocol || 'http';
+  const base = headers.host ? `${protocol}://${headers.host}${path}` : path;
+
+  const getLink = function(rel, params) {
+    return { href: `${base}?${qs.stringify(Object.assign({}, query, params))}`, rel: rel, type: exports.MEDIA_TYPE };
+  };
+
+  const links = [getLink('self', {})];
+
+  if (page.limit) {
+    const pageNum = Math.floor(page.skip / page.limit);
+    if (page.skip + page.returned < page.total) {
+      links.push(getLink('next', { pageNum: pageNum + 1, pageSize: page.limit }));
+    }
+    if (pageNum > 0) {
+      links.push(getLink('prev', { pageNum: pageNum - 1, pageSize: page.limit }));
+    }
+  }
+
+  return links;
+};
+
+/**
+ * Converts a page of features to a GeoJSON FeatureCollection.
+ *
+ * @param {object} args swagger-tools request
+ * @param {Array} features features
+ * @param {Array} applications the applications of the features that can be seen
+ * @param {object} page object of the form: { skip: number, limit: number, total: number }
+ * @returns {object} GeoJSON FeatureCollection
+ */
+exports.toFeatureCollection = function(args, features, applications, page) {
+  const applicationsById = _.keyBy(applications, application => String(application._id));
+  const geoFeatures = _.map(features, feature =>
+    exports.toFeature(feature, applicationsById[String(feature.applicationID)])
+  );
+
+  const collection = { type: 'FeatureCollection' };
+
+  const bbox = exports.getBbox(geoFeatures);
+  if (bbox) {
+    collection.bbox = bbox;
+  }
+
+  collection.features = geoFeatures;
+  collection.numberMatched = page.total;
+  collection.numberReturned = geoFeatures.length;
+  collection.links = exports.getLinks(args, Object.assign({ returned: geoFeatures.length }, page));
+
+  return collection;
+};
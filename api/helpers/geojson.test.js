@@ -0,0 +1,108 @@
+const GeoJSON = require('./geojson');
+
+describe('GeoJSON', () => {
+  function createArgs(format, headers, originalUrl) {
+    return {
+      swagger: { params: { format: { value: format } } },
+      headers: headers || {},
+      originalUrl: originalUrl,
+      protocol: 'http'
+    };
+  }
+
+  describe('isRequested', () => {
+    it('is requested with ?format=geojson', () => {
+      expect(GeoJSON.isRequested(createArgs('geojson'))).toBeTruthy();
+    });
+
+    it('is requested by accepting application/geo+json', () => {
+      expect(GeoJSON.isRequested(createArgs(undefined, { accept: 'application/geo+json' }))).toBeTruthy();
+    });
+
+    it('is not requested by default, or with ?format=json', () => {
+      expect(GeoJSON.isRequested(createArgs(undefined, { accept: 'application/json' }))).toBeFalsy();
+      expect(GeoJSON.isRequested(createArgs('json', { accept: 'application/geo+json' }))).toBeFalsy();
+    });
+  });
+
+  describe('toFeature', () => {
+    it('carries the application id and meta in its properties, and leaves out geometry ids', () => {
+      const feature = {
+        _id: 'f1',
+        applicationID: 'a1',
+        geometry: { type: 'GeometryCollection', geometries: [{ _id: 'g1', type: 'Point', coordinates: [-123, 48] }] },
+        properties: { TENURE_STATUS: 'ACCEPTED' }
+      };
+
+      expect(GeoJSON.toFeature(feature, { _id: 'a1', name: '7410005', status: 'ACCEPTED' })).toEqual({
+        type: 'Feature',
+        id: 'f1',
+        geometry: { type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [-123, 48] }] },
+        properties: {
+          TENURE_STATUS: 'ACCEPTED',
+          applicationID: 'a1',
+          name: '7410005',
+          cl_file: null,
+          client: null,
+          businessUnit: null,
+          purpose: null,
+          subpurpose: null,
+          type: null,
+          subtype: null,
+          status: 'ACCEPTED',
+          reason: null,
+          tenureStage: null,
+          statusHistoryEffectiveDate: null
+        }
+      });
+    });
+
+    it('has a null geometry if the feature has none', () => {
+      expect(GeoJSON.toFeature({ _id: 'f1', properties: {} }).geometry).toBeNull();
+    });
+  });
+
+  describe('getLinks', () => {
+    const url = '/api/public/feature?format=geojson&pageNum=1&pageSize=10';
+    const args = createArgs('geojson', { host: 'api.example.com', 'x-forwarded-proto': 'https' }, url);
+
+    it('links to the next and previous pages', () => {
+      expect(GeoJSON.getLinks(args, { skip: 10, limit: 10, total: 25, returned: 10 })).toEqual([
+        {
+          href: 'https://api.example.com/api/public/feature?format=geojson&pageNum=1&pageSize=10',
+          rel: 'self',
+          type: 'application/geo+json'
+        },
+        {
+          href: 'https://api.example.com/api/public/feature?format=geojson&pageNum=2&pageSize=10',
+          rel: 'next',
+          type: 'application/geo+json'
+        },
+        {
+          href: 'https://api.example.com/api/public/feature?format=geojson&pageNum=0&pageSize=10',
+          rel: 'prev',
+          type: 'application/geo+json'
+        }
+      ]);
+    });
+
+    it('only links to itself if it is not paged', () => {
+      expect(GeoJSON.getLinks(args, { skip: 0, total: 25, returned: 25 }).map(link => link.rel)).toEqual(['self']);
+    });
+  });
+
+  describe('getBbox', () => {
+    it('returns the bbox of the features with a geometry', () => {
+      const features = [
+        { geometry: { type: 'Point', coordinates: [-123, 48] } },
+        { geometry: { type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [-122, 49] }] } },
+        { geometry: null }
+      ];
+      expect(GeoJSON.getBbox(features)).toEqual([-123, 48, -122, 49]);
+    });
+
+    it('returns nothing if no features have a geometry', () => {
+      expect(GeoJSON.getBbox([{ geometry: null }])).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * This file contains the http client used for calls to external APIs (Tantalis, WebADE), which would otherwise hang,
+ * or fail outright, whenever the API is slow or briefly unavailable.
+ *
+ * Usage:
+ * const client = HttpClient.create('tantalis');
+ * client.get({ url, auth }, function(err, res, body) {...}); // same options and callback as request.get
+ *
+ * 1. Every request times out.
+ * 2. Requests that fail with a network error (including a timeout) or a 5xx response are retried, with exponential
+ *    backoff.  Any other response is passed straight to the callback.
+ * 3. Each client has a circuit breaker:
+ *    a. closed: requests are made as normal.  After enough requests in a row have failed (once retries are used up),
+ *       the circuit opens.
+ *    b. open: requests fail immediately with { code: 503 }, without calling the API, until the reset timeout passes.
+ *    c. half-open: a single trial request is made.  If it succeeds the circuit closes, otherwise it opens again.
+ */
+
+const request = require('request');
+const defaultLog = require('./logger')('httpClient');
+
+exports.CLOSED = 'closed';
+exports.OPEN = 'open';
+exports.HALF_OPEN = 'half-open';
+
+const DEFAULT_OPTIONS = {
+  // How long to wait for a connection, or for the response to send more data, in milliseconds.
+  timeout: Number(process.env.HTTP_CLIENT_TIMEOUT) || 30 * 1000,
+  // How many times to retry a failed request.
+  retries: process.env.HTTP_CLIENT_RETRIES !== undefined ? Number(process.env.HTTP_CLIENT_RETRIES) : 2,
+  // How long to wait before the first retry, in milliseconds.  Doubles with each retry after that.
+  retryDelay: Number(process.env.HTTP_CLIENT_RETRY_DELAY) || 200,
+  // How many failed requests in a row open the circuit.
+  failureThreshold: Number(process.env.HTTP_CLIENT_FAILURE_THRESHOLD) || 5,
+  // How long the circuit stays open before a trial request is let through, in milliseconds.
+  resetTimeout: Number(process.env.HTTP_CLIENT_RESET_TIMEOUT) || 30 * 1000
+};
+
+// Every client created, by name.  Used to report the state of their circuits.
+const clients = {};
+
+/**
+ * True if an attempt failed in a way that is worth retrying, and that counts against the circuit.
+ *
+ * @param {*} err request error, if any
+ * @param {object} res response, if any
+ * @returns {boolean}
+ */
+const isFailure = function(err, res) {
+  return !!err || !res || res.statusCode >= 500;
+};
+
+/**
+ * Creates a client, with its own circuit breaker.
+ *
+ * @param {string} name name of the API, used in logs and in the circuit state
+ * @param {object} [options] overrides of the default options (see DEFAULT_OPTIONS) (optional)
+ * @returns {object} the client, with get, getState and reset functions
+ */
+exports.create = function(name, options) {
+  const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+
+  let state = exports.CLOSED;
+  let failures = 0;
+  let openedAt = null;
+  let trialInProgress = false;
+
+  /**
+   * True if a request can be made now, moving an open circuit to half-open once the reset timeout has passed.
+   *
+   * @returns {boolean}
+   */
+  const allowRequest = function() {
+    if (state === exports.OPEN && Date.now() >= openedAt + settings.resetTimeout) {
+      defaultLog.info(`${name} circuit is half-open, trying a request.`);
+      state = exports.HALF_OPEN;
+      trialInProgress = false;
+    }
+
+    if (state === exports.HALF_OPEN) {
+      if (trialInProgress) {
+        return false;
+      }
+      trialInProgress = true;
+      return true;
+    }
+
+    return state === exports.CLOSED;
+  };
+
+  /**
+   * Closes the circuit after a successful request.
+   */
+  const recordSuccess = function() {
+    if (state !== exports.CLOSED) {
+      defaultLog.info(`${name} circuit is closed.`);
+    }
+    state = exports.CLOSED;
+    failures = 0;
+    openedAt = null;
+    trialInProgress = false;
+  };
+
+  /**
+   * Counts a failed request, opening the circuit if there have been too many in a row, or if it was the trial request.
+   */
+  const recordFailure = function() {
+    failures++;
+    if (state === exports.HALF_OPEN || failures >= settings.failureThreshold) {
+      if (state !== exports.OPEN) {
+        defaultLog.warn(`${name} circuit is open, after ${failures} failed requests.`);
+      }
+      state = exports.OPEN;
+      openedAt = Date.now();
+      trialInProgress = false;
+    }
+  };
+
+  const client = {};
+
+  /**
+   * Makes a GET request, retrying it if it fails, unless the circuit is open.
+   *
+   * @param {object} requestOptions request options (see the request package), without the timeout
+   * @param {function} callback called once, with (err, res, body), with the result of the last attempt.  If the circuit
+   *                            is open, err is of the form { code: 503, message: string }
+   */
+  client.get = function(requestOptions, callback) {
+    if (!allowRequest()) {
+      callback({ code: 503, message: `${name} API is unavailable, try again later.` });
+      return;
+    }
+
+    const attempt = function(attemptNumber) {
+      request.get(Object.assign({ timeout: settings.timeout }, requestOptions), function(err, res, body) {
+        if (isFailure(err, res) && attemptNumber < settings.retries) {
+          const delay = settings.retryDelay * Math.pow(2, attemptNumber);
+          defaultLog.warn(
+            `${name} request failed (${err ? err.code || err.message : res.statusCode}), retrying in ${delay}ms:`,
+            requestOptions.url
+          );
+          setTimeout(() => attempt(attemptNumber + 1), delay);
+          return;
+        }
+
+        if (isFailure(err, res)) {
+          recordFailure();
+        } else {
+          recordSuccess();
+        }
+
+        callback(err, res, body);
+      });
+    };
+
+    attempt(0);
+  };
+
+  /**
+   * Gets the state of the client's circuit.
+   *
+   * @returns {object} object of the form: { name: string, state: string, failures: number, openedAt: Date | null }
+   */
+  client.getState = function() {
+    return { name: name, state: state, failures: failures, openedAt: openedAt && new Date(openedAt) };
+  };
+
+  /**
+   * Closes the client's circuit, and forgets any failures.
+   */
+  client.reset = function() {
+    recordSuccess();
+  };
+
+  clients[name] = client;
+
+  return client;
+};
+
+/**
+ * Gets the state of every client's circuit.
+ *
+ * @returns {array} array of circuit states (see client.getState)
+ */
+exports.getStates = function() {
+  return Object.keys(clients).map(name => clients[name].getState());
+};
@@ -0,0 +1,166 @@
+const HttpClient = require('./httpClient');
+const nock = require('nock');
+const http = require('http');
+
+describe('HttpClient', () => {
+  const domain = 'https://example.gov.bc.ca';
+  const path = '/things';
+  const url = domain + path;
+  const api = nock(domain);
+
+  let client;
+  beforeEach(() => {
+    client = HttpClient.create('test', {
+      timeout: 50,
+      retries: 2,
+      retryDelay: 1,
+      failureThreshold: 2,
+      resetTimeout: 50
+    });
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('get', () => {
+    it('retries 5xx responses until one succeeds', done => {
+      api
+        .get(path)
+        .times(2)
+        .reply(503);
+      api.get(path).reply(200, 'OK');
+
+      client.get({ url }, (err, res, body) => {
+        expect(err).toBeNull();
+        expect(res.statusCode).toEqual(200);
+        expect(body).toEqual('OK');
+        expect(nock.isDone()).toBeTruthy();
+        done();
+      });
+    });
+
+    it('retries network errors', done => {
+      api.get(path).replyWithError({ code: 'ECONNRESET' });
+      api.get(path).reply(200, 'OK');
+
+      client.get({ url }, (err, res) => {
+        expect(err).toBeNull();
+        expect(res.statusCode).toEqual(200);
+        done();
+      });
+    });
+
+    it('retries requests that time out', done => {
+      // a local server, as the timeout is on the socket.  Slow to respond to the first request only.
+      let requestCount = 0;
+      const server = http.createServer((req, res) => {
+        const delay = requestCount++ === 0 ? 200 : 0;
+        setTimeout(() => res.end(delay ? 'SLOW' : 'OK'), delay);
+      });
+
+      server.listen(0, () => {
+        client.get({ url: `http://localhost:${server.address().port}${path}` }, (err, res, body) => {
+          expect(err).toBeNull();
+          expect(body).toEqual('OK');
+          expect(requestCount).toEqual(2);
+          server.close(done);
+        });
+      });
+    });
+
+    it('does not retry other responses', done => {
+      api.get(path).reply(404);
+
+      client.get({ url }, (err, res) => {
+        expect(res.statusCode).toEqual(404);
+        expect(nock.isDone()).toBeTruthy();
+        expect(client.getState().failures).toEqual(0);
+        done();
+      });
+    });
+
+    it('gives up after the last retry, with the last response', done => {
+      api
+        .get(path)
+        .times(3)
+        .reply(500);
+
+      client.get({ url }, (err, res) => {
+        expect(res.statusCode).toEqual(500);
+        expect(nock.isDone()).toBeTruthy();
+        expect(client.getState().failures).toEqual(1);
+        done();
+      });
+    });
+  });
+
+  describe('circuit breaker', () => {
+    // Fails enough requests in a row to open the circuit.
+    const openCircuit = () => {
+      api
+        .get(path)
+        .times(6)
+        .reply(500);
+      return new Promise(resolve => client.get({ url }, resolve)).then(
+        () => new Promise(resolve => client.get({ url }, resolve))
+      );
+    };
+
+    it('opens after enough failed requests in a row, and fails fast', done => {
+      openCircuit().then(() => {
+        expect(client.getState().state).toEqual(HttpClient.OPEN);
+
+        client.get({ url }, err => {
+          expect(err).toEqual({ code: 503, message: 'test API is unavailable, try again later.' });
+          done();
+        });
+      });
+    });
+
+    it('closes again after a successful trial request', done => {
+      openCircuit()
+        .then(() => new Promise(resolve => setTimeout(resolve, 60)))
+        .then(() => {
+          api.get(path).reply(200, 'OK');
+
+          client.get({ url }, (err, res) => {
+            expect(res.statusCode).toEqual(200);
+            expect(client.getState()).toEqual({ name: 'test', state: HttpClient.CLOSED, failures: 0, openedAt: null });
+            done();
+          });
+        });
+    });
+
+    it('only lets one trial request through, and opens again if it fails', done => {
+      openCircuit()
+        .then(() => new Promise(resolve => setTimeout(resolve, 60)))
+        .then(() => {
+          api
+            .get(path)
+            .times(3)
+            .reply(500);
+
+          client.get({ url }, () => {
+            expect(client.getState().state).toEqual(HttpClient.OPEN);
+            done();
+          });
+
+          expect(client.getState().state).toEqual(HttpClient.HALF_OPEN);
+          client.get({ url }, err => {
+            expect(err.code).toEqual(503);
+          });
+        });
+    });
+  });
+
+  describe('getStates', () => {
+    it('reports the state of every client', () => {
+      HttpClient.create('other');
+
+      const names = HttpClient.getStates().map(state => state.name);
+      expect(names).toContain('test');
+      expect(names).toContain('other');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+/**
+ * This file contains utility functions for working with the interested parties (applicants) of an application.
+ *
+ * Interested parties come from Tantalis, and are stored on the application as subdocuments, each with their own security
+ * tags, so that a party (eg: an individual) can be hidden from the public while the rest of the application is
+ * published.  The application's client is derived from the parties that the public can see.
+ */
+
+const _ = require('lodash');
+
+// Individual or Organization.
+exports.INDIVIDUAL = 'I';
+exports.ORGANIZATION = 'O';
+
+/**
+ * Gets the name of an interested party: the full name of an individual, or the legal name of an organization.
+ *
+ * @param {object} party interested party
+ * @returns {string}
+ */
+exports.getName = function(party) {
+  if (party.interestedPartyType === exports.ORGANIZATION) {
+    return party.legalName || '';
+  }
+  return _.compact([party.firstName, party.lastName]).join(' ');
+};
+
+/**
+ * True if the public can see the interested party.
+ *
+ * @param {object} party interested party
+ * @returns {boolean}
+ */
+exports.isPublic = function(party) {
+  return !!_.find(party.tags, tag => _.isEqual(tag, ['public']));
+};
+
+/**
+ * Gets the client of an application: the names of the interested parties that the public can see.
+ *
+ * @param {Array} parties interested parties
+ * @returns {string} comma separated names
+ */
+exports.getClient = function(parties) {
+  return _.map(_.filter(parties, party => exports.isPublic(party)), party => party.name).join(', ');
+};
+
+/**
+ * Gets the interested parties to store on an application from its Tantalis interested parties.
+ *
+ * A party that the application already has (same type and name) keeps its _id and tags, so that hiding a party from the
+ * public survives a refresh.  New parties are public, as the client always has been.
+ *
+ * @param {Array} existingParties interested parties already on the application, if any
+ * @param {Array} tantalisParties interested parties from Tantalis (see ttlsUtils.getApplicationByDispositionID)
+ * @returns {Array} interested parties
+ */
+exports.getInterestedParties = function(existingParties, tantalisParties) {
+  return _.map(tantalisParties, tantalisParty => {
+    const party = {
+      interestedPartyType: tantalisParty.interestedPartyType,
+      firstName: tantalisParty.firstName,
+      lastName: tantalisParty.lastName,
+      legalName: tantalisParty.legalName,
+      divisionBranch: tantalisParty.divisionBranch,
+      name: exports.getName(tantalisParty),
+      tags: [['sysadmin'], ['public']]
+    };
+
+    const existing = _.find(existingParties, candidate => {
+      return candidate.interestedPartyType === party.interestedPartyType && candidate.name === party.name;
+    });
+
+    if (existing) {
+      party._id = existing._id;
+      party.tags = existing.tags;
+    }
+
+    return party;
+  });
+};
+
+/**
+ * Sets the tags of an application's interested parties, matched by _id.  Parties not included are left as they are.
+ *
+ * @param {Array} parties interested parties on the application
+ * @param {Array} changes objects of the form: { _id: string, tags: [[string]] }
+ */
+exports.setTags = function(parties, changes) {
+  _.each(changes, change => {
+    const party = _.find(parties, candidate => String(candidate._id) === String(change._id));
+    if (party && change.tags) {
+      party.tags = change.tags;
+    }
+  });
+};
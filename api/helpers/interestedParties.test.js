@@ -0,0 +1,81 @@
+const InterestedParties = require('./interestedParties');
+
+describe('InterestedParties', () => {
+  const organization = { interestedPartyType: 'O', legalName: 'Megacorp', divisionBranch: 'Evil Division' };
+  const individual = { interestedPartyType: 'I', firstName: 'Ajit', lastName: 'Pai' };
+
+  describe('getName', () => {
+    it('returns the legal name of an organization', () => {
+      expect(InterestedParties.getName(organization)).toEqual('Megacorp');
+    });
+
+    it('returns the full name of an individual', () => {
+      expect(InterestedParties.getName(individual)).toEqual('Ajit Pai');
+    });
+
+    it('leaves out missing names', () => {
+      expect(InterestedParties.getName({ interestedPartyType: 'I', lastName: 'Pai' })).toEqual('Pai');
+    });
+  });
+
+  describe('getClient', () => {
+    it('returns the names of the public parties', () => {
+      const parties = [
+        { name: 'Megacorp', tags: [['sysadmin'], ['public']] },
+        { name: 'Ajit Pai', tags: [['sysadmin']] },
+        { name: 'Tiny Co', tags: [['sysadmin'], ['public']] }
+      ];
+      expect(InterestedParties.getClient(parties)).toEqual('Megacorp, Tiny Co');
+    });
+
+    it('returns an empty string when there are no public parties', () => {
+      expect(InterestedParties.getClient([])).toEqual('');
+    });
+  });
+
+  describe('getInterestedParties', () => {
+    it('makes new parties public', () => {
+      expect(InterestedParties.getInterestedParties([], [organization, individual])).toEqual([
+        {
+          interestedPartyType: 'O',
+          firstName: undefined,
+          lastName: undefined,
+          legalName: 'Megacorp',
+          divisionBranch: 'Evil Division',
+          name: 'Megacorp',
+          tags: [['sysadmin'], ['public']]
+        },
+        {
+          interestedPartyType: 'I',
+          firstName: 'Ajit',
+          lastName: 'Pai',
+          legalName: undefined,
+          divisionBranch: undefined,
+          name: 'Ajit Pai',
+          tags: [['sysadmin'], ['public']]
+        }
+      ]);
+    });
+
+    it('keeps the _id and tags of parties the application already has', () => {
+      const existing = [{ _id: 'PARTY_ID', interestedPartyType: 'I', name: 'Ajit Pai', tags: [['sysadmin']] }];
+
+      const parties = InterestedParties.getInterestedParties(existing, [organization, individual]);
+      expect(parties[0]._id).toBeUndefined();
+      expect(parties[1]._id).toEqual('PARTY_ID');
+      expect(parties[1].tags).toEqual([['sysadmin']]);
+    });
+  });
+
+  describe('setTags', () => {
+    it('sets the tags of the matching parties only', () => {
+      const parties = [
+        { _id: 'ONE', tags: [['sysadmin'], ['public']] },
+        { _id: 'TWO', tags: [['sysadmin'], ['public']] }
+      ];
+
+      InterestedParties.setTags(parties, [{ _id: 'TWO', tags: [['sysadmin']] }, { _id: 'THREE', tags: [] }]);
+      expect(parties).toEqual([{ _id: 'ONE', tags: [['sysadmin'], ['public']] }, { _id: 'TWO', tags: [['sysadmin']] }]);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * This file contains utility functions for exporting features as a KML document
+ * (https://developers.google.com/kml/documentation/kmlreference), for Google Earth and GIS tools.
+ *
+ * The document is written in pieces (the header, a placemark per feature, then the footer), so that large exports can
+ * be streamed from the database.  Each placemark carries the feature's properties, and the ids of the feature and its
+ * application, as extended data.
+ */
+
+const _ = require('lodash');
+
+exports.MEDIA_TYPE = 'application/vnd.google-earth.kml+xml';
+
+/**
+ * Escapes text for XML.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const escape = function(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+const toCoordinates = function(positions) {
+  return _.map(positions, position => `${position[0]},${position[1]}`).join(' ');
+};
+
+const toRing = function(ring) {
+  return `<LinearRing><coordinates>${toCoordinates(ring)}</coordinates></LinearRing>`;
+};
+
+const toPolygon = function(rings) {
+  const outer = `<outerBoundaryIs>${toRing(rings[0])}</outerBoundaryIs>`;
+  const inner = _.map(rings.slice(1), ring => `<innerBoundaryIs>${toRing(ring)}</innerBoundaryIs>`).join('');
+  return `<Polygon>${outer}${inner}</Polygon>`;
+};
+
+/**
+ * Converts a GeoJSON geometry to KML.
+ *
+ * @param {object} geometry GeoJSON geometry
+ * @returns {string} KML geometry, or an empty string if there is none
+ */
+exports.toGeometry = function(geometry) {
+  if (!geometry || !geometry.type) {
+    return '';
+  }
+
+  switch (geometry.type) {
+    case 'Point':
+      return `<Point><coordinates>${toCoordinates([geometry.coordinates])}</coordinates></Point>`;
+    case 'LineString':
+      return `<LineString><coordinates>${toCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+    case 'Polygon':
+      return toPolygon(geometry.coordinates);
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon':
+      return exports.toGeometry({
+        type: 'GeometryCollection',
+        geometries: _.map(geometry.coordinates, coordinates => ({
+          type: geometry.type.replace('Multi', ''),
+          coordinates: coordinates
+        }))
+      });
+    case 'GeometryCollection': {
+      const geometries = _.map(geometry.geometries, exports.toGeometry).join('');
+      return geometries ? `<MultiGeometry>${geometries}</MultiGeometry>` : '';
+    }
+    default:
+      return '';
+  }
+};
+
+/**
+ * Gets the start of a KML document.
+ *
+ * @param {string} name name of the document
+ * @returns {string}
+ */
+exports.getHeader = function(name) {
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+    `<Document><name>${escape(name)}</name>\n`
+  );
+};
+
+// The end of a KML document.
+exports.FOOTER = '</Document>\n</kml>\n';
+
+/**
+ * Converts a feature to a KML placemark.
+ *
+ * @param {Feature} feature feature
+ * @returns {string}
+ */
+exports.toPlacemark = function(feature) {
+  const properties = Object.assign({ featureID: String(feature._id) }, feature.properties, {
+    applicationID: feature.applicationID ? String(feature.applicationID) : null
+  });
+  const name = properties.CROWN_LANDS_FILE || properties.TENURE_LEGAL_DESCRIPTION || String(feature._id);
+
+  const data = _.map(
+    _.omitBy(properties, value => value === null || value === undefined || value === ''),
+    (value, key) => `<Data name="${escape(key)}"><value>${escape(value)}</value></Data>`
+  ).join('');
+
+  return (
+    `<Placemark><name>${escape(name)}</name>` +
+    `<ExtendedData>${data}</ExtendedData>${exports.toGeometry(feature.geometry)}</Placemark>\n`
+  );
+};
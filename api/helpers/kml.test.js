@@ -0,0 +1,57 @@
+const KML = require('./kml');
+
+describe('KML', () => {
+  describe('toGeometry', () => {
+    it('converts a polygon, with its holes', () => {
+      const polygon = {
+        type: 'Polygon',
+        coordinates: [
+          [[-123.4, 48.4], [-123.3, 48.4], [-123.3, 48.5], [-123.4, 48.4]],
+          [[-123.38, 48.42], [-123.37, 48.43], [-123.36, 48.42], [-123.38, 48.42]]
+        ]
+      };
+
+      expect(KML.toGeometry(polygon)).toEqual(
+        '<Polygon><outerBoundaryIs><LinearRing>' +
+          '<coordinates>-123.4,48.4 -123.3,48.4 -123.3,48.5 -123.4,48.4</coordinates>' +
+          '</LinearRing></outerBoundaryIs><innerBoundaryIs><LinearRing>' +
+          '<coordinates>-123.38,48.42 -123.37,48.43 -123.36,48.42 -123.38,48.42</coordinates>' +
+          '</LinearRing></innerBoundaryIs></Polygon>'
+      );
+    });
+
+    it('converts a GeometryCollection to a MultiGeometry', () => {
+      const collection = {
+        type: 'GeometryCollection',
+        geometries: [{ type: 'Point', coordinates: [-123, 49] }, { type: 'MultiPoint', coordinates: [[-124, 50]] }]
+      };
+
+      expect(KML.toGeometry(collection)).toEqual(
+        '<MultiGeometry><Point><coordinates>-123,49</coordinates></Point>' +
+          '<MultiGeometry><Point><coordinates>-124,50</coordinates></Point></MultiGeometry></MultiGeometry>'
+      );
+    });
+
+    it('converts an empty geometry to nothing', () => {
+      expect(KML.toGeometry({ type: '', geometries: [] })).toEqual('');
+      expect(KML.toGeometry({ type: 'GeometryCollection', geometries: [] })).toEqual('');
+      expect(KML.toGeometry(null)).toEqual('');
+    });
+  });
+
+  describe('toPlacemark', () => {
+    it('is named after the file, and carries the escaped properties and ids as extended data', () => {
+      const placemark = KML.toPlacemark({
+        _id: 'f1',
+        applicationID: 'a1',
+        properties: { CROWN_LANDS_FILE: '7410005', TENURE_LOCATION: 'Fish & Chips <Shop>', TENURE_REASON: '' }
+      });
+
+      expect(placemark).toMatch('<name>7410005</name>');
+      expect(placemark).toMatch('<Data name="featureID"><value>f1</value></Data>');
+      expect(placemark).toMatch('<Data name="applicationID"><value>a1</value></Data>');
+      expect(placemark).toMatch('<Data name="TENURE_LOCATION"><value>Fish &amp; Chips &lt;Shop&gt;</value></Data>');
+      expect(placemark).not.toMatch('TENURE_REASON');
+    });
+  });
+});
@@ -1,5 +1,6 @@
 var mongoose = require('mongoose');
 const defaultLog = require('./logger')('models');
+const Audit = require('./audit');
 var _ = require('lodash');
 
 /**
@@ -12,6 +13,8 @@ var _ = require('lodash');
 var genSchema = function(name, definition) {
   // model properties
   let indexes = [];
+  let audit = false;
+  let immutable = false;
 
   // parse out model properties
   _.forEach(definition, function(value, key) {
@@ -20,7 +23,13 @@ var genSchema = function(name, definition) {
 
       switch (key.substr(2)) {
         case 'index':
-          indexes.push(value);
+          indexes = indexes.concat(value);
+          break;
+        case 'audit':
+          audit = value;
+          break;
+        case 'immutable':
+          immutable = value;
           break;
       }
     }
@@ -35,12 +44,27 @@ var genSchema = function(name, definition) {
   var schema = new mongoose.Schema(definition, options);
 
   // add model properties - post schema creation
+  // each index is either its fields, or of the form: { fields: object, options: object }
   if (indexes && indexes.length) {
     _.forEach(indexes, function(value) {
-      schema.index(value);
+      if (value.fields) {
+        schema.index(value.fields, value.options);
+      } else {
+        schema.index(value);
+      }
     });
   }
 
+  // record an audit trail of every save
+  if (audit) {
+    schema.plugin(Audit.auditPlugin, _.assign({ objectType: name }, _.isObject(audit) ? audit : {}));
+  }
+
+  // only allow new documents to be created, never changed or removed
+  if (immutable) {
+    schema.plugin(Audit.immutablePlugin);
+  }
+
   return schema;
 };
 
@@ -7,15 +7,39 @@ module.exports = require('../models')('Application', {
   centroid: [{ type: Number, default: 0.0 }], // updated by daily script
 
   cl_file: { type: Number, default: 0 },
-  client: { type: String, default: '' },
+  client: { type: String, default: '' }, // derived from interestedParties
   _createdBy: { type: String, default: '' }, // updated by API
   createdDate: { type: Date, default: Date.now }, // updated by API
   description: { type: String, default: '' },
+
+  // Interested parties (applicants), from Tantalis.  Each has its own tags, so that a party can be hidden from the
+  // public.  The client is derived from the public parties (see helpers/interestedParties.js).
+  interestedParties: [
+    {
+      interestedPartyType: { type: String, enum: ['I', 'O'] }, // Individual or Organization
+      firstName: { type: String }, // individuals only
+      lastName: { type: String }, // individuals only
+      legalName: { type: String }, // organizations only
+      divisionBranch: { type: String }, // organizations only
+      name: { type: String, default: '' }, // full name of an individual, or legal name of an organization
+      tags: [[{ type: String, trim: true }]]
+    }
+  ],
+
   isDeleted: { type: Boolean, default: false }, // updated by API
+  _deletionId: { type: 'ObjectId', default: null }, // updated by API, shared by objects deleted together
+  _mergedInto: { type: 'ObjectId', ref: 'Application', default: null }, // updated by API, when merged into a duplicate
+  _mergedFrom: [{ type: 'ObjectId', ref: 'Application' }], // updated by API, the duplicates merged into this one
   legalDescription: { type: String },
   location: { type: String, default: '' },
   name: { type: String, trim: true },
   publishDate: { type: Date },
+  publishAt: { type: Date, default: null, index: true }, // scheduled publish, cleared once published
+  unpublishAt: { type: Date, default: null, index: true }, // scheduled unpublish, cleared once unpublished
+  _scheduleClaimedAt: { type: Date, default: null }, // updated by API, while a scheduled (un)publish is running
+  _scheduleError: { type: String, default: null }, // updated by API, why the last scheduled (un)publish failed
+  _scheduleAttempts: { type: Number, default: 0 }, // updated by API, how many times it has failed in a row
+  _scheduleRetryAt: { type: Date, default: null }, // updated by API, when to try a failed scheduled (un)publish again
   purpose: { type: String },
   status: { type: String },
   reason: { type: String },
@@ -25,13 +49,39 @@ module.exports = require('../models')('Application', {
   tenureStage: { type: String },
   type: { type: String },
 
+  // Tantalis codes of the above (see helpers/codes.js), updated by API.
+  purposeCode: { type: String, default: null },
+  subpurposeCode: { type: String, default: null },
+  typeCode: { type: String, default: null },
+  subtypeCode: { type: String, default: null },
+  statusCode: { type: String, default: null },
+  reasonCode: { type: String, default: null },
+  tenureStageCode: { type: String, default: null },
+
   // Used to track when the latest status was effective.
   statusHistoryEffectiveDate: { type: Date },
 
+  // Never unpublished automatically for being retired (see helpers/retirement.js).
+  retirementExempt: { type: Boolean, default: false },
+
   // Note: Default on tag property is purely for display only, they have no real effect on the model.
   // This must be done in the code.
   tags: [[{ type: String, trim: true, default: '[["sysadmin"]]' }]], // updated by API
 
-  // Used to enable client (applicant) $text search.
-  __index: { client: 'text' }
+  __index: [
+    // Used to enable client (applicant) $text search.
+    { client: 'text' },
+    // Only one (non-deleted) application per disposition.  See migration 20190815120000-add-tantalisID-unique-index.
+    {
+      fields: { tantalisID: 1, isDeleted: 1 },
+      options: {
+        name: 'tantalisIDUniqueIndex',
+        unique: true,
+        partialFilterExpression: { isDeleted: false, tantalisID: { $gt: 0 } }
+      }
+    }
+  ],
+
+  // Record an audit trail of every change (see helpers/audit.js).
+  __audit: true
 });
@@ -0,0 +1,29 @@
+module.exports = require('../models')('Audit', {
+  // Audit records are append-only.
+  __immutable: true,
+
+  // Which model and object was changed?
+  objectType: { type: String, default: '', index: true },
+  _objectId: { type: 'ObjectId', default: null, index: true },
+
+  // What happened to the object: create, update, publish, unpublish, delete, restore, refresh, merge.
+  action: { type: String, default: 'update' },
+
+  // Who made the change, and when.
+  _performedBy: { type: String, default: null },
+  performedDate: { type: Date, default: Date.now, index: true },
+
+  // Field-level before/after values.  Only the fields that actually changed are recorded.
+  changes: [
+    {
+      _id: false,
+      field: { type: String },
+      before: { type: 'Mixed', default: null },
+      after: { type: 'Mixed', default: null }
+    }
+  ],
+
+  // Note: Default on tag property is purely for display only, they have no real effect on the model
+  // This must be done in the code.
+  tags: [[{ type: String, trim: true, default: '[["sysadmin"]]' }]]
+});
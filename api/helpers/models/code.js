@@ -0,0 +1,21 @@
+module.exports = require('../models')('Code', {
+  // Which Tantalis code table (see helpers/codes.js), eg: purpose
+  table: { type: String, enum: require('../codes').TABLES, index: true },
+  code: { type: String },
+  description: { type: String, default: '' },
+
+  // The code this one belongs to, for subpurposes (purpose code) and subtypes (type code).  Null otherwise.
+  parentCode: { type: String, default: null },
+
+  // When the code was last seen in Tantalis.
+  lastSyncedDate: { type: Date, default: null },
+
+  // Note: Default on tag property is purely for display only, they have no real effect on the model.
+  // This must be done in the code.
+  tags: [[{ type: String, trim: true, default: '[["sysadmin"]]' }]],
+
+  __index: {
+    fields: { table: 1, parentCode: 1, code: 1 },
+    options: { unique: true }
+  }
+});
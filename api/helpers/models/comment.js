@@ -47,5 +47,8 @@ module.exports = require('../models')('Comment', {
   dateAdded: { type: Date, default: Date.now() },
 
   commentStatus: { type: String, default: 'Pending', enum: ['Pending', 'Accepted', 'Rejected'] },
-  isDeleted: { type: Boolean, default: false }
+  isDeleted: { type: Boolean, default: false },
+  _deletionId: { type: 'ObjectId', default: null },
+
+  __audit: true
 });
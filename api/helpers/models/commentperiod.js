@@ -8,5 +8,16 @@ module.exports = require('../models')('CommentPeriod', {
 
   startDate: { type: Date, default: null },
   endDate: { type: Date, default: null },
-  isDeleted: { type: Boolean, default: false }
+  isDeleted: { type: Boolean, default: false },
+  _deletionId: { type: 'ObjectId', default: null },
+
+  // When to automatically publish/unpublish (see helpers/scheduledPublish.js).  Cleared once applied.
+  publishAt: { type: Date, default: null, index: true },
+  unpublishAt: { type: Date, default: null, index: true },
+  _scheduleClaimedAt: { type: Date, default: null },
+  _scheduleError: { type: String, default: null },
+  _scheduleAttempts: { type: Number, default: 0 },
+  _scheduleRetryAt: { type: Date, default: null },
+
+  __audit: true
 });
@@ -7,5 +7,14 @@ module.exports = require('../models')('Decision', {
   tags: [[{ type: String, trim: true, default: '[["sysadmin"]]' }]],
   name: { type: String, trim: true },
   decisionDate: { type: Date, default: Date.now },
-  isDeleted: { type: Boolean, default: false }
+  isDeleted: { type: Boolean, default: false },
+  _deletionId: { type: 'ObjectId', default: null },
+  publishAt: { type: Date, default: null, index: true },
+  unpublishAt: { type: Date, default: null, index: true },
+  _scheduleClaimedAt: { type: Date, default: null },
+  _scheduleError: { type: String, default: null },
+  _scheduleAttempts: { type: Number, default: 0 },
+  _scheduleRetryAt: { type: Date, default: null },
+
+  __audit: true
 });
@@ -10,8 +10,17 @@ module.exports = require('../models')('Document', {
   displayName: { type: String, default: '' },
   internalURL: { type: String, default: '' },
   isDeleted: { type: Boolean, default: false },
+  _deletionId: { type: 'ObjectId', default: null },
+  publishAt: { type: Date, default: null, index: true },
+  unpublishAt: { type: Date, default: null, index: true },
+  _scheduleClaimedAt: { type: Date, default: null },
+  _scheduleError: { type: String, default: null },
+  _scheduleAttempts: { type: Number, default: 0 },
+  _scheduleRetryAt: { type: Date, default: null },
   passedAVCheck: { type: Boolean, default: false },
   internalMime: { type: String, default: '' },
 
-  __index: { '$**': 'text' }
+  __index: { '$**': 'text' },
+
+  __audit: true
 });
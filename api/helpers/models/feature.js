@@ -35,9 +35,14 @@ module.exports = require('../models')('Feature', {
     SE_ANNO_CAD_DATA: { type: String, default: '' }
   },
   isDeleted: { type: Boolean, default: false },
+  _deletionId: { type: 'ObjectId', default: null },
   // Which PRC application does this shape belong to?
   applicationID: { type: 'ObjectId', ref: 'Application', default: null },
+  // Uploaded by staff (see helpers/featureUpload.js), rather than from Tantalis.  Left alone by refreshes.
+  uploaded: { type: Boolean, default: false },
   // Note: Default on tag property is purely for display only, they have no real effect on the model
   // This must be done in the code.
-  tags: [[{ type: String, trim: true, default: '[["sysadmin"]]' }]]
+  tags: [[{ type: String, trim: true, default: '[["sysadmin"]]' }]],
+
+  __audit: { summarize: ['geometry'] }
 });
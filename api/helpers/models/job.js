@@ -0,0 +1,37 @@
+module.exports = require('../models')('Job', {
+  // Which task was run (see helpers/scheduler.js).
+  name: { type: String, default: '', index: true },
+
+  // Unique to a single run of a task.  Scheduled runs use the task's interval window, so that when the API is running as
+  // several replicas, only the first to claim a window runs the task.
+  key: { type: String, required: true, unique: true },
+
+  status: { type: String, default: 'running', enum: ['running', 'completed', 'failed'] },
+
+  // Who started the run ('scheduler' for scheduled runs), and which API instance ran it.
+  _startedBy: { type: String, default: null },
+  host: { type: String, default: null },
+
+  startedDate: { type: Date, default: Date.now, index: true },
+  finishedDate: { type: Date, default: null },
+
+  // Updated regularly while the task is running, so that runs whose API instance died can be told apart.
+  heartbeatDate: { type: Date, default: null },
+
+  // When the Job is deleted, for tasks that only keep their runs for a while (see Scheduler.register).
+  expiresAt: { type: Date, default: null },
+
+  // Whatever the task reports back, or why it failed.
+  results: { type: 'Mixed', default: null },
+  error: { type: String, default: null },
+
+  // Note: Default on tag property is purely for display only, they have no real effect on the model
+  // This must be done in the code.
+  tags: [[{ type: String, trim: true, default: '[["sysadmin"]]' }]],
+
+  // Mongo deletes Jobs once their expiresAt has passed.  Jobs without one are kept.
+  __index: {
+    fields: { expiresAt: 1 },
+    options: { expireAfterSeconds: 0 }
+  }
+});
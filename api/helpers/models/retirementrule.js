@@ -0,0 +1,14 @@
+module.exports = require('../models')('RetirementRule', {
+  // Applications with this status are retired...
+  status: { type: String, trim: true, required: true, unique: true },
+
+  // ...and unpublished once they have had it for this many months (see helpers/retirement.js).
+  retentionMonths: { type: Number, required: true, min: 0 },
+
+  // Note: Default on tag property is purely for display only, they have no real effect on the model
+  // This must be done in the code.
+  tags: [[{ type: String, trim: true, default: '[["sysadmin"]]' }]],
+
+  // Record an audit trail of every change (see helpers/audit.js).
+  __audit: true
+});
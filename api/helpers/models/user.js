@@ -22,5 +22,8 @@ module.exports = require('../models')('User', {
   province: { type: String, default: '' },
   country: { type: String, default: '' },
   postalCode: { type: String, default: '' },
-  notes: { type: String, default: '' }
+  notes: { type: String, default: '' },
+
+  // Passwords are recorded as changed, but never with their values.
+  __audit: { redact: ['password', 'salt'] }
 });
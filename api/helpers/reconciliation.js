@@ -0,0 +1,295 @@
+'use strict';
+
+/**
+ * This file contains the reconciliation task, which reports where ACRFD applications have drifted from Tantalis (the
+ * source of truth).  Registered with the scheduler (see helpers/scheduler.js) in app.js, to be run on demand through
+ * POST /reconciliation.  The report is the results of the run's Job, and can be downloaded through
+ * GET /reconciliation/{jobId}/download.
+ *
+ * 1. Fetches a summary of every Tantalis application in the watched business units.
+ * 2. For each non-deleted ACRFD application with a tantalisID, in turn, looks it up in Tantalis, and reports it as
+ *    missing if it no longer exists, or else any difference in its status, stage or area.
+ * 3. Reports the Tantalis applications in the watched business units that have no ACRFD application.
+ *
+ * The report is kept in the Job, so each list of findings is capped at MAX_FINDINGS.  The full count of each is always
+ * reported.
+ *
+ * Nothing is changed: the Tantalis sync (see helpers/tantalisSync.js) or a refresh brings applications up to date.
+ */
+
+const _ = require('lodash');
+const mongoose = require('mongoose');
+const TTLSUtils = require('./ttlsUtils');
+const defaultLog = require('./logger')('reconciliation');
+
+exports.TASK_NAME = 'reconciliation';
+
+// Business units whose Tantalis applications are expected to be in ACRFD, comma separated.  Defaults to the business
+// units of the existing ACRFD applications.
+exports.BUSINESS_UNITS = _.compact(_.map((process.env.RECONCILIATION_BUSINESS_UNITS || '').split(','), _.trim));
+
+// Most findings of each kind kept in the report, so that it fits in its Job.
+exports.MAX_FINDINGS = Number(process.env.RECONCILIATION_MAX_FINDINGS) || 5000;
+
+// Areas that differ by less than this (in hectares) are considered the same, as they are summed from each parcel.
+const AREA_TOLERANCE = 0.001;
+
+/**
+ * Gets a readable message from an error, which may be an Error, or a Tantalis API response code.
+ *
+ * @param {*} error
+ * @returns {string}
+ */
+const getMessage = function(error) {
+  if (error && error.message) {
+    return error.message;
+  }
+  if (error && error.code) {
+    return 'Tantalis API responded with: ' + error.code;
+  }
+  return String(error);
+};
+
+/**
+ * Gets the differences between an ACRFD application and its Tantalis application.
+ *
+ * @param {Application} application ACRFD application
+ * @param {object} tantalisApp Tantalis application (see TTLSUtils.getApplicationByDispositionID)
+ * @returns {Array} differences of the form: [{ field: string, acrfd: *, tantalis: * }]
+ */
+exports.getDifferences = function(application, tantalisApp) {
+  const differences = [];
+
+  const compare = function(field, acrfdValue, tantalisValue, isSame) {
+    if (!isSame(acrfdValue, tantalisValue)) {
+      differences.push({ field: field, acrfd: acrfdValue, tantalis: tantalisValue });
+    }
+  };
+
+  const isSameString = (a, b) => (a || '') === (b || '');
+  const isSameArea = (a, b) => Math.abs((a || 0) - (b || 0)) < AREA_TOLERANCE;
+
+  compare('status', application.status, tantalisApp.TENURE_STATUS, isSameString);
+  compare('tenureStage', application.tenureStage, tantalisApp.TENURE_STAGE, isSameString);
+  compare('areaHectares', application.areaHectares, tantalisApp.areaHectares, isSameArea);
+
+  return differences;
+};
+
+/**
+ * Gets the business units to watch for Tantalis applications with no ACRFD application.
+ *
+ * @param {Array} [businessUnits] business units asked for, if any (optional)
+ * @returns {Promise} promise that resolves with an array of business unit names
+ */
+const getBusinessUnits = function(businessUnits) {
+  if (businessUnits && businessUnits.length) {
+    return Promise.resolve(businessUnits);
+  }
+
+  if (exports.BUSINESS_UNITS.length) {
+    return Promise.resolve(exports.BUSINESS_UNITS);
+  }
+
+  return mongoose
+    .model('Application')
+    .distinct('businessUnit', { isDeleted: false })
+    .exec()
+    .then(units => _.compact(units).sort());
+};
+
+/**
+ * Fetches a summary of the Tantalis applications in the given business units.
+ *
+ * Tantalis is asked for the applications of each business unit, and they are checked against it again here, so that
+ * only the watched business units are reported on.
+ *
+ * @param {Array} businessUnits business unit names
+ * @returns {Promise} promise that resolves with an array of the form:
+ *                    [{ tantalisID: number, fileNumber: string, businessUnit: string }]
+ */
+const getSummaries = function(businessUnits) {
+  return businessUnits
+    .reduce((previous, businessUnit) => {
+      return previous.then(summaries => {
+        return TTLSUtils.getAllApplicationSummaries({ businessUnit: businessUnit }).then(found => {
+          return summaries.concat(found.filter(summary => summary.businessUnit === businessUnit));
+        });
+      });
+    }, Promise.resolve([]))
+    .then(summaries => _.uniqBy(summaries, 'tantalisID'));
+};
+
+/**
+ * Adds a finding to the results, unless there are already MAX_FINDINGS of its kind.
+ *
+ * @param {object} results results of the run, updated in place
+ * @param {string} finding kind of finding, eg: differing
+ * @param {object} item the finding
+ */
+const addFinding = function(results, finding, item) {
+  results.counts[finding]++;
+  if (results[finding].length < exports.MAX_FINDINGS) {
+    results[finding].push(item);
+  } else {
+    results.truncated = true;
+  }
+};
+
+/**
+ * Checks an ACRFD application against Tantalis.
+ *
+ * @param {Application} application ACRFD application
+ * @param {object} results results of the run, updated with the result of the application
+ * @returns {Promise}
+ */
+const checkApplication = function(application, results) {
+  const item = {
+    _id: application._id,
+    tantalisID: application.tantalisID,
+    cl_file: application.cl_file,
+    name: application.name,
+    businessUnit: application.businessUnit
+  };
+
+  results.checked++;
+
+  return TTLSUtils.getApplicationByDispositionID(application.tantalisID).then(
+    tantalisApp => {
+      if (!tantalisApp) {
+        addFinding(results, 'missingInTantalis', item);
+        return;
+      }
+
+      const differences = exports.getDifferences(application, tantalisApp);
+      if (differences.length) {
+        addFinding(results, 'differing', Object.assign(item, { differences: differences }));
+      }
+    },
+    error => {
+      if (error && error.code === 404) {
+        addFinding(results, 'missingInTantalis', item);
+        return;
+      }
+
+      defaultLog.error('Failed to look up application, _id:', application._id, error);
+      addFinding(results, 'failed', Object.assign(item, { message: getMessage(error) }));
+    }
+  );
+};
+
+/**
+ * Runs a reconciliation.
+ *
+ * A failure to look up a single application is recorded in the results, and the reconciliation carries on with the
+ * rest.  Failing to reach Tantalis at all fails the run.
+ *
+ * @param {object} [params] object of the form: { businessUnits: [string] } (optional)
+ * @returns {Promise} promise that resolves with an object of the form:
+ *                    {
+ *                      businessUnits: [string], // watched business units
+ *                      tantalisApplications: number, // Tantalis applications found in the watched business units
+ *                      checked: number, // ACRFD applications checked
+ *                      missingInTantalis: [{ _id, tantalisID, cl_file, name, businessUnit }],
+ *                      differing: [
+ *                        { _id, tantalisID, cl_file, name, businessUnit, differences: [{ field, acrfd, tantalis }] }
+ *                      ],
+ *                      missingInACRFD: [{ tantalisID, fileNumber, businessUnit }],
+ *                      failed: [{ _id, tantalisID, cl_file, name, businessUnit, message }],
+ *                      counts: { missingInTantalis, differing, missingInACRFD, failed }, // before being capped
+ *                      truncated: boolean // whether any of the lists were capped at MAX_FINDINGS
+ *                    }
+ */
+exports.run = function(params) {
+  const results = {
+    businessUnits: [],
+    tantalisApplications: 0,
+    checked: 0,
+    missingInTantalis: [],
+    differing: [],
+    missingInACRFD: [],
+    failed: [],
+    counts: { missingInTantalis: 0, differing: 0, missingInACRFD: 0, failed: 0 },
+    truncated: false
+  };
+
+  let summaries = [];
+
+  return getBusinessUnits(params && params.businessUnits)
+    .then(businessUnits => {
+      results.businessUnits = businessUnits;
+
+      return Promise.all([
+        getSummaries(businessUnits),
+        mongoose
+          .model('Application')
+          .find({ isDeleted: false, tantalisID: { $gt: 0 } })
+          .sort({ tantalisID: 1 })
+          .exec()
+      ]);
+    })
+    .then(([foundSummaries, applications]) => {
+      summaries = foundSummaries;
+      results.tantalisApplications = summaries.length;
+
+      return applications
+        .reduce((previous, application) => {
+          return previous.then(() => checkApplication(application, results));
+        }, Promise.resolve())
+        .then(() => applications);
+    })
+    .then(applications => {
+      const acrfdIDs = _.keyBy(applications, 'tantalisID');
+
+      summaries
+        .filter(summary => !acrfdIDs[summary.tantalisID])
+        .forEach(summary => addFinding(results, 'missingInACRFD', summary));
+
+      defaultLog.info(
+        `Reconciliation done: ${results.checked} checked, ${results.counts.missingInTantalis} missing in Tantalis,`,
+        `${results.counts.differing} differing, ${results.counts.missingInACRFD} missing in ACRFD,`,
+        `${results.counts.failed} failed.`
+      );
+      return results;
+    });
+};
+
+/**
+ * Gets the rows of a reconciliation report, one per finding, for download as CSV.
+ *
+ * @param {object} results results of a reconciliation run (see run)
+ * @returns {Array} rows of the form:
+ *                  { finding, _id, tantalisID, fileNumber, name, businessUnit, field, acrfd, tantalis, message }
+ */
+exports.getRows = function(results) {
+  const rows = [];
+
+  const addRow = function(finding, item, fields) {
+    rows.push(
+      Object.assign(
+        {
+          finding: finding,
+          _id: item._id ? String(item._id) : '',
+          tantalisID: item.tantalisID,
+          fileNumber: item.cl_file || item.fileNumber || '',
+          name: item.name || '',
+          businessUnit: item.businessUnit || '',
+          field: '',
+          acrfd: '',
+          tantalis: '',
+          message: ''
+        },
+        fields
+      )
+    );
+  };
+
+  _.forEach(results && results.missingInTantalis, item => addRow('missingInTantalis', item));
+  _.forEach(results && results.differing, item => {
+    _.forEach(item.differences, difference => addRow('differing', item, difference));
+  });
+  _.forEach(results && results.missingInACRFD, item => addRow('missingInACRFD', item));
+  _.forEach(results && results.failed, item => addRow('failed', item, { message: item.message }));
+
+  return rows;
+};
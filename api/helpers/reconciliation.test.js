@@ -0,0 +1,76 @@
+const Reconciliation = require('./reconciliation');
+
+describe('Reconciliation', () => {
+  describe('getDifferences', () => {
+    const application = { status: 'ACCEPTED', tenureStage: 'APPLICATION', areaHectares: 3.3333 };
+
+    it('returns nothing if the status, stage and area match', () => {
+      const tantalisApp = { TENURE_STATUS: 'ACCEPTED', TENURE_STAGE: 'APPLICATION', areaHectares: 3.33331 };
+      expect(Reconciliation.getDifferences(application, tantalisApp)).toEqual([]);
+    });
+
+    it('returns each field that differs', () => {
+      const tantalisApp = { TENURE_STATUS: 'OFFERED', TENURE_STAGE: 'APPLICATION', areaHectares: 4 };
+      expect(Reconciliation.getDifferences(application, tantalisApp)).toEqual([
+        { field: 'status', acrfd: 'ACCEPTED', tantalis: 'OFFERED' },
+        { field: 'areaHectares', acrfd: 3.3333, tantalis: 4 }
+      ]);
+    });
+
+    it('treats missing values as empty', () => {
+      expect(Reconciliation.getDifferences({ areaHectares: 0 }, { TENURE_STATUS: '' })).toEqual([]);
+    });
+  });
+
+  describe('getRows', () => {
+    it('returns a row per finding', () => {
+      const results = {
+        missingInTantalis: [{ _id: 'a1', tantalisID: 1, cl_file: 7410001, name: 'Gone', businessUnit: 'SK' }],
+        differing: [
+          {
+            _id: 'a2',
+            tantalisID: 2,
+            cl_file: 7410002,
+            name: 'Drifted',
+            businessUnit: 'SK',
+            differences: [
+              { field: 'status', acrfd: 'ACCEPTED', tantalis: 'OFFERED' },
+              { field: 'tenureStage', acrfd: 'APPLICATION', tantalis: 'TENURE' }
+            ]
+          }
+        ],
+        missingInACRFD: [{ tantalisID: 3, fileNumber: '7410003', businessUnit: 'SK' }],
+        failed: [{ _id: 'a4', tantalisID: 4, cl_file: 7410004, name: 'Broken', businessUnit: 'SK', message: 'Oops' }]
+      };
+
+      const rows = Reconciliation.getRows(results);
+
+      expect(rows.map(row => row.finding)).toEqual([
+        'missingInTantalis',
+        'differing',
+        'differing',
+        'missingInACRFD',
+        'failed'
+      ]);
+      expect(rows[0]).toEqual({
+        finding: 'missingInTantalis',
+        _id: 'a1',
+        tantalisID: 1,
+        fileNumber: 7410001,
+        name: 'Gone',
+        businessUnit: 'SK',
+        field: '',
+        acrfd: '',
+        tantalis: '',
+        message: ''
+      });
+      expect(rows[2]).toMatchObject({ field: 'tenureStage', acrfd: 'APPLICATION', tantalis: 'TENURE' });
+      expect(rows[3]).toMatchObject({ _id: '', tantalisID: 3, fileNumber: '7410003' });
+      expect(rows[4]).toMatchObject({ _id: 'a4', message: 'Oops' });
+    });
+
+    it('returns no rows for an empty report', () => {
+      expect(Reconciliation.getRows({})).toEqual([]);
+    });
+  });
+});
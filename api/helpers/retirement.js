@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * This file contains utility functions for working out which applications are retired.
+ *
+ * Retirement policy is data: each RetirementRule names a status, and how many months an application keeps that status
+ * before it is retired.  Retired applications are unpublished by the Tantalis sync (see helpers/tantalisSync.js).
+ * Statuses without a rule are never retired, and nor are applications that are exempt (retirementExempt).
+ */
+
+const _ = require('lodash');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Actions = require('./actions');
+
+/**
+ * Fetches all retirement rules, sorted by status.
+ *
+ * @returns {Promise} promise that resolves with an array of RetirementRules
+ */
+exports.getRules = function() {
+  return mongoose
+    .model('RetirementRule')
+    .find({})
+    .sort({ status: 1 })
+    .lean()
+    .exec();
+};
+
+/**
+ * Gets the query that matches the non-deleted, non-exempt applications that a set of rules retires.
+ *
+ * @param {Array} rules RetirementRules
+ * @param {Date} asOf when the rules are applied
+ * @returns {object} Application query, or null if the rules retire nothing
+ */
+exports.getQuery = function(rules, asOf) {
+  if (!rules || !rules.length) {
+    return null;
+  }
+
+  return {
+    isDeleted: false,
+    retirementExempt: { $ne: true },
+    $or: rules.map(rule => ({
+      status: rule.status,
+      statusHistoryEffectiveDate: {
+        $lte: moment(asOf)
+          .subtract(rule.retentionMonths, 'months')
+          .toDate()
+      }
+    }))
+  };
+};
+
+/**
+ * Fetches all published applications that are retired.
+ *
+ * @param {Date} [asOf=new Date()] when the rules are applied, to look ahead (optional)
+ * @returns {Promise} promise that resolves with an object of the form:
+ *                    { applications: [Application], rules: [RetirementRule] }
+ */
+exports.getApplicationsToUnpublish = function(asOf = new Date()) {
+  return exports.getRules().then(rules => {
+    const query = exports.getQuery(rules, asOf);
+    if (!query) {
+      return { applications: [], rules: rules };
+    }
+
+    return mongoose
+      .model('Application')
+      .find(query)
+      .sort({ statusHistoryEffectiveDate: 1 })
+      .exec()
+      .then(applications => {
+        return {
+          applications: applications.filter(application => Actions.isPublished(application)),
+          rules: rules
+        };
+      });
+  });
+};
+
+/**
+ * Gets a summary of a retired application, and the rule that retires it.
+ *
+ * @param {Application} application retired application
+ * @param {Array} rules RetirementRules
+ * @returns {object} summary of the form:
+ *                   {
+ *                     _id, name, cl_file, tantalisID, status, statusHistoryEffectiveDate,
+ *                     retentionMonths: number, // of the rule for the status
+ *                     retiredDate: Date // when the application was (or will be) retired
+ *                   }
+ */
+exports.getSummary = function(application, rules) {
+  const rule = _.find(rules, { status: application.status });
+
+  return {
+    _id: application._id,
+    name: application.name,
+    cl_file: application.cl_file,
+    tantalisID: application.tantalisID,
+    status: application.status,
+    statusHistoryEffectiveDate: application.statusHistoryEffectiveDate,
+    retentionMonths: rule && rule.retentionMonths,
+    retiredDate:
+      rule &&
+      moment(application.statusHistoryEffectiveDate)
+        .add(rule.retentionMonths, 'months')
+        .toDate()
+  };
+};
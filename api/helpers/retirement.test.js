@@ -0,0 +1,48 @@
+const Retirement = require('./retirement');
+
+describe('Retirement', () => {
+  const asOf = new Date('2019-08-20T00:00:00.000Z');
+  const rules = [{ status: 'EXPIRED', retentionMonths: 6 }, { status: 'CANCELLED', retentionMonths: 1 }];
+
+  describe('getQuery', () => {
+    it('matches each status that has been held for longer than its retention period', () => {
+      expect(Retirement.getQuery(rules, asOf)).toEqual({
+        isDeleted: false,
+        retirementExempt: { $ne: true },
+        $or: [
+          { status: 'EXPIRED', statusHistoryEffectiveDate: { $lte: new Date('2019-02-20T00:00:00.000Z') } },
+          { status: 'CANCELLED', statusHistoryEffectiveDate: { $lte: new Date('2019-07-20T00:00:00.000Z') } }
+        ]
+      });
+    });
+
+    it('returns null if there are no rules', () => {
+      expect(Retirement.getQuery([], asOf)).toBeNull();
+    });
+  });
+
+  describe('getSummary', () => {
+    it('returns when the application was retired, by the rule for its status', () => {
+      const application = {
+        _id: 'a1',
+        name: '7410005',
+        cl_file: 7410005,
+        tantalisID: 933056,
+        status: 'CANCELLED',
+        statusHistoryEffectiveDate: new Date('2019-01-31T00:00:00.000Z'),
+        description: 'Left out'
+      };
+
+      expect(Retirement.getSummary(application, rules)).toEqual({
+        _id: 'a1',
+        name: '7410005',
+        cl_file: 7410005,
+        tantalisID: 933056,
+        status: 'CANCELLED',
+        statusHistoryEffectiveDate: new Date('2019-01-31T00:00:00.000Z'),
+        retentionMonths: 1,
+        retiredDate: new Date('2019-02-28T00:00:00.000Z')
+      });
+    });
+  });
+});
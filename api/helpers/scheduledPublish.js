@@ -0,0 +1,235 @@
+'use strict';
+
+/**
+ * This file contains the scheduled publish task, which publishes/unpublishes objects whose `publishAt`/`unpublishAt`
+ * time has passed.  Registered with the scheduler (see helpers/scheduler.js) in app.js.
+ *
+ * Each object is claimed (marked with _scheduleClaimedAt) before it is published/unpublished, so that two runs that
+ * overlap don't both act on it.  Its timestamp is only cleared once that succeeds.  If it fails, the error is recorded
+ * on the object (_scheduleError) and it is tried again after RETRY_DELAY, doubling each time, up to MAX_ATTEMPTS times
+ * before it is given up on.  A claim left by a run that died expires after CLAIM_TIMEOUT.
+ *
+ * Every change is saved with the scheduler as the user, so that it is recorded in the audit trail.
+ */
+
+const _ = require('lodash');
+const mongoose = require('mongoose');
+const Actions = require('./actions');
+const Audit = require('./audit');
+const Cascade = require('./cascade');
+const defaultLog = require('./logger')('scheduledPublish');
+
+exports.TASK_NAME = 'scheduledPublish';
+
+// How often to check for objects due to be published/unpublished, in milliseconds.
+exports.INTERVAL = Number(process.env.SCHEDULED_PUBLISH_INTERVAL) || 60 * 1000;
+
+// How long the Job of each run is kept, in milliseconds.  Runs are frequent, so they are only kept for a while.
+exports.KEEP_JOBS_FOR = 7 * 24 * 60 * 60 * 1000;
+
+// The user recorded in the audit trail for scheduled changes.
+const SCHEDULER_USER = 'scheduler';
+
+// Models that can be scheduled.
+const OBJECT_TYPES = ['Application', 'CommentPeriod', 'Decision', 'Document'];
+
+// How long before a claim is given up on, in milliseconds.
+const CLAIM_TIMEOUT = 10 * 60 * 1000;
+
+// How long to wait before trying a failed object again, in milliseconds.  Doubles with each failure.
+const RETRY_DELAY = 5 * 60 * 1000;
+
+// How many times to try an object before giving up on it.
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Gets the query for the objects that are due, and not already claimed or waiting to be retried.
+ *
+ * @param {string} field 'publishAt' or 'unpublishAt'
+ * @param {Date} now
+ * @returns {object} mongo query
+ */
+const getDueQuery = function(field, now) {
+  return {
+    [field]: { $lte: now },
+    isDeleted: false,
+    $and: [
+      { $or: [{ _scheduleClaimedAt: null }, { _scheduleClaimedAt: { $lt: new Date(now - CLAIM_TIMEOUT) } }] },
+      { $or: [{ _scheduleRetryAt: null }, { _scheduleRetryAt: { $lte: now } }] }
+    ]
+  };
+};
+
+/**
+ * Claims an object that is due, unless another run has already claimed it.
+ *
+ * The version of the object is checked as it is saved, so that only one of two runs claiming it at once succeeds.
+ *
+ * @param {string} objectType model name
+ * @param {*} objectId ObjectID of the object
+ * @param {string} field 'publishAt' or 'unpublishAt'
+ * @param {Date} now
+ * @returns {Promise} promise that resolves with the claimed object, or null if it was already claimed
+ */
+const claim = function(objectType, objectId, field, now) {
+  return mongoose
+    .model(objectType)
+    .findOne(_.assign({ _id: objectId }, getDueQuery(field, now)))
+    .exec()
+    .then(doc => {
+      if (!doc) {
+        return null;
+      }
+
+      doc._scheduleClaimedAt = now;
+      doc.increment();
+      Audit.setContext(doc, SCHEDULER_USER);
+      return doc.save().catch(error => {
+        if (error.name === 'VersionError') {
+          return null;
+        }
+        throw error;
+      });
+    });
+};
+
+/**
+ * Releases the claim on an object.  On success its timestamp is cleared.  On failure the error is recorded, and the
+ * timestamp is kept so that the object is tried again later, unless it has failed too many times.
+ *
+ * The object is fetched again, so that only the scheduling fields are changed, whatever state a failed
+ * publish/unpublish left it in.
+ *
+ * @param {string} objectType model name
+ * @param {*} objectId ObjectID of the object
+ * @param {string} field 'publishAt' or 'unpublishAt'
+ * @param {Error} [error] why the publish/unpublish failed (optional)
+ * @returns {Promise}
+ */
+const release = function(objectType, objectId, field, error) {
+  return mongoose
+    .model(objectType)
+    .findById(objectId)
+    .exec()
+    .then(doc => {
+      doc._scheduleClaimedAt = null;
+
+      if (!error) {
+        doc[field] = null;
+        doc._scheduleError = null;
+        doc._scheduleAttempts = 0;
+        doc._scheduleRetryAt = null;
+      } else if (doc._scheduleAttempts + 1 >= MAX_ATTEMPTS) {
+        defaultLog.error('Giving up on', objectType, objectId, 'after', MAX_ATTEMPTS, 'attempts');
+        doc[field] = null;
+        doc._scheduleError = error.message + ' (gave up after ' + MAX_ATTEMPTS + ' attempts)';
+        doc._scheduleAttempts = 0;
+        doc._scheduleRetryAt = null;
+      } else {
+        doc._scheduleError = error.message;
+        doc._scheduleRetryAt = new Date(Date.now() + RETRY_DELAY * Math.pow(2, doc._scheduleAttempts));
+        doc._scheduleAttempts += 1;
+      }
+
+      Audit.setContext(doc, SCHEDULER_USER);
+      return doc.save();
+    });
+};
+
+/**
+ * Publishes or unpublishes a single claimed object.  Applications are published/unpublished along with their comment
+ * periods, decisions, documents and features, all or nothing (see Cascade.publishApplication).
+ *
+ * @param {string} objectType model name
+ * @param {*} doc mongoose document
+ * @param {string} action 'publish' or 'unpublish'
+ * @returns {Promise}
+ */
+const applyAction = function(objectType, doc, action) {
+  if (objectType === 'Application') {
+    return Cascade.publishApplication(doc, action, SCHEDULER_USER).then(data => {
+      if (!data.success) {
+        const failed = data.results.filter(result => result.result === 'failed');
+        throw new Error(
+          'Failed to ' + action + ' all objects, changes have been rolled back: ' + _.map(failed, 'message').join(', ')
+        );
+      }
+    });
+  }
+
+  Audit.setContext(doc, SCHEDULER_USER);
+  return action === 'publish' ? Actions.publish(doc) : Actions.unPublish(doc);
+};
+
+/**
+ * Publishes or unpublishes every object of one type that is due.
+ *
+ * @param {string} objectType model name
+ * @param {string} action 'publish' or 'unpublish'
+ * @param {Date} now
+ * @param {object} results results of the run, updated in place
+ * @returns {Promise}
+ */
+const processDue = function(objectType, action, now, results) {
+  const field = action === 'publish' ? 'publishAt' : 'unpublishAt';
+
+  return mongoose
+    .model(objectType)
+    .find(getDueQuery(field, now), { _id: 1 })
+    .lean()
+    .exec()
+    .then(dueObjects => {
+      return dueObjects.reduce((previous, dueObject) => {
+        return previous
+          .then(() => claim(objectType, dueObject._id, field, now))
+          .then(doc => {
+            if (!doc) {
+              // Claimed by another run.
+              return;
+            }
+
+            return applyAction(objectType, doc, action)
+              .then(
+                () => {
+                  results[action === 'publish' ? 'published' : 'unpublished'].push({
+                    objectType: objectType,
+                    _id: doc._id
+                  });
+                  return release(objectType, doc._id, field);
+                },
+                error => {
+                  // Already in the requested state: nothing to do.
+                  if (error.code === 409) {
+                    return release(objectType, doc._id, field);
+                  }
+                  defaultLog.error('Failed to', action, objectType, doc._id, error);
+                  results.failed.push({ objectType: objectType, _id: doc._id, action: action, message: error.message });
+                  return release(objectType, doc._id, field, error);
+                }
+              )
+              .catch(error => {
+                // The object is retried once its claim expires.
+                defaultLog.error('Failed to release', objectType, doc._id, error);
+              });
+          });
+      }, Promise.resolve());
+    });
+};
+
+/**
+ * Runs the task: publishes and unpublishes every object that is due.
+ *
+ * @returns {Promise} promise that resolves with the results of the run, of the form:
+ *                    { published: [{ objectType, _id }], unpublished: [{ objectType, _id }], failed: [{ objectType, _id,
+ *                    action, message }] }
+ */
+exports.run = function() {
+  const now = new Date();
+  const results = { published: [], unpublished: [], failed: [] };
+
+  return OBJECT_TYPES.reduce((previous, objectType) => {
+    return previous
+      .then(() => processDue(objectType, 'publish', now, results))
+      .then(() => processDue(objectType, 'unpublish', now, results));
+  }, Promise.resolve()).then(() => results);
+};
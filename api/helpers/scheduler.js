@@ -0,0 +1,326 @@
+'use strict';
+
+/**
+ * This file contains a simple in-process task scheduler.
+ *
+ * Usage:
+ * Scheduler.register('myTask', 60 * 1000, () => doTheThing()); // doTheThing returns a promise
+ * Scheduler.start(); // once the database is connected
+ *
+ * Every run of a task is recorded as a Job.  The API may be running as several replicas, each with its own scheduler, so
+ * before a task runs, the run is claimed by inserting its Job with a key that is unique to the task and the current
+ * interval window.  Whichever replica inserts the Job first runs the task, and the rest skip that window.
+ *
+ * Scheduled runs of a task don't overlap within a process: a run is skipped while the previous one is still going.
+ * When the scheduler starts, tasks whose last run is older than their interval are run straight away, so that tasks with
+ * long intervals still run when the API is restarted more often than that.
+ *
+ * A running Job's heartbeat is updated every HEARTBEAT_INTERVAL.  Running Jobs whose heartbeat has stopped (the API
+ * instance running them died) are marked as failed when the scheduler starts, and whenever a task is claimed.
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const defaultLog = require('./logger')('scheduler');
+
+// Mongo error code for a unique index violation.
+const DUPLICATE_KEY_ERROR = 11000;
+
+// How often the Job of a running task is marked as still running, in milliseconds.
+const HEARTBEAT_INTERVAL = 60 * 1000;
+
+// How long after its last heartbeat a running Job is given up on, in milliseconds.
+const HEARTBEAT_TIMEOUT = 5 * HEARTBEAT_INTERVAL;
+
+// Registered tasks, by name: { interval: number, task: function, keepJobsFor: number }
+const tasks = {};
+
+// Names of the tasks that this process is running on their schedule.
+const runningTasks = new Set();
+
+// Interval timers of the running scheduler.
+let timers = [];
+
+/**
+ * Registers a task to be run every interval, once the scheduler is started.
+ *
+ * @param {string} name unique name of the task, recorded on its jobs
+ * @param {number} interval how often to run the task, in milliseconds, or null if the task is only run on demand (see
+ *                          runNow)
+ * @param {function} task function that runs the task, returning a promise that resolves with the results to record.
+ *                        Called with the params of the run (if any), and the run's Job.
+ * @param {object} [options={}] options of the form: { keepJobsFor: number } where keepJobsFor is how long to keep the
+ *                              Jobs of finished runs, in milliseconds (default: forever)
+ */
+exports.register = function(name, interval, task, options = {}) {
+  tasks[name] = { interval: interval, task: task, keepJobsFor: options.keepJobsFor || null };
+};
+
+/**
+ * Marks the running Jobs whose heartbeat has stopped as failed.
+ *
+ * @returns {Promise}
+ */
+exports.failStaleJobs = function() {
+  const Job = mongoose.model('Job');
+  const staleDate = new Date(Date.now() - HEARTBEAT_TIMEOUT);
+
+  return Job.updateMany(
+    {
+      status: 'running',
+      // Jobs from before heartbeats were recorded go by when they started.
+      $or: [{ heartbeatDate: { $lt: staleDate } }, { heartbeatDate: null, startedDate: { $lt: staleDate } }]
+    },
+    { $set: { status: 'failed', error: 'The task stopped responding', finishedDate: new Date() } }
+  )
+    .exec()
+    .then(result => {
+      if (result.nModified) {
+        defaultLog.warn('Marked', result.nModified, 'stale jobs as failed');
+      }
+    });
+};
+
+/**
+ * Claims a run of a task, by inserting its Job.
+ *
+ * @param {string} name name of the task
+ * @param {string} key key unique to this run of the task
+ * @param {string} username who started the run
+ * @returns {Promise} promise that resolves with the running Job, or null if the run was already claimed
+ */
+const claimTask = function(name, key, username) {
+  if (!tasks[name]) {
+    return Promise.reject(new Error('Unknown task: ' + name));
+  }
+
+  const Job = mongoose.model('Job');
+  const now = new Date();
+
+  return exports
+    .failStaleJobs()
+    .then(() => {
+      return Job.create({
+        name: name,
+        key: key,
+        status: 'running',
+        _startedBy: username,
+        host: os.hostname(),
+        startedDate: now,
+        heartbeatDate: now,
+        tags: [['sysadmin']]
+      });
+    })
+    .catch(error => {
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        defaultLog.debug('Task already claimed:', name, key);
+        return null;
+      }
+      throw error;
+    });
+};
+
+/**
+ * Runs a claimed task, and records how it finished on its Job.
+ *
+ * @param {*} job the running Job
+ * @param {*} [params] params of the run, passed to the task (optional)
+ * @returns {Promise} promise that resolves with the finished Job
+ */
+const executeTask = function(job, params) {
+  defaultLog.info('Running task:', job.name, job.key);
+
+  // Only the heartbeat is updated, so that any progress the task is saving on its Job is left alone.
+  const heartbeat = setInterval(() => {
+    mongoose
+      .model('Job')
+      .updateOne({ _id: job._id, status: 'running' }, { $set: { heartbeatDate: new Date() } })
+      .exec()
+      .catch(error => {
+        defaultLog.error('Failed to update the heartbeat of task:', job.name, job.key, error);
+      });
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  return Promise.resolve()
+    .then(() => tasks[job.name].task(params, job))
+    .then(
+      results => {
+        job.status = 'completed';
+        job.results = results === undefined ? null : results;
+      },
+      error => {
+        defaultLog.error('Task failed:', job.name, job.key, error);
+        job.status = 'failed';
+        job.error = (error && error.message) || String(error);
+      }
+    )
+    .then(() => {
+      clearInterval(heartbeat);
+      job.finishedDate = new Date();
+      if (tasks[job.name].keepJobsFor) {
+        job.expiresAt = new Date(job.finishedDate.getTime() + tasks[job.name].keepJobsFor);
+      }
+      return job.save();
+    });
+};
+
+/**
+ * Claims and runs a task, recording the run as a Job.
+ *
+ * @param {string} name name of the task
+ * @param {string} key key unique to this run of the task
+ * @param {string} [username='scheduler'] who started the run
+ * @param {*} [params] params of the run, passed to the task (optional)
+ * @returns {Promise} promise that resolves with the finished Job, or null if the run was already claimed
+ */
+exports.runTask = function(name, key, username = 'scheduler', params) {
+  return claimTask(name, key, username).then(job => job && executeTask(job, params));
+};
+
+/**
+ * Starts a run of a task now, outside of its schedule.
+ *
+ * Resolves as soon as the run has started: the task carries on in the background, and its progress can be followed
+ * through the returned Job.
+ *
+ * @param {string} name name of the task
+ * @param {string} username who started the run
+ * @param {*} [params] params of the run, passed to the task (optional)
+ * @returns {Promise} promise that resolves with the running Job
+ */
+exports.runNow = function(name, username, params) {
+  return claimTask(name, name + ':' + new mongoose.Types.ObjectId(), username).then(job => {
+    executeTask(job, params).catch(error => {
+      defaultLog.error('Failed to record the result of task:', name, job.key, error);
+    });
+    return job;
+  });
+};
+
+/**
+ * Fetches a page of Jobs, newest first.
+ *
+ * @param {object} query mongo query
+ * @param {number} [skip=0] number of jobs to skip
+ * @param {number} [limit=0] max number of jobs to return (0 for no limit)
+ * @returns {Promise} promise that resolves with an object of the form: { total: number, jobs: [object] }
+ */
+exports.getJobs = function(query, skip = 0, limit = 0) {
+  const Job = mongoose.model('Job');
+
+  return Promise.all([
+    Job.countDocuments(query).exec(),
+    Job.find(query)
+      .sort({ startedDate: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+      .exec()
+  ]).then(([total, jobs]) => {
+    return { total: total, jobs: jobs };
+  });
+};
+
+/**
+ * Returns the key of the interval window that the given time falls in.
+ *
+ * @param {string} name name of the task
+ * @param {number} interval interval of the task, in milliseconds
+ * @param {number} [time=Date.now()] time, in milliseconds
+ * @returns {string}
+ */
+exports.getWindowKey = function(name, interval, time = Date.now()) {
+  return name + ':' + new Date(Math.floor(time / interval) * interval).toISOString();
+};
+
+/**
+ * Runs a task for the current interval window, unless this process is still running its previous run.
+ *
+ * @param {string} name name of the task
+ * @returns {Promise}
+ */
+const runScheduled = function(name) {
+  if (runningTasks.has(name)) {
+    defaultLog.warn('Skipping task, as its previous run is still going:', name);
+    return Promise.resolve();
+  }
+
+  runningTasks.add(name);
+  return exports
+    .runTask(name, exports.getWindowKey(name, tasks[name].interval))
+    .catch(error => {
+      defaultLog.error('Failed to run task:', name, error);
+    })
+    .then(() => {
+      runningTasks.delete(name);
+    });
+};
+
+/**
+ * Runs a task now if its last run started more than an interval ago (or it has never run).
+ *
+ * @param {string} name name of the task
+ * @returns {Promise}
+ */
+const runIfOverdue = function(name) {
+  return mongoose
+    .model('Job')
+    .findOne({ name: name }, { startedDate: 1 })
+    .sort({ startedDate: -1 })
+    .lean()
+    .exec()
+    .then(lastJob => {
+      if (lastJob && lastJob.startedDate > Date.now() - tasks[name].interval) {
+        return;
+      }
+      defaultLog.info('Task is overdue, running it now:', name);
+      return runScheduled(name);
+    })
+    .catch(error => {
+      defaultLog.error('Failed to check whether task is overdue:', name, error);
+    });
+};
+
+/**
+ * Starts running every registered task on its interval.
+ */
+exports.start = function() {
+  exports.stop();
+
+  exports
+    .failStaleJobs()
+    .catch(error => {
+      defaultLog.error('Failed to mark stale jobs as failed:', error);
+    })
+    .then(() => {
+      Object.keys(tasks).forEach(name => {
+        if (tasks[name].interval) {
+          runIfOverdue(name);
+        }
+      });
+    });
+
+  Object.keys(tasks).forEach(name => {
+    const interval = tasks[name].interval;
+    if (!interval) {
+      return;
+    }
+
+    defaultLog.info('Scheduling task:', name, 'every', interval, 'ms');
+
+    const timer = setInterval(() => runScheduled(name), interval);
+
+    // Don't keep the process alive just for the scheduler.
+    timer.unref();
+    timers.push(timer);
+  });
+};
+
+/**
+ * Stops running all tasks.  Runs already in progress are left to finish.
+ */
+exports.stop = function() {
+  timers.forEach(timer => clearInterval(timer));
+  timers = [];
+};
@@ -0,0 +1,27 @@
+const Scheduler = require('./scheduler');
+
+describe('Scheduler', () => {
+  describe('getWindowKey', () => {
+    test('it returns the same key for times in the same interval window', () => {
+      const interval = 60 * 1000;
+      const start = Date.parse('2019-07-17T21:59:00.000Z');
+      expect(Scheduler.getWindowKey('task', interval, start)).toEqual('task:2019-07-17T21:59:00.000Z');
+      expect(Scheduler.getWindowKey('task', interval, start + 59 * 1000)).toEqual('task:2019-07-17T21:59:00.000Z');
+    });
+
+    test('it returns a different key for the next interval window', () => {
+      const interval = 60 * 1000;
+      const start = Date.parse('2019-07-17T21:59:00.000Z');
+      expect(Scheduler.getWindowKey('task', interval, start + interval)).toEqual('task:2019-07-17T22:00:00.000Z');
+    });
+  });
+
+  describe('runTask', () => {
+    test('it rejects unknown tasks', done => {
+      Scheduler.runTask('notATask', 'notATask:1').catch(error => {
+        expect(error.message).toEqual('Unknown task: notATask');
+        done();
+      });
+    });
+  });
+});
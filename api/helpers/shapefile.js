@@ -0,0 +1,493 @@
+'use strict';
+
+/**
+ * This file contains utility functions for exporting features as a zipped ESRI Shapefile
+ * (https://www.esri.com/library/whitepapers/pdfs/shapefile.pdf), for GIS tools that don't read GeoJSON.
+ *
+ * A shapefile can only hold one type of shape, so the features are written to a shapefile per type of shape they have:
+ * polygons, lines and points (eg: features_polygons.shp).  Each comes with its attribute table (.dbf), index (.shx),
+ * code page (.cpg) and projection (.prj: WGS 84, which is what features are stored in).
+ *
+ * Records are written to temporary files as features are added, so that large exports can be read from the database
+ * without being held in memory.  The headers, which hold the number of records and the bounding box, are filled in once
+ * the last feature has been added, so the zip can only be sent after that.
+ */
+
+const _ = require('lodash');
+const archiver = require('archiver');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+
+const closeFile = util.promisify(fs.close);
+const mkdtemp = util.promisify(fs.mkdtemp);
+const open = util.promisify(fs.open);
+const readdir = util.promisify(fs.readdir);
+const rmdir = util.promisify(fs.rmdir);
+const unlink = util.promisify(fs.unlink);
+const write = util.promisify(fs.write);
+const writeFile = util.promisify(fs.writeFile);
+
+exports.MEDIA_TYPE = 'application/zip';
+
+// Most features that can be exported as a shapefile at once, as the whole zip is written to disk before it is sent.
+exports.MAX_FEATURES = Number(process.env.SHAPEFILE_MAX_FEATURES) || 50000;
+
+// WGS 84, as ESRI tools expect it.
+exports.PRJ =
+  'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+  'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+const getProperty = function(property) {
+  return feature => feature.properties && feature.properties[property];
+};
+
+// Attributes of each feature.  dBase limits the names to 10 characters, and the text to 254 bytes.
+exports.FIELDS = [
+  { name: 'FEATURE_ID', type: 'C', length: 24, get: feature => feature._id },
+  { name: 'APP_ID', type: 'C', length: 24, get: feature => feature.applicationID },
+  { name: 'FILE_NO', type: 'C', length: 20, get: getProperty('CROWN_LANDS_FILE') },
+  { name: 'DTID', type: 'N', length: 18, decimals: 0, get: getProperty('DISPOSITION_TRANSACTION_SID') },
+  { name: 'INTRID_SID', type: 'N', length: 18, decimals: 0, get: getProperty('INTRID_SID') },
+  { name: 'STATUS', type: 'C', length: 50, get: getProperty('TENURE_STATUS') },
+  { name: 'STAGE', type: 'C', length: 50, get: getProperty('TENURE_STAGE') },
+  { name: 'TYPE', type: 'C', length: 50, get: getProperty('TENURE_TYPE') },
+  { name: 'SUBTYPE', type: 'C', length: 100, get: getProperty('TENURE_SUBTYPE') },
+  { name: 'PURPOSE', type: 'C', length: 50, get: getProperty('TENURE_PURPOSE') },
+  { name: 'SUBPURPOSE', type: 'C', length: 100, get: getProperty('TENURE_SUBPURPOSE') },
+  { name: 'AREA_HA', type: 'N', length: 18, decimals: 4, get: getProperty('TENURE_AREA_IN_HECTARES') },
+  { name: 'LOCATION', type: 'C', length: 254, get: getProperty('TENURE_LOCATION') },
+  { name: 'LEGAL_DESC', type: 'C', length: 254, get: getProperty('TENURE_LEGAL_DESCRIPTION') }
+];
+
+// Shapefile shape type of each layer.
+const SHAPE_TYPES = { polygons: 5, lines: 3, points: 8 };
+
+// How many bytes of records each shapefile holds in memory before writing them out.
+const FLUSH_SIZE = 1024 * 1024;
+
+const SHP_HEADER_LENGTH = 100;
+const DBF_HEADER_LENGTH = 32 + 32 * exports.FIELDS.length + 1;
+const DBF_RECORD_LENGTH = 1 + _.sumBy(exports.FIELDS, 'length');
+
+const isPosition = function(position) {
+  return (
+    Array.isArray(position) && position.length >= 2 && Number.isFinite(position[0]) && Number.isFinite(position[1])
+  );
+};
+
+/**
+ * Whether a ring of positions is clockwise.
+ *
+ * @param {Array} ring positions of the form: [[x, y]]
+ * @returns {boolean}
+ */
+exports.isClockwise = function(ring) {
+  let sum = 0;
+  for (let i = 1; i < ring.length; i++) {
+    sum += (ring[i][0] - ring[i - 1][0]) * (ring[i][1] + ring[i - 1][1]);
+  }
+  return sum > 0;
+};
+
+/**
+ * Gets the shapes of a geometry, split by the layer they are written to.  Polygon rings are wound as shapefiles expect:
+ * the outer ring clockwise, and holes anticlockwise (the opposite of GeoJSON).
+ *
+ * @param {object} geometry GeoJSON geometry, which may be a GeometryCollection
+ * @returns {object} shapes of the form: { polygons: [ring], lines: [line], points: [position] }
+ */
+exports.getShapes = function(geometry) {
+  const shapes = { polygons: [], lines: [], points: [] };
+
+  const addLines = function(lines) {
+    _.forEach(lines, line => {
+      const positions = _.filter(line, isPosition);
+      if (positions.length > 1) {
+        shapes.lines.push(positions);
+      }
+    });
+  };
+
+  const addPolygon = function(rings) {
+    _.forEach(rings, (ring, index) => {
+      const positions = _.filter(ring, isPosition);
+      if (positions.length < 4) {
+        return;
+      }
+      const isOuter = index === 0;
+      shapes.polygons.push(exports.isClockwise(positions) === isOuter ? positions : positions.slice().reverse());
+    });
+  };
+
+  const addGeometry = function(part) {
+    if (!part || !part.type) {
+      return;
+    }
+
+    switch (part.type) {
+      case 'Point':
+        shapes.points.push(..._.filter([part.coordinates], isPosition));
+        break;
+      case 'MultiPoint':
+        shapes.points.push(..._.filter(part.coordinates, isPosition));
+        break;
+      case 'LineString':
+        addLines([part.coordinates]);
+        break;
+      case 'MultiLineString':
+        addLines(part.coordinates);
+        break;
+      case 'Polygon':
+        addPolygon(part.coordinates);
+        break;
+      case 'MultiPolygon':
+        _.forEach(part.coordinates, addPolygon);
+        break;
+      case 'GeometryCollection':
+        _.forEach(part.geometries, addGeometry);
+        break;
+    }
+  };
+
+  addGeometry(geometry);
+
+  return shapes;
+};
+
+/**
+ * Encodes the content of a shape record.
+ *
+ * @param {number} shapeType shapefile shape type: 3 (polyline), 5 (polygon) or 8 (multipoint)
+ * @param {Array} parts rings or lines of the form: [[[x, y]]], or positions of the form: [[x, y]] for multipoints
+ * @returns {object} object of the form: { content: Buffer, bbox: [xmin, ymin, xmax, ymax] }
+ */
+const encodeShape = function(shapeType, parts) {
+  const isMultiPoint = shapeType === SHAPE_TYPES.points;
+  const positions = isMultiPoint ? parts : _.flatten(parts);
+  const bbox = [
+    _.min(_.map(positions, 0)),
+    _.min(_.map(positions, 1)),
+    _.max(_.map(positions, 0)),
+    _.max(_.map(positions, 1))
+  ];
+
+  const length = isMultiPoint ? 40 + 16 * positions.length : 44 + 4 * parts.length + 16 * positions.length;
+  const content = Buffer.alloc(length);
+  content.writeInt32LE(shapeType, 0);
+  bbox.forEach((value, i) => content.writeDoubleLE(value, 4 + 8 * i));
+
+  let offset = 36;
+  if (isMultiPoint) {
+    content.writeInt32LE(positions.length, offset);
+    offset += 4;
+  } else {
+    content.writeInt32LE(parts.length, offset);
+    content.writeInt32LE(positions.length, offset + 4);
+    offset += 8;
+
+    let start = 0;
+    parts.forEach(part => {
+      content.writeInt32LE(start, offset);
+      offset += 4;
+      start += part.length;
+    });
+  }
+
+  positions.forEach(position => {
+    content.writeDoubleLE(position[0], offset);
+    content.writeDoubleLE(position[1], offset + 8);
+    offset += 16;
+  });
+
+  return { content: content, bbox: bbox };
+};
+
+/**
+ * Encodes the attributes of a feature as a dBase record.
+ *
+ * @param {object} feature feature
+ * @returns {Buffer}
+ */
+const encodeAttributes = function(feature) {
+  const record = Buffer.alloc(DBF_RECORD_LENGTH, ' ');
+
+  let offset = 1;
+  exports.FIELDS.forEach(field => {
+    const value = field.get(feature);
+
+    let text = '';
+    if (field.type === 'N') {
+      text =
+        Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value).toFixed(field.decimals) : '';
+      text = _.padStart(text, field.length).slice(-field.length);
+    } else if (value !== undefined && value !== null) {
+      text = String(value);
+      // Truncate by character, so as not to split a multibyte one.
+      while (Buffer.byteLength(text) > field.length) {
+        text = text.slice(0, -1);
+      }
+    }
+
+    record.write(text, offset, field.length, 'utf8');
+    offset += field.length;
+  });
+
+  return record;
+};
+
+/**
+ * Gets the header of a .shp or .shx file.
+ *
+ * @param {number} shapeType shapefile shape type
+ * @param {number} fileLength length of the file, in bytes
+ * @param {Array} bbox of the form: [xmin, ymin, xmax, ymax]
+ * @returns {Buffer}
+ */
+const getShpHeader = function(shapeType, fileLength, bbox) {
+  const header = Buffer.alloc(SHP_HEADER_LENGTH);
+  header.writeInt32BE(9994, 0);
+  header.writeInt32BE(fileLength / 2, 24);
+  header.writeInt32LE(1000, 28);
+  header.writeInt32LE(shapeType, 32);
+  bbox.forEach((value, i) => header.writeDoubleLE(value, 36 + 8 * i));
+  return header;
+};
+
+/**
+ * Gets the header of a .dbf file.
+ *
+ * @param {number} count number of records
+ * @returns {Buffer}
+ */
+const getDbfHeader = function(count) {
+  const header = Buffer.alloc(DBF_HEADER_LENGTH);
+  const now = new Date();
+
+  header.writeUInt8(3, 0);
+  header.writeUInt8(now.getFullYear() - 1900, 1);
+  header.writeUInt8(now.getMonth() + 1, 2);
+  header.writeUInt8(now.getDate(), 3);
+  header.writeUInt32LE(count, 4);
+  header.writeUInt16LE(DBF_HEADER_LENGTH, 8);
+  header.writeUInt16LE(DBF_RECORD_LENGTH, 10);
+
+  exports.FIELDS.forEach((field, i) => {
+    const offset = 32 + 32 * i;
+    header.write(field.name, offset, 10, 'ascii');
+    header.write(field.type, offset + 11, 1, 'ascii');
+    header.writeUInt8(field.length, offset + 16);
+    header.writeUInt8(field.decimals || 0, offset + 17);
+  });
+  header.writeUInt8(0x0d, DBF_HEADER_LENGTH - 1);
+
+  return header;
+};
+
+/**
+ * Creates a shapefile of one type of shape.  Records are held in memory as they are added, and written out (without
+ * blocking) once there are FLUSH_SIZE bytes of them.
+ *
+ * @param {string} dir directory to write to
+ * @param {string} name name of the shapefile, without extension
+ * @param {number} shapeType shapefile shape type
+ * @returns {Promise} promise that resolves, once the files are open, with an object of the form:
+ *                    {
+ *                      files: { shp, shx, dbf, prj, cpg }, // paths of the files
+ *                      add: function(feature, parts), // returns a promise that resolves once the record is written
+ *                      close: function() // returns a promise that resolves once the headers are written
+ *                    }
+ */
+const createLayer = function(dir, name, shapeType) {
+  const files = _.fromPairs(
+    _.map(['shp', 'shx', 'dbf', 'prj', 'cpg'], extension => [extension, path.join(dir, `${name}.${extension}`)])
+  );
+
+  return Promise.all([
+    writeFile(files.prj, exports.PRJ),
+    writeFile(files.cpg, 'UTF-8'),
+    open(files.shp, 'w'),
+    open(files.shx, 'w'),
+    open(files.dbf, 'w')
+  ]).then(([, , shp, shx, dbf]) => {
+    const fds = { shp: shp, shx: shx, dbf: dbf };
+
+    // Room is left for the headers, which are written once the last record has been added.
+    let pending = {
+      shp: [Buffer.alloc(SHP_HEADER_LENGTH)],
+      shx: [Buffer.alloc(SHP_HEADER_LENGTH)],
+      dbf: [Buffer.alloc(DBF_HEADER_LENGTH)]
+    };
+    let pendingSize = 0;
+    // Writes are queued, so that they happen in order.
+    let writing = Promise.resolve();
+    let closing = null;
+
+    let count = 0;
+    let shpLength = SHP_HEADER_LENGTH;
+    let bbox = null;
+
+    const flush = function() {
+      const chunks = pending;
+      pending = { shp: [], shx: [], dbf: [] };
+      pendingSize = 0;
+
+      writing = writing.then(() => {
+        return Promise.all(
+          _.map(chunks, (buffers, extension) => buffers.length && write(fds[extension], Buffer.concat(buffers)))
+        );
+      });
+      return writing;
+    };
+
+    return {
+      files: files,
+
+      add: function(feature, parts) {
+        const shape = encodeShape(shapeType, parts);
+
+        count++;
+        const recordHeader = Buffer.alloc(8);
+        recordHeader.writeInt32BE(count, 0);
+        recordHeader.writeInt32BE(shape.content.length / 2, 4);
+
+        const index = Buffer.alloc(8);
+        index.writeInt32BE(shpLength / 2, 0);
+        index.writeInt32BE(shape.content.length / 2, 4);
+
+        const attributes = encodeAttributes(feature);
+
+        pending.shp.push(recordHeader, shape.content);
+        pending.shx.push(index);
+        pending.dbf.push(attributes);
+        pendingSize += recordHeader.length + shape.content.length + index.length + attributes.length;
+
+        shpLength += recordHeader.length + shape.content.length;
+        bbox = bbox
+          ? [
+              Math.min(bbox[0], shape.bbox[0]),
+              Math.min(bbox[1], shape.bbox[1]),
+              Math.max(bbox[2], shape.bbox[2]),
+              Math.max(bbox[3], shape.bbox[3])
+            ]
+          : shape.bbox;
+
+        return pendingSize >= FLUSH_SIZE ? flush() : Promise.resolve();
+      },
+
+      close: function() {
+        if (!closing) {
+          pending.dbf.push(Buffer.from([0x1a]));
+
+          closing = flush()
+            .then(() => {
+              const extent = bbox || [0, 0, 0, 0];
+              return Promise.all([
+                write(fds.shp, getShpHeader(shapeType, shpLength, extent), 0, SHP_HEADER_LENGTH, 0),
+                write(fds.shx, getShpHeader(shapeType, SHP_HEADER_LENGTH + 8 * count, extent), 0, SHP_HEADER_LENGTH, 0),
+                write(fds.dbf, getDbfHeader(count), 0, DBF_HEADER_LENGTH, 0)
+              ]);
+            })
+            .then(
+              () => Promise.all(_.map(fds, fd => closeFile(fd))),
+              error => Promise.all(_.map(fds, fd => closeFile(fd).catch(() => null))).then(() => Promise.reject(error))
+            );
+        }
+        return closing;
+      }
+    };
+  });
+};
+
+/**
+ * Creates a writer of a zipped shapefile, to which features are added one at a time.  Nothing blocks: the records are
+ * written to temporary files in the background.
+ *
+ * The zip can't be sent until the last feature has been added, as the headers of the shapefiles hold how many records
+ * they have, and their bounding box.
+ *
+ * @param {string} name name of the shapefiles, eg: features
+ * @returns {object} object of the form:
+ *                   {
+ *                     add: function(feature), // returns a promise that resolves once the feature is written
+ *                     toZip: function(), // finishes the shapefiles, and returns a promise of a stream of the zip
+ *                     remove: function() // returns a promise that resolves once the temporary files are removed
+ *                   }
+ */
+exports.createWriter = function(name) {
+  let dir = null;
+  let removing = null;
+  const layers = {};
+
+  const getLayer = function(layer) {
+    if (!dir) {
+      dir = mkdtemp(path.join(os.tmpdir(), 'shapefile-'));
+    }
+    if (!layers[layer]) {
+      layers[layer] = dir.then(tempDir => createLayer(tempDir, `${name}_${layer}`, SHAPE_TYPES[layer]));
+    }
+    return layers[layer];
+  };
+
+  return {
+    add: function(feature) {
+      if (removing) {
+        return Promise.reject(new Error('Shapefile writer has been removed'));
+      }
+
+      const shapes = exports.getShapes(feature.geometry);
+      return Promise.all(
+        _.map(
+          shapes,
+          (parts, layer) => parts.length && getLayer(layer).then(shapefile => shapefile.add(feature, parts))
+        )
+      );
+    },
+
+    toZip: function() {
+      if (removing) {
+        return Promise.reject(new Error('Shapefile writer has been removed'));
+      }
+
+      // An empty export is an empty polygon shapefile, rather than an empty zip.
+      if (_.isEmpty(layers)) {
+        getLayer('polygons');
+      }
+
+      const names = _.keys(layers);
+      return Promise.all(
+        _.map(names, layer => layers[layer].then(shapefile => shapefile.close().then(() => shapefile)))
+      ).then(shapefiles => {
+        const archive = archiver('zip');
+        shapefiles.forEach((shapefile, i) => {
+          _.forEach(shapefile.files, (file, extension) => {
+            archive.file(file, { name: `${name}_${names[i]}.${extension}` });
+          });
+        });
+        archive.finalize();
+
+        return archive;
+      });
+    },
+
+    remove: function() {
+      if (!removing) {
+        // The files are closed first, so that none are still being written.
+        const closed = _.map(layers, layer => layer.then(shapefile => shapefile.close()).catch(() => null));
+
+        removing = Promise.all(closed)
+          .then(() => dir)
+          .then(tempDir => {
+            if (!tempDir) {
+              return null;
+            }
+            return readdir(tempDir)
+              .then(files => Promise.all(_.map(files, file => unlink(path.join(tempDir, file)))))
+              .then(() => rmdir(tempDir));
+          });
+      }
+      return removing;
+    }
+  };
+};
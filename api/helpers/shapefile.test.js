@@ -0,0 +1,99 @@
+const Shapefile = require('./shapefile');
+
+describe('Shapefile', () => {
+  describe('getShapes', () => {
+    it('splits a GeometryCollection by type of shape', () => {
+      const shapes = Shapefile.getShapes({
+        type: 'GeometryCollection',
+        geometries: [
+          { type: 'Polygon', coordinates: [[[0, 0], [0, 1], [1, 1], [0, 0]]] },
+          { type: 'LineString', coordinates: [[0, 0], [1, 1]] },
+          { type: 'MultiPoint', coordinates: [[0, 0], [1, 1]] }
+        ]
+      });
+
+      expect(shapes.polygons).toEqual([[[0, 0], [0, 1], [1, 1], [0, 0]]]);
+      expect(shapes.lines).toEqual([[[0, 0], [1, 1]]]);
+      expect(shapes.points).toEqual([[0, 0], [1, 1]]);
+    });
+
+    it('winds outer rings clockwise, and holes anticlockwise', () => {
+      const shapes = Shapefile.getShapes({
+        type: 'Polygon',
+        coordinates: [[[0, 0], [4, 0], [4, 4], [0, 0]], [[1, 1], [1, 2], [2, 2], [1, 1]]]
+      });
+
+      expect(Shapefile.isClockwise(shapes.polygons[0])).toBe(true);
+      expect(Shapefile.isClockwise(shapes.polygons[1])).toBe(false);
+    });
+
+    it('leaves out empty shapes', () => {
+      const shapes = Shapefile.getShapes({ type: 'GeometryCollection', geometries: [{ type: '', coordinates: [[]] }] });
+
+      expect(shapes).toEqual({ polygons: [], lines: [], points: [] });
+    });
+  });
+
+  describe('createWriter', () => {
+    function getEntries(writer) {
+      return writer.toZip().then(
+        zip =>
+          new Promise((resolve, reject) => {
+            const entries = [];
+            zip.on('entry', entry => entries.push(entry.name));
+            zip.on('error', reject);
+            zip.on('end', () => resolve(entries.sort()));
+            zip.resume();
+          })
+      );
+    }
+
+    it('zips a shapefile per type of shape, with its projection', done => {
+      const writer = Shapefile.createWriter('features');
+      const added = writer.add({
+        _id: 'f1',
+        properties: { CROWN_LANDS_FILE: '7410005' },
+        geometry: {
+          type: 'GeometryCollection',
+          geometries: [
+            { type: 'Polygon', coordinates: [[[0, 0], [0, 1], [1, 1], [0, 0]]] },
+            { type: 'Point', coordinates: [0, 0] }
+          ]
+        }
+      });
+
+      added
+        .then(() => getEntries(writer))
+        .then(entries => {
+          expect(entries).toEqual([
+            'features_points.cpg',
+            'features_points.dbf',
+            'features_points.prj',
+            'features_points.shp',
+            'features_points.shx',
+            'features_polygons.cpg',
+            'features_polygons.dbf',
+            'features_polygons.prj',
+            'features_polygons.shp',
+            'features_polygons.shx'
+          ]);
+          return writer.remove();
+        })
+        .then(() => done())
+        .catch(done.fail);
+    });
+
+    it('zips an empty polygon shapefile when there are no features', done => {
+      const writer = Shapefile.createWriter('features');
+
+      getEntries(writer)
+        .then(entries => {
+          expect(entries.length).toEqual(5);
+          expect(entries).toContain('features_polygons.shp');
+          return writer.remove();
+        })
+        .then(() => done())
+        .catch(done.fail);
+    });
+  });
+});
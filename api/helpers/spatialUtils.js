@@ -77,3 +77,36 @@ exports.convertGeoJSONToEPSG3005 = function(geoJSONArray) {
 
   return leafletFormatArray;
 };
+
+/**
+ * Whether an application has a centroid.  Applications without any features have none: [] or [0, 0].
+ *
+ * @param {Application} application
+ * @returns {boolean}
+ */
+exports.hasCentroid = function(application) {
+  const centroid = application && application.centroid;
+  return !!centroid && centroid.length === 2 && centroid.every(Number.isFinite) && centroid.some(coord => coord !== 0);
+};
+
+/**
+ * Reprojects a GeoJSON geometry to WGS84 (EPSG:4326), the CRS that features are stored in.
+ *
+ * @param {object} geometry GeoJSON geometry
+ * @param {string} crs CRS of the geometry: an EPSG code of the form 'EPSG:3005', or the WKT of a projection (eg: the
+ *                     contents of a shapefile's .prj file)
+ * @returns {object} reprojected GeoJSON geometry
+ * @throws {Error} if the CRS is unknown
+ */
+exports.toWgs84 = function(geometry, crs) {
+  if (!crs || crs === 'EPSG:4326') {
+    return geometry;
+  }
+
+  try {
+    return reproject.toWgs84(geometry, crs, epsg);
+  } catch (error) {
+    // proj4 throws strings, as well as errors, neither of which say much.
+    throw new Error('Unknown CRS: unable to reproject from it');
+  }
+};
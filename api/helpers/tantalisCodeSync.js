@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * This file contains the Tantalis code sync task, which keeps ACRFD's copy of the Tantalis code tables (purposes,
+ * types, statuses, etc, see helpers/codes.js) up to date.  Registered with the scheduler (see helpers/scheduler.js) in
+ * app.js, and can also be run on demand through POST /codes/sync.
+ *
+ * 1. Fetches the Tantalis applications updated within the lookback period, or every Tantalis application if the code
+ *    tables are empty (or a full sync is asked for).
+ * 2. Adds the codes used by those applications, and updates the descriptions of existing ones.
+ * 3. Reloads the in-memory code tables.
+ */
+
+const moment = require('moment');
+const mongoose = require('mongoose');
+const Codes = require('./codes');
+const TTLSUtils = require('./ttlsUtils');
+const defaultLog = require('./logger')('tantalisCodeSync');
+
+exports.TASK_NAME = 'tantalisCodeSync';
+
+// How often to sync the code tables, in milliseconds.
+exports.INTERVAL = Number(process.env.TANTALIS_CODE_SYNC_INTERVAL) || 24 * 60 * 60 * 1000;
+
+// How far back to look for applications updated in Tantalis, in days.  Should be longer than the interval, so that a
+// missed run doesn't miss any new codes.
+exports.LOOKBACK_DAYS = Number(process.env.TANTALIS_SYNC_LOOKBACK_DAYS) || 7;
+
+/**
+ * Runs a code sync.
+ *
+ * @param {object} [params] object of the form: { full: boolean } (optional)
+ * @returns {Promise} promise that resolves with an object of the form:
+ *                    {
+ *                      full: boolean, // whether every Tantalis application was checked
+ *                      applications: number, // Tantalis applications checked
+ *                      codes: number, // codes used by those applications
+ *                      added: number, // new codes
+ *                      updated: number // codes whose description changed
+ *                    }
+ */
+exports.run = function(params) {
+  return mongoose
+    .model('Code')
+    .countDocuments({})
+    .exec()
+    .then(count => {
+      const full = !count || !!(params && params.full);
+
+      const filterParams = full
+        ? {}
+        : {
+            updated: moment()
+              .subtract(exports.LOOKBACK_DAYS, 'days')
+              .format('YYYYMMDD')
+          };
+
+      return TTLSUtils.getAllApplicationCodes(filterParams).then(found => {
+        return Codes.saveCodes(found.codes).then(saved => {
+          return {
+            full: full,
+            applications: found.applications,
+            codes: found.codes.length,
+            added: saved.added,
+            updated: saved.updated
+          };
+        });
+      });
+    })
+    .then(results => {
+      defaultLog.info(
+        `Tantalis code sync done: ${results.applications} applications checked,`,
+        `${results.added} codes added, ${results.updated} updated.`
+      );
+      return Codes.loadCache().then(() => results);
+    });
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * This file contains the Tantalis sync task, which keeps ACRFD applications up to date with whatever information is in
+ * Tantalis (the source of truth).  Registered with the scheduler (see helpers/scheduler.js) in app.js, and can also be
+ * run on demand through the sync routes.
+ *
+ * 1. Unpublishes retired applications:
+ *    a. Fetches all published ACRFD applications that have had a status for longer than its retirement rule allows (see
+ *       helpers/retirement.js), and unpublishes them, along with their comment periods, decisions, documents and
+ *       features, all or nothing (see Cascade.publishApplication).
+ * 2. Updates non-deleted ACRFD applications:
+ *    a. Fetches all Tantalis applications that have had their status history effective date updated within the
+ *       lookback period.
+ *    b. For each non-deleted ACRFD application with a matching Tantalis application:
+ *      i. Updates the ACRFD application features and meta to match whatever is in Tantalis.
+ */
+
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Cascade = require('./cascade');
+const Retirement = require('./retirement');
+const TTLSUtils = require('./ttlsUtils');
+const defaultLog = require('./logger')('tantalisSync');
+
+exports.TASK_NAME = 'tantalisSync';
+
+// How often to sync with Tantalis, in milliseconds.
+exports.INTERVAL = Number(process.env.TANTALIS_SYNC_INTERVAL) || 24 * 60 * 60 * 1000;
+
+// How far back to look for applications updated in Tantalis, in days.  Should be longer than the interval, so that a
+// missed run doesn't miss any updates.
+exports.LOOKBACK_DAYS = Number(process.env.TANTALIS_SYNC_LOOKBACK_DAYS) || 7;
+
+// The user recorded in the audit trail for synced changes.
+const SYNC_USER = 'tantalisSync';
+
+/**
+ * Unpublishes retired ACRFD applications, and their comment periods, decisions, documents and features.
+ *
+ * @param {object} results results of the run, updated with each application unpublished or failed
+ * @returns {Promise}
+ */
+const unpublishRetiredApplications = function(results) {
+  return Retirement.getApplicationsToUnpublish().then(({ applications }) => {
+    defaultLog.info(`found ${applications.length} retired applications.`);
+
+    return applications.reduce((previous, application) => {
+      return previous.then(() => {
+        return Cascade.publishApplication(application, 'unpublish', SYNC_USER)
+          .then(data => {
+            if (!data.success) {
+              const failed = data.results.filter(result => result.result === 'failed');
+              throw new Error(
+                'Failed to unpublish all objects, changes have been rolled back: ' +
+                  failed.map(result => result.message).join(', ')
+              );
+            }
+          })
+          .then(
+            () => {
+              defaultLog.info('Unpublished application, _id:', application._id);
+              results.unpublished.push(application._id);
+            },
+            error => {
+              defaultLog.error('Failed to unpublish application, _id:', application._id, error);
+              results.failed.push({ _id: application._id, action: 'unpublish', message: getMessage(error) });
+            }
+          );
+      });
+    }, Promise.resolve());
+  });
+};
+
+/**
+ * Updates every non-deleted ACRFD application that has been updated in Tantalis within the lookback period.
+ *
+ * @param {object} results results of the run, updated with each application checked, updated or failed
+ * @returns {Promise}
+ */
+const updateRecentlyUpdatedApplications = function(results) {
+  const Application = mongoose.model('Application');
+
+  const timeSince = moment()
+    .subtract(exports.LOOKBACK_DAYS, 'days')
+    .format('YYYYMMDD');
+
+  return TTLSUtils.getAllApplicationIDs({ updated: timeSince })
+    .then(recentlyUpdatedApplicationIDs => {
+      return Application.find({ isDeleted: false, tantalisID: { $in: recentlyUpdatedApplicationIDs } }).exec();
+    })
+    .then(applications => {
+      defaultLog.info(`found ${applications.length} ACRFD applications with a recently updated Tantalis application.`);
+      results.checked = applications.length;
+
+      return applications.reduce((previous, application) => {
+        return previous.then(() => {
+          return TTLSUtils.updateApplication(application, SYNC_USER).then(
+            updatedApplicationAndFeatures => {
+              if (updatedApplicationAndFeatures) {
+                defaultLog.info('Updated application, _id:', application._id);
+                results.updated.push(application._id);
+              }
+            },
+            error => {
+              defaultLog.error('Failed to update application, _id:', application._id, error);
+              results.failed.push({ _id: application._id, action: 'update', message: getMessage(error) });
+            }
+          );
+        });
+      }, Promise.resolve());
+    });
+};
+
+/**
+ * Gets a readable message from an error, which may be an Error, or a Tantalis API response code.
+ *
+ * @param {*} error
+ * @returns {string}
+ */
+const getMessage = function(error) {
+  if (error && error.message) {
+    return error.message;
+  }
+  if (error && error.code) {
+    return 'Tantalis API responded with: ' + error.code;
+  }
+  return String(error);
+};
+
+/**
+ * Runs the Tantalis sync.
+ *
+ * A failure to update (or unpublish) a single application is recorded in the results, and the sync carries on with the
+ * rest.  Failing to reach Tantalis at all fails the run.
+ *
+ * @returns {Promise} promise that resolves with an object of the form:
+ *                    {
+ *                      unpublished: [ObjectID], // retired applications unpublished
+ *                      checked: number, // applications with a recently updated Tantalis application
+ *                      updated: [ObjectID], // applications updated
+ *                      failed: [{ _id: ObjectID, action: 'unpublish' | 'update', message: string }]
+ *                    }
+ */
+exports.run = function() {
+  const results = { unpublished: [], checked: 0, updated: [], failed: [] };
+
+  return unpublishRetiredApplications(results)
+    .then(() => updateRecentlyUpdatedApplications(results))
+    .then(() => {
+      defaultLog.info(
+        `Tantalis sync done: ${results.unpublished.length} unpublished, ${results.checked} checked,`,
+        `${results.updated.length} updated, ${results.failed.length} failed.`
+      );
+      return results;
+    });
+};
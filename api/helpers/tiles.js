@@ -0,0 +1,271 @@
+'use strict';
+
+/**
+ * This file contains utility functions for serving Mapbox Vector Tiles (https://github.com/mapbox/vector-tile-spec) of
+ * the public map, so that map clients only load the shapes in view, simplified to suit the zoom.
+ *
+ * Each tile has two layers:
+ * - features: the published features (parcels), with the properties needed to style and identify them.
+ * - applications: the centroids of the published applications, to mark them when zoomed out.
+ *
+ * The layers are sliced into tiles from an in-memory index (see geojson-vt), which is built from the database on the
+ * first request.  Encoded tiles are cached.  Both are thrown away whenever an application or feature is published,
+ * unpublished, deleted, restored or refreshed from Tantalis (see invalidate), and after TILE_CACHE_TTL, as another
+ * replica may have changed them since.
+ */
+
+const _ = require('lodash');
+const geojsonvt = require('geojson-vt');
+const mongoose = require('mongoose');
+const vtpbf = require('vt-pbf');
+const GeoJSON = require('./geojson');
+const SpatialUtils = require('./spatialUtils');
+const Utils = require('./utils');
+const defaultLog = require('./logger')('tiles');
+
+exports.MEDIA_TYPE = 'application/x-protobuf';
+
+exports.FEATURES_LAYER = 'features';
+exports.APPLICATIONS_LAYER = 'applications';
+
+// Highest zoom that tiles are sliced at.  Past it there is no more detail, so map clients should overzoom its tiles.
+exports.MAX_ZOOM = 18;
+
+// How long the index and cached tiles are used before they are rebuilt, in milliseconds.
+exports.TILE_CACHE_TTL = Number(process.env.TILE_CACHE_TTL) || 60 * 60 * 1000;
+
+// How many encoded tiles are cached.  The oldest are dropped first.
+exports.TILE_CACHE_SIZE = Number(process.env.TILE_CACHE_SIZE) || 5000;
+
+// Models whose changes can change the tiles.
+const MODELS = ['Application', 'Feature'];
+
+// Simplification tolerance, in tile pixels: geometries are simplified less the further in they are zoomed.
+const TOLERANCE = 3;
+const EXTENT = 4096;
+const BUFFER = 64;
+
+// Feature properties carried in the features layer.
+const FEATURE_PROPERTIES = [
+  'CROWN_LANDS_FILE',
+  'DISPOSITION_TRANSACTION_SID',
+  'TENURE_STATUS',
+  'TENURE_STAGE',
+  'TENURE_TYPE',
+  'TENURE_SUBTYPE',
+  'TENURE_PURPOSE',
+  'TENURE_SUBPURPOSE',
+  'TENURE_AREA_IN_HECTARES'
+];
+
+// Application fields carried in the applications layer.
+const APPLICATION_PROPERTIES = ['name', 'cl_file', 'tantalisID', 'status', 'purpose', 'subpurpose'];
+
+// In-memory index: { layers: Promise, builtAt: number, generation: number }, and the encoded tiles, keyed by z/x/y.
+let index = { layers: null, builtAt: 0, generation: 0 };
+const tiles = new Map();
+
+/**
+ * Whether z/x/y are the coordinates of a tile.
+ *
+ * @param {number} z zoom
+ * @param {number} x column
+ * @param {number} y row
+ * @returns {boolean}
+ */
+exports.isValidTile = function(z, x, y) {
+  if (!_.every([z, x, y], Number.isInteger) || z < 0 || z > 24) {
+    return false;
+  }
+
+  const size = Math.pow(2, z);
+  return x >= 0 && x < size && y >= 0 && y < size;
+};
+
+/**
+ * Fetches the published features, redacted as they are for GET /public/feature.
+ *
+ * @returns {Promise} promise that resolves with a GeoJSON FeatureCollection
+ */
+const getFeatures = function() {
+  const projection = { _id: 1, tags: 1, geometry: 1, applicationID: 1 };
+  _.forEach(FEATURE_PROPERTIES, property => {
+    projection['properties.' + property] = 1;
+  });
+
+  return mongoose
+    .model('Feature')
+    .aggregate([{ $match: { isDeleted: false } }, { $project: projection }, Utils.getFeatureRedactStage(['public'])])
+    .exec()
+    .then(features => {
+      return {
+        type: 'FeatureCollection',
+        features: _.compact(
+          _.map(features, feature => {
+            const geometry = GeoJSON.toGeometry(feature.geometry);
+            if (!geometry) {
+              return null;
+            }
+
+            return {
+              type: 'Feature',
+              geometry: geometry,
+              properties: _.omitBy(
+                Object.assign(_.pick(feature.properties, FEATURE_PROPERTIES), {
+                  featureID: String(feature._id),
+                  applicationID: feature.applicationID ? String(feature.applicationID) : null
+                }),
+                _.isNil
+              )
+            };
+          })
+        )
+      };
+    });
+};
+
+/**
+ * Fetches the centroids of the published applications.
+ *
+ * @returns {Promise} promise that resolves with a GeoJSON FeatureCollection of Points
+ */
+const getApplications = function() {
+  return Utils.runDataQuery(
+    'Application',
+    ['public'],
+    { isDeleted: false },
+    ['centroid'].concat(APPLICATION_PROPERTIES)
+  ).then(applications => {
+    return {
+      type: 'FeatureCollection',
+      features: _.map(_.filter(applications, SpatialUtils.hasCentroid), application => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: application.centroid },
+        properties: _.omitBy(
+          Object.assign(_.pick(application, APPLICATION_PROPERTIES), { applicationID: String(application._id) }),
+          _.isNil
+        )
+      }))
+    };
+  });
+};
+
+/**
+ * Builds the tile index of each layer.
+ *
+ * @param {object} layers GeoJSON FeatureCollection of each layer, of the form: { [layer]: FeatureCollection }
+ * @returns {object} index of each layer, of the form: { [layer]: GeoJSONVT }
+ */
+exports.buildLayers = function(layers) {
+  return _.mapValues(layers, collection =>
+    geojsonvt(collection, { maxZoom: exports.MAX_ZOOM, tolerance: TOLERANCE, extent: EXTENT, buffer: BUFFER })
+  );
+};
+
+/**
+ * Gets the tile index of each layer, building it if it hasn't been (or is out of date).
+ *
+ * @returns {Promise} promise that resolves with an object of the form: { [layer]: GeoJSONVT }
+ */
+const getLayers = function() {
+  if (index.layers && Date.now() - index.builtAt > exports.TILE_CACHE_TTL) {
+    exports.invalidate();
+  }
+
+  if (!index.layers) {
+    const generation = index.generation;
+    index.builtAt = Date.now();
+    index.layers = Promise.all([getFeatures(), getApplications()]).then(
+      ([features, applications]) => {
+        defaultLog.info(
+          `Built tile index of ${features.features.length} features, ${applications.features.length} applications.`
+        );
+        return exports.buildLayers({
+          [exports.FEATURES_LAYER]: features,
+          [exports.APPLICATIONS_LAYER]: applications
+        });
+      },
+      error => {
+        // Build it again on the next request.
+        if (index.generation === generation) {
+          index.layers = null;
+        }
+        throw error;
+      }
+    );
+  }
+
+  return index.layers;
+};
+
+/**
+ * Encodes a tile of each layer.
+ *
+ * @param {object} layers index of each layer (see buildLayers)
+ * @param {number} z zoom
+ * @param {number} x column
+ * @param {number} y row
+ * @returns {Buffer} encoded tile, or null if none of the layers have anything in it
+ */
+exports.encodeTile = function(layers, z, x, y) {
+  const layerTiles = {};
+  _.forEach(layers, (layer, name) => {
+    const tile = layer.getTile(z, x, y);
+    if (tile && tile.features.length) {
+      layerTiles[name] = tile;
+    }
+  });
+
+  if (_.isEmpty(layerTiles)) {
+    return null;
+  }
+
+  return Buffer.from(vtpbf.fromGeojsonVt(layerTiles, { version: 2 }));
+};
+
+/**
+ * Gets a tile, from the cache if it has been encoded before.
+ *
+ * @param {number} z zoom
+ * @param {number} x column
+ * @param {number} y row
+ * @returns {Promise} promise that resolves with the encoded tile, or null if the tile is empty
+ */
+exports.getTile = function(z, x, y) {
+  const built = getLayers();
+  const generation = index.generation;
+
+  return built.then(layers => {
+    const key = `${z}/${x}/${y}`;
+    if (tiles.has(key)) {
+      return tiles.get(key);
+    }
+
+    const tile = exports.encodeTile(layers, z, x, y);
+
+    // Don't cache a tile of an index that has since been thrown away.
+    if (index.generation === generation) {
+      tiles.set(key, tile);
+      if (tiles.size > exports.TILE_CACHE_SIZE) {
+        tiles.delete(tiles.keys().next().value);
+      }
+    }
+
+    return tile;
+  });
+};
+
+/**
+ * Throws away the tile index and cached tiles, so that the next tile requested is built from the latest data.
+ *
+ * @param {object} [doc] document that was changed, which is ignored if it can't change the tiles (optional)
+ */
+exports.invalidate = function(doc) {
+  const modelName = doc && doc.constructor && doc.constructor.modelName;
+  if (modelName && !MODELS.includes(modelName)) {
+    return;
+  }
+
+  index = { layers: null, builtAt: 0, generation: index.generation + 1 };
+  tiles.clear();
+};
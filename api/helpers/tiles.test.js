@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Tiles = require('./tiles');
+const Utils = require('./utils');
+require('./models/feature');
+require('./models/comment');
+
+describe('Tiles', () => {
+  const Feature = mongoose.model('Feature');
+
+  const polygon = {
+    type: 'Polygon',
+    coordinates: [[[-123.4, 48.4], [-123.3, 48.4], [-123.3, 48.5], [-123.4, 48.5], [-123.4, 48.4]]]
+  };
+
+  function mockData(features, applications) {
+    spyOn(Feature, 'aggregate').and.returnValue({ exec: () => Promise.resolve(features) });
+    spyOn(Utils, 'runDataQuery').and.returnValue(Promise.resolve(applications));
+  }
+
+  beforeEach(() => {
+    Tiles.invalidate();
+  });
+
+  describe('isValidTile', () => {
+    it('is valid within the bounds of the zoom', () => {
+      expect(Tiles.isValidTile(0, 0, 0)).toBe(true);
+      expect(Tiles.isValidTile(2, 3, 3)).toBe(true);
+    });
+
+    it('is invalid outside the bounds of the zoom', () => {
+      expect(Tiles.isValidTile(2, 4, 0)).toBe(false);
+      expect(Tiles.isValidTile(2, 0, -1)).toBe(false);
+      expect(Tiles.isValidTile(25, 0, 0)).toBe(false);
+      expect(Tiles.isValidTile(1.5, 0, 0)).toBe(false);
+    });
+  });
+
+  describe('encodeTile', () => {
+    const layers = Tiles.buildLayers({
+      features: { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: polygon, properties: {} }] }
+    });
+
+    it('encodes a tile with features in it', () => {
+      const tile = Tiles.encodeTile(layers, 8, 40, 88);
+      expect(tile.length).toBeGreaterThan(0);
+    });
+
+    it('returns null for an empty tile', () => {
+      expect(Tiles.encodeTile(layers, 8, 41, 88)).toBeNull();
+    });
+
+    it('simplifies away features too small to see at the zoom', () => {
+      expect(Tiles.encodeTile(layers, 0, 0, 0)).toBeNull();
+    });
+  });
+
+  describe('getTile', () => {
+    const features = [
+      {
+        _id: 'f1',
+        applicationID: 'a1',
+        geometry: { type: 'GeometryCollection', geometries: [Object.assign({ _id: 'g1' }, polygon)] },
+        properties: { TENURE_STATUS: 'ACCEPTED' }
+      }
+    ];
+    const applications = [
+      { _id: 'a1', name: 'Victoria', centroid: [-123.35, 48.45] },
+      { _id: 'a2', name: 'No features', centroid: [] }
+    ];
+
+    it('builds the layers once, and caches the tiles', done => {
+      mockData(features, applications);
+
+      Tiles.getTile(0, 0, 0)
+        .then(tile => {
+          expect(tile.length).toBeGreaterThan(0);
+          return Promise.all([Tiles.getTile(0, 0, 0), Tiles.getTile(1, 1, 1)]).then(([cached, empty]) => {
+            expect(cached).toBe(tile);
+            expect(empty).toBeNull();
+            expect(Feature.aggregate).toHaveBeenCalledTimes(1);
+            expect(Utils.runDataQuery).toHaveBeenCalledTimes(1);
+            done();
+          });
+        })
+        .catch(done.fail);
+    });
+
+    it('builds the layers again once invalidated', done => {
+      mockData(features, applications);
+
+      Tiles.getTile(0, 0, 0)
+        .then(() => {
+          Tiles.invalidate(new Feature({}));
+          return Tiles.getTile(0, 0, 0);
+        })
+        .then(() => {
+          expect(Feature.aggregate).toHaveBeenCalledTimes(2);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('is not invalidated by changes to other objects', done => {
+      mockData(features, applications);
+      const Comment = mongoose.model('Comment');
+
+      Tiles.getTile(0, 0, 0)
+        .then(() => {
+          Tiles.invalidate(new Comment({}));
+          return Tiles.getTile(0, 0, 0);
+        })
+        .then(() => {
+          expect(Feature.aggregate).toHaveBeenCalledTimes(1);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('builds the layers again after a failed build', done => {
+      spyOn(Feature, 'aggregate').and.returnValues(
+        { exec: () => Promise.reject(new Error('Connection lost')) },
+        { exec: () => Promise.resolve(features) }
+      );
+      spyOn(Utils, 'runDataQuery').and.returnValue(Promise.resolve(applications));
+
+      Tiles.getTile(0, 0, 0)
+        .then(() => done.fail('should have failed'))
+        .catch(error => {
+          expect(error.message).toEqual('Connection lost');
+          return Tiles.getTile(0, 0, 0);
+        })
+        .then(tile => {
+          expect(tile.length).toBeGreaterThan(0);
+          done();
+        })
+        .catch(done.fail);
+    });
+  });
+});
@@ -2,517 +2,977 @@
 
 /**
  * This file contains various utility functions for working with Tantalis and Tantalis data.
+ *
+ * Calls to the Tantalis API log in to WebADE through the shared token manager (see helpers/webADEToken.js), rather than
+ * taking an access token, and go through a resilient http client (see helpers/httpClient.js).
  */
 
 const _ = require('lodash');
 const mongoose = require('mongoose');
 const qs = require('qs');
-const request = require('request');
 const turf = require('@turf/turf');
 const helpers = require('@turf/helpers');
 const spatialUtils = require('./spatialUtils');
+const Actions = require('./actions');
+const Audit = require('./audit');
+const Codes = require('./codes');
+const HttpClient = require('./httpClient');
+const InterestedParties = require('./interestedParties');
+const Tiles = require('./tiles');
+const WebADEToken = require('./webADEToken');
 const defaultLog = require('./logger')('ttlsUtils');
 
 let tantalisAPI =
   process.env.TTLS_API_ENDPOINT ||
   'https://t1api.nrs.gov.bc.ca/ttls-api/v1/' ||
   'https://api.nrs.gov.bc.ca/ttls-api/v1/';
-let webADEAPI =
-  process.env.WEBADE_AUTH_ENDPOINT ||
-  'https://t1api.nrs.gov.bc.ca/oauth2/v1/' ||
-  'https://api.nrs.gov.bc.ca/oauth2/v1/';
-let username = process.env.WEBADE_USERNAME || 'ACRFD_SERVICE_CLIENT' || 'TTLS-EXT';
-let password = process.env.WEBADE_PASSWORD;
-
-// WebADE Login
-exports.loginWebADE = function() {
-  // Login to webADE and return access_token for use in subsequent calls.
-  return new Promise(function(resolve, reject) {
-    const url = webADEAPI + 'oauth/token?grant_type=client_credentials&disableDeveloperFilter=true&scope=TTLS.*';
 
-    defaultLog.debug('WebADE Login url:', url);
+// Times out, retries, and stops calling the Tantalis API while it is unavailable (see helpers/httpClient.js).
+const tantalisClient = HttpClient.create('tantalis');
 
-    request.get(
-      {
-        url,
-        headers: {
-          Authorization: 'Basic ' + Buffer.from(username + ':' + password).toString('base64')
-        }
-      },
-      function(err, res, body) {
-        if (err) {
-          defaultLog.error('WebADE Login Error:', err);
-          reject(err);
-        } else if (res && res.statusCode !== 200) {
-          defaultLog.warn('WebADE Login Response:', res.statusCode, body);
-          reject({ code: (res && res.statusCode) || null });
-        } else {
-          try {
-            var obj = JSON.parse(body);
-            defaultLog.debug('o:', JSON.stringify(obj));
-            if (obj && obj.access_token) {
-              resolve(obj.access_token);
-            } else {
-              reject();
-            }
-          } catch (e) {
-            defaultLog.error('WebADE Login Error:', e);
-            reject(e);
-          }
-        }
-      }
-    );
-  });
-};
+// Mongo error code for a unique index violation.
+const DUPLICATE_KEY_ERROR = 11000;
 
 /**
  * Fetches all applications by crown land file number.
  *
- * @param {string} accessToken Tantalis bearer token
- * @param {string} dispositionID disposition ID
+ * @param {string} clFile crown land file number
  * @param {number} [pageNumber=1] page number
  * @param {number} [pageRowCount=100] records per page
  * @returns {Promise} promise that resolves with a single application
  */
-exports.getApplicationByFilenumber = function(accessToken, clFile, pageNumber = 1, pageRowCount = 100) {
-  return new Promise(function(resolve, reject) {
-    const url =
-      tantalisAPI +
-      'landUseApplications' +
-      `?fileNumber=${clFile}&pageNumber=${pageNumber}&pageRowCount=${pageRowCount}`;
-
-    defaultLog.info('Looking up tantalis applications by crown land file number:', url);
-
-    request.get(
-      {
-        url,
-        auth: {
-          bearer: accessToken
-        }
-      },
-      function(err, res, body) {
-        if (err) {
-          defaultLog.error('TTLS API Error:', err);
-          reject(err);
-        } else if (res && res.statusCode !== 200) {
-          defaultLog.warn('TTLS API Response:', res.statusCode, body);
-          reject({ code: (res && res.statusCode) || null });
-        } else {
-          try {
-            var obj = JSON.parse(body);
-            defaultLog.debug('o:', JSON.stringify(obj));
-            var applications = [];
-            if (obj && obj.elements && obj.elements.length > 0) {
-              for (let app of obj.elements) {
-                var application = {};
-                application.TENURE_PURPOSE = app.purposeCode && app.purposeCode['description'];
-                application.TENURE_SUBPURPOSE =
-                  app.purposeCode &&
-                  app.purposeCode.subPurposeCodes &&
-                  app.purposeCode.subPurposeCodes[0] &&
-                  app.purposeCode.subPurposeCodes[0]['description'];
-                application.TENURE_TYPE = app.landUseTypeCode && app.landUseTypeCode['description'];
-                application.TENURE_SUBTYPE =
-                  app.landUseTypeCode &&
-                  app.landUseTypeCode.landUseSubTypeCodes &&
-                  app.landUseTypeCode.landUseSubTypeCodes[0] &&
-                  app.landUseTypeCode.landUseSubTypeCodes[0]['description'];
-                application.TENURE_STATUS = app.statusCode && app.statusCode['description'];
-                application.TENURE_REASON = app.reasonCode && app.reasonCode['description'];
-                application.TENURE_STAGE = app.stageCode && app.stageCode['description'];
-                application.TENURE_LOCATION = app.locationDescription;
-                application.RESPONSIBLE_BUSINESS_UNIT = app.businessUnit && app.businessUnit.name;
-                application.CROWN_LANDS_FILE = app.fileNumber;
-                application.DISPOSITION_TRANSACTION_SID = app.landUseApplicationId;
-                applications.push(application);
+exports.getApplicationByFilenumber = function(clFile, pageNumber = 1, pageRowCount = 100) {
+  return WebADEToken.withToken(accessToken => {
+    return new Promise(function(resolve, reject) {
+      const url =
+        tantalisAPI +
+        'landUseApplications' +
+        `?fileNumber=${clFile}&pageNumber=${pageNumber}&pageRowCount=${pageRowCount}`;
+
+      defaultLog.info('Looking up tantalis applications by crown land file number:', url);
+
+      tantalisClient.get(
+        {
+          url,
+          auth: {
+            bearer: accessToken
+          }
+        },
+        function(err, res, body) {
+          if (err) {
+            defaultLog.error('TTLS API Error:', err);
+            reject(err);
+          } else if (res && res.statusCode !== 200) {
+            defaultLog.warn('TTLS API Response:', res.statusCode, body);
+            reject({ code: (res && res.statusCode) || null });
+          } else {
+            try {
+              var obj = JSON.parse(body);
+              defaultLog.debug('o:', JSON.stringify(obj));
+              var applications = [];
+              if (obj && obj.elements && obj.elements.length > 0) {
+                for (let app of obj.elements) {
+                  var application = {};
+                  application.TENURE_PURPOSE = app.purposeCode && app.purposeCode['description'];
+                  application.TENURE_SUBPURPOSE =
+                    app.purposeCode &&
+                    app.purposeCode.subPurposeCodes &&
+                    app.purposeCode.subPurposeCodes[0] &&
+                    app.purposeCode.subPurposeCodes[0]['description'];
+                  application.TENURE_TYPE = app.landUseTypeCode && app.landUseTypeCode['description'];
+                  application.TENURE_SUBTYPE =
+                    app.landUseTypeCode &&
+                    app.landUseTypeCode.landUseSubTypeCodes &&
+                    app.landUseTypeCode.landUseSubTypeCodes[0] &&
+                    app.landUseTypeCode.landUseSubTypeCodes[0]['description'];
+                  application.TENURE_STATUS = app.statusCode && app.statusCode['description'];
+                  application.TENURE_REASON = app.reasonCode && app.reasonCode['description'];
+                  application.TENURE_STAGE = app.stageCode && app.stageCode['description'];
+                  application.TENURE_LOCATION = app.locationDescription;
+                  application.RESPONSIBLE_BUSINESS_UNIT = app.businessUnit && app.businessUnit.name;
+                  application.CROWN_LANDS_FILE = app.fileNumber;
+                  application.DISPOSITION_TRANSACTION_SID = app.landUseApplicationId;
+                  application.codes = getApplicationCodes(app);
+                  applications.push(application);
+                }
+              } else {
+                defaultLog.info('No results found.');
               }
-            } else {
-              defaultLog.info('No results found.');
+              resolve(applications);
+            } catch (e) {
+              defaultLog.error('Object Parsing Failed:', e);
+              reject(e);
             }
-            resolve(applications);
-          } catch (e) {
-            defaultLog.error('Object Parsing Failed:', e);
-            reject(e);
           }
         }
-      }
-    );
+      );
+    });
   });
 };
 
 /**
  * Fetches an application by its disposition ID.
  *
- * @param {string} accessToken Tantalis bearer token
  * @param {string} dispositionID disposition ID
  * @param {number} [pageNumber=1] page number (optional)
  * @param {number} [pageRowCount=100] records per page (optional)
  * @returns {Promise} promise that resolves with a single application
  */
-exports.getApplicationByDispositionID = function(accessToken, dispositionID, pageNumber = 1, pageRowCount = 100) {
-  return new Promise(function(resolve, reject) {
-    const url =
-      tantalisAPI + 'landUseApplications/' + dispositionID + `?pageNumber=${pageNumber}&pageRowCount=${pageRowCount}`;
+exports.getApplicationByDispositionID = function(dispositionID, pageNumber = 1, pageRowCount = 100) {
+  return WebADEToken.withToken(accessToken => {
+    return new Promise(function(resolve, reject) {
+      const url =
+        tantalisAPI + 'landUseApplications/' + dispositionID + `?pageNumber=${pageNumber}&pageRowCount=${pageRowCount}`;
 
-    defaultLog.info('Looking up tantalis applications by disposition id:', url);
+      defaultLog.info('Looking up tantalis applications by disposition id:', url);
 
-    request.get(
-      {
-        url,
-        auth: {
-          bearer: accessToken
-        }
-      },
-      function(err, res, body) {
-        if (err) {
-          defaultLog.error('TTLS API Error:', err);
-          reject(err);
-        } else if (res && res.statusCode !== 200) {
-          defaultLog.warn('TTLS API Response:', res.statusCode, body);
-          reject({ code: (res && res.statusCode) || null });
-        } else {
-          try {
-            var obj = JSON.parse(body);
-            defaultLog.debug('o:', JSON.stringify(obj));
-            var application = {};
-            if (obj) {
-              // Setup the application object.
-              application.TENURE_PURPOSE = obj.purposeCode && obj.purposeCode['description'];
-              application.TENURE_SUBPURPOSE =
-                obj.purposeCode &&
-                obj.purposeCode.subPurposeCodes &&
-                obj.purposeCode.subPurposeCodes[0] &&
-                obj.purposeCode.subPurposeCodes[0]['description'];
-              application.TENURE_TYPE = obj.landUseTypeCode && obj.landUseTypeCode['description'];
-              application.TENURE_SUBTYPE =
-                obj.landUseTypeCode &&
-                obj.landUseTypeCode.landUseSubTypeCodes &&
-                obj.landUseTypeCode.landUseSubTypeCodes[0] &&
-                obj.landUseTypeCode.landUseSubTypeCodes[0]['description'];
-              application.TENURE_STATUS = obj.statusCode && obj.statusCode['description'];
-              application.TENURE_REASON = obj.reasonCode && obj.reasonCode['description'];
-              application.TENURE_STAGE = obj.stageCode && obj.stageCode['description'];
-              application.TENURE_LOCATION = obj.locationDescription;
-              application.RESPONSIBLE_BUSINESS_UNIT = obj.businessUnit && obj.businessUnit.name;
-              application.CROWN_LANDS_FILE = obj.fileNumber;
-              application.DISPOSITION_TRANSACTION_SID = dispositionID;
-              application.parcels = [];
-              application.interestedParties = [];
-              application.statusHistoryEffectiveDate =
-                obj.statusHistory && obj.statusHistory[0] != null
-                  ? new Date(obj.statusHistory[0].effectiveDate) // convert Unix Epoch Time (ms)
-                  : null;
-
-              // WKT conversion to GEOJSON
-              for (let geo of obj.interestParcels) {
-                if (geo.wktGeometry) {
-                  var feature = {};
-                  feature.TENURE_LEGAL_DESCRIPTION = geo.legalDescription;
-                  feature.TENURE_AREA_IN_HECTARES = geo.areaInHectares;
-                  feature.INTRID_SID = geo.interestParcelId;
-                  feature.FEATURE_CODE = geo.featureCode;
-                  feature.FEATURE_AREA_SQM = geo.areaInSquareMetres;
-                  feature.FEATURE_LENGTH_M = geo.areaLengthInMetres;
-                  feature.TENURE_EXPIRY = geo.expiryDate;
-
-                  var crs = {};
-                  crs.properties = {};
-                  crs.properties.name = 'urn:ogc:def:crs:EPSG::4326';
-
-                  const geometryArray = spatialUtils.getGeometryArray(geo);
-
-                  // geometryArray.forEach(geometry => {
-                  application.parcels.push({
-                    type: 'Feature',
-                    // NB: always store as GeometryCollection - this is currently the simplest way of handling
-                    // both regular Geometry {Polygon}, {Line}, {etc} AND GeometryCollection [{Polygon}, {Line}, {etc}]
-                    // types without introducing new mongo collections and code to handle the fact that
-                    // GeometryCollections have a different spec than the regular Geometry types.
-                    geometry: { type: 'GeometryCollection', geometries: geometryArray },
-                    properties: feature,
-                    crs: crs
-                  });
-                  // });
-                }
-              }
+      tantalisClient.get(
+        {
+          url,
+          auth: {
+            bearer: accessToken
+          }
+        },
+        function(err, res, body) {
+          if (err) {
+            defaultLog.error('TTLS API Error:', err);
+            reject(err);
+          } else if (res && res.statusCode !== 200) {
+            defaultLog.warn('TTLS API Response:', res.statusCode, body);
+            reject({ code: (res && res.statusCode) || null });
+          } else {
+            try {
+              var obj = JSON.parse(body);
+              defaultLog.debug('o:', JSON.stringify(obj));
+              var application = {};
+              if (obj) {
+                // Setup the application object.
+                application.TENURE_PURPOSE = obj.purposeCode && obj.purposeCode['description'];
+                application.TENURE_SUBPURPOSE =
+                  obj.purposeCode &&
+                  obj.purposeCode.subPurposeCodes &&
+                  obj.purposeCode.subPurposeCodes[0] &&
+                  obj.purposeCode.subPurposeCodes[0]['description'];
+                application.TENURE_TYPE = obj.landUseTypeCode && obj.landUseTypeCode['description'];
+                application.TENURE_SUBTYPE =
+                  obj.landUseTypeCode &&
+                  obj.landUseTypeCode.landUseSubTypeCodes &&
+                  obj.landUseTypeCode.landUseSubTypeCodes[0] &&
+                  obj.landUseTypeCode.landUseSubTypeCodes[0]['description'];
+                application.TENURE_STATUS = obj.statusCode && obj.statusCode['description'];
+                application.TENURE_REASON = obj.reasonCode && obj.reasonCode['description'];
+                application.TENURE_STAGE = obj.stageCode && obj.stageCode['description'];
+                application.TENURE_LOCATION = obj.locationDescription;
+                application.RESPONSIBLE_BUSINESS_UNIT = obj.businessUnit && obj.businessUnit.name;
+                application.CROWN_LANDS_FILE = obj.fileNumber;
+                application.DISPOSITION_TRANSACTION_SID = dispositionID;
+                application.codes = getApplicationCodes(obj);
+                application.parcels = [];
+                application.interestedParties = [];
+                application.statusHistoryEffectiveDate =
+                  obj.statusHistory && obj.statusHistory[0] != null
+                    ? new Date(obj.statusHistory[0].effectiveDate) // convert Unix Epoch Time (ms)
+                    : null;
 
-              // Calculate areaHectares, prepare centroid calculation
-              var centroids = helpers.featureCollection([]);
-              application.areaHectares = 0.0;
-              _.each(application.parcels, function(f) {
-                // Get the polygon and put it for later centroid calculation
-                if (f.geometry) {
-                  centroids.features.push(turf.centroid(f));
-                }
+                // WKT conversion to GEOJSON
+                for (let geo of obj.interestParcels) {
+                  if (geo.wktGeometry) {
+                    var feature = {};
+                    feature.TENURE_LEGAL_DESCRIPTION = geo.legalDescription;
+                    feature.TENURE_AREA_IN_HECTARES = geo.areaInHectares;
+                    feature.INTRID_SID = geo.interestParcelId;
+                    feature.FEATURE_CODE = geo.featureCode;
+                    feature.FEATURE_AREA_SQM = geo.areaInSquareMetres;
+                    feature.FEATURE_LENGTH_M = geo.areaLengthInMetres;
+                    feature.TENURE_EXPIRY = geo.expiryDate;
+
+                    var crs = {};
+                    crs.properties = {};
+                    crs.properties.name = 'urn:ogc:def:crs:EPSG::4326';
 
-                if (f.properties && f.properties.TENURE_AREA_IN_HECTARES) {
-                  application.areaHectares += parseFloat(f.properties.TENURE_AREA_IN_HECTARES);
+                    const geometryArray = spatialUtils.getGeometryArray(geo);
+
+                    // geometryArray.forEach(geometry => {
+                    application.parcels.push({
+                      type: 'Feature',
+                      // NB: always store as GeometryCollection - this is currently the simplest way of handling
+                      // both regular Geometry {Polygon}, {Line}, {etc} AND GeometryCollection [{Polygon}, {Line}, {etc}]
+                      // types without introducing new mongo collections and code to handle the fact that
+                      // GeometryCollections have a different spec than the regular Geometry types.
+                      geometry: { type: 'GeometryCollection', geometries: geometryArray },
+                      properties: feature,
+                      crs: crs
+                    });
+                    // });
+                  }
                 }
-              });
 
-              // Centroid of all the shapes.
-              if (centroids.features.length > 0) {
-                application.centroid = turf.centroid(centroids).geometry.coordinates;
-              }
+                // Calculate areaHectares, prepare centroid calculation
+                var centroids = helpers.featureCollection([]);
+                application.areaHectares = 0.0;
+                _.each(application.parcels, function(f) {
+                  // Get the polygon and put it for later centroid calculation
+                  if (f.geometry) {
+                    centroids.features.push(turf.centroid(f));
+                  }
+
+                  if (f.properties && f.properties.TENURE_AREA_IN_HECTARES) {
+                    application.areaHectares += parseFloat(f.properties.TENURE_AREA_IN_HECTARES);
+                  }
+                });
 
-              // Interested Parties
-              for (let party of obj.interestedParties) {
-                var partyObj = {};
-                partyObj.interestedPartyType = party.interestedPartyType;
-
-                if (party.interestedPartyType == 'I') {
-                  partyObj.firstName = party.individual && party.individual.firstName;
-                  partyObj.lastName = party.individual && party.individual.lastName;
-                } else {
-                  // party.interestedPartyType == 'O'
-                  partyObj.legalName = party.organization && party.organization.legalName;
-                  partyObj.divisionBranch = party.organization && party.organization.divisionBranch;
+                // Centroid of all the shapes.
+                if (centroids.features.length > 0) {
+                  application.centroid = turf.centroid(centroids).geometry.coordinates;
                 }
-                // Check if we've already added this.
-                if (!_.includes(application.interestedParties, partyObj)) {
-                  application.interestedParties.push(partyObj);
+
+                // Interested Parties
+                for (let party of obj.interestedParties) {
+                  var partyObj = {};
+                  partyObj.interestedPartyType = party.interestedPartyType;
+
+                  if (party.interestedPartyType == 'I') {
+                    partyObj.firstName = party.individual && party.individual.firstName;
+                    partyObj.lastName = party.individual && party.individual.lastName;
+                  } else {
+                    // party.interestedPartyType == 'O'
+                    partyObj.legalName = party.organization && party.organization.legalName;
+                    partyObj.divisionBranch = party.organization && party.organization.divisionBranch;
+                  }
+                  // Check if we've already added this.
+                  if (!_.includes(application.interestedParties, partyObj)) {
+                    application.interestedParties.push(partyObj);
+                  }
                 }
+                resolve(application);
+              } else {
+                defaultLog.info('Nothing found.');
+                resolve(null);
               }
-              resolve(application);
-            } else {
-              defaultLog.info('Nothing found.');
-              resolve(null);
+            } catch (e) {
+              defaultLog.error('Object Parsing Failed:', e);
+              reject(e);
             }
-          } catch (e) {
-            defaultLog.error('Object Parsing Failed:', e);
-            reject(e);
           }
         }
-      }
-    );
+      );
+    });
   });
 };
 
 /**
  * Fetches all application landUseApplicationIds (aka: dispositionID, tantalisID) from Tantalis given the filter params provided.
  *
- * @param {string} accessToken Tantalis API access token. (required)
  * @param {object} [filterParams={}] Object containing Tantalis query filters. See Tantalis API Spec. (optional)
  * @returns an array of matching Tantalis IDs.
  */
-exports.getAllApplicationIDs = function(accessToken, filterParams = {}) {
-  return new Promise(function(resolve, reject) {
-    try {
-      internalGetAllApplicationIDs(accessToken, filterParams).then(applicationIDs => {
-        defaultLog.info(`found ${applicationIDs.length} applications.`);
-        resolve(applicationIDs);
-      });
-    } catch (error) {
+exports.getAllApplicationIDs = function(filterParams = {}) {
+  const applicationIDs = [];
+
+  return internalSearchApplications(filterParams, element => applicationIDs.push(element.landUseApplicationId)).then(
+    () => {
+      defaultLog.info(`found ${applicationIDs.length} applications.`);
+      return applicationIDs;
+    },
+    error => {
       defaultLog.error('getAllApplicationIDs error:', error);
-      reject(error);
+      throw error;
     }
-  });
+  );
+};
+
+/**
+ * Fetches a summary of all applications in Tantalis given the filter params provided.  Like getAllApplicationIDs, but
+ * with enough of each application to tell which business unit it belongs to.
+ *
+ * @param {object} [filterParams={}] Object containing Tantalis query filters. See Tantalis API Spec. (optional)
+ * @returns {Promise} promise that resolves with an array of the form:
+ *                    [{ tantalisID: number, fileNumber: string, businessUnit: string }]
+ */
+exports.getAllApplicationSummaries = function(filterParams = {}) {
+  const summaries = [];
+
+  return internalSearchApplications(filterParams, element =>
+    summaries.push({
+      tantalisID: element.landUseApplicationId,
+      fileNumber: element.fileNumber,
+      businessUnit: element.businessUnit && element.businessUnit.name
+    })
+  ).then(
+    () => {
+      defaultLog.info(`found ${summaries.length} applications.`);
+      return summaries;
+    },
+    error => {
+      defaultLog.error('getAllApplicationSummaries error:', error);
+      throw error;
+    }
+  );
+};
+
+/**
+ * Fetches the codes (see getApplicationCodes) used by all applications in Tantalis given the filter params provided.
+ *
+ * @param {object} [filterParams={}] Object containing Tantalis query filters. See Tantalis API Spec. (optional)
+ * @returns {Promise} promise that resolves with an object of the form:
+ *                    { applications: number, codes: [{ table, code, description, parentCode }] } (each code once)
+ */
+exports.getAllApplicationCodes = function(filterParams = {}) {
+  const codes = {};
+  let applications = 0;
+
+  return internalSearchApplications(filterParams, element => {
+    applications++;
+    getApplicationCodes(element).forEach(code => {
+      codes[[code.table, code.parentCode, code.code].join(':')] = code;
+    });
+  }).then(
+    () => {
+      defaultLog.info(`found ${_.size(codes)} codes in ${applications} applications.`);
+      return { applications: applications, codes: _.values(codes) };
+    },
+    error => {
+      defaultLog.error('getAllApplicationCodes error:', error);
+      throw error;
+    }
+  );
 };
 
 /**
- * Recursively Fetches all pages of application landUseApplicationIds (aka: dispositionID, tantalisID) from Tantalis given the filter params provided.
+ * Recursively Fetches all pages of applications from Tantalis given the filter params provided.
  *
- * @param {*} accessToken Tantalis API access token. (required)
  * @param {*} [filterParams={}] Object containing Tantalis query filters. See Tantalis API Spec. (optional)
+ * @param {function} onElement called with each application, as returned by the Tantalis API
  * @param {number} [pageNumber=1] pagination - page number (optional)
  * @param {number} [pageRowCount=100] pagination - records per page (optional)
- * @param {*} [applicationIDs=[]] array to store application ids, necessary to support recursive calls (optional)
- * @returns {*} applicationIDs array of application IDs
+ * @param {number} [found=0] number of applications found so far, necessary to support recursive calls (optional)
+ * @returns {Promise} promise that resolves with the number of applications found
  */
-const internalGetAllApplicationIDs = function(
-  accessToken,
+const internalSearchApplications = function(
   filterParams = {},
+  onElement,
   pageNumber = 1,
   pageRowCount = 100, // fetch the maximum number of results each time
-  applicationIDs = []
+  found = 0
 ) {
-  return new Promise(function(resolve, reject) {
-    const url =
-      tantalisAPI +
-      'landUseApplications' +
-      `?${qs.stringify(filterParams)}` +
-      `&pageNumber=${pageNumber}` +
-      `&pageRowCount=${pageRowCount}`;
-
-    defaultLog.info('Looking up all tantalis applications:', url);
-
-    request.get(
-      {
-        url,
-        auth: {
-          bearer: accessToken
-        }
-      },
-      function(err, res, body) {
-        if (err) {
-          defaultLog.error('TTLS API Error:', err);
-          reject(err);
-        } else if (res && res.statusCode !== 200) {
-          defaultLog.warn('TTLS API Response:', res.statusCode, body);
-          reject({ code: (res && res.statusCode) || null });
-        } else {
-          try {
-            var obj = JSON.parse(body);
-            defaultLog.debug('o:', JSON.stringify(obj));
-            _.forEach(obj.elements, function(element) {
-              if (element) {
-                applicationIDs.push(element.landUseApplicationId);
-              }
-            });
+  return WebADEToken.withToken(accessToken => {
+    return new Promise(function(resolve, reject) {
+      const url =
+        tantalisAPI +
+        'landUseApplications' +
+        `?${qs.stringify(filterParams)}` +
+        `&pageNumber=${pageNumber}` +
+        `&pageRowCount=${pageRowCount}`;
 
-            resolve({ applicationIDs: applicationIDs, totalRowCount: obj.totalRowCount });
-          } catch (error) {
-            defaultLog.error('internalGetAllApplicationIDs error:', error);
-            reject(error);
+      defaultLog.info('Looking up all tantalis applications:', url);
+
+      tantalisClient.get(
+        {
+          url,
+          auth: {
+            bearer: accessToken
+          }
+        },
+        function(err, res, body) {
+          if (err) {
+            defaultLog.error('TTLS API Error:', err);
+            reject(err);
+          } else if (res && res.statusCode !== 200) {
+            defaultLog.warn('TTLS API Response:', res.statusCode, body);
+            reject({ code: (res && res.statusCode) || null });
+          } else {
+            try {
+              var obj = JSON.parse(body);
+              defaultLog.debug('o:', JSON.stringify(obj));
+              var pageFound = 0;
+              _.forEach(obj.elements, function(element) {
+                if (element) {
+                  onElement(element);
+                  pageFound++;
+                }
+              });
+
+              resolve({ found: found + pageFound, pageFound: pageFound, totalRowCount: obj.totalRowCount });
+            } catch (error) {
+              defaultLog.error('internalSearchApplications error:', error);
+              reject(error);
+            }
           }
         }
-      }
-    );
-  }).then(paginatedApplications => {
-    defaultLog.debug('internalGetAllApplicationIDs: ', JSON.stringify(paginatedApplications));
+      );
+    });
+  }).then(page => {
+    defaultLog.debug('internalSearchApplications: ', JSON.stringify(page));
 
-    if (paginatedApplications.totalRowCount > paginatedApplications.applicationIDs.length) {
+    if (page.totalRowCount > page.found && page.pageFound > 0) {
       // if total count > current application count, increment the pagination and fetch more results.
-      return internalGetAllApplicationIDs(
-        accessToken,
-        filterParams,
-        ++pageNumber,
-        pageRowCount,
-        paginatedApplications.applicationIDs
-      );
+      return internalSearchApplications(filterParams, onElement, ++pageNumber, pageRowCount, page.found);
     }
 
     // if all pages of results have been collected
-    return Promise.resolve(applicationIDs);
+    return Promise.resolve(page.found);
   });
 };
 
 /**
- * Given an ACRFD applications tantalisID (disposition ID), makes all necessary calls to update it with the latest information from Tantalis.
+ * Gets the (non-deleted) ACRFD application for a Tantalis application, if there is one.  There can only be one, see
+ * the tantalisIDUniqueIndex on Application.
  *
- * @param {string} applicationToUpdate an Application
- * @param {string} ttlsAccessToken a tantalis api bearer token
- * @returns {Promise}
+ * @param {number} tantalisID Tantalis application ID (disposition ID)
+ * @param {string} [exceptId] _id of an application to leave out (eg: the one being changed)
+ * @returns {Promise} promise that resolves with the Application, or null if there isn't one
  */
-exports.updateApplication = function(applicationToUpdate) {
-  return this.loginWebADE().then(ttlsAccessToken => {
-    return this.getApplicationByDispositionID(ttlsAccessToken, applicationToUpdate.tantalisID).then(tantalisApp => {
+exports.getExistingApplication = function(tantalisID, exceptId) {
+  if (!tantalisID) {
+    return Promise.resolve(null);
+  }
+
+  const query = { tantalisID: tantalisID, isDeleted: false };
+  if (exceptId) {
+    query._id = { $ne: exceptId };
+  }
+
+  return mongoose
+    .model('Application')
+    .findOne(query)
+    .exec();
+};
+
+/**
+ * Gets the error for trying to add an application for a Tantalis application that already has one.
+ *
+ * @param {object} existing the existing Application
+ * @returns {object} error object of the form: { code: 409, message: string, _id: ObjectID }
+ */
+exports.getDuplicateError = function(existing) {
+  return {
+    code: 409,
+    message: 'An application for this Tantalis disposition already exists.',
+    _id: existing._id
+  };
+};
+
+/**
+ * Creates an ACRFD application, along with its features, from its Tantalis application.
+ *
+ * All or nothing: the disposition is looked up in Tantalis, and the application and its features are built and
+ * validated, before anything is saved.  Mongo (3.2) has no multi-document transactions, so if saving any of them still
+ * fails, the ones already saved are removed again.
+ *
+ * Rejects with a 409 (see getDuplicateError) if there is already an application for the Tantalis application, and a
+ * 404 if there is no such Tantalis application.
+ *
+ * @param {object} fields fields of the new application (eg: name, description), including its tantalisID.  Named after
+ *                        its crown land file if not given a name.
+ * @param {string} username who created the application, recorded as its creator and in the audit trail
+ * @returns {Promise} promise that resolves with the new Application
+ */
+exports.createApplication = function(fields, username) {
+  const Application = mongoose.model('Application');
+  const Feature = mongoose.model('Feature');
+
+  return this.getExistingApplication(fields.tantalisID)
+    .then(existing => {
+      if (existing) {
+        throw this.getDuplicateError(existing);
+      }
+
+      // Disp lookup
+      return this.getApplicationByDispositionID(fields.tantalisID);
+    })
+    .then(tantalisApp => {
       if (!tantalisApp) {
-        defaultLog.warn('updateApplication - no Tantalis application found - not updating.');
-        return Promise.resolve();
+        throw { code: 404, message: 'No matching Tantalis application found.' };
       }
 
-      return deleteAllApplicationFeatures(applicationToUpdate)
+      const application = new Application(fields);
+      application.set(getApplicationMeta(tantalisApp));
+      application.cl_file = tantalisApp.CROWN_LANDS_FILE;
+      application.tantalisID = tantalisApp.DISPOSITION_TRANSACTION_SID;
+      application.name = application.name || tantalisApp.CROWN_LANDS_FILE;
+      // Define security tag defaults
+      application.tags = [['sysadmin']];
+      application._createdBy = username;
+      application.createdDate = Date.now();
+      Audit.setContext(application, username);
+
+      // The features are published, but not the application.
+      const features = getFeatures(tantalisApp).map(parcel => {
+        const feature = new Feature(Object.assign({}, parcel, { applicationID: application._id }));
+        Audit.setContext(feature, username);
+        return feature;
+      });
+
+      return Promise.all([application, ...features].map(doc => doc.validate()))
+        .then(() => saveAll(application, features))
+        .then(() => application);
+    })
+    .catch(error => {
+      // Lost a race with another request for the same disposition.
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return this.getExistingApplication(fields.tantalisID).then(existing => {
+          throw existing ? this.getDuplicateError(existing) : { code: 400, message: error.message };
+        });
+      }
+      // Validation and database errors.
+      if (error instanceof Error) {
+        throw { code: 400, message: error.message };
+      }
+      throw error;
+    });
+};
+
+/**
+ * Saves a new application and its features, one at a time.  If any of them fail to save, the ones already saved are
+ * removed, most recent first.
+ *
+ * @param {Application} application new Application
+ * @param {Array} features new Features of the application
+ * @returns {Promise} promise that resolves once everything is saved, or rejects with the error that stopped it
+ */
+const saveAll = function(application, features) {
+  const saved = [];
+
+  return [application, ...features]
+    .reduce((previous, doc) => {
+      return previous.then(() => doc.save().then(() => saved.push(doc)));
+    }, Promise.resolve())
+    .catch(error => {
+      defaultLog.error('Failed to create application, removing what was saved:', application._id, error);
+
+      return saved
+        .reverse()
+        .reduce((previous, doc) => {
+          return previous.then(() => {
+            return doc.remove().catch(removeError => {
+              defaultLog.error('Failed to remove', doc.constructor.modelName, doc._id, removeError);
+            });
+          });
+        }, Promise.resolve())
         .then(() => {
-          return updateFeatures(applicationToUpdate, tantalisApp);
-        })
-        .then(updatedApplicationAndFeatures => {
-          return updateApplicationMeta(updatedApplicationAndFeatures.application, tantalisApp).then(
-            updatedApplication => {
-              return Promise.resolve({
-                application: updatedApplication,
-                features: updatedApplicationAndFeatures.features
-              });
-            }
-          );
+          throw error;
         });
     });
-  });
 };
 
 /**
- * Deletes the existing application features.
+ * Given an ACRFD applications tantalisID (disposition ID), makes all necessary calls to update it with the latest information from Tantalis.
  *
- * @param {Application} applicationObjectID Application ObjectID
+ * @param {string} applicationToUpdate an Application
+ * @param {string} [username] who requested the update, recorded in the application's audit trail (optional)
  * @returns {Promise}
  */
-const deleteAllApplicationFeatures = function(applicationObjectID) {
-  return new Promise(function(resolve, reject) {
-    const featureModel = mongoose.model('Feature');
-    featureModel.deleteMany({ applicationID: applicationObjectID }, function(error, data) {
-      if (error) {
-        defaultLog.error('deleteAllApplicationFeatures:', error);
-        reject(error);
-      }
+exports.updateApplication = function(applicationToUpdate, username) {
+  return this.getApplicationByDispositionID(applicationToUpdate.tantalisID).then(tantalisApp => {
+    if (!tantalisApp) {
+      defaultLog.warn('updateApplication - no Tantalis application found - not updating.');
+      return Promise.resolve();
+    }
 
-      resolve(data);
+    return reconcileFeatures(applicationToUpdate, tantalisApp, username).then(updatedFeatures => {
+      return updateApplicationMeta(applicationToUpdate, tantalisApp, username).then(updatedApplication => {
+        // Its shapes or centroid may have changed.
+        Tiles.invalidate();
+
+        return Promise.resolve({
+          application: updatedApplication,
+          features: updatedFeatures
+        });
+      });
     });
   });
 };
 
 /**
- * Updates and saves the application features.
+ * Given an ACRFD application, works out what updating it with the latest information from Tantalis would change,
+ * without changing anything.
  *
- * @param {Application} acrfdApp application as it exists in ACRFD
- * @param {Application} tantalisApp application with the latest values from Tantalis
- * @returns {Promise} promise that resolves wih the updated ACRFD application and features, in the form:
- *                   { application: updatedApplication, features: [updatedFeature] }
+ * @param {Application} application an Application
+ * @returns {Promise} promise that resolves with null if no Tantalis application was found, or an object of the form:
+ *                    {
+ *                      meta: [{ field: string, before: *, after: * }], // changed application fields
+ *                      parcels: {
+ *                        added: [{ INTRID_SID: number, TENURE_LEGAL_DESCRIPTION: string, ... }],
+ *                        removed: [{ _id: ObjectID, INTRID_SID: number, TENURE_LEGAL_DESCRIPTION: string, ... }],
+ *                        changed: [{ _id, INTRID_SID, changes: [{ field, before, after }], geometryChanged: boolean }],
+ *                        unchanged: number
+ *                      },
+ *                      areaHectares: { before: number, after: number, delta: number },
+ *                      centroid: { before: [lon, lat], after: [lon, lat], delta: [lon, lat], distanceMetres: number }
+ *                    }
  */
-const updateFeatures = function(acrfdApp, tantalisApp) {
-  return new Promise(function(resolve, reject) {
-    // defaultLog.info("returning:", tantalisApp);
-    // Store the features in the DB
-    let allFeaturesForDisp = [];
-    acrfdApp.areaHectares = tantalisApp.areaHectares;
-
-    let turf = require('@turf/turf');
-    let helpers = require('@turf/helpers');
-
-    let centroids = helpers.featureCollection([]);
-    _.each(tantalisApp.parcels, function(f) {
-      // Tags default public
-      f.tags = [['sysadmin'], ['public']];
-      // copy in all the app meta just to stay consistent.
-      f.properties.RESPONSIBLE_BUSINESS_UNIT = tantalisApp.RESPONSIBLE_BUSINESS_UNIT;
-      f.properties.TENURE_PURPOSE = tantalisApp.TENURE_PURPOSE;
-      f.properties.TENURE_SUBPURPOSE = tantalisApp.TENURE_SUBPURPOSE;
-      f.properties.TENURE_STATUS = tantalisApp.TENURE_STATUS;
-      f.properties.TENURE_REASON = tantalisApp.TENURE_REASON;
-      f.properties.TENURE_TYPE = tantalisApp.TENURE_TYPE;
-      f.properties.TENURE_STAGE = tantalisApp.TENURE_STAGE;
-      f.properties.TENURE_SUBTYPE = tantalisApp.TENURE_SUBTYPE;
-      f.properties.TENURE_LOCATION = tantalisApp.TENURE_LOCATION;
-      f.properties.DISPOSITION_TRANSACTION_SID = tantalisApp.DISPOSITION_TRANSACTION_SID;
-      f.properties.CROWN_LANDS_FILE = tantalisApp.CROWN_LANDS_FILE;
-
-      allFeaturesForDisp.push(f);
-      // Get the polygon and put it for later centroid calculation
-      centroids.features.push(turf.centroid(f));
+exports.previewApplicationUpdate = function(application) {
+  const featureModel = mongoose.model('Feature');
+  const applicationModel = mongoose.model('Application');
+
+  return this.getApplicationByDispositionID(application.tantalisID).then(tantalisApp => {
+    if (!tantalisApp) {
+      defaultLog.warn('previewApplicationUpdate - no Tantalis application found.');
+      return null;
+    }
+
+    return featureModel.find({ applicationID: application._id, isDeleted: false }).then(allFeatures => {
+      const features = _.reject(allFeatures, feature => feature.uploaded);
+      const meta = getApplicationMeta(tantalisApp, application);
+      const comparison = exports.compareFeatures(features, getFeatures(tantalisApp));
+
+      // Cast the new values the same way they would be saved, so that only real changes are reported.
+      const before = application.toObject();
+      const after = new applicationModel(Object.assign({}, before, meta)).toObject();
+
+      const metaChanges = _.filter(
+        _.map(_.without(_.keys(meta), 'areaHectares', 'centroid'), field => {
+          return { field: field, before: before[field], after: after[field] };
+        }),
+        change => !_.isEqual(change.before, change.after)
+      );
+
+      return {
+        meta: metaChanges,
+        parcels: {
+          added: _.map(comparison.added, feature => getParcelSummary(feature)),
+          removed: _.map(comparison.removed, feature => getParcelSummary(feature)),
+          changed: _.map(comparison.changed, change => {
+            return _.assign(getParcelSummary(change.feature), {
+              changes: change.changes,
+              geometryChanged: change.geometryChanged
+            });
+          }),
+          unchanged: comparison.unchanged.length
+        },
+        areaHectares: {
+          before: before.areaHectares,
+          after: after.areaHectares,
+          delta: after.areaHectares - before.areaHectares
+        },
+        centroid: getCentroidDelta(before.centroid, after.centroid)
+      };
     });
-    // Centroid of all the shapes.
-    if (centroids.features.length > 0) {
-      acrfdApp.centroid = turf.centroid(centroids).geometry.coordinates;
+  });
+};
+
+/**
+ * Compares the features of an application in ACRFD with the features of its Tantalis application, matching them by
+ * their interest parcel id (INTRID_SID).  If ACRFD has more than one feature for a parcel, the first is matched and the
+ * rest are removed.
+ *
+ * @param {Array} existingFeatures Feature mongoose documents, as they exist in ACRFD
+ * @param {Array} incomingFeatures features with the latest values from Tantalis (see getFeatures)
+ * @returns {object} object of the form:
+ *                   {
+ *                     added: [incoming feature], // in Tantalis, but not in ACRFD
+ *                     removed: [Feature], // in ACRFD, but no longer in Tantalis
+ *                     changed: [
+ *                       {
+ *                         feature: Feature,
+ *                         incoming: incoming feature,
+ *                         changes: [{ field: string, before: *, after: * }], // changed properties
+ *                         geometryChanged: boolean
+ *                       }
+ *                     ],
+ *                     unchanged: [Feature]
+ *                   }
+ */
+exports.compareFeatures = function(existingFeatures, incomingFeatures) {
+  const featureModel = mongoose.model('Feature');
+  const existingBySID = _.groupBy(existingFeatures, feature => feature.properties.INTRID_SID);
+
+  const comparison = { added: [], removed: [], changed: [], unchanged: [] };
+
+  _.each(incomingFeatures, incoming => {
+    const matches = existingBySID[incoming.properties.INTRID_SID];
+    if (!matches) {
+      comparison.added.push(incoming);
+      return;
     }
-    acrfdApp.client = '';
-    for (let [idx, client] of Object.entries(tantalisApp.interestedParties)) {
-      if (idx > 0) {
-        acrfdApp.client += ', ';
-      }
-      if (client.interestedPartyType == 'O') {
-        acrfdApp.client += client.legalName;
-      } else {
-        acrfdApp.client += client.firstName + ' ' + client.lastName;
-      }
+    delete existingBySID[incoming.properties.INTRID_SID];
+
+    const existing = matches[0];
+    comparison.removed.push(...matches.slice(1));
+
+    // Cast the incoming feature the same way it would be saved, so that only real changes are reported.
+    const before = getComparableFeature(existing);
+    const after = getComparableFeature(new featureModel(incoming));
+
+    const changes = _.filter(
+      _.map(_.keys(after.properties), field => {
+        return { field: field, before: before.properties[field], after: after.properties[field] };
+      }),
+      change => !_.isEqual(change.before, change.after)
+    );
+    const geometryChanged = !_.isEqual(before.geometry, after.geometry);
+
+    if (changes.length || geometryChanged) {
+      comparison.changed.push({
+        feature: existing,
+        incoming: incoming,
+        changes: changes,
+        geometryChanged: geometryChanged
+      });
+    } else {
+      comparison.unchanged.push(existing);
     }
-    acrfdApp.statusHistoryEffectiveDate = tantalisApp.statusHistoryEffectiveDate;
-
-    const updatedFeatures = [];
-    Promise.resolve()
-      .then(function() {
-        return allFeaturesForDisp.reduce(function(previousFeature, currentFeature) {
-          return previousFeature.then(function() {
-            return saveFeature(currentFeature, acrfdApp._id).then(updatedFeature => {
-              updatedFeature.forEach(element => {
-                updatedFeatures.push(element);
-              });
+  });
+
+  comparison.removed.push(..._.flatten(_.values(existingBySID)));
+
+  return comparison;
+};
+
+/**
+ * Gets the parts of a feature that come from Tantalis, as plain objects.
+ *
+ * @param {Feature} feature Feature mongoose document
+ * @returns {object} object of the form: { properties: object, geometry: object }
+ */
+const getComparableFeature = function(feature) {
+  const obj = feature.toObject();
+  return {
+    properties: obj.properties || {},
+    geometry: {
+      type: obj.geometry && obj.geometry.type,
+      geometries: _.map(obj.geometry && obj.geometry.geometries, geometry => {
+        return { type: geometry.type, coordinates: geometry.coordinates };
+      })
+    }
+  };
+};
+
+/**
+ * Gets the fields that identify a parcel to staff.
+ *
+ * @param {*} feature Feature mongoose document, or incoming feature
+ * @returns {object}
+ */
+const getParcelSummary = function(feature) {
+  const summary = {
+    INTRID_SID: feature.properties.INTRID_SID,
+    TENURE_LEGAL_DESCRIPTION: feature.properties.TENURE_LEGAL_DESCRIPTION,
+    TENURE_AREA_IN_HECTARES: feature.properties.TENURE_AREA_IN_HECTARES
+  };
+  if (feature._id) {
+    summary._id = feature._id;
+  }
+  return summary;
+};
+
+/**
+ * Works out how far an application's centroid would move.
+ *
+ * @param {Array} before [lon, lat], or empty if the application has no centroid yet
+ * @param {Array} after [lon, lat], or empty if the application would have no centroid
+ * @returns {object} object of the form: { before: [lon, lat], after: [lon, lat], delta: [lon, lat], distanceMetres }
+ *                   where delta and distanceMetres are null unless there is a centroid both before and after
+ */
+const getCentroidDelta = function(before, after) {
+  const centroid = { before: before, after: after, delta: null, distanceMetres: null };
+  if (before && before.length === 2 && after && after.length === 2) {
+    centroid.delta = [after[0] - before[0], after[1] - before[1]];
+    centroid.distanceMetres = turf.distance(before, after, { units: 'meters' });
+  }
+  return centroid;
+};
+
+/**
+ * Brings the application features in line with the parcels of its Tantalis application, matching them by their
+ * interest parcel id (INTRID_SID) so that features keep their ids, tags and publish state:
+ * - features whose parcel changed are updated
+ * - new parcels are added as new features, unless the parcel had been removed before, in which case its old feature is
+ *   restored (and updated)
+ * - features whose parcel is no longer in Tantalis are soft-deleted
+ * - features uploaded by staff (see helpers/featureUpload.js) are left as they are
+ *
+ * @param {Application} acrfdApp application as it exists in ACRFD
+ * @param {object} tantalisApp application with the latest values from Tantalis
+ * @param {string} [username] who requested the update, recorded in the features' audit trail (optional)
+ * @returns {Promise} promise that resolves with the application's (non-deleted) features, once updated
+ */
+const reconcileFeatures = function(acrfdApp, tantalisApp, username) {
+  const featureModel = mongoose.model('Feature');
+
+  return featureModel
+    .find({ applicationID: acrfdApp._id })
+    .then(allFeatures => {
+      // Features uploaded by staff aren't from Tantalis, so are kept as they are.
+      const [uploadedFeatures, tantalisFeatures] = _.partition(allFeatures, feature => feature.uploaded);
+      const [deletedFeatures, features] = _.partition(tantalisFeatures, feature => feature.isDeleted);
+      const deletedBySID = _.keyBy(deletedFeatures, feature => feature.properties.INTRID_SID);
+      const comparison = exports.compareFeatures(features, getFeatures(tantalisApp));
+
+      const updatedFeatures = _.reject(uploadedFeatures, feature => feature.isDeleted).concat(comparison.unchanged);
+      const steps = [].concat(
+        comparison.changed.map(change => () => updateFeature(change.feature, change.incoming, username)),
+        comparison.added.map(incoming => () => {
+          const deletedFeature = deletedBySID[incoming.properties.INTRID_SID];
+          return deletedFeature
+            ? restoreFeature(deletedFeature, incoming, username)
+            : saveFeature(incoming, acrfdApp._id, username);
+        }),
+        comparison.removed.map(feature => () => {
+          Audit.setContext(feature, username);
+          return Actions.delete(feature).then(() => null);
+        })
+      );
+
+      return steps
+        .reduce((previous, step) => {
+          return previous.then(() => {
+            return step().then(updatedFeature => {
+              if (updatedFeature) {
+                updatedFeatures.push(updatedFeature);
+              }
             });
           });
-        }, Promise.resolve());
-      })
-      .then(function() {
-        resolve({ application: acrfdApp, features: updatedFeatures });
+        }, Promise.resolve())
+        .then(() => updatedFeatures);
+    })
+    .catch(error => {
+      defaultLog.error('reconcileFeatures:', error);
+      throw error;
+    });
+};
+
+/**
+ * Updates an existing feature with the latest values from Tantalis.  Its tags (publish state) are left as they are.
+ *
+ * @param {Feature} feature Feature mongoose document
+ * @param {object} incoming feature with the latest values from Tantalis (see getFeatures)
+ * @param {string} [username] who requested the update, recorded in the feature's audit trail (optional)
+ * @returns {Promise} promise that resolves with the updated feature
+ */
+const updateFeature = function(feature, incoming, username) {
+  // Cast the incoming feature, so that properties missing from Tantalis are reset to their defaults.
+  const featureModel = mongoose.model('Feature');
+  const latest = new featureModel(incoming).toObject();
+
+  feature.set({ type: latest.type, geometry: latest.geometry, properties: latest.properties });
+  Audit.setContext(feature, username, 'refresh');
+  return feature.save();
+};
+
+/**
+ * Restores a feature that was removed from Tantalis, and has since been added back.  Like a new feature, it is made
+ * public.
+ *
+ * @param {Feature} feature deleted Feature mongoose document
+ * @param {object} incoming feature with the latest values from Tantalis (see getFeatures)
+ * @param {string} [username] who requested the update, recorded in the feature's audit trail (optional)
+ * @returns {Promise} promise that resolves with the restored feature
+ */
+const restoreFeature = function(feature, incoming, username) {
+  const featureModel = mongoose.model('Feature');
+  const latest = new featureModel(incoming).toObject();
+
+  feature.set({ type: latest.type, geometry: latest.geometry, properties: latest.properties });
+  feature.tags = [['sysadmin'], ['public']];
+  feature.markModified('tags');
+  Audit.setContext(feature, username);
+  return Actions.restore(feature);
+};
+
+/**
+ * Gets the features of a Tantalis application, as they are stored in ACRFD.
+ *
+ * @param {object} tantalisApp application with the latest values from Tantalis
+ * @returns {Array} features (not saved)
+ */
+const getFeatures = function(tantalisApp) {
+  return _.map(tantalisApp.parcels, function(f) {
+    // Tags default public
+    f.tags = [['sysadmin'], ['public']];
+    // copy in all the app meta just to stay consistent.
+    f.properties.RESPONSIBLE_BUSINESS_UNIT = tantalisApp.RESPONSIBLE_BUSINESS_UNIT;
+    f.properties.TENURE_PURPOSE = tantalisApp.TENURE_PURPOSE;
+    f.properties.TENURE_SUBPURPOSE = tantalisApp.TENURE_SUBPURPOSE;
+    f.properties.TENURE_STATUS = tantalisApp.TENURE_STATUS;
+    f.properties.TENURE_REASON = tantalisApp.TENURE_REASON;
+    f.properties.TENURE_TYPE = tantalisApp.TENURE_TYPE;
+    f.properties.TENURE_STAGE = tantalisApp.TENURE_STAGE;
+    f.properties.TENURE_SUBTYPE = tantalisApp.TENURE_SUBTYPE;
+    f.properties.TENURE_LOCATION = tantalisApp.TENURE_LOCATION;
+    f.properties.DISPOSITION_TRANSACTION_SID = tantalisApp.DISPOSITION_TRANSACTION_SID;
+    f.properties.CROWN_LANDS_FILE = tantalisApp.CROWN_LANDS_FILE;
+    return f;
+  });
+};
+
+/**
+ * Gets the codes of a Tantalis application, from the code tables its purpose, type, status, etc. come from.  An
+ * application has one of each, except for subpurposes and subtypes, where the first is the one ACRFD uses.
+ *
+ * @param {object} obj application, as returned by the Tantalis API
+ * @returns {Array} codes of the form: [{ table: string, code: string, description: string, parentCode: string }] (see
+ *                  helpers/codes.js)
+ */
+const getApplicationCodes = function(obj) {
+  const codes = [];
+
+  const addCode = function(table, resource, parentResource) {
+    if (resource && resource.code !== undefined && resource.code !== null) {
+      codes.push({
+        table: table,
+        code: String(resource.code),
+        description: resource.description,
+        parentCode: parentResource ? String(parentResource.code) : null
       });
+    }
+  };
+
+  addCode(Codes.PURPOSE, obj.purposeCode);
+  _.forEach(obj.purposeCode && obj.purposeCode.subPurposeCodes, subPurposeCode => {
+    addCode(Codes.SUBPURPOSE, subPurposeCode, obj.purposeCode);
+  });
+  addCode(Codes.TYPE, obj.landUseTypeCode);
+  _.forEach(obj.landUseTypeCode && obj.landUseTypeCode.landUseSubTypeCodes, subTypeCode => {
+    addCode(Codes.SUBTYPE, subTypeCode, obj.landUseTypeCode);
   });
+  addCode(Codes.STATUS, obj.statusCode);
+  addCode(Codes.REASON, obj.reasonCode);
+  addCode(Codes.STAGE, obj.stageCode);
+
+  return codes;
+};
+
+/**
+ * Gets the ACRFD application meta of a Tantalis application.
+ *
+ * @param {object} tantalisApp application with the latest values from Tantalis
+ * @param {Application} [acrfdApp] the ACRFD application, whose interested parties keep their tags (optional)
+ * @returns {object} application fields
+ */
+const getApplicationMeta = function(tantalisApp, acrfdApp) {
+  let meta = {};
+  meta.businessUnit = tantalisApp.RESPONSIBLE_BUSINESS_UNIT;
+  meta.purpose = tantalisApp.TENURE_PURPOSE;
+  meta.subpurpose = tantalisApp.TENURE_SUBPURPOSE;
+  meta.status = tantalisApp.TENURE_STATUS;
+  meta.reason = tantalisApp.TENURE_REASON;
+  meta.type = tantalisApp.TENURE_TYPE;
+  meta.tenureStage = tantalisApp.TENURE_STAGE;
+  meta.subtype = tantalisApp.TENURE_SUBTYPE;
+  meta.location = tantalisApp.TENURE_LOCATION;
+  meta.legalDescription = tantalisApp.TENURE_LEGAL_DESCRIPTION;
+  meta.areaHectares = tantalisApp.areaHectares;
+
+  // Centroid of all the shapes.  Left as is if there are no shapes.
+  if (tantalisApp.centroid) {
+    meta.centroid = tantalisApp.centroid;
+  }
+
+  meta.interestedParties = InterestedParties.getInterestedParties(
+    acrfdApp && acrfdApp.interestedParties,
+    tantalisApp.interestedParties
+  );
+  meta.client = InterestedParties.getClient(meta.interestedParties);
+  meta.statusHistoryEffectiveDate = tantalisApp.statusHistoryEffectiveDate;
+
+  // The code of each description, eg: purposeCode for purpose.
+  _.forEach(Codes.TABLES, table => {
+    const code = _.find(tantalisApp.codes, { table: table });
+    meta[Codes.getCodeField(table)] = code ? code.code : null;
+  });
+
+  return meta;
 };
 
 /**
@@ -520,24 +980,21 @@ const updateFeatures = function(acrfdApp, tantalisApp) {
  *
  * @param {Feature} feature Feature object
  * @param {String} acrfdapplicationObjectIDAppId Application ObjectID
+ * @param {string} [username] who requested the update, recorded in the feature's audit trail (optional)
  * @returns {Promise}
  */
-const saveFeature = function(feature, applicationObjectID) {
-  return new Promise(function(resolve, reject) {
-    feature.applicationID = applicationObjectID;
-
-    // Define security tag defaults.  Default public and sysadmin.
-    feature.tags = [['sysadmin'], ['public']];
+const saveFeature = function(feature, applicationObjectID, username) {
+  feature.applicationID = applicationObjectID;
 
-    var featureModel = require('mongoose').model('Feature');
-    featureModel.create([feature], { upsert: false, new: true }, function(error, updatedFeature) {
-      if (error) {
-        defaultLog.error('saveFeature:', error);
-        reject(error);
-      }
+  // Define security tag defaults.  Default public and sysadmin.
+  feature.tags = [['sysadmin'], ['public']];
 
-      resolve(updatedFeature);
-    });
+  var featureModel = require('mongoose').model('Feature');
+  var newFeature = new featureModel(feature);
+  Audit.setContext(newFeature, username);
+  return newFeature.save().catch(error => {
+    defaultLog.error('saveFeature:', error);
+    throw error;
   });
 };
 
@@ -546,37 +1003,24 @@ const saveFeature = function(feature, applicationObjectID) {
  *
  * @param {Application} acrfdApp
  * @param {Object} tantalisApp
+ * @param {string} [username] who requested the update, recorded in the application's audit trail (optional)
  * @returns
  */
-const updateApplicationMeta = function(acrfdApp, tantalisApp) {
+const updateApplicationMeta = function(acrfdApp, tantalisApp, username) {
   return new Promise(function(resolve, reject) {
-    let updatedAppObject = {};
-    updatedAppObject.businessUnit = tantalisApp.RESPONSIBLE_BUSINESS_UNIT;
-    updatedAppObject.purpose = tantalisApp.TENURE_PURPOSE;
-    updatedAppObject.subpurpose = tantalisApp.TENURE_SUBPURPOSE;
-    updatedAppObject.status = tantalisApp.TENURE_STATUS;
-    updatedAppObject.reason = tantalisApp.TENURE_REASON;
-    updatedAppObject.type = tantalisApp.TENURE_TYPE;
-    updatedAppObject.tenureStage = tantalisApp.TENURE_STAGE;
-    updatedAppObject.subtype = tantalisApp.TENURE_SUBTYPE;
-    updatedAppObject.location = tantalisApp.TENURE_LOCATION;
-    updatedAppObject.legalDescription = tantalisApp.TENURE_LEGAL_DESCRIPTION;
-    updatedAppObject.centroid = acrfdApp.centroid;
-    updatedAppObject.areaHectares = acrfdApp.areaHectares;
-    updatedAppObject.client = acrfdApp.client;
-    updatedAppObject.statusHistoryEffectiveDate = acrfdApp.statusHistoryEffectiveDate;
-
     const ApplicationModel = mongoose.model('Application');
-    ApplicationModel.findOneAndUpdate({ _id: acrfdApp._id }, updatedAppObject, { new: true }, function(
-      error,
-      updatedApp
-    ) {
-      if (error) {
+    ApplicationModel.findOne({ _id: acrfdApp._id }, function(error, application) {
+      if (error || !application) {
         defaultLog.error('updateApplicationMeta:', error);
-        reject(error);
+        return reject(error || { code: 404, message: 'Application not found' });
       }
 
-      resolve(updatedApp);
+      application.set(getApplicationMeta(tantalisApp, application));
+      Audit.setContext(application, username, 'refresh');
+      application.save().then(resolve, function(error) {
+        defaultLog.error('updateApplicationMeta:', error);
+        reject(error);
+      });
     });
   });
 };
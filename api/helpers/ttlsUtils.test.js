@@ -1,61 +1,19 @@
 const TTLSUtils = require('./ttlsUtils');
+const WebADEToken = require('./webADEToken');
+const mongoose = require('mongoose');
 const nock = require('nock');
 var _ = require('lodash');
+require('./models/feature');
 
 describe('TTLSUtils', () => {
-  const webADENock = {
-    domain: 'https://t1api.nrs.gov.bc.ca',
-    path: '/oauth2/v1/oauth/token?grant_type=client_credentials&disableDeveloperFilter=true&scope=TTLS.*',
-    headers: {
-      reqheaders: {
-        authorization: x => {
-          return (x && true) || false;
-        }
-      }
-    },
-    success_response: {
-      access_token: 'ACCESS_TOKEN',
-      token_type: 'bearer',
-      expires_in: 43199
-    },
-    error_response: {
-      msg: 'An error occurred!'
-    }
-  };
-
-  describe('loginWebADE', () => {
-    const webADEApi = nock(webADENock.domain, webADENock.headers);
-
-    describe('When the webADE call returns successfully', () => {
-      beforeEach(() => {
-        webADEApi.get(webADENock.path).reply(200, webADENock.success_response);
-      });
-
-      it('returns the access token', done => {
-        TTLSUtils.loginWebADE().then(response => {
-          expect(response).toEqual('ACCESS_TOKEN');
-          done();
-        });
-      });
-    });
-
-    describe('When the webADE call returns with a non-200 status code', () => {
-      beforeEach(() => {
-        webADEApi.get(webADENock.path).reply(400, webADENock.error_response);
-      });
+  const ttlsDomain = 'https://t1api.nrs.gov.bc.ca';
 
-      it('rejects the promise', done => {
-        TTLSUtils.loginWebADE().catch(response => {
-          expect(response).toEqual({ code: 400 });
-          done();
-        });
-      });
-    });
+  beforeEach(() => {
+    spyOn(WebADEToken, 'getToken').and.returnValue(Promise.resolve('ACCESS_TOKEN'));
   });
 
   describe('getApplicationByFilenumber', () => {
-    const webADEApi = nock(webADENock.domain);
-    const accessToken = 'ACCESS_TOKEN';
+    const webADEApi = nock(ttlsDomain);
     const fileNumber = '99999';
 
     const fileSearchPath = '/ttls-api/v1/landUseApplications?fileNumber=99999&pageNumber=1&pageRowCount=100';
@@ -152,7 +110,7 @@ describe('TTLSUtils', () => {
       });
 
       it('returns an application with the right tenure types and purposes', done => {
-        TTLSUtils.getApplicationByFilenumber(accessToken, fileNumber).then(response => {
+        TTLSUtils.getApplicationByFilenumber(fileNumber).then(response => {
           expect(response.length).toEqual(1);
           let firstApplication = response[0];
           expect(firstApplication.TENURE_PURPOSE).toEqual('I have a very important purpose in life!');
@@ -165,7 +123,7 @@ describe('TTLSUtils', () => {
       });
 
       it('returns an application with the expected tenure status, reason, stage, and location attrs', done => {
-        TTLSUtils.getApplicationByFilenumber(accessToken, fileNumber).then(response => {
+        TTLSUtils.getApplicationByFilenumber(fileNumber).then(response => {
           expect(response.length).toEqual(1);
           let firstApplication = response[0];
 
@@ -179,7 +137,7 @@ describe('TTLSUtils', () => {
       });
 
       it('returns an application with the correct additional attributes', done => {
-        TTLSUtils.getApplicationByFilenumber(accessToken, fileNumber).then(response => {
+        TTLSUtils.getApplicationByFilenumber(fileNumber).then(response => {
           expect(response.length).toEqual(1);
           let firstApplication = response[0];
           expect(firstApplication.RESPONSIBLE_BUSINESS_UNIT).toEqual('Super evil corporation');
@@ -193,8 +151,7 @@ describe('TTLSUtils', () => {
   });
 
   describe('getApplicationByDispositionID', () => {
-    const webADEApi = nock(webADENock.domain);
-    const accessToken = 'ACCESS_TOKEN';
+    const webADEApi = nock(ttlsDomain);
     const dispId = '666666';
     const individualPartyObj = {
       '@type': 'ApplicationInterestedPartyResource',
@@ -326,7 +283,7 @@ describe('TTLSUtils', () => {
       });
 
       it('returns an application with the right tenure types and purposes', done => {
-        TTLSUtils.getApplicationByDispositionID(accessToken, dispId).then(response => {
+        TTLSUtils.getApplicationByDispositionID(dispId).then(response => {
           let firstApplication = response;
           expect(firstApplication.TENURE_PURPOSE).toEqual('I have a very important purpose in life!');
           expect(firstApplication.TENURE_SUBPURPOSE).toEqual('This is the first subpurpose description');
@@ -338,7 +295,7 @@ describe('TTLSUtils', () => {
       });
 
       it('returns an application with the expected tenure status, stage, and location attrs', done => {
-        TTLSUtils.getApplicationByDispositionID(accessToken, dispId).then(response => {
+        TTLSUtils.getApplicationByDispositionID(dispId).then(response => {
           let firstApplication = response;
 
           expect(firstApplication.TENURE_STATUS).toEqual('DISPOSITION IN GOOD STANDING');
@@ -351,7 +308,7 @@ describe('TTLSUtils', () => {
       });
 
       it('returns an application with the correct additional attributes', done => {
-        TTLSUtils.getApplicationByDispositionID(accessToken, dispId).then(response => {
+        TTLSUtils.getApplicationByDispositionID(dispId).then(response => {
           let firstApplication = response;
           expect(firstApplication.RESPONSIBLE_BUSINESS_UNIT).toEqual('Super evil corporation');
           expect(firstApplication.CROWN_LANDS_FILE).toEqual('888888');
@@ -361,8 +318,29 @@ describe('TTLSUtils', () => {
         });
       });
 
+      it('returns the codes of the application, with subpurposes and subtypes under their parent code', done => {
+        TTLSUtils.getApplicationByDispositionID(dispId).then(response => {
+          expect(response.codes).toEqual([
+            { table: 'purpose', code: '3', description: 'I have a very important purpose in life!', parentCode: null },
+            {
+              table: 'subpurpose',
+              code: '6',
+              description: 'This is the first subpurpose description',
+              parentCode: '3'
+            },
+            { table: 'type', code: '7', description: 'Yes, this is the land use type code', parentCode: null },
+            { table: 'subtype', code: '1', description: 'First land use sub type', parentCode: '7' },
+            { table: 'status', code: 'AC', description: 'DISPOSITION IN GOOD STANDING', parentCode: null },
+            { table: 'reason', code: 'C', description: 'AMENDMENT APPROVED - APPLICATION', parentCode: null },
+            { table: 'tenureStage', code: 'A', description: 'TENURE', parentCode: null }
+          ]);
+
+          done();
+        });
+      });
+
       it('sets the statusHistoryEffectiveDate', done => {
-        TTLSUtils.getApplicationByDispositionID(accessToken, dispId).then(response => {
+        TTLSUtils.getApplicationByDispositionID(dispId).then(response => {
           expect(response.statusHistoryEffectiveDate).toEqual(new Date(1527878179000));
 
           done();
@@ -372,7 +350,7 @@ describe('TTLSUtils', () => {
       describe('parcels', () => {
         // TODO: Figure out how to to properly test centroid and areaHectares calculation
         it('sets the areaHectares and centroid properties', done => {
-          TTLSUtils.getApplicationByDispositionID(accessToken, dispId).then(application => {
+          TTLSUtils.getApplicationByDispositionID(dispId).then(application => {
             expect(application.areaHectares).toEqual(3.333);
             expect(application.centroid).not.toBeNull();
 
@@ -381,7 +359,7 @@ describe('TTLSUtils', () => {
         });
 
         it('it adds parcels to the application', done => {
-          TTLSUtils.getApplicationByDispositionID(accessToken, dispId).then(application => {
+          TTLSUtils.getApplicationByDispositionID(dispId).then(application => {
             expect(application.parcels).not.toBeNull();
             expect(application.parcels.length).toEqual(1);
             const firstParcel = application.parcels[0];
@@ -392,7 +370,7 @@ describe('TTLSUtils', () => {
         });
 
         it('it sets the feature tenure properties correctly on the parcel', done => {
-          TTLSUtils.getApplicationByDispositionID(accessToken, dispId).then(application => {
+          TTLSUtils.getApplicationByDispositionID(dispId).then(application => {
             expect(application.parcels.length).toEqual(1);
             const firstParcel = application.parcels[0];
             const properties = firstParcel.properties;
@@ -406,7 +384,7 @@ describe('TTLSUtils', () => {
         });
 
         it('it sets the feature properties correctly on the parcel', done => {
-          TTLSUtils.getApplicationByDispositionID(accessToken, dispId).then(application => {
+          TTLSUtils.getApplicationByDispositionID(dispId).then(application => {
             expect(application.parcels.length).toEqual(1);
             const firstParcel = application.parcels[0];
             const properties = firstParcel.properties;
@@ -420,7 +398,7 @@ describe('TTLSUtils', () => {
         });
 
         it('sets the crs properties name', done => {
-          TTLSUtils.getApplicationByDispositionID(accessToken, dispId).then(application => {
+          TTLSUtils.getApplicationByDispositionID(dispId).then(application => {
             expect(application.parcels.length).toEqual(1);
             const firstParcel = application.parcels[0];
             const crs = firstParcel.crs;
@@ -433,7 +411,7 @@ describe('TTLSUtils', () => {
 
         // Not sure how to go about testing this, so I'm just testing that something gets set.
         it('sets the geometry', done => {
-          TTLSUtils.getApplicationByDispositionID(accessToken, dispId).then(application => {
+          TTLSUtils.getApplicationByDispositionID(dispId).then(application => {
             expect(application.parcels.length).toEqual(1);
             const firstParcel = application.parcels[0];
             const geometry = firstParcel.geometry;
@@ -451,7 +429,7 @@ describe('TTLSUtils', () => {
       describe('interestedParties', () => {
         describe('with an individual party type object', () => {
           it('it adds the individual party object to the interestedParties array', done => {
-            TTLSUtils.getApplicationByDispositionID(accessToken, dispId).then(application => {
+            TTLSUtils.getApplicationByDispositionID(dispId).then(application => {
               expect(application.interestedParties.length).toEqual(2);
               const individualParty = _.find(application.interestedParties, { interestedPartyType: 'I' });
               expect(individualParty.firstName).toEqual('John');
@@ -465,7 +443,7 @@ describe('TTLSUtils', () => {
 
         describe('with an organization party type object', () => {
           it('it adds the organization party object to the interestedParties array', done => {
-            TTLSUtils.getApplicationByDispositionID(accessToken, dispId).then(application => {
+            TTLSUtils.getApplicationByDispositionID(dispId).then(application => {
               expect(application.interestedParties.length).toEqual(2);
               const orgParty = _.find(application.interestedParties, { interestedPartyType: 'O' });
               expect(orgParty.legalName).toEqual('Operation Car Wash');
@@ -479,13 +457,34 @@ describe('TTLSUtils', () => {
       });
     });
 
+    describe('when the access token is rejected', () => {
+      beforeEach(() => {
+        spyOn(WebADEToken, 'invalidate').and.callThrough();
+        webADEApi.get(landUseAppSearchPath).reply(401, { error: 'unauthorized' });
+        webADEApi.get(landUseAppSearchPath).reply(200, ttlsApiResponse);
+      });
+
+      it('logs in again and retries', done => {
+        TTLSUtils.getApplicationByDispositionID(dispId).then(application => {
+          expect(WebADEToken.invalidate).toHaveBeenCalledWith('ACCESS_TOKEN');
+          expect(WebADEToken.getToken.calls.count()).toEqual(2);
+          expect(application.DISPOSITION_TRANSACTION_SID).toEqual(dispId);
+          done();
+        });
+      });
+    });
+
     describe('when the api call returns with a non-200 status code', () => {
       beforeEach(() => {
-        webADEApi.get(landUseAppSearchPath).reply(500, { error: 'something went wrong' });
+        // the first attempt, and each retry
+        webADEApi
+          .get(landUseAppSearchPath)
+          .times(3)
+          .reply(500, { error: 'something went wrong' });
       });
 
       it('it rejects with an error object', done => {
-        TTLSUtils.getApplicationByDispositionID(accessToken, dispId).catch(error => {
+        TTLSUtils.getApplicationByDispositionID(dispId).catch(error => {
           expect(error).not.toBeNull();
           expect(error.code).toEqual(500);
 
@@ -494,4 +493,48 @@ describe('TTLSUtils', () => {
       });
     });
   });
+
+  describe('compareFeatures', () => {
+    const Feature = mongoose.model('Feature');
+    const square = [[[-123.4, 48.4], [-123.4, 48.5], [-123.3, 48.5], [-123.3, 48.4], [-123.4, 48.4]]];
+
+    function parcel(intridSid, legalDescription) {
+      return {
+        type: 'Feature',
+        geometry: { type: 'GeometryCollection', geometries: [{ type: 'Polygon', coordinates: square }] },
+        properties: { INTRID_SID: intridSid, TENURE_LEGAL_DESCRIPTION: legalDescription }
+      };
+    }
+
+    it('matches features by their INTRID_SID', () => {
+      const unchanged = new Feature(parcel(1, 'LOT 1'));
+      const changed = new Feature(parcel(2, 'LOT 2'));
+      const removed = new Feature(parcel(3, 'LOT 3'));
+
+      const comparison = TTLSUtils.compareFeatures(
+        [unchanged, changed, removed],
+        [parcel(1, 'LOT 1'), parcel(2, 'LOT 2A'), parcel(4, 'LOT 4')]
+      );
+
+      expect(comparison.unchanged).toEqual([unchanged]);
+      expect(comparison.changed.length).toEqual(1);
+      expect(comparison.changed[0].feature).toBe(changed);
+      expect(comparison.changed[0].changes).toEqual([
+        { field: 'TENURE_LEGAL_DESCRIPTION', before: 'LOT 2', after: 'LOT 2A' }
+      ]);
+      expect(comparison.removed).toEqual([removed]);
+      expect(comparison.added).toEqual([parcel(4, 'LOT 4')]);
+    });
+
+    it('matches the first of the features with the same INTRID_SID, and removes the rest', () => {
+      const first = new Feature(parcel(1, 'LOT 1'));
+      const duplicate = new Feature(parcel(1, 'LOT 1'));
+
+      const comparison = TTLSUtils.compareFeatures([first, duplicate], [parcel(1, 'LOT 1')]);
+
+      expect(comparison.unchanged).toEqual([first]);
+      expect(comparison.removed).toEqual([duplicate]);
+      expect(comparison.added).toEqual([]);
+    });
+  });
 });
@@ -80,6 +80,39 @@ exports.getSkipLimitParameters = function(pageSize, pageNum) {
   return params;
 };
 
+// Redacts the features (and parts of them) that can't be seen by the role.  Unlike runDataQuery, objects without tags
+// are kept.  Used by GET /feature and the vector tiles, so that both show the same features.
+exports.getFeatureRedactStage = function(role) {
+  return {
+    $redact: {
+      $cond: {
+        if: {
+          $and: [
+            // This checks to see that 'tags' field exists before doing the RBAC compare for
+            // redaction.  If it doesn't contain the 'tags' field, then we allow the result.
+            { $cond: { if: '$tags', then: true, else: false } },
+            {
+              $anyElementTrue: {
+                $map: {
+                  input: '$tags',
+                  as: 'fieldTag',
+                  in: { $setIsSubset: ['$$fieldTag', role] }
+                }
+              }
+            }
+          ]
+        },
+        then: '$$DESCEND',
+        else: {
+          // If the object didn't have the $tags field, allow recursion
+          // If the object had the tags field, prune it as it failed RBAC
+          $cond: { if: '$tags', then: '$$PRUNE', else: '$$DESCEND' }
+        }
+      }
+    }
+  };
+};
+
 exports.runDataQuery = function(
   modelType,
   role,
@@ -0,0 +1,151 @@
+'use strict';
+
+/**
+ * This file contains the WebADE token manager, which logs in to WebADE with the API's client credentials, and shares the
+ * resulting access token between all calls to the Tantalis API until shortly before it expires.
+ *
+ * Usage:
+ * WebADEToken.withToken(accessToken => callTheTantalisAPI(accessToken)); // returns a promise
+ *
+ * If the Tantalis API rejects a token (401), the token is thrown away, and the call is retried once with a new one.
+ */
+
+const HttpClient = require('./httpClient');
+const defaultLog = require('./logger')('webADEToken');
+
+let webADEAPI =
+  process.env.WEBADE_AUTH_ENDPOINT ||
+  'https://t1api.nrs.gov.bc.ca/oauth2/v1/' ||
+  'https://api.nrs.gov.bc.ca/oauth2/v1/';
+let username = process.env.WEBADE_USERNAME || 'ACRFD_SERVICE_CLIENT' || 'TTLS-EXT';
+let password = process.env.WEBADE_PASSWORD;
+
+// Times out, retries, and stops calling WebADE while it is unavailable (see helpers/httpClient.js).
+const webADEClient = HttpClient.create('webade');
+
+// How long before a token expires to stop using it, in milliseconds, so that it doesn't expire part way through a call.
+const EXPIRY_MARGIN = Number(process.env.WEBADE_TOKEN_EXPIRY_MARGIN) || 60 * 1000;
+
+// The current token, of the form: { accessToken: string, expiresAt: number (ms since epoch) }
+let token = null;
+
+// The login in progress, if any.  Shared by every call that needs a new token while it is in progress, so that only one
+// login happens at a time.
+let pendingLogin = null;
+
+/**
+ * Logs in to WebADE.
+ *
+ * @returns {Promise} promise that resolves with a new token, of the form: { accessToken: string, expiresAt: number }
+ */
+exports.login = function() {
+  return new Promise(function(resolve, reject) {
+    const url = webADEAPI + 'oauth/token?grant_type=client_credentials&disableDeveloperFilter=true&scope=TTLS.*';
+
+    defaultLog.debug('WebADE Login url:', url);
+
+    webADEClient.get(
+      {
+        url,
+        headers: {
+          Authorization: 'Basic ' + Buffer.from(username + ':' + password).toString('base64')
+        }
+      },
+      function(err, res, body) {
+        if (err) {
+          defaultLog.error('WebADE Login Error:', err);
+          reject(err);
+        } else if (res && res.statusCode !== 200) {
+          defaultLog.warn('WebADE Login Response:', res.statusCode, body);
+          reject({ code: (res && res.statusCode) || null });
+        } else {
+          try {
+            var obj = JSON.parse(body);
+            if (obj && obj.access_token) {
+              resolve({
+                accessToken: obj.access_token,
+                // expires_in is in seconds.  Without it, the token is only used for the calls already waiting on it.
+                expiresAt: Date.now() + (Number(obj.expires_in) || 0) * 1000
+              });
+            } else {
+              reject({ message: 'WebADE Login Error: no access token' });
+            }
+          } catch (e) {
+            defaultLog.error('WebADE Login Error:', e);
+            reject(e);
+          }
+        }
+      }
+    );
+  });
+};
+
+/**
+ * Gets an access token, logging in to WebADE only if the current token is missing or about to expire.
+ *
+ * @returns {Promise} promise that resolves with the access token
+ */
+exports.getToken = function() {
+  if (token && Date.now() < token.expiresAt - EXPIRY_MARGIN) {
+    return Promise.resolve(token.accessToken);
+  }
+
+  if (!pendingLogin) {
+    defaultLog.info('Logging in to WebADE.');
+    pendingLogin = exports.login().then(
+      newToken => {
+        token = newToken;
+        pendingLogin = null;
+        return newToken.accessToken;
+      },
+      error => {
+        pendingLogin = null;
+        throw error;
+      }
+    );
+  }
+
+  return pendingLogin;
+};
+
+/**
+ * Throws away an access token, so that the next call logs in again.  Does nothing if the token has already been
+ * replaced.
+ *
+ * @param {string} accessToken the rejected access token
+ */
+exports.invalidate = function(accessToken) {
+  if (token && token.accessToken === accessToken) {
+    token = null;
+  }
+};
+
+/**
+ * Throws away the current token, and forgets any login in progress.
+ */
+exports.clear = function() {
+  token = null;
+  pendingLogin = null;
+};
+
+/**
+ * Makes a call with an access token.  If the call is rejected with a 401, the token is invalidated and the call is
+ * retried once with a new token.
+ *
+ * @param {function} call function that makes the call, given the access token, and returns a promise that rejects with
+ *                        an object of the form { code: number } when the call fails with an http error
+ * @returns {Promise} promise that resolves or rejects with the result of the call
+ */
+exports.withToken = function(call) {
+  return exports.getToken().then(accessToken => {
+    return call(accessToken).catch(error => {
+      if (!error || error.code !== 401) {
+        throw error;
+      }
+
+      defaultLog.info('WebADE access token was rejected, logging in again.');
+      exports.invalidate(accessToken);
+      return exports.getToken().then(call);
+    });
+  });
+};
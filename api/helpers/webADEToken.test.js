@@ -0,0 +1,174 @@
+const WebADEToken = require('./webADEToken');
+const nock = require('nock');
+
+describe('WebADEToken', () => {
+  const webADENock = {
+    domain: 'https://t1api.nrs.gov.bc.ca',
+    path: '/oauth2/v1/oauth/token?grant_type=client_credentials&disableDeveloperFilter=true&scope=TTLS.*',
+    headers: {
+      reqheaders: {
+        authorization: x => {
+          return (x && true) || false;
+        }
+      }
+    },
+    success_response: {
+      access_token: 'ACCESS_TOKEN',
+      token_type: 'bearer',
+      expires_in: 43199
+    },
+    error_response: {
+      msg: 'An error occurred!'
+    }
+  };
+
+  beforeEach(() => {
+    WebADEToken.clear();
+  });
+
+  describe('login', () => {
+    const webADEApi = nock(webADENock.domain, webADENock.headers);
+
+    describe('When the webADE call returns successfully', () => {
+      beforeEach(() => {
+        webADEApi.get(webADENock.path).reply(200, webADENock.success_response);
+      });
+
+      it('returns the access token, and when it expires', done => {
+        const now = Date.now();
+        WebADEToken.login().then(response => {
+          expect(response.accessToken).toEqual('ACCESS_TOKEN');
+          expect(response.expiresAt).toBeGreaterThanOrEqual(now + 43199 * 1000);
+          done();
+        });
+      });
+    });
+
+    describe('When the webADE call returns with a non-200 status code', () => {
+      beforeEach(() => {
+        webADEApi.get(webADENock.path).reply(400, webADENock.error_response);
+      });
+
+      it('rejects the promise', done => {
+        WebADEToken.login().catch(response => {
+          expect(response).toEqual({ code: 400 });
+          done();
+        });
+      });
+    });
+  });
+
+  describe('getToken', () => {
+    const token = (accessToken, expiresIn) => ({ accessToken: accessToken, expiresAt: Date.now() + expiresIn });
+
+    it('reuses the token until shortly before it expires', done => {
+      spyOn(WebADEToken, 'login').and.returnValue(Promise.resolve(token('ACCESS_TOKEN', 60 * 60 * 1000)));
+
+      WebADEToken.getToken()
+        .then(() => WebADEToken.getToken())
+        .then(accessToken => {
+          expect(accessToken).toEqual('ACCESS_TOKEN');
+          expect(WebADEToken.login.calls.count()).toEqual(1);
+          done();
+        });
+    });
+
+    it('logs in again when the token is about to expire', done => {
+      spyOn(WebADEToken, 'login').and.returnValues(
+        Promise.resolve(token('OLD_TOKEN', 30 * 1000)),
+        Promise.resolve(token('NEW_TOKEN', 60 * 60 * 1000))
+      );
+
+      WebADEToken.getToken()
+        .then(() => WebADEToken.getToken())
+        .then(accessToken => {
+          expect(accessToken).toEqual('NEW_TOKEN');
+          expect(WebADEToken.login.calls.count()).toEqual(2);
+          done();
+        });
+    });
+
+    it('only logs in once for concurrent calls', done => {
+      spyOn(WebADEToken, 'login').and.returnValue(Promise.resolve(token('ACCESS_TOKEN', 60 * 60 * 1000)));
+
+      Promise.all([WebADEToken.getToken(), WebADEToken.getToken(), WebADEToken.getToken()]).then(accessTokens => {
+        expect(accessTokens).toEqual(['ACCESS_TOKEN', 'ACCESS_TOKEN', 'ACCESS_TOKEN']);
+        expect(WebADEToken.login.calls.count()).toEqual(1);
+        done();
+      });
+    });
+
+    it('tries to log in again after a failed login', done => {
+      spyOn(WebADEToken, 'login').and.returnValues(
+        Promise.reject({ code: 503 }),
+        Promise.resolve(token('ACCESS_TOKEN', 60 * 60 * 1000))
+      );
+
+      WebADEToken.getToken()
+        .catch(error => {
+          expect(error).toEqual({ code: 503 });
+          return WebADEToken.getToken();
+        })
+        .then(accessToken => {
+          expect(accessToken).toEqual('ACCESS_TOKEN');
+          done();
+        });
+    });
+  });
+
+  describe('withToken', () => {
+    const token = accessToken => ({ accessToken: accessToken, expiresAt: Date.now() + 60 * 60 * 1000 });
+
+    it('retries once with a new token when the token is rejected', done => {
+      spyOn(WebADEToken, 'login').and.returnValues(
+        Promise.resolve(token('OLD_TOKEN')),
+        Promise.resolve(token('NEW_TOKEN'))
+      );
+      const call = jasmine
+        .createSpy('call')
+        .and.callFake(accessToken =>
+          accessToken === 'OLD_TOKEN' ? Promise.reject({ code: 401 }) : Promise.resolve('RESULT')
+        );
+
+      WebADEToken.withToken(call).then(result => {
+        expect(result).toEqual('RESULT');
+        expect(call.calls.allArgs()).toEqual([['OLD_TOKEN'], ['NEW_TOKEN']]);
+        done();
+      });
+    });
+
+    it('does not retry other errors', done => {
+      spyOn(WebADEToken, 'login').and.returnValue(Promise.resolve(token('ACCESS_TOKEN')));
+      const call = jasmine.createSpy('call').and.returnValue(Promise.reject({ code: 500 }));
+
+      WebADEToken.withToken(call).catch(error => {
+        expect(error).toEqual({ code: 500 });
+        expect(call.calls.count()).toEqual(1);
+        expect(WebADEToken.login.calls.count()).toEqual(1);
+        done();
+      });
+    });
+
+    it('keeps a newer token when an older one is rejected', done => {
+      spyOn(WebADEToken, 'login').and.returnValues(
+        Promise.resolve(token('OLD_TOKEN')),
+        Promise.resolve(token('NEW_TOKEN'))
+      );
+
+      WebADEToken.getToken()
+        .then(() => {
+          WebADEToken.invalidate('OLD_TOKEN');
+          return WebADEToken.getToken();
+        })
+        .then(() => {
+          WebADEToken.invalidate('OLD_TOKEN');
+          return WebADEToken.getToken();
+        })
+        .then(accessToken => {
+          expect(accessToken).toEqual('NEW_TOKEN');
+          expect(WebADEToken.login.calls.count()).toEqual(2);
+          done();
+        });
+    });
+  });
+});
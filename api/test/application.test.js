@@ -6,13 +6,30 @@ const request = require('supertest');
 // const nock = require('nock');
 // const tantalisResponse = require('./fixtures/tantalis_response.json');
 const _ = require('lodash');
+const ApplicationImport = require('../helpers/applicationImport');
+const Codes = require('../helpers/codes');
+const Scheduler = require('../helpers/scheduler');
 const TTLSUtils = require('../helpers/ttlsUtils');
+const WebADEToken = require('../helpers/webADEToken');
 
 const applicationController = require('../controllers/application.js');
 require('../helpers/models/application');
 require('../helpers/models/feature');
+require('../helpers/models/audit');
+require('../helpers/models/comment');
+require('../helpers/models/commentperiod');
+require('../helpers/models/decision');
+require('../helpers/models/document');
+require('../helpers/models/job');
 const Application = mongoose.model('Application');
 const Feature = mongoose.model('Feature');
+const Audit = mongoose.model('Audit');
+const Comment = mongoose.model('Comment');
+const CommentPeriod = mongoose.model('CommentPeriod');
+const Decision = mongoose.model('Decision');
+const Document = mongoose.model('Document');
+const Job = mongoose.model('Job');
+const Actions = require('../helpers/actions');
 
 /*************************************
   Mock Route Handlers + Helper Methods
@@ -31,8 +48,19 @@ function publicParamsWithAppId(req) {
   return test_helper.createPublicSwaggerParams(fieldNames, params);
 }
 
+// Supports the client and purpose filters, and a | separated list of fields to return instead of the default ones.
+function queryParams(req) {
+  let fields = req.query.fields ? req.query.fields.split('|') : fieldNames;
+  return [fields, test_helper.buildParams(_.pick(req.query, ['client', 'purpose']))];
+}
+
+app.get('/api/application/duplicates', function(req, res) {
+  let params = test_helper.createSwaggerParams([], {}, idirUsername);
+  return applicationController.protectedGetDuplicates(params, res);
+});
+
 app.get('/api/application', function(req, res) {
-  let swaggerParams = test_helper.createSwaggerParams(fieldNames);
+  let swaggerParams = test_helper.createSwaggerParams(...queryParams(req));
   return applicationController.protectedGet(swaggerParams, res);
 });
 
@@ -41,10 +69,18 @@ app.get('/api/application/:id', function(req, res) {
 });
 
 app.get('/api/public/application', function(req, res) {
-  let publicSwaggerParams = test_helper.createPublicSwaggerParams(fieldNames);
+  let publicSwaggerParams = test_helper.createPublicSwaggerParams(...queryParams(req));
   return applicationController.publicGet(publicSwaggerParams, res);
 });
 
+app.get('/api/public/application/clusters', function(req, res) {
+  let extraFields = test_helper.buildParams(
+    _.assign(_.pick(req.query, ['bbox', 'purpose']), { zoom: _.toInteger(req.query.zoom) })
+  );
+  let publicSwaggerParams = test_helper.createPublicSwaggerParams([], extraFields);
+  return applicationController.publicGetClusters(publicSwaggerParams, res);
+});
+
 app.get('/api/public/application/:id', function(req, res) {
   return applicationController.publicGet(publicParamsWithAppId(req), res);
 });
@@ -55,22 +91,85 @@ app.post('/api/application/', function(req, res) {
   return applicationController.protectedPost(params, res);
 });
 
+app.post('/api/application/import', function(req, res) {
+  let extraFields = test_helper.buildParams({ import: req.body });
+  let params = test_helper.createSwaggerParams(fieldNames, extraFields, idirUsername);
+  return applicationController.protectedImport(params, res);
+});
+
 app.delete('/api/application/:id', function(req, res) {
   return applicationController.protectedDelete(paramsWithAppId(req), res);
 });
 
+app.post('/api/application/:id/restore', function(req, res) {
+  let params = test_helper.createSwaggerParams(
+    fieldNames,
+    test_helper.buildParams({ appId: req.params.id }),
+    idirUsername
+  );
+  return applicationController.protectedRestore(params, res);
+});
+
+app.post('/api/application/:id/merge', function(req, res) {
+  let params = test_helper.createSwaggerParams(
+    fieldNames,
+    test_helper.buildParams({ appId: req.params.id, merge: req.body }),
+    idirUsername
+  );
+  return applicationController.protectedMerge(params, res);
+});
+
 app.put('/api/application/:id', function(req, res) {
   let extraFields = test_helper.buildParams({ appId: req.params.id, AppObject: req.body });
-  let params = test_helper.createSwaggerParams(fieldNames, extraFields);
+  let params = test_helper.createSwaggerParams(fieldNames, extraFields, idirUsername);
   return applicationController.protectedPut(params, res);
 });
 
+app.get('/api/application/:id/history', function(req, res) {
+  let extraFields = test_helper.buildParams({ appId: req.params.id });
+  if (req.query.pageNum !== undefined) {
+    _.assignIn(extraFields, test_helper.buildParams({ pageNum: _.toInteger(req.query.pageNum) }));
+  }
+  if (req.query.pageSize !== undefined) {
+    _.assignIn(extraFields, test_helper.buildParams({ pageSize: _.toInteger(req.query.pageSize) }));
+  }
+  let params = test_helper.createSwaggerParams(fieldNames, extraFields, idirUsername);
+  return applicationController.protectedGetHistory(params, res);
+});
+
+app.put('/api/application/:id/refresh', function(req, res) {
+  let params = test_helper.createSwaggerParams(
+    fieldNames,
+    test_helper.buildParams({ appId: req.params.id }),
+    idirUsername
+  );
+  return applicationController.protectedRefresh(params, res);
+});
+
+app.get('/api/application/:id/refresh/preview', function(req, res) {
+  return applicationController.protectedRefreshPreview(paramsWithAppId(req), res);
+});
+
+// The file is sent as the text of its content, as supertest can't send multipart forms to these mock routes.
+app.post('/api/application/:id/features/upload', function(req, res) {
+  let fields = _.pick(req.body, ['format', 'crs', 'replace']);
+  fields.appId = req.params.id;
+  fields.upfile = { originalname: req.body.filename, buffer: Buffer.from(req.body.content) };
+  let params = test_helper.createSwaggerParams(fieldNames, test_helper.buildParams(fields), idirUsername);
+  return applicationController.protectedUploadFeatures(params, res);
+});
+
+function paramsWithAppIdAndCascade(req) {
+  let params = test_helper.buildParams({ appId: req.params.id, cascade: req.query.cascade === 'true' });
+  return test_helper.createSwaggerParams(fieldNames, params, idirUsername);
+}
+
 app.put('/api/application/:id/publish', function(req, res) {
-  return applicationController.protectedPublish(paramsWithAppId(req), res);
+  return applicationController.protectedPublish(paramsWithAppIdAndCascade(req), res);
 });
 
 app.put('/api/application/:id/unpublish', function(req, res) {
-  return applicationController.protectedUnPublish(paramsWithAppId(req), res);
+  return applicationController.protectedUnPublish(paramsWithAppIdAndCascade(req), res);
 });
 
 /*************************************
@@ -97,6 +196,40 @@ function setupApplications(applicationsData) {
   });
 }
 
+// Tantalis parcels, and the features made from them, for testing refreshes.
+const square = [[[-123, 48], [-123, 49], [-122, 49], [-122, 48], [-123, 48]]];
+const biggerSquare = [[[-123, 48], [-123, 50], [-122, 50], [-122, 48], [-123, 48]]];
+
+function parcel(intridSid, legalDescription, coordinates) {
+  return {
+    type: 'Feature',
+    geometry: { type: 'GeometryCollection', geometries: [{ type: 'Polygon', coordinates: coordinates }] },
+    properties: { INTRID_SID: intridSid, TENURE_LEGAL_DESCRIPTION: legalDescription, TENURE_AREA_IN_HECTARES: 1 }
+  };
+}
+
+function tantalisApplication(parcels) {
+  return {
+    DISPOSITION_TRANSACTION_SID: 999999,
+    interestedParties: [{ interestedPartyType: 'O', legalName: 'Megacorp' }],
+    parcels: parcels,
+    areaHectares: 3,
+    centroid: [-122.5, 48.6],
+    TENURE_STATUS: 'OFFER ACCEPTED',
+    TENURE_LOCATION: 'Megalopolis'
+  };
+}
+
+function existingFeature(applicationId, intridSid, legalDescription, coordinates) {
+  let feature = new Feature(parcel(intridSid, legalDescription, coordinates));
+  feature.applicationID = applicationId;
+  feature.properties.TENURE_STATUS = 'ACCEPTED';
+  feature.properties.TENURE_LOCATION = 'Megalopolis';
+  feature.properties.DISPOSITION_TRANSACTION_SID = 999999;
+  feature.tags = [['sysadmin'], ['public']];
+  return feature;
+}
+
 /*************************************
   Tests
 *************************************/
@@ -227,6 +360,85 @@ describe('GET /public/application/{id}', () => {
   });
 });
 
+describe('GET /public/application/clusters', () => {
+  beforeEach(done => {
+    Application.insertMany(
+      [
+        { name: 'Victoria 1', status: 'ACCEPTED', purpose: 'INDUSTRIAL', centroid: [-123.36, 48.42] },
+        { name: 'Victoria 2', status: 'OFFERED', purpose: 'INDUSTRIAL', centroid: [-123.37, 48.43] },
+        { name: 'Nanaimo', status: 'ACCEPTED', purpose: 'AGRICULTURE', centroid: [-123.94, 49.16] },
+        { name: 'No features', status: 'ACCEPTED', purpose: 'INDUSTRIAL', centroid: [] },
+        { name: 'Unpublished', status: 'ACCEPTED', purpose: 'INDUSTRIAL', centroid: [-123.36, 48.42], public: false },
+        { name: 'Deleted', status: 'ACCEPTED', purpose: 'INDUSTRIAL', centroid: [-123.36, 48.42], isDeleted: true }
+      ].map(data => {
+        let tags = data.public === false ? [['sysadmin']] : [['sysadmin'], ['public']];
+        return _.assign(_.omit(data, 'public'), { tags: tags });
+      })
+    ).then(() => done());
+  });
+
+  test('clusters the published applications that are near each other at the zoom', done => {
+    request(app)
+      .get('/api/public/application/clusters')
+      .query({ zoom: 4 })
+      .expect(200)
+      .then(response => {
+        expect(response.headers['x-total-count']).toEqual('3');
+        expect(response.body.length).toEqual(1);
+        expect(response.body[0].count).toEqual(3);
+        expect(response.body[0].breakdown.status).toEqual({ ACCEPTED: 2, OFFERED: 1 });
+        expect(response.body[0].breakdown.purpose).toEqual({ INDUSTRIAL: 2, AGRICULTURE: 1 });
+        done();
+      });
+  });
+
+  test('splits the clusters as the zoom increases', done => {
+    request(app)
+      .get('/api/public/application/clusters')
+      .query({ zoom: 8 })
+      .expect(200)
+      .then(response => {
+        expect(_.map(response.body, 'count')).toEqual([2, 1]);
+        expect(response.body[1].applicationID).toBeDefined();
+        done();
+      });
+  });
+
+  test('only clusters the applications within the bbox', done => {
+    request(app)
+      .get('/api/public/application/clusters')
+      .query({ zoom: 4, bbox: '-124,49,-123.5,49.5' })
+      .expect(200)
+      .then(response => {
+        expect(response.headers['x-total-count']).toEqual('1');
+        expect(response.body[0].breakdown.purpose).toEqual({ AGRICULTURE: 1 });
+        done();
+      });
+  });
+
+  test('applies the standard filters', done => {
+    request(app)
+      .get('/api/public/application/clusters')
+      .query({ zoom: 4, purpose: 'eq=INDUSTRIAL' })
+      .expect(200)
+      .then(response => {
+        expect(response.headers['x-total-count']).toEqual('2');
+        done();
+      });
+  });
+
+  test('400s with an invalid bbox', done => {
+    request(app)
+      .get('/api/public/application/clusters')
+      .query({ zoom: 4, bbox: '-123,49,-124' })
+      .expect(400)
+      .then(response => {
+        expect(response.body.error).toMatch(/Invalid bbox/);
+        done();
+      });
+  });
+});
+
 describe('DELETE /application/id', () => {
   test('It soft deletes an application', done => {
     setupApplications(applicationsData).then(documents => {
@@ -255,6 +467,124 @@ describe('DELETE /application/id', () => {
         done();
       });
   });
+
+  test('It soft deletes the whole application graph', done => {
+    let application = new Application({ name: 'Doomed Application', tags: [['sysadmin'], ['public']] });
+    let commentPeriod = new CommentPeriod({ _application: application._id });
+    let comment = new Comment({ _commentPeriod: commentPeriod._id });
+    let decision = new Decision({ _application: application._id });
+    let document = new Document({ _decision: decision._id });
+    let feature = new Feature({ applicationID: application._id });
+    Promise.all([application, commentPeriod, comment, decision, document, feature].map(o => o.save()))
+      .then(() => {
+        return request(app)
+          .delete('/api/application/' + application._id)
+          .expect(200);
+      })
+      .then(() => {
+        return Promise.all([
+          Application.findById(application._id),
+          CommentPeriod.findById(commentPeriod._id),
+          Comment.findById(comment._id),
+          Decision.findById(decision._id),
+          Document.findById(document._id),
+          Feature.findById(feature._id)
+        ]);
+      })
+      .then(objects => {
+        _.each(objects, o => {
+          expect(o.isDeleted).toBe(true);
+          expect(o._deletionId).toEqual(objects[0]._deletionId);
+        });
+        expect(Actions.isPublished(objects[0])).toBeFalsy();
+        done();
+      });
+  });
+
+  test('404s if the application is already deleted', done => {
+    let application = new Application({ name: 'Deleted Application', isDeleted: true });
+    application.save().then(() => {
+      request(app)
+        .delete('/api/application/' + application._id)
+        .expect(404)
+        .then(response => {
+          done();
+        });
+    });
+  });
+});
+
+describe('POST /application/:id/restore', () => {
+  let application;
+  let decision;
+  let previouslyDeletedDecision;
+  beforeEach(() => {
+    application = new Application({ name: 'Doomed Application', tags: [['sysadmin'], ['public']] });
+    decision = new Decision({ _application: application._id, tags: [['sysadmin'], ['public']] });
+    previouslyDeletedDecision = new Decision({ _application: application._id, isDeleted: true });
+    return Promise.all([application.save(), decision.save(), previouslyDeletedDecision.save()]).then(() => {
+      return request(app)
+        .delete('/api/application/' + application._id)
+        .expect(200);
+    });
+  });
+
+  test('restores the application and everything deleted with it, without re-publishing', done => {
+    request(app)
+      .post('/api/application/' + application._id + '/restore')
+      .expect(200)
+      .then(response => {
+        expect(_.map(response.body.results, 'result')).toEqual(['restored', 'restored']);
+        return Promise.all([Application.findById(application._id), Decision.findById(decision._id)]);
+      })
+      .then(objects => {
+        _.each(objects, o => {
+          expect(o.isDeleted).toBe(false);
+          expect(o._deletionId).toBeNull();
+          expect(Actions.isPublished(o)).toBeFalsy();
+        });
+        done();
+      });
+  });
+
+  test('does not restore objects that were deleted on their own', done => {
+    request(app)
+      .post('/api/application/' + application._id + '/restore')
+      .expect(200)
+      .then(response => {
+        Decision.findById(previouslyDeletedDecision._id).exec(function(error, dec) {
+          expect(dec.isDeleted).toBe(true);
+          done();
+        });
+      });
+  });
+
+  test('records the restore in the audit trail', done => {
+    request(app)
+      .post('/api/application/' + application._id + '/restore')
+      .expect(200)
+      .then(response => {
+        Audit.find({ _objectId: application._id, action: 'restore' }).exec(function(error, audits) {
+          expect(audits.length).toEqual(1);
+          expect(audits[0]._performedBy).toEqual(idirUsername);
+          done();
+        });
+      });
+  });
+
+  test('409s if the application is not deleted', done => {
+    request(app)
+      .post('/api/application/' + application._id + '/restore')
+      .expect(200)
+      .then(() => {
+        return request(app)
+          .post('/api/application/' + application._id + '/restore')
+          .expect(409);
+      })
+      .then(response => {
+        done();
+      });
+  });
 });
 
 describe('POST /application', () => {
@@ -307,29 +637,22 @@ describe('POST /application', () => {
     RESPONSIBLE_BUSINESS_UNIT: 'Not present',
     CROWN_LANDS_FILE: 7654321
   };
-  describe('when the ttls api login call returns successfully', () => {
-    let loginPromise = new Promise(function(resolve, reject) {
-      resolve('ACCESS_TOKEN');
-    });
-
+  describe('when the ttls api call returns successfully', () => {
     let appDispSearchPromise = new Promise(function(resolve, reject) {
       resolve(searchResult);
     });
 
     beforeEach(() => {
-      spyOn(TTLSUtils, 'loginWebADE').and.returnValue(loginPromise);
-
       spyOn(TTLSUtils, 'getApplicationByDispositionID').and.returnValue(appDispSearchPromise);
     });
 
-    test('logs in and then retrieves the application with that access token', done => {
+    test('retrieves the application from Tantalis', done => {
       request(app)
         .post('/api/application')
         .send(applicationObj)
         .expect(200)
         .then(response => {
-          expect(TTLSUtils.loginWebADE).toHaveBeenCalled();
-          expect(TTLSUtils.getApplicationByDispositionID).toHaveBeenCalledWith('ACCESS_TOKEN', 999999);
+          expect(TTLSUtils.getApplicationByDispositionID).toHaveBeenCalledWith(999999);
           done();
         });
     });
@@ -522,7 +845,7 @@ describe('POST /application', () => {
     });
 
     beforeEach(() => {
-      spyOn(TTLSUtils, 'loginWebADE').and.returnValue(loginPromise);
+      spyOn(WebADEToken, 'getToken').and.returnValue(loginPromise);
     });
 
     test('returns that error response and a 400 status code', done => {
@@ -535,6 +858,216 @@ describe('POST /application', () => {
           done();
         });
     });
+
+    test('does not save the application', done => {
+      request(app)
+        .post('/api/application')
+        .send(applicationObj)
+        .expect(400)
+        .then(() => Application.countDocuments({}))
+        .then(count => {
+          expect(count).toEqual(0);
+          done();
+        });
+    });
+  });
+
+  describe('when the application cannot be created in full', () => {
+    test('does not save anything if there is no matching Tantalis application', done => {
+      spyOn(TTLSUtils, 'getApplicationByDispositionID').and.returnValue(Promise.resolve(null));
+
+      request(app)
+        .post('/api/application')
+        .send(applicationObj)
+        .expect(400)
+        .then(response => {
+          expect(response.body.message).toEqual('No matching Tantalis application found.');
+          return Application.countDocuments({});
+        })
+        .then(count => {
+          expect(count).toEqual(0);
+          done();
+        });
+    });
+
+    test('does not save anything if a feature is invalid', done => {
+      let invalidParcel = { type: 'Feature', properties: { INTRID_SID: 'not a number' } };
+      spyOn(TTLSUtils, 'getApplicationByDispositionID').and.returnValue(
+        Promise.resolve(_.assign({}, _.cloneDeep(searchResult), { parcels: [invalidParcel] }))
+      );
+
+      request(app)
+        .post('/api/application')
+        .send(applicationObj)
+        .expect(400)
+        .then(() => Promise.all([Application.countDocuments({}), Feature.countDocuments({})]))
+        .then(([applicationCount, featureCount]) => {
+          expect(applicationCount).toEqual(0);
+          expect(featureCount).toEqual(0);
+          done();
+        });
+    });
+
+    test('removes what was saved if a feature fails to save', done => {
+      let parcels = [_.cloneDeep(searchResult.parcels[0]), _.cloneDeep(searchResult.parcels[0])];
+      spyOn(TTLSUtils, 'getApplicationByDispositionID').and.returnValue(
+        Promise.resolve(_.assign({}, _.cloneDeep(searchResult), { parcels: parcels }))
+      );
+
+      let originalSave = Feature.prototype.save;
+      let featuresSaved = 0;
+      spyOn(Feature.prototype, 'save').and.callFake(function() {
+        featuresSaved++;
+        if (featuresSaved > 1) {
+          return Promise.reject(new Error('Disk full'));
+        }
+        return originalSave.apply(this, arguments);
+      });
+
+      request(app)
+        .post('/api/application')
+        .send(applicationObj)
+        .expect(400)
+        .then(response => {
+          expect(response.body.message).toEqual('Disk full');
+          return Promise.all([Application.countDocuments({}), Feature.countDocuments({})]);
+        })
+        .then(([applicationCount, featureCount]) => {
+          expect(applicationCount).toEqual(0);
+          expect(featureCount).toEqual(0);
+          done();
+        });
+    });
+  });
+});
+
+describe('POST /application/import', () => {
+  let tantalisApp = {
+    DISPOSITION_TRANSACTION_SID: 999999,
+    CROWN_LANDS_FILE: '7654321',
+    TENURE_STATUS: 'ACCEPTED',
+    interestedParties: [],
+    parcels: []
+  };
+
+  // Resolves with the job once it has finished running.
+  function waitForJob(jobId) {
+    return Job.findById(jobId).then(job => {
+      if (job.status !== 'running') {
+        return job;
+      }
+      return new Promise(resolve => setTimeout(resolve, 50)).then(() => waitForJob(jobId));
+    });
+  }
+
+  beforeAll(() => {
+    Scheduler.register(ApplicationImport.TASK_NAME, null, ApplicationImport.run);
+  });
+
+  beforeEach(() => {
+    spyOn(TTLSUtils, 'getApplicationByDispositionID').and.returnValue(Promise.resolve(tantalisApp));
+  });
+
+  test('requires a file number or disposition ID', done => {
+    request(app)
+      .post('/api/application/import')
+      .send({ fileNumbers: [], dispositionIDs: [] })
+      .expect(400)
+      .then(response => {
+        expect(response.body.message).toEqual('At least one file number or disposition ID is required.');
+        done();
+      });
+  });
+
+  test('creates applications by disposition ID, and records the result on its job', done => {
+    request(app)
+      .post('/api/application/import')
+      .send({ dispositionIDs: [999999] })
+      .expect(202)
+      .then(response => {
+        expect(response.body.name).toEqual(ApplicationImport.TASK_NAME);
+        expect(response.body._startedBy).toEqual(idirUsername);
+        return waitForJob(response.body._id);
+      })
+      .then(job => {
+        expect(job.status).toEqual('completed');
+        expect(job.results.created).toEqual(1);
+        expect(job.results.items[0].status).toEqual('created');
+        return Application.findById(job.results.items[0]._id);
+      })
+      .then(application => {
+        expect(application.tantalisID).toEqual(999999);
+        expect(application.cl_file).toEqual(7654321);
+        expect(application._createdBy).toEqual(idirUsername);
+        done();
+      });
+  });
+
+  test('creates every application of a file number', done => {
+    spyOn(TTLSUtils, 'getApplicationByFilenumber').and.returnValue(
+      Promise.resolve([{ DISPOSITION_TRANSACTION_SID: 999999 }])
+    );
+
+    request(app)
+      .post('/api/application/import')
+      .send({ fileNumbers: ['7654321'] })
+      .expect(202)
+      .then(response => waitForJob(response.body._id))
+      .then(job => {
+        expect(TTLSUtils.getApplicationByFilenumber).toHaveBeenCalledWith('7654321');
+        expect(job.results.items).toEqual([
+          expect.objectContaining({ fileNumber: '7654321', tantalisID: 999999, status: 'created' })
+        ]);
+        return Application.findById(job.results.items[0]._id);
+      })
+      .then(application => {
+        expect(application.name).toEqual('7654321');
+        done();
+      });
+  });
+
+  test('skips applications that already exist', done => {
+    let existingApplication = new Application({ tantalisID: 999999 });
+    existingApplication
+      .save()
+      .then(() => {
+        return request(app)
+          .post('/api/application/import')
+          .send({ dispositionIDs: [999999] })
+          .expect(202);
+      })
+      .then(response => waitForJob(response.body._id))
+      .then(job => {
+        expect(job.results.skipped).toEqual(1);
+        expect(String(job.results.items[0]._id)).toEqual(String(existingApplication._id));
+        expect(TTLSUtils.getApplicationByDispositionID).not.toHaveBeenCalled();
+        return Application.countDocuments({ tantalisID: 999999 });
+      })
+      .then(count => {
+        expect(count).toEqual(1);
+        done();
+      });
+  });
+
+  test('records the applications that fail, and carries on with the rest', done => {
+    spyOn(TTLSUtils, 'getApplicationByFilenumber').and.returnValue(Promise.resolve([]));
+
+    request(app)
+      .post('/api/application/import')
+      .send({ fileNumbers: ['0000000'], dispositionIDs: [999999] })
+      .expect(202)
+      .then(response => waitForJob(response.body._id))
+      .then(job => {
+        expect(job.status).toEqual('completed');
+        expect(job.results.created).toEqual(1);
+        expect(job.results.failed).toEqual(1);
+        expect(job.results.items[0]).toEqual({
+          fileNumber: '0000000',
+          status: 'failed',
+          message: 'No Tantalis application found.'
+        });
+        done();
+      });
   });
 });
 
@@ -596,52 +1129,947 @@ describe('PUT /application/:id', () => {
   });
 });
 
-describe('PUT /application/:id/publish', () => {
-  let existingApplication;
+describe('interested parties', () => {
+  const megacorp = { interestedPartyType: 'O', legalName: 'Megacorp', divisionBranch: 'Evil Division' };
+  const ajitPai = { interestedPartyType: 'I', firstName: 'Ajit', lastName: 'Pai' };
+
+  let existingApp;
   beforeEach(() => {
-    existingApplication = new Application({
-      description: 'Existing',
-      name: 'Boring application'
+    existingApp = new Application({
+      description: 'PARTIES',
+      tantalisID: 999999,
+      interestedParties: [
+        _.assign({ name: 'Megacorp', tags: [['sysadmin'], ['public']] }, megacorp),
+        _.assign({ name: 'Ajit Pai', tags: [['sysadmin'], ['public']] }, ajitPai)
+      ],
+      client: 'Megacorp, Ajit Pai',
+      tags: [['sysadmin'], ['public']]
     });
-    return existingApplication.save();
+    return existingApp.save();
   });
 
-  test('publishes an application', done => {
-    let uri = '/api/application/' + existingApplication._id + '/publish';
+  // Hides Ajit Pai from the public.
+  function hideIndividual() {
+    let individual = existingApp.interestedParties[1];
+    return request(app)
+      .put('/api/application/' + existingApp._id)
+      .send({ interestedParties: [{ _id: individual._id, tags: [['sysadmin']] }] })
+      .expect(200);
+  }
+
+  test('are created from Tantalis, keeping their type and division', done => {
+    spyOn(TTLSUtils, 'getApplicationByDispositionID').and.returnValue(
+      Promise.resolve({ DISPOSITION_TRANSACTION_SID: 888888, interestedParties: [megacorp, ajitPai], parcels: [] })
+    );
+
     request(app)
-      .put(uri)
+      .post('/api/application')
+      .send({ name: 'New Application', tantalisID: 888888 })
       .expect(200)
-      .send({})
+      .then(response => Application.findById(response.body._id))
+      .then(application => {
+        let parties = _.map(application.toObject().interestedParties, party => _.omit(party, '_id'));
+        expect(parties).toEqual([
+          _.assign({ name: 'Megacorp', tags: [['sysadmin'], ['public']] }, megacorp),
+          _.assign({ name: 'Ajit Pai', tags: [['sysadmin'], ['public']] }, ajitPai)
+        ]);
+        expect(application.client).toEqual('Megacorp, Ajit Pai');
+        done();
+      });
+  });
+
+  test('can be hidden from the public, which removes them from the client', done => {
+    hideIndividual()
+      .then(() => Application.findById(existingApp._id))
+      .then(application => {
+        expect(application.interestedParties[1].tags).toEqual([['sysadmin']]);
+        expect(application.client).toEqual('Megacorp');
+        return request(app)
+          .get('/api/public/application')
+          .query({ fields: 'interestedParties' })
+          .expect(200);
+      })
       .then(response => {
-        Application.findById(existingApplication._id).exec(function(error, application) {
-          expect(application).toBeDefined();
-          expect(application).not.toBeNull();
-          expect(application.tags[0]).toEqual(expect.arrayContaining(['public']));
-          done();
-        });
+        expect(_.map(response.body[0].interestedParties, 'name')).toEqual(['Megacorp']);
+        done();
       });
   });
 
-  test('404s if the application does not exist', done => {
-    let uri = '/api/application/' + 'NON_EXISTENT_ID' + '/publish';
+  test('cannot be changed, other than their tags', done => {
+    let individual = existingApp.interestedParties[1];
     request(app)
-      .put(uri)
-      .send({})
-      .expect(404)
-      .then(response => {
+      .put('/api/application/' + existingApp._id)
+      .send({ client: 'Dr Strangelove', interestedParties: [{ _id: individual._id, firstName: 'Dr' }] })
+      .expect(200)
+      .then(() => Application.findById(existingApp._id))
+      .then(application => {
+        expect(application.interestedParties[1].firstName).toEqual('Ajit');
+        expect(application.client).toEqual('Megacorp, Ajit Pai');
         done();
       });
   });
 
-  test('handles feature publish', done => {
-    let applicationFeature = new Feature({
-      tags: [],
-      applicationID: existingApplication._id
-    });
-    applicationFeature.save().then(appFeature => {
-      let uri = '/api/application/' + existingApplication._id + '/publish';
-      request(app)
-        .put(uri)
+  test('stay hidden when the application is refreshed', done => {
+    spyOn(TTLSUtils, 'getApplicationByDispositionID').and.returnValue(
+      Promise.resolve(_.assign(tantalisApplication([]), { interestedParties: [megacorp, ajitPai] }))
+    );
+
+    hideIndividual()
+      .then(() => request(app).put('/api/application/' + existingApp._id + '/refresh'))
+      .then(() => Application.findById(existingApp._id))
+      .then(application => {
+        expect(_.map(application.interestedParties, 'tags')).toEqual([[['sysadmin'], ['public']], [['sysadmin']]]);
+        expect(application.client).toEqual('Megacorp');
+        done();
+      });
+  });
+
+  describe('client filtering', () => {
+    test('matches any one interested party', done => {
+      request(app)
+        .get('/api/application')
+        .query({ client: 'eq=Ajit Pai' })
+        .expect(200)
+        .then(response => {
+          expect(_.map(response.body, 'description')).toEqual(['PARTIES']);
+          done();
+        });
+    });
+
+    test('does not match interested parties hidden from the public, on public routes', done => {
+      hideIndividual()
+        .then(() =>
+          request(app)
+            .get('/api/public/application')
+            .query({ client: 'eq=Ajit Pai' })
+            .expect(200)
+        )
+        .then(response => {
+          expect(response.body).toEqual([]);
+          return request(app)
+            .get('/api/application')
+            .query({ client: 'eq=Ajit Pai' })
+            .expect(200);
+        })
+        .then(response => {
+          expect(_.map(response.body, 'description')).toEqual(['PARTIES']);
+          done();
+        });
+    });
+
+    test('matches the whole client of an application with no interested parties', done => {
+      new Application({ description: 'LEGACY', client: 'Megacorp, Ajit Pai', tags: [['sysadmin']] })
+        .save()
+        .then(() =>
+          request(app)
+            .get('/api/application')
+            .query({ client: 'eq=Megacorp, Ajit Pai' })
+            .expect(200)
+        )
+        .then(response => {
+          expect(_.map(response.body, 'description')).toEqual(['LEGACY']);
+          done();
+        });
+    });
+  });
+});
+
+describe('code filtering', () => {
+  beforeEach(done => {
+    Codes.setCache([
+      { table: 'purpose', code: '3', description: 'INDUSTRIAL', parentCode: null },
+      { table: 'purpose', code: '1', description: 'AGRICULTURE', parentCode: null }
+    ]);
+    new Application({ description: 'INDUSTRY', purpose: 'INDUSTRIAL', purposeCode: '3', tags: [['sysadmin']] })
+      .save()
+      .then(() => done());
+  });
+
+  afterEach(() => {
+    Codes.setCache([]);
+  });
+
+  test('filters by a known description', done => {
+    request(app)
+      .get('/api/application')
+      .query({ purpose: 'eq=INDUSTRIAL' })
+      .expect(200)
+      .then(response => {
+        expect(_.map(response.body, 'description')).toEqual(['INDUSTRY']);
+        done();
+      });
+  });
+
+  test('still filters by descriptions that are not in the code table', done => {
+    request(app)
+      .get('/api/application')
+      .query({ purpose: 'eq=INDUSTRAIL' })
+      .expect(200)
+      .then(response => {
+        expect(response.body).toEqual([]);
+        done();
+      });
+  });
+
+  test('does not check descriptions before the code table has been synced', done => {
+    Codes.setCache([]);
+    request(app)
+      .get('/api/application')
+      .query({ purpose: 'eq=INDUSTRAIL' })
+      .expect(200)
+      .then(response => {
+        expect(response.body).toEqual([]);
+        done();
+      });
+  });
+});
+
+describe('duplicate applications', () => {
+  let existingApp;
+  beforeEach(() => {
+    existingApp = new Application({ name: 'Existing Application', tantalisID: 999999, tags: [['sysadmin']] });
+    return existingApp.save();
+  });
+
+  test('409s when creating an application for a disposition that already has one', done => {
+    spyOn(TTLSUtils, 'getApplicationByDispositionID');
+
+    request(app)
+      .post('/api/application')
+      .send({ name: 'Duplicate Application', tantalisID: 999999 })
+      .expect(409)
+      .then(response => {
+        expect(response.body._id).toEqual(String(existingApp._id));
+        expect(TTLSUtils.getApplicationByDispositionID).not.toHaveBeenCalled();
+        return Application.countDocuments({ tantalisID: 999999 });
+      })
+      .then(count => {
+        expect(count).toEqual(1);
+        done();
+      });
+  });
+
+  test('allows creating an application for a disposition whose application was deleted', done => {
+    spyOn(TTLSUtils, 'getApplicationByDispositionID').and.returnValue(
+      Promise.resolve({ DISPOSITION_TRANSACTION_SID: 999999, interestedParties: [], parcels: [] })
+    );
+
+    existingApp.isDeleted = true;
+    existingApp
+      .save()
+      .then(() => {
+        return request(app)
+          .post('/api/application')
+          .send({ name: 'Replacement Application', tantalisID: 999999 })
+          .expect(200);
+      })
+      .then(response => {
+        expect(response.body._id).not.toEqual(String(existingApp._id));
+        done();
+      });
+  });
+
+  test('409s when changing an application to a disposition that already has one', done => {
+    let otherApp = new Application({ name: 'Other Application', tantalisID: 888888 });
+    otherApp
+      .save()
+      .then(() => {
+        return request(app)
+          .put('/api/application/' + otherApp._id)
+          .send({ tantalisID: 999999 })
+          .expect(409);
+      })
+      .then(response => {
+        expect(response.body._id).toEqual(String(existingApp._id));
+        return Application.findById(otherApp._id);
+      })
+      .then(application => {
+        expect(application.tantalisID).toEqual(888888);
+        done();
+      });
+  });
+
+  test('409s when restoring an application for a disposition that has another one', done => {
+    let deletedApp = new Application({ name: 'Deleted Application', tantalisID: 999999, isDeleted: true });
+    deletedApp
+      .save()
+      .then(() => {
+        return request(app)
+          .post('/api/application/' + deletedApp._id + '/restore')
+          .expect(409);
+      })
+      .then(response => {
+        expect(response.body._id).toEqual(String(existingApp._id));
+        return Application.findById(deletedApp._id);
+      })
+      .then(application => {
+        expect(application.isDeleted).toBe(true);
+        done();
+      });
+  });
+
+  describe('GET /application/duplicates', () => {
+    test('lists the dispositions that have more than one application, oldest application first', done => {
+      // Created before there was a unique index, eg: by a double submit.
+      let newerApp = new Application({ name: 'Newer Application', tantalisID: 999999 });
+      let deletedApp = new Application({ name: 'Deleted Application', tantalisID: 888888, isDeleted: true });
+      let singleApp = new Application({ name: 'Single Application', tantalisID: 888888 });
+
+      // The collection is dropped after each test, so the index may not be there anyway.
+      Application.collection
+        .dropIndex('tantalisIDUniqueIndex')
+        .catch(() => null)
+        .then(() => Application.insertMany([newerApp, deletedApp, singleApp]))
+        .then(() => request(app).get('/api/application/duplicates'))
+        .then(response => {
+          expect(response.status).toEqual(200);
+          expect(response.headers['x-total-count']).toEqual('1');
+          expect(response.body.length).toEqual(1);
+          expect(response.body[0].tantalisID).toEqual(999999);
+          expect(response.body[0].count).toEqual(2);
+          expect(_.map(response.body[0].applications, 'name')).toEqual(['Existing Application', 'Newer Application']);
+          done();
+        });
+    });
+  });
+});
+
+describe('POST /application/:id/merge', () => {
+  let target;
+  let source;
+  let commentPeriod;
+  let decision;
+  let document;
+  let feature;
+  let deletedFeature;
+  beforeEach(() => {
+    target = new Application({ name: 'Target Application', tantalisID: 999999, tags: [['sysadmin']] });
+    source = new Application({ name: 'Source Application', tantalisID: 999999, tags: [['sysadmin'], ['public']] });
+    commentPeriod = new CommentPeriod({ _application: source._id, tags: [['sysadmin']] });
+    decision = new Decision({ _application: source._id, tags: [['sysadmin']] });
+    document = new Document({ _application: source._id, tags: [['sysadmin']] });
+    feature = new Feature({ applicationID: source._id, tags: [['sysadmin'], ['public']] });
+    deletedFeature = new Feature({ applicationID: source._id, isDeleted: true });
+    // Saved directly, as if created before applications had to be unique.
+    return Application.collection
+      .dropIndex('tantalisIDUniqueIndex')
+      .catch(() => null)
+      .then(() => Application.insertMany([target, source]))
+      .then(() => {
+        return Promise.all([
+          commentPeriod.save(),
+          decision.save(),
+          document.save(),
+          feature.save(),
+          deletedFeature.save()
+        ]);
+      })
+      .then(() => Promise.all([Application.findById(target._id), Application.findById(source._id)]))
+      .then(([savedTarget, savedSource]) => {
+        target = savedTarget;
+        source = savedSource;
+      });
+  });
+
+  test('moves the objects of the source to the target', done => {
+    request(app)
+      .post('/api/application/' + target._id + '/merge')
+      .send({ sourceId: String(source._id) })
+      .expect(200)
+      .then(response => {
+        expect(_.map(response.body.results, 'objectType')).toEqual([
+          'CommentPeriod',
+          'Decision',
+          'Document',
+          'Feature',
+          'Application',
+          'Application'
+        ]);
+        return Promise.all([
+          CommentPeriod.findById(commentPeriod._id),
+          Decision.findById(decision._id),
+          Document.findById(document._id),
+          Feature.findById(feature._id)
+        ]);
+      })
+      .then(([mergedCommentPeriod, mergedDecision, mergedDocument, mergedFeature]) => {
+        expect(String(mergedCommentPeriod._application)).toEqual(String(target._id));
+        expect(String(mergedDecision._application)).toEqual(String(target._id));
+        expect(String(mergedDocument._application)).toEqual(String(target._id));
+        expect(String(mergedFeature.applicationID)).toEqual(String(target._id));
+        return Feature.findById(deletedFeature._id);
+      })
+      .then(unmergedFeature => {
+        expect(String(unmergedFeature.applicationID)).toEqual(String(source._id));
+        done();
+      });
+  });
+
+  test('deletes the source, and records the merge on both applications', done => {
+    request(app)
+      .post('/api/application/' + target._id + '/merge')
+      .send({ sourceId: String(source._id) })
+      .expect(200)
+      .then(() => Promise.all([Application.findById(target._id), Application.findById(source._id)]))
+      .then(([mergedTarget, mergedSource]) => {
+        expect(mergedSource.isDeleted).toBe(true);
+        expect(Actions.isPublished(mergedSource)).toBeFalsy();
+        expect(String(mergedSource._mergedInto)).toEqual(String(target._id));
+        expect(mergedTarget.isDeleted).toBe(false);
+        expect(_.map(mergedTarget._mergedFrom, String)).toEqual([String(source._id)]);
+        return Audit.find({ action: 'merge' });
+      })
+      .then(audits => {
+        expect(audits.length).toEqual(6);
+        _.each(audits, audit => expect(audit._performedBy).toEqual(idirUsername));
+        done();
+      });
+  });
+
+  test('400s if an application is merged into itself', done => {
+    request(app)
+      .post('/api/application/' + target._id + '/merge')
+      .send({ sourceId: String(target._id) })
+      .expect(400)
+      .then(() => done());
+  });
+
+  test('404s if the source does not exist', done => {
+    request(app)
+      .post('/api/application/' + target._id + '/merge')
+      .send({ sourceId: String(new mongoose.Types.ObjectId()) })
+      .expect(404)
+      .then(() => done());
+  });
+
+  test('409s if the applications are for different dispositions', done => {
+    source.tantalisID = 888888;
+    source
+      .save()
+      .then(() => {
+        return request(app)
+          .post('/api/application/' + target._id + '/merge')
+          .send({ sourceId: String(source._id) })
+          .expect(409);
+      })
+      .then(() => Feature.findById(feature._id))
+      .then(unmergedFeature => {
+        expect(String(unmergedFeature.applicationID)).toEqual(String(source._id));
+        done();
+      });
+  });
+});
+
+describe('GET /application/:id/history', () => {
+  let existingApplication;
+  beforeEach(() => {
+    existingApplication = new Application({
+      description: 'Existing',
+      name: 'Boring Application',
+      status: 'ACCEPTED'
+    });
+    return existingApplication.save();
+  });
+
+  test('records who changed which fields, and their before and after values', done => {
+    let uri = '/api/application/' + existingApplication._id;
+    request(app)
+      .put(uri)
+      .send({ name: 'Exciting Application', status: 'OFFER ACCEPTED' })
+      .expect(200)
+      .then(response => {
+        return request(app)
+          .get(uri + '/history')
+          .expect(200);
+      })
+      .then(response => {
+        expect(response.body.length).toEqual(2);
+
+        let update = response.body[0];
+        expect(update.action).toEqual('update');
+        expect(update._performedBy).toEqual(idirUsername);
+        expect(update.performedDate).toBeDefined();
+        expect(update.changes).toEqual(
+          expect.arrayContaining([
+            { field: 'name', before: 'Boring Application', after: 'Exciting Application' },
+            { field: 'status', before: 'ACCEPTED', after: 'OFFER ACCEPTED' }
+          ])
+        );
+
+        expect(response.body[1].action).toEqual('create');
+        done();
+      });
+  });
+
+  test('records publish, unpublish and delete actions', done => {
+    let uri = '/api/application/' + existingApplication._id;
+    request(app)
+      .put(uri + '/publish')
+      .expect(200)
+      .then(() => request(app).put(uri + '/unpublish'))
+      .then(() => request(app).delete(uri))
+      .then(() => {
+        return request(app)
+          .get(uri + '/history')
+          .expect(200);
+      })
+      .then(response => {
+        expect(_.map(response.body, 'action')).toEqual(['delete', 'unpublish', 'publish', 'create']);
+        done();
+      });
+  });
+
+  test('does not record updates that change nothing', done => {
+    let uri = '/api/application/' + existingApplication._id;
+    request(app)
+      .put(uri)
+      .send({ name: 'Boring Application' })
+      .expect(200)
+      .then(() => {
+        Audit.find({ _objectId: existingApplication._id }).exec(function(error, audits) {
+          expect(audits.length).toEqual(1);
+          expect(audits[0].action).toEqual('create');
+          done();
+        });
+      });
+  });
+
+  test('paginates the history', done => {
+    let uri = '/api/application/' + existingApplication._id;
+    request(app)
+      .put(uri)
+      .send({ name: 'Exciting Application' })
+      .then(() => {
+        return request(app)
+          .get(uri + '/history?pageNum=0&pageSize=1')
+          .expect(200);
+      })
+      .then(response => {
+        expect(response.headers['x-total-count']).toEqual('2');
+        expect(response.body.length).toEqual(1);
+        expect(response.body[0].action).toEqual('update');
+        done();
+      });
+  });
+
+  test('404s if the application id is invalid', done => {
+    request(app)
+      .get('/api/application/NON_EXISTENT_ID/history')
+      .expect(404)
+      .then(response => {
+        done();
+      });
+  });
+});
+
+describe('PUT /application/:id/refresh', () => {
+  let existingApp;
+  let unchangedFeature;
+  let changedFeature;
+  let removedFeature;
+  let returningFeature;
+
+  beforeEach(() => {
+    existingApp = new Application({ name: 'Refreshing Application', tantalisID: 999999, tags: [['sysadmin']] });
+    unchangedFeature = existingFeature(existingApp._id, 1, 'UNCHANGED', square);
+    changedFeature = existingFeature(existingApp._id, 2, 'CHANGED', square);
+    removedFeature = existingFeature(existingApp._id, 3, 'REMOVED', square);
+    returningFeature = existingFeature(existingApp._id, 5, 'RETURNING', square);
+    returningFeature.isDeleted = true;
+    returningFeature.tags = [['sysadmin']];
+
+    // Unpublished by staff, which a refresh should not undo.
+    changedFeature.tags = [['sysadmin']];
+
+    // 1 unchanged (other than the status), 2 reshaped, 3 gone, 4 new, 5 back after being removed.
+    let tantalisApp = tantalisApplication([
+      parcel(1, 'UNCHANGED', square),
+      parcel(2, 'CHANGED', biggerSquare),
+      parcel(4, 'ADDED', square),
+      parcel(5, 'RETURNING', square)
+    ]);
+
+    spyOn(TTLSUtils, 'getApplicationByDispositionID').and.callFake(() => Promise.resolve(tantalisApp));
+
+    return Promise.all([
+      existingApp.save(),
+      unchangedFeature.save(),
+      changedFeature.save(),
+      removedFeature.save(),
+      returningFeature.save()
+    ]);
+  });
+
+  test('updates the existing features in place, keeping their ids and tags', done => {
+    request(app)
+      .put('/api/application/' + existingApp._id + '/refresh')
+      .expect(200)
+      .then(() => Feature.findById(changedFeature._id))
+      .then(feature => {
+        expect(feature.isDeleted).toBe(false);
+        expect(feature.properties.TENURE_STATUS).toEqual('OFFER ACCEPTED');
+        expect(feature.geometry.geometries[0].coordinates).toEqual(biggerSquare);
+        expect(feature.tags).toEqual([['sysadmin']]);
+        done();
+      });
+  });
+
+  test('adds new parcels, and soft-deletes removed ones', done => {
+    request(app)
+      .put('/api/application/' + existingApp._id + '/refresh')
+      .expect(200)
+      .then(response => {
+        expect(response.body.features.length).toEqual(4);
+        return Feature.find({ applicationID: existingApp._id });
+      })
+      .then(features => {
+        let bySID = _.keyBy(features, 'properties.INTRID_SID');
+        expect(features.length).toEqual(5);
+        expect(bySID[1]._id).toEqual(unchangedFeature._id);
+        expect(bySID[3].isDeleted).toBe(true);
+        expect(Actions.isPublished(bySID[3])).toBeFalsy();
+        expect(bySID[4].isDeleted).toBe(false);
+        expect(bySID[4].properties.TENURE_LEGAL_DESCRIPTION).toEqual('ADDED');
+        done();
+      });
+  });
+
+  test('restores the feature of a parcel that comes back', done => {
+    request(app)
+      .put('/api/application/' + existingApp._id + '/refresh')
+      .expect(200)
+      .then(() => Feature.findById(returningFeature._id))
+      .then(feature => {
+        expect(feature.isDeleted).toBe(false);
+        expect(feature.properties.TENURE_STATUS).toEqual('OFFER ACCEPTED');
+        done();
+      });
+  });
+
+  test('leaves the features uploaded by staff alone', done => {
+    let uploadedFeature = existingFeature(existingApp._id, 0, 'UPLOADED', square);
+    uploadedFeature.uploaded = true;
+
+    uploadedFeature
+      .save()
+      .then(() => {
+        return request(app)
+          .put('/api/application/' + existingApp._id + '/refresh')
+          .expect(200);
+      })
+      .then(response => {
+        expect(_.map(response.body.features, '_id')).toContain(uploadedFeature._id.toString());
+        return Feature.findById(uploadedFeature._id);
+      })
+      .then(feature => {
+        expect(feature.isDeleted).toBe(false);
+        expect(feature.properties.TENURE_LEGAL_DESCRIPTION).toEqual('UPLOADED');
+        done();
+      });
+  });
+
+  test('records the changes in the audit trail', done => {
+    request(app)
+      .put('/api/application/' + existingApp._id + '/refresh')
+      .expect(200)
+      .then(() => Audit.find({ objectType: 'Feature', action: { $ne: 'create' } }))
+      .then(audits => {
+        let actions = _.mapValues(_.keyBy(audits, record => record._objectId.toString()), 'action');
+        expect(actions[changedFeature._id.toString()]).toEqual('refresh');
+        expect(actions[removedFeature._id.toString()]).toEqual('delete');
+        expect(actions[returningFeature._id.toString()]).toEqual('restore');
+        _.each(audits, record => expect(record._performedBy).toEqual(idirUsername));
+        done();
+      });
+  });
+});
+
+describe('POST /application/:id/features/upload', () => {
+  let existingApp;
+
+  const upload = {
+    filename: 'parcel.geojson',
+    content: JSON.stringify({ type: 'Feature', geometry: { type: 'Polygon', coordinates: square }, properties: {} })
+  };
+
+  beforeEach(() => {
+    existingApp = new Application({
+      name: 'Unmapped Application',
+      tantalisID: 999999,
+      cl_file: 1234567,
+      status: 'ACCEPTED',
+      tags: [['sysadmin']]
+    });
+    return existingApp.save();
+  });
+
+  test('adds the shapes as published features, with the meta of the application', done => {
+    request(app)
+      .post('/api/application/' + existingApp._id + '/features/upload')
+      .send(upload)
+      .expect(200)
+      .then(response => {
+        expect(response.body.length).toEqual(1);
+        return Feature.find({ applicationID: existingApp._id });
+      })
+      .then(features => {
+        expect(features.length).toEqual(1);
+        expect(features[0].uploaded).toBe(true);
+        expect(features[0].geometry.type).toEqual('GeometryCollection');
+        expect(features[0].geometry.geometries[0].coordinates).toEqual(square);
+        expect(features[0].properties.CROWN_LANDS_FILE).toEqual('1234567');
+        expect(features[0].properties.TENURE_STATUS).toEqual('ACCEPTED');
+        expect(features[0].properties.TENURE_AREA_IN_HECTARES).toBeGreaterThan(0);
+        expect(Actions.isPublished(features[0])).toBeTruthy();
+        return Application.findById(existingApp._id);
+      })
+      .then(application => {
+        expect(application.centroid[0]).toBeCloseTo(-122.5);
+        expect(application.centroid[1]).toBeCloseTo(48.5);
+        done();
+      });
+  });
+
+  test('reprojects the shapes from the given CRS', done => {
+    request(app)
+      .post('/api/application/' + existingApp._id + '/features/upload')
+      .send({ filename: 'parcel.wkt', content: 'POINT(1195000 382000)', crs: 'EPSG:3005' })
+      .expect(200)
+      .then(response => {
+        let coordinates = response.body[0].geometry.geometries[0].coordinates[0];
+        expect(coordinates[0]).toBeCloseTo(-123.3704);
+        expect(coordinates[1]).toBeCloseTo(48.4212);
+        done();
+      });
+  });
+
+  test('replaces the features uploaded before, keeping those from Tantalis', done => {
+    let uploadedFeature = existingFeature(existingApp._id, 0, 'UPLOADED', square);
+    uploadedFeature.uploaded = true;
+    let tantalisFeature = existingFeature(existingApp._id, 1, 'FROM TANTALIS', square);
+
+    Promise.all([uploadedFeature.save(), tantalisFeature.save()])
+      .then(() => {
+        return request(app)
+          .post('/api/application/' + existingApp._id + '/features/upload')
+          .send(_.assign({ replace: true }, upload))
+          .expect(200);
+      })
+      .then(() => Feature.find({ applicationID: existingApp._id, isDeleted: false }))
+      .then(features => {
+        expect(features.length).toEqual(2);
+        expect(_.map(features, '_id')).toContainEqual(tantalisFeature._id);
+        expect(_.map(features, '_id')).not.toContainEqual(uploadedFeature._id);
+        done();
+      });
+  });
+
+  test('rejects an invalid file, saving nothing', done => {
+    request(app)
+      .post('/api/application/' + existingApp._id + '/features/upload')
+      .send({ filename: 'parcel.wkt', content: 'POINT(1195000 382000)' })
+      .expect(400)
+      .then(response => {
+        expect(response.body.message).toMatch('check the CRS');
+        return Feature.countDocuments({ applicationID: existingApp._id });
+      })
+      .then(count => {
+        expect(count).toEqual(0);
+        done();
+      });
+  });
+
+  test('returns 500 if the features cannot be saved, saving nothing', done => {
+    spyOn(Feature.prototype, 'save').and.returnValue(Promise.reject(new Error('Disk full')));
+
+    request(app)
+      .post('/api/application/' + existingApp._id + '/features/upload')
+      .send(upload)
+      .expect(500)
+      .then(response => {
+        expect(response.body.message).toEqual('Disk full');
+        return Feature.countDocuments({ applicationID: existingApp._id });
+      })
+      .then(count => {
+        expect(count).toEqual(0);
+        done();
+      });
+  });
+
+  test('returns 404 for an application that does not exist', done => {
+    request(app)
+      .post('/api/application/' + new mongoose.Types.ObjectId() + '/features/upload')
+      .send(upload)
+      .expect(404)
+      .then(() => done());
+  });
+});
+
+describe('GET /application/:id/refresh/preview', () => {
+  let existingApp;
+  let unchangedFeature;
+  let changedFeature;
+  let removedFeature;
+
+  let tantalisApp;
+
+  beforeEach(() => {
+    existingApp = new Application({
+      name: 'Refreshing Application',
+      tantalisID: 999999,
+      status: 'ACCEPTED',
+      location: 'Megalopolis',
+      client: 'Megacorp',
+      areaHectares: 2,
+      centroid: [-122.5, 48.5],
+      tags: [['sysadmin']]
+    });
+    unchangedFeature = existingFeature(existingApp._id, 1, 'UNCHANGED', square);
+    changedFeature = existingFeature(existingApp._id, 2, 'CHANGED', square);
+    removedFeature = existingFeature(existingApp._id, 3, 'REMOVED', square);
+
+    // The parcels as they are in Tantalis: 1 unchanged (other than the status), 2 reshaped, 3 gone, 4 new.
+    tantalisApp = tantalisApplication([
+      parcel(1, 'UNCHANGED', square),
+      parcel(2, 'CHANGED', biggerSquare),
+      parcel(4, 'ADDED', square)
+    ]);
+
+    spyOn(TTLSUtils, 'getApplicationByDispositionID').and.callFake(() => Promise.resolve(tantalisApp));
+
+    return Promise.all([existingApp.save(), unchangedFeature.save(), changedFeature.save(), removedFeature.save()]);
+  });
+
+  test('returns the changes to the application meta', done => {
+    request(app)
+      .get('/api/application/' + existingApp._id + '/refresh/preview')
+      .expect(200)
+      .then(response => {
+        let changes = _.keyBy(response.body.meta, 'field');
+        expect(changes.status).toEqual({ field: 'status', before: 'ACCEPTED', after: 'OFFER ACCEPTED' });
+        expect(changes.location).toBeUndefined();
+        expect(changes.client).toBeUndefined();
+        done();
+      });
+  });
+
+  test('returns the parcels added, removed and changed', done => {
+    request(app)
+      .get('/api/application/' + existingApp._id + '/refresh/preview')
+      .expect(200)
+      .then(response => {
+        let parcels = response.body.parcels;
+        expect(_.map(parcels.added, 'INTRID_SID')).toEqual([4]);
+        expect(_.map(parcels.removed, '_id')).toEqual([removedFeature._id.toString()]);
+        expect(parcels.changed.length).toEqual(2);
+
+        let changed = _.keyBy(parcels.changed, 'INTRID_SID');
+        expect(changed[1].geometryChanged).toBe(false);
+        expect(changed[1].changes).toEqual([{ field: 'TENURE_STATUS', before: 'ACCEPTED', after: 'OFFER ACCEPTED' }]);
+        expect(changed[2]._id).toEqual(changedFeature._id.toString());
+        expect(changed[2].geometryChanged).toBe(true);
+        expect(parcels.unchanged).toEqual(0);
+        done();
+      });
+  });
+
+  test('returns the area and centroid deltas', done => {
+    request(app)
+      .get('/api/application/' + existingApp._id + '/refresh/preview')
+      .expect(200)
+      .then(response => {
+        expect(response.body.areaHectares).toEqual({ before: 2, after: 3, delta: 1 });
+        expect(response.body.centroid.before).toEqual([-122.5, 48.5]);
+        expect(response.body.centroid.after).toEqual([-122.5, 48.6]);
+        expect(response.body.centroid.delta[0]).toBeCloseTo(0);
+        expect(response.body.centroid.delta[1]).toBeCloseTo(0.1);
+        expect(response.body.centroid.distanceMetres).toBeCloseTo(11120, -1);
+        done();
+      });
+  });
+
+  test('does not change anything', done => {
+    request(app)
+      .get('/api/application/' + existingApp._id + '/refresh/preview')
+      .expect(200)
+      .then(() => {
+        return Promise.all([
+          Application.findById(existingApp._id),
+          Feature.find({ applicationID: existingApp._id }),
+          Audit.countDocuments({ action: { $ne: 'create' } })
+        ]);
+      })
+      .then(([application, features, auditCount]) => {
+        expect(application.status).toEqual('ACCEPTED');
+        expect(application.areaHectares).toEqual(2);
+        expect(features.length).toEqual(3);
+        expect(auditCount).toEqual(0);
+        done();
+      });
+  });
+
+  test('404s if there is no matching Tantalis application', done => {
+    TTLSUtils.getApplicationByDispositionID.and.returnValue(Promise.resolve(null));
+    request(app)
+      .get('/api/application/' + existingApp._id + '/refresh/preview')
+      .expect(404)
+      .then(() => done());
+  });
+
+  test('404s if the application does not exist', done => {
+    request(app)
+      .get('/api/application/' + new mongoose.Types.ObjectId() + '/refresh/preview')
+      .expect(404)
+      .then(() => done());
+  });
+});
+
+describe('PUT /application/:id/publish', () => {
+  let existingApplication;
+  beforeEach(() => {
+    existingApplication = new Application({
+      description: 'Existing',
+      name: 'Boring application'
+    });
+    return existingApplication.save();
+  });
+
+  test('publishes an application', done => {
+    let uri = '/api/application/' + existingApplication._id + '/publish';
+    request(app)
+      .put(uri)
+      .expect(200)
+      .send({})
+      .then(response => {
+        Application.findById(existingApplication._id).exec(function(error, application) {
+          expect(application).toBeDefined();
+          expect(application).not.toBeNull();
+          expect(application.tags[0]).toEqual(expect.arrayContaining(['public']));
+          done();
+        });
+      });
+  });
+
+  test('404s if the application does not exist', done => {
+    let uri = '/api/application/' + 'NON_EXISTENT_ID' + '/publish';
+    request(app)
+      .put(uri)
+      .send({})
+      .expect(404)
+      .then(response => {
+        done();
+      });
+  });
+
+  test('handles feature publish', done => {
+    let applicationFeature = new Feature({
+      tags: [],
+      applicationID: existingApplication._id
+    });
+    applicationFeature.save().then(appFeature => {
+      let uri = '/api/application/' + existingApplication._id + '/publish';
+      request(app)
+        .put(uri)
         .expect(200)
         .send({})
         .then(response => {
@@ -714,3 +2142,149 @@ describe('PUT /application/:id/unpublish', () => {
     });
   });
 });
+
+describe('PUT /application/:id/publish?cascade=true', () => {
+  let existingApplication;
+  let commentPeriod;
+  let decision;
+  let decisionDocument;
+  let commentDocument;
+  beforeEach(() => {
+    existingApplication = new Application({
+      description: 'Existing',
+      name: 'Boring application',
+      tags: [['sysadmin']]
+    });
+    return existingApplication.save().then(() => {
+      commentPeriod = new CommentPeriod({ _application: existingApplication._id, tags: [['sysadmin']] });
+      decision = new Decision({ _application: existingApplication._id, tags: [['sysadmin']] });
+      return Promise.all([commentPeriod.save(), decision.save()]).then(() => {
+        decisionDocument = new Document({ _decision: decision._id, tags: [['sysadmin']] });
+        commentDocument = new Document({
+          _application: existingApplication._id,
+          _comment: mongoose.Types.ObjectId(),
+          tags: [['sysadmin']]
+        });
+        return Promise.all([decisionDocument.save(), commentDocument.save()]);
+      });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('publishes the application, comment periods, decisions and documents, and reports on each', done => {
+    let uri = '/api/application/' + existingApplication._id + '/publish?cascade=true';
+    request(app)
+      .put(uri)
+      .expect(200)
+      .then(response => {
+        let results = _.keyBy(response.body.results, '_id');
+        expect(response.body.results.length).toEqual(4);
+        expect(results[existingApplication._id].result).toEqual('published');
+        expect(results[commentPeriod._id].result).toEqual('published');
+        expect(results[decision._id].result).toEqual('published');
+        expect(results[decisionDocument._id].result).toEqual('published');
+
+        return Promise.all([
+          Application.findById(existingApplication._id),
+          CommentPeriod.findById(commentPeriod._id),
+          Decision.findById(decision._id),
+          Document.findById(decisionDocument._id),
+          Document.findById(commentDocument._id)
+        ]);
+      })
+      .then(([application, period, dec, decDocument, comDocument]) => {
+        expect(Actions.isPublished(application)).toBeTruthy();
+        expect(Actions.isPublished(period)).toBeTruthy();
+        expect(Actions.isPublished(dec)).toBeTruthy();
+        expect(Actions.isPublished(decDocument)).toBeTruthy();
+        // Comment attachments are published through comment moderation, not with the application.
+        expect(Actions.isPublished(comDocument)).toBeFalsy();
+        done();
+      });
+  });
+
+  test('leaves objects that are already published alone', done => {
+    decision.tags = [['sysadmin'], ['public']];
+    decision.save().then(() => {
+      let uri = '/api/application/' + existingApplication._id + '/publish?cascade=true';
+      request(app)
+        .put(uri)
+        .expect(200)
+        .then(response => {
+          let results = _.keyBy(response.body.results, '_id');
+          expect(results[decision._id].result).toEqual('unchanged');
+          expect(results[existingApplication._id].result).toEqual('published');
+          done();
+        });
+    });
+  });
+
+  test('rolls back every change if any object fails to publish', done => {
+    const publish = Actions.publish;
+    jest.spyOn(Actions, 'publish').mockImplementation(o => {
+      if (o.constructor.modelName === 'Document') {
+        return Promise.reject({ code: 400, message: 'Failed to save' });
+      }
+      return publish(o);
+    });
+
+    let uri = '/api/application/' + existingApplication._id + '/publish?cascade=true';
+    request(app)
+      .put(uri)
+      .expect(400)
+      .then(response => {
+        let results = _.keyBy(response.body.results, '_id');
+        expect(results[commentPeriod._id].result).toEqual('rolledBack');
+        expect(results[decision._id].result).toEqual('rolledBack');
+        expect(results[decisionDocument._id].result).toEqual('failed');
+        expect(results[decisionDocument._id].message).toEqual('Failed to save');
+
+        return Promise.all([
+          Application.findById(existingApplication._id),
+          CommentPeriod.findById(commentPeriod._id),
+          Decision.findById(decision._id)
+        ]);
+      })
+      .then(([application, period, dec]) => {
+        expect(Actions.isPublished(application)).toBeFalsy();
+        expect(Actions.isPublished(period)).toBeFalsy();
+        expect(Actions.isPublished(dec)).toBeFalsy();
+        done();
+      });
+  });
+});
+
+describe('PUT /application/:id/unpublish?cascade=true', () => {
+  let existingApplication;
+  let decision;
+  beforeEach(() => {
+    existingApplication = new Application({
+      description: 'Existing',
+      name: 'Boring application',
+      tags: [['sysadmin'], ['public']]
+    });
+    return existingApplication.save().then(() => {
+      decision = new Decision({ _application: existingApplication._id, tags: [['sysadmin'], ['public']] });
+      return decision.save();
+    });
+  });
+
+  test('unpublishes the application and its decisions', done => {
+    let uri = '/api/application/' + existingApplication._id + '/unpublish?cascade=true';
+    request(app)
+      .put(uri)
+      .expect(200)
+      .then(response => {
+        expect(_.map(response.body.results, 'result')).toEqual(['unpublished', 'unpublished']);
+        return Promise.all([Application.findById(existingApplication._id), Decision.findById(decision._id)]);
+      })
+      .then(([application, dec]) => {
+        expect(Actions.isPublished(application)).toBeFalsy();
+        expect(Actions.isPublished(dec)).toBeFalsy();
+        done();
+      });
+  });
+});
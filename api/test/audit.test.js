@@ -0,0 +1,289 @@
+const test_helper = require('./test_helper');
+const app = test_helper.app;
+const mongoose = require('mongoose');
+const request = require('supertest');
+const _ = require('lodash');
+
+const Audit = require('../helpers/audit');
+const auditController = require('../controllers/audit.js');
+const featureController = require('../controllers/feature.js');
+require('../helpers/models/audit');
+require('../helpers/models/decision');
+require('../helpers/models/feature');
+require('../helpers/models/user');
+const AuditRecord = mongoose.model('Audit');
+const Decision = mongoose.model('Decision');
+const Feature = mongoose.model('Feature');
+const User = mongoose.model('User');
+
+/*************************************
+  Mock Route Handlers + Helper Methods
+*************************************/
+
+const idirUsername = 'idir/i_am_a_bot';
+
+app.get('/api/audit', function(req, res) {
+  let extraFields = test_helper.buildParams(_.omit(req.query, ['pageNum', 'pageSize']));
+  if (req.query.pageNum !== undefined) {
+    _.assignIn(extraFields, test_helper.buildParams({ pageNum: _.toInteger(req.query.pageNum) }));
+  }
+  if (req.query.pageSize !== undefined) {
+    _.assignIn(extraFields, test_helper.buildParams({ pageSize: _.toInteger(req.query.pageSize) }));
+  }
+  let params = test_helper.createSwaggerParams([], extraFields, idirUsername);
+  return auditController.protectedGet(params, res);
+});
+
+app.delete('/api/feature/:id', function(req, res) {
+  let extraFields = test_helper.buildParams({ featureId: req.params.id });
+  let params = test_helper.createSwaggerParams([], extraFields, idirUsername);
+  return featureController.protectedDelete(params, res);
+});
+
+/*************************************
+  General Test Data + Helper Methods
+*************************************/
+
+function saveAs(doc, username) {
+  Audit.setContext(doc, username);
+  return doc.save();
+}
+
+/*************************************
+  Tests
+*************************************/
+
+describe('GET /audit', () => {
+  let decision;
+  let user;
+  beforeEach(() => {
+    decision = new Decision({ name: 'Decision', tags: [['sysadmin']] });
+    user = new User({ username: 'someone', password: 'secret', salt: 'salt', tags: [['sysadmin']] });
+    return saveAs(decision, idirUsername)
+      .then(() => saveAs(user, 'idir/someone_else'))
+      .then(() => {
+        decision.name = 'Better Decision';
+        return saveAs(decision, 'idir/someone_else');
+      });
+  });
+
+  test('returns audit records for every audited model, newest first', done => {
+    request(app)
+      .get('/api/audit')
+      .expect(200)
+      .then(response => {
+        expect(response.body.length).toEqual(3);
+        expect(_.map(response.body, 'objectType')).toEqual(['Decision', 'User', 'Decision']);
+        expect(_.map(response.body, 'action')).toEqual(['update', 'create', 'create']);
+        done();
+      });
+  });
+
+  test('can be filtered by model', done => {
+    request(app)
+      .get('/api/audit')
+      .query({ objectType: 'User' })
+      .expect(200)
+      .then(response => {
+        expect(response.body.length).toEqual(1);
+        expect(response.body[0]._objectId).toEqual(user._id.toString());
+        done();
+      });
+  });
+
+  test('can be filtered by object id', done => {
+    request(app)
+      .get('/api/audit')
+      .query({ objectId: decision._id.toString() })
+      .expect(200)
+      .then(response => {
+        expect(response.body.length).toEqual(2);
+        _.each(response.body, record => expect(record._objectId).toEqual(decision._id.toString()));
+        done();
+      });
+  });
+
+  test('can be filtered by user', done => {
+    request(app)
+      .get('/api/audit')
+      .query({ performedBy: idirUsername })
+      .expect(200)
+      .then(response => {
+        expect(response.body.length).toEqual(1);
+        expect(response.body[0].objectType).toEqual('Decision');
+        expect(response.body[0].action).toEqual('create');
+        done();
+      });
+  });
+
+  test('can be filtered by date range', done => {
+    let past = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    let future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    request(app)
+      .get('/api/audit')
+      .query({ performedDate: 'since=' + past + '&until=' + future })
+      .expect(200)
+      .then(response => {
+        expect(response.body.length).toEqual(3);
+        return request(app)
+          .get('/api/audit')
+          .query({ performedDate: 'since=' + future })
+          .expect(200);
+      })
+      .then(response => {
+        expect(response.body.length).toEqual(0);
+        done();
+      });
+  });
+
+  test('paginates the records', done => {
+    request(app)
+      .get('/api/audit')
+      .query({ pageNum: 1, pageSize: 2 })
+      .expect(200)
+      .then(response => {
+        expect(response.headers['x-total-count']).toEqual('3');
+        expect(response.body.length).toEqual(1);
+        done();
+      });
+  });
+
+  test('does not record the values of passwords', done => {
+    request(app)
+      .get('/api/audit')
+      .query({ objectType: 'User' })
+      .expect(200)
+      .then(response => {
+        let changes = _.keyBy(response.body[0].changes, 'field');
+        expect(changes.username.after).toEqual('someone');
+        expect(changes.password.after).toEqual('[redacted]');
+        expect(changes.salt.after).toEqual('[redacted]');
+        done();
+      });
+  });
+
+  test('only records the fields that changed', done => {
+    AuditRecord.findOne({ _objectId: decision._id, action: 'update' }).exec(function(error, audit) {
+      expect(audit.changes.toObject()).toEqual([{ field: 'name', before: 'Decision', after: 'Better Decision' }]);
+      done();
+    });
+  });
+
+  test('400s if the object id is invalid', done => {
+    request(app)
+      .get('/api/audit')
+      .query({ objectId: 'NON_EXISTENT_ID' })
+      .expect(400)
+      .then(response => {
+        done();
+      });
+  });
+
+  test('400s if the date range is invalid', done => {
+    request(app)
+      .get('/api/audit')
+      .query({ performedDate: 'since=yesterday' })
+      .expect(400)
+      .then(response => {
+        expect(response.body.message).toEqual('Invalid performedDate since.');
+        done();
+      });
+  });
+});
+
+describe('Hard deletes', () => {
+  test('are recorded along with the last values of the deleted object', done => {
+    let feature = new Feature({ type: 'Feature', properties: { TENURE_STATUS: 'ACCEPTED' }, tags: [['sysadmin']] });
+    feature
+      .save()
+      .then(() => {
+        return request(app)
+          .delete('/api/feature/' + feature._id)
+          .expect(200);
+      })
+      .then(() => {
+        AuditRecord.find({ _objectId: feature._id, action: 'delete' }).exec(function(error, audits) {
+          expect(audits.length).toEqual(1);
+          expect(audits[0]._performedBy).toEqual(idirUsername);
+          let changes = _.keyBy(audits[0].changes, 'field');
+          expect(changes.type.before).toEqual('Feature');
+          expect(changes.type.after).toBeNull();
+          done();
+        });
+      });
+  });
+});
+
+describe('Failed audit writes', () => {
+  test('are counted, without failing the save', done => {
+    let failedWrites = Audit.getFailedWrites();
+    let decision = new Decision({ name: 'Decision', tags: [['sysadmin']] });
+    spyOn(AuditRecord, 'create').and.returnValue(Promise.reject(new Error('Database is down')));
+    saveAs(decision, idirUsername)
+      .then(() => Decision.findById(decision._id))
+      .then(saved => {
+        expect(saved.name).toEqual('Decision');
+        expect(Audit.getFailedWrites()).toEqual(failedWrites + 1);
+        done();
+      });
+  });
+});
+
+describe('Feature geometries', () => {
+  test('are recorded as a summary, rather than in full', done => {
+    let feature = new Feature({
+      type: 'Feature',
+      geometry: {
+        type: 'GeometryCollection',
+        geometries: [{ type: 'Polygon', coordinates: [[[0, 0], [0, 1], [1, 1]]] }]
+      },
+      tags: [['sysadmin']]
+    });
+    feature
+      .save()
+      .then(() => {
+        feature.geometry.geometries[0].coordinates = [[[0, 0], [0, 2], [2, 2]]];
+        return feature.save();
+      })
+      .then(() => AuditRecord.find({ _objectId: feature._id }).sort({ _id: 1 }))
+      .then(audits => {
+        expect(_.map(audits, 'action')).toEqual(['create', 'update']);
+        let created = _.keyBy(audits[0].changes, 'field');
+        expect(created.geometry.after).toMatch(/^\[GeometryCollection, \d+ bytes\]$/);
+        let updated = _.keyBy(audits[1].changes, 'field');
+        expect(_.keys(updated)).toEqual(['geometry']);
+        expect(updated.geometry.before).toMatch(/^\[GeometryCollection, \d+ bytes\]$/);
+        done();
+      });
+  });
+});
+
+describe('Audit records', () => {
+  let record;
+  beforeEach(() => {
+    record = new AuditRecord({ objectType: 'Decision', action: 'create' });
+    return record.save();
+  });
+
+  test('cannot be changed', done => {
+    record.action = 'delete';
+    record.save().catch(error => {
+      expect(error.message).toEqual('Audit records cannot be changed or removed.');
+      done();
+    });
+  });
+
+  test('cannot be updated by query', done => {
+    AuditRecord.updateOne({ _id: record._id }, { action: 'delete' }).catch(error => {
+      expect(error.message).toEqual('Audit records cannot be changed or removed.');
+      done();
+    });
+  });
+
+  test('cannot be removed', done => {
+    AuditRecord.deleteOne({ _id: record._id }).catch(error => {
+      expect(error.message).toEqual('Audit records cannot be changed or removed.');
+      done();
+    });
+  });
+});
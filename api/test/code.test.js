@@ -0,0 +1,80 @@
+const test_helper = require('./test_helper');
+const app = test_helper.app;
+const _ = require('lodash');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const codeController = require('../controllers/code.js');
+require('../helpers/models/code');
+const Code = mongoose.model('Code');
+
+/*************************************
+  Mock Route Handlers + Helper Methods
+*************************************/
+
+const idirUsername = 'idir/i_am_a_bot';
+
+function paramsWithTable(req) {
+  return test_helper.buildParams({ table: req.params.table, parentCode: req.query.parentCode });
+}
+
+app.get('/api/codes/:table', function(req, res) {
+  let params = test_helper.createSwaggerParams([], paramsWithTable(req), idirUsername);
+  return codeController.protectedGet(params, res);
+});
+
+app.get('/api/public/codes/:table', function(req, res) {
+  let params = test_helper.createPublicSwaggerParams([], paramsWithTable(req));
+  return codeController.publicGet(params, res);
+});
+
+function setupCodes() {
+  return Code.insertMany([
+    { table: 'purpose', code: '3', description: 'INDUSTRIAL', tags: [['sysadmin'], ['public']] },
+    { table: 'purpose', code: '1', description: 'AGRICULTURE', tags: [['sysadmin'], ['public']] },
+    { table: 'subpurpose', code: '6', description: 'MISCELLANEOUS', parentCode: '3', tags: [['sysadmin'], ['public']] },
+    { table: 'subpurpose', code: '6', description: 'GRAZING', parentCode: '1', tags: [['sysadmin'], ['public']] }
+  ]);
+}
+
+/*************************************
+  Tests
+*************************************/
+
+describe('GET /codes/{table}', () => {
+  test('returns the codes of the table, sorted by description', done => {
+    setupCodes()
+      .then(() => request(app).get('/api/codes/purpose'))
+      .then(response => {
+        expect(response.status).toEqual(200);
+        expect(_.map(response.body, 'code')).toEqual(['1', '3']);
+        expect(_.map(response.body, 'description')).toEqual(['AGRICULTURE', 'INDUSTRIAL']);
+        done();
+      });
+  });
+
+  test('returns only the codes of the parent code', done => {
+    setupCodes()
+      .then(() => request(app).get('/api/codes/subpurpose?parentCode=3'))
+      .then(response => {
+        expect(response.status).toEqual(200);
+        expect(response.body.length).toEqual(1);
+        expect(response.body[0].description).toEqual('MISCELLANEOUS');
+        expect(response.body[0].parentCode).toEqual('3');
+        done();
+      });
+  });
+});
+
+describe('GET /public/codes/{table}', () => {
+  test('returns the codes of the table, without their tags', done => {
+    setupCodes()
+      .then(() => request(app).get('/api/public/codes/subpurpose'))
+      .then(response => {
+        expect(response.status).toEqual(200);
+        expect(_.map(response.body, 'description')).toEqual(['GRAZING', 'MISCELLANEOUS']);
+        expect(response.body[0].tags).toBeUndefined();
+        done();
+      });
+  });
+});
@@ -63,6 +63,10 @@ app.put('/api/comment/:id/unpublish', function(req, res) {
   return commentController.protectedUnPublish(paramsWithCommentId(req), res);
 });
 
+app.post('/api/comment/:id/restore', function(req, res) {
+  return commentController.protectedRestore(paramsWithCommentId(req), res);
+});
+
 /*************************************
   General Test Data + Helper Methods
 *************************************/
@@ -566,3 +570,43 @@ describe('PUT /comment/:id/unpublish', () => {
       });
   });
 });
+
+describe('POST /comment/:id/restore', () => {
+  test('It restores a deleted comment without publishing it', done => {
+    let deletedComment = new Comment({ name: 'Deleted Comment', tags: [['sysadmin']], isDeleted: true });
+    deletedComment.save().then(() => {
+      request(app)
+        .post('/api/comment/' + deletedComment._id + '/restore')
+        .expect(200)
+        .then(response => {
+          Comment.findById(deletedComment._id).exec(function(error, restoredComment) {
+            expect(restoredComment.isDeleted).toBe(false);
+            expect(restoredComment.tags).not.toEqual(expect.arrayContaining([['public']]));
+            done();
+          });
+        });
+    });
+  });
+
+  test('409s if the comment is not deleted', done => {
+    let existingComment = new Comment({ name: 'Deleted Comment', isDeleted: false });
+    existingComment.save().then(() => {
+      request(app)
+        .post('/api/comment/' + existingComment._id + '/restore')
+        .expect(409)
+        .then(response => {
+          done();
+        });
+    });
+  });
+
+  test('404s if the comment does not exist', done => {
+    let uri = '/api/comment/' + 'NON_EXISTENT_ID' + '/restore';
+    request(app)
+      .post(uri)
+      .expect(404)
+      .then(response => {
+        done();
+      });
+  });
+});
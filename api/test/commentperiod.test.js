@@ -67,6 +67,10 @@ app.put('/api/commentperiod/:id/unpublish', function(req, res) {
   return commentPeriodController.protectedUnPublish(paramsWithCommentPerId(req), res);
 });
 
+app.post('/api/commentperiod/:id/restore', function(req, res) {
+  return commentPeriodController.protectedRestore(paramsWithCommentPerId(req), res);
+});
+
 app.delete('/api/commentperiod/:id', function(req, res) {
   return commentPeriodController.protectedDelete(paramsWithCommentPerId(req), res);
 });
@@ -525,3 +529,47 @@ describe('DELETE /commentperiod/:id', () => {
       });
   });
 });
+
+describe('POST /commentperiod/:id/restore', () => {
+  test('It restores a deleted comment period without publishing it', done => {
+    let deletedCommentPeriod = new CommentPeriod({
+      name: 'Deleted Comment Period',
+      tags: [['sysadmin']],
+      isDeleted: true
+    });
+    deletedCommentPeriod.save().then(() => {
+      request(app)
+        .post('/api/commentperiod/' + deletedCommentPeriod._id + '/restore')
+        .expect(200)
+        .then(response => {
+          CommentPeriod.findById(deletedCommentPeriod._id).exec(function(error, restoredCommentPeriod) {
+            expect(restoredCommentPeriod.isDeleted).toBe(false);
+            expect(restoredCommentPeriod.tags).not.toEqual(expect.arrayContaining([['public']]));
+            done();
+          });
+        });
+    });
+  });
+
+  test('409s if the comment period is not deleted', done => {
+    let existingCommentPeriod = new CommentPeriod({ name: 'Deleted Comment Period', isDeleted: false });
+    existingCommentPeriod.save().then(() => {
+      request(app)
+        .post('/api/commentperiod/' + existingCommentPeriod._id + '/restore')
+        .expect(409)
+        .then(response => {
+          done();
+        });
+    });
+  });
+
+  test('404s if the comment period does not exist', done => {
+    let uri = '/api/commentperiod/' + 'NON_EXISTENT_ID' + '/restore';
+    request(app)
+      .post(uri)
+      .expect(404)
+      .then(response => {
+        done();
+      });
+  });
+});
@@ -58,6 +58,10 @@ app.put('/api/decision/:id/unpublish', function(req, res) {
   return decisionController.protectedUnPublish(paramsWithDecId(req), res);
 });
 
+app.post('/api/decision/:id/restore', function(req, res) {
+  return decisionController.protectedRestore(paramsWithDecId(req), res);
+});
+
 app.delete('/api/decision/:id', function(req, res) {
   return decisionController.protectedDelete(paramsWithDecId(req), res);
 });
@@ -462,3 +466,43 @@ describe('DELETE /decision/id', () => {
       });
   });
 });
+
+describe('POST /decision/:id/restore', () => {
+  test('It restores a deleted decision without publishing it', done => {
+    let deletedDecision = new Decision({ name: 'Deleted Decision', tags: [['sysadmin']], isDeleted: true });
+    deletedDecision.save().then(() => {
+      request(app)
+        .post('/api/decision/' + deletedDecision._id + '/restore')
+        .expect(200)
+        .then(response => {
+          Decision.findById(deletedDecision._id).exec(function(error, restoredDecision) {
+            expect(restoredDecision.isDeleted).toBe(false);
+            expect(restoredDecision.tags).not.toEqual(expect.arrayContaining([['public']]));
+            done();
+          });
+        });
+    });
+  });
+
+  test('409s if the decision is not deleted', done => {
+    let existingDecision = new Decision({ name: 'Deleted Decision', isDeleted: false });
+    existingDecision.save().then(() => {
+      request(app)
+        .post('/api/decision/' + existingDecision._id + '/restore')
+        .expect(409)
+        .then(response => {
+          done();
+        });
+    });
+  });
+
+  test('404s if the decision does not exist', done => {
+    let uri = '/api/decision/' + 'NON_EXISTENT_ID' + '/restore';
+    request(app)
+      .post(uri)
+      .expect(404)
+      .then(response => {
+        done();
+      });
+  });
+});
@@ -85,6 +85,10 @@ app.put('/api/document/:id/unpublish', function(req, res) {
   return documentController.protectedUnPublish(paramsWithDocId(req), res);
 });
 
+app.post('/api/document/:id/restore', function(req, res) {
+  return documentController.protectedRestore(paramsWithDocId(req), res);
+});
+
 app.delete('/api/document/:id', function(req, res) {
   return documentController.protectedDelete(paramsWithDocId(req), res);
 });
@@ -850,3 +854,43 @@ describe('DELETE /document/:id', () => {
       });
   });
 });
+
+describe('POST /document/:id/restore', () => {
+  test('It restores a deleted document without publishing it', done => {
+    let deletedDocument = new Document({ displayName: 'Deleted Document', tags: [['sysadmin']], isDeleted: true });
+    deletedDocument.save().then(() => {
+      request(app)
+        .post('/api/document/' + deletedDocument._id + '/restore')
+        .expect(200)
+        .then(response => {
+          Document.findById(deletedDocument._id).exec(function(error, restoredDocument) {
+            expect(restoredDocument.isDeleted).toBe(false);
+            expect(restoredDocument.tags).not.toEqual(expect.arrayContaining([['public']]));
+            done();
+          });
+        });
+    });
+  });
+
+  test('409s if the document is not deleted', done => {
+    let existingDocument = new Document({ displayName: 'Deleted Document', isDeleted: false });
+    existingDocument.save().then(() => {
+      request(app)
+        .post('/api/document/' + existingDocument._id + '/restore')
+        .expect(409)
+        .then(response => {
+          done();
+        });
+    });
+  });
+
+  test('404s if the document does not exist', done => {
+    let uri = '/api/document/' + 'NON_EXISTENT_ID' + '/restore';
+    request(app)
+      .post(uri)
+      .expect(404)
+      .then(response => {
+        done();
+      });
+  });
+});
@@ -7,6 +7,7 @@ const request = require('supertest');
 const _ = require('lodash');
 
 const featureController = require('../controllers/feature.js');
+const Shapefile = require('../helpers/shapefile');
 require('../helpers/models/feature');
 require('../helpers/models/application');
 const Feature = mongoose.model('Feature');
@@ -27,6 +28,23 @@ function publicParamsWithFeatureId(req) {
   return test_helper.createPublicSwaggerParams(fieldNames, params);
 }
 
+// Supports the format, pageNum and pageSize params.
+function pagingFields(req) {
+  let fields = _.pick(req.query, ['format']);
+  if (req.query.pageNum !== undefined) {
+    fields.pageNum = _.toInteger(req.query.pageNum);
+  }
+  if (req.query.pageSize !== undefined) {
+    fields.pageSize = _.toInteger(req.query.pageSize);
+  }
+  return fields;
+}
+
+// Swagger params are set on the request, which carries the headers and url used for GeoJSON.
+function withRequest(params, req) {
+  return _.assign(params, { headers: req.headers, originalUrl: req.originalUrl, protocol: req.protocol });
+}
+
 app.get('/api/feature', function(req, res) {
   let fields = {
     applicationId: req.query.applicationId
@@ -35,9 +53,28 @@ app.get('/api/feature', function(req, res) {
     fields['tantalisId'] = _.toInteger(req.query.tantalisId);
   }
 
-  let extraFields = test_helper.buildParams(fields);
+  let extraFields = test_helper.buildParams(_.assign(fields, pagingFields(req)));
   let params = test_helper.createSwaggerParams(fieldNames, extraFields);
-  return featureController.protectedGet(params, res);
+  return featureController.protectedGet(withRequest(params, req), res);
+});
+
+// Supports the format, applicationId and tantalisId params of the export routes.
+function exportFields(req) {
+  let fields = _.pick(req.query, ['format', 'applicationId']);
+  if (req.query.tantalisId) {
+    fields.tantalisId = _.toInteger(req.query.tantalisId);
+  }
+  return test_helper.buildParams(fields);
+}
+
+app.get('/api/feature/export', function(req, res) {
+  let params = test_helper.createSwaggerParams(fieldNames, exportFields(req));
+  return featureController.protectedExport(params, res);
+});
+
+app.get('/api/public/feature/export', function(req, res) {
+  let params = test_helper.createPublicSwaggerParams(fieldNames, exportFields(req));
+  return featureController.publicExport(params, res);
 });
 
 app.get('/api/feature/:id', function(req, res) {
@@ -52,9 +89,9 @@ app.get('/api/public/feature', function(req, res) {
     fields['tantalisId'] = _.toInteger(req.query.tantalisId);
   }
 
-  let extraFields = test_helper.buildParams(fields);
+  let extraFields = test_helper.buildParams(_.assign(fields, pagingFields(req)));
   let params = test_helper.createPublicSwaggerParams(fieldNames, extraFields);
-  return featureController.publicGet(params, res);
+  return featureController.publicGet(withRequest(params, req), res);
 });
 
 app.get('/api/public/feature/:id', function(req, res) {
@@ -397,6 +434,240 @@ describe('GET /public/feature', () => {
   test.skip('allows pagination', done => {});
 });
 
+describe('GET /public/feature as GeoJSON', () => {
+  const geometry = {
+    type: 'GeometryCollection',
+    geometries: [
+      {
+        type: 'Polygon',
+        coordinates: [[[-123.4, 48.4], [-123.3, 48.4], [-123.3, 48.5], [-123.4, 48.5], [-123.4, 48.4]]]
+      }
+    ]
+  };
+
+  function setupLocatedFeatures() {
+    return setupFeatures().then(features => {
+      features[0].geometry = geometry;
+      return features[0].save().then(() => features);
+    });
+  }
+
+  test('returns a FeatureCollection of public features, with the meta of their application', done => {
+    setupLocatedFeatures().then(() => {
+      request(app)
+        .get('/api/public/feature')
+        .query({ format: 'geojson' })
+        .expect(200)
+        .then(response => {
+          expect(response.headers['content-type']).toMatch(/application\/geo\+json/);
+
+          let collection = JSON.parse(response.text);
+          expect(collection.type).toEqual('FeatureCollection');
+          expect(collection.numberMatched).toEqual(2);
+          expect(collection.numberReturned).toEqual(2);
+
+          let special = _.find(
+            collection.features,
+            feature => feature.properties.DISPOSITION_TRANSACTION_SID === 222222
+          );
+          expect(special.type).toEqual('Feature');
+          expect(special.id).toEqual(expect.any(String));
+          expect(special.geometry).toEqual(geometry);
+          expect(special.properties.applicationID).toEqual(specialApplicationId.toString());
+          expect(special.properties.name).toEqual('Special Application');
+          expect(special).not.toHaveProperty('tags');
+          done();
+        });
+    });
+  });
+
+  test('has the bbox of the features', done => {
+    setupLocatedFeatures().then(() => {
+      request(app)
+        .get('/api/public/feature')
+        .query({ format: 'geojson' })
+        .then(response => {
+          expect(JSON.parse(response.text).bbox).toEqual([-123.4, 48.4, -123.3, 48.5]);
+          done();
+        });
+    });
+  });
+
+  test('is returned when application/geo+json is accepted', done => {
+    setupFeatures().then(() => {
+      request(app)
+        .get('/api/public/feature')
+        .set('Accept', 'application/geo+json')
+        .expect(200)
+        .then(response => {
+          expect(JSON.parse(response.text).type).toEqual('FeatureCollection');
+          done();
+        });
+    });
+  });
+
+  test('leaves out the meta of applications that are not public', done => {
+    setupFeatures()
+      .then(features => {
+        // A public feature of an application that is not.
+        features[2].tags = [['public'], ['sysadmin']];
+        return features[2].save();
+      })
+      .then(() =>
+        request(app)
+          .get('/api/public/feature')
+          .query({ format: 'geojson', applicationId: topSecretApplicationId.toString() })
+          .expect(200)
+      )
+      .then(response => {
+        let features = JSON.parse(response.text).features;
+        expect(features.length).toEqual(1);
+        expect(features[0].properties.applicationID).toEqual(topSecretApplicationId.toString());
+        expect(features[0].properties.name).toBeNull();
+        return request(app)
+          .get('/api/feature')
+          .query({ format: 'geojson', applicationId: topSecretApplicationId.toString() })
+          .expect(200);
+      })
+      .then(response => {
+        expect(JSON.parse(response.text).features[0].properties.name).toEqual('Confidential Application');
+        done();
+      });
+  });
+
+  test('links to the next and previous pages', done => {
+    setupFeatures().then(() => {
+      request(app)
+        .get('/api/feature')
+        .query({ format: 'geojson', pageNum: 1, pageSize: 1 })
+        .expect(200)
+        .then(response => {
+          let collection = JSON.parse(response.text);
+          expect(collection.numberMatched).toEqual(3);
+          expect(collection.numberReturned).toEqual(1);
+
+          let links = _.keyBy(collection.links, 'rel');
+          expect(links.self.href).toMatch(/\/api\/feature\?format=geojson&pageNum=1&pageSize=1$/);
+          expect(links.next.href).toMatch(/\/api\/feature\?format=geojson&pageNum=2&pageSize=1$/);
+          expect(links.prev.href).toMatch(/\/api\/feature\?format=geojson&pageNum=0&pageSize=1$/);
+          expect(links.next.type).toEqual('application/geo+json');
+          return request(app).get(links.next.href.replace(/^https?:\/\/[^/]+/, ''));
+        })
+        .then(response => {
+          let collection = JSON.parse(response.text);
+          expect(collection.numberReturned).toEqual(1);
+          expect(_.map(collection.links, 'rel')).toEqual(['self', 'prev']);
+          done();
+        });
+    });
+  });
+});
+
+describe('GET /public/feature/export', () => {
+  // Collects a binary response body.
+  function binaryParser(res, callback) {
+    let chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  }
+
+  test('exports the public features as KML', done => {
+    setupFeatures().then(() => {
+      request(app)
+        .get('/api/public/feature/export')
+        .query({ format: 'kml' })
+        .expect(200)
+        .then(response => {
+          expect(response.headers['content-type']).toMatch('application/vnd.google-earth.kml+xml');
+          expect(response.headers['content-disposition']).toMatch(/attachment;filename="features-.*\.kml"/);
+          expect(response.text).toMatch(/^<\?xml/);
+          expect(response.text.match(/<Placemark>/g).length).toEqual(2);
+          expect(response.text).toMatch('1012 Douglas St');
+          expect(response.text).not.toMatch('Pacific Naval Fleet');
+          expect(response.text).not.toMatch('Torn down Govt Building');
+          expect(response.text).toMatch(/<\/kml>\n$/);
+          done();
+        });
+    });
+  });
+
+  test('can filter based on tantalisId', done => {
+    setupFeatures().then(() => {
+      request(app)
+        .get('/api/public/feature/export')
+        .query({ format: 'kml', tantalisId: 333333 })
+        .expect(200)
+        .then(response => {
+          expect(response.text.match(/<Placemark>/g).length).toEqual(1);
+          expect(response.text).toMatch('Beacon Hill Ice Cream');
+          done();
+        });
+    });
+  });
+
+  test('exports the public features as a zipped shapefile', done => {
+    setupFeatures().then(() => {
+      request(app)
+        .get('/api/public/feature/export')
+        .query({ format: 'shapefile' })
+        .buffer(true)
+        .parse(binaryParser)
+        .expect(200)
+        .then(response => {
+          expect(response.headers['content-type']).toMatch('application/zip');
+          expect(response.headers['content-disposition']).toMatch(/attachment;filename="features-.*\.zip"/);
+          expect(response.body.slice(0, 2).toString()).toEqual('PK');
+          expect(response.body.includes('features_polygons.prj')).toBe(true);
+          done();
+        });
+    });
+  });
+
+  test('400s when there are too many features for a shapefile', done => {
+    const maxFeatures = Shapefile.MAX_FEATURES;
+    Shapefile.MAX_FEATURES = 1;
+    setupFeatures().then(() => {
+      request(app)
+        .get('/api/public/feature/export')
+        .query({ format: 'shapefile' })
+        .expect(400)
+        .then(response => {
+          Shapefile.MAX_FEATURES = maxFeatures;
+          expect(response.body.message).toMatch('Too many features to export as a shapefile');
+          done();
+        });
+    });
+  });
+
+  test('400s with an invalid applicationId', done => {
+    request(app)
+      .get('/api/public/feature/export')
+      .query({ format: 'kml', applicationId: 'not-an-id' })
+      .expect(400)
+      .then(response => {
+        expect(response.body.message).toMatch('Invalid applicationId');
+        done();
+      });
+  });
+});
+
+describe('GET /feature/export', () => {
+  test('exports the features that can be seen by the user', done => {
+    setupFeatures().then(() => {
+      request(app)
+        .get('/api/feature/export')
+        .query({ format: 'kml' })
+        .expect(200)
+        .then(response => {
+          expect(response.text.match(/<Placemark>/g).length).toEqual(3);
+          expect(response.text).toMatch('Pacific Naval Fleet');
+          expect(response.text).not.toMatch('Torn down Govt Building');
+          done();
+        });
+    });
+  });
+});
+
 describe('GET /public/feature/{id}', () => {
   test('returns a single public feature ', done => {
     setupFeatures().then(documents => {
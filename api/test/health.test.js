@@ -0,0 +1,58 @@
+const test_helper = require('./test_helper');
+const app = test_helper.app;
+const request = require('supertest');
+
+const HttpClient = require('../helpers/httpClient');
+const healthController = require('../controllers/health.js');
+
+/*************************************
+  Mock Route Handlers + Helper Methods
+*************************************/
+
+app.get('/api/health', function(req, res) {
+  let params = test_helper.createPublicSwaggerParams([]);
+  return healthController.publicGet(params, res);
+});
+
+/*************************************
+  Tests
+*************************************/
+
+describe('GET /health', () => {
+  let client;
+  beforeEach(() => {
+    client = HttpClient.create('tantalis', { retries: 0, failureThreshold: 1 });
+  });
+
+  test('reports ok while every circuit is closed', done => {
+    request(app)
+      .get('/api/health')
+      .expect(200)
+      .then(response => {
+        expect(response.body.status).toEqual('ok');
+        expect(response.body.circuits).toContainEqual({
+          name: 'tantalis',
+          state: 'closed',
+          failures: 0,
+          openedAt: null
+        });
+        expect(response.body.auditFailures).toEqual(0);
+        done();
+      });
+  });
+
+  test('reports degraded, and which circuit is open, once an API is failing', done => {
+    client.get({ url: 'http://localhost:1/unreachable' }, () => {
+      request(app)
+        .get('/api/health')
+        .expect(200)
+        .then(response => {
+          expect(response.body.status).toEqual('degraded');
+          const tantalis = response.body.circuits.find(circuit => circuit.name === 'tantalis');
+          expect(tantalis.state).toEqual('open');
+          expect(tantalis.failures).toEqual(1);
+          done();
+        });
+    });
+  });
+});
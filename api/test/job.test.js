@@ -0,0 +1,61 @@
+const test_helper = require('./test_helper');
+const app = test_helper.app;
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const jobController = require('../controllers/job.js');
+require('../helpers/models/job');
+const Job = mongoose.model('Job');
+
+/*************************************
+  Mock Route Handlers + Helper Methods
+*************************************/
+
+const idirUsername = 'idir/i_am_a_bot';
+
+app.get('/api/job/:id', function(req, res) {
+  let params = test_helper.createSwaggerParams([], test_helper.buildParams({ jobId: req.params.id }), idirUsername);
+  return jobController.protectedGet(params, res);
+});
+
+/*************************************
+  Tests
+*************************************/
+
+describe('GET /job/{id}', () => {
+  test('returns the job, with its results', done => {
+    let job = new Job({
+      name: 'applicationImport',
+      key: 'applicationImport:1',
+      status: 'completed',
+      _startedBy: idirUsername,
+      results: { created: 1, skipped: 0, failed: 0, items: [{ tantalisID: 999999, status: 'created' }] },
+      tags: [['sysadmin']]
+    });
+
+    job
+      .save()
+      .then(() => request(app).get('/api/job/' + job._id))
+      .then(response => {
+        expect(response.status).toEqual(200);
+        expect(response.body.name).toEqual('applicationImport');
+        expect(response.body.status).toEqual('completed');
+        expect(response.body.results.items).toEqual([{ tantalisID: 999999, status: 'created' }]);
+        done();
+      });
+  });
+
+  test('404s if the job does not exist', done => {
+    request(app)
+      .get('/api/job/' + new mongoose.Types.ObjectId())
+      .expect(404)
+      .then(() => done());
+  });
+
+  test('404s if the id is not an ObjectId', done => {
+    request(app)
+      .get('/api/job/not-an-id')
+      .expect(404)
+      .then(() => done());
+  });
+});
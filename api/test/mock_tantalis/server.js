@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * This file contains a local stand-in for the Tantalis (TTLS) API and the WebADE login that it sits behind, so that the
+ * routes that call Tantalis can be used without access to t1api.nrs.gov.bc.ca.
+ *
+ * Usage:
+ * npm run mock-tantalis -- [scenario] // scenario defaults to 'default', see api/test/fixtures/scenarios
+ *
+ * Then point the API at it:
+ * TTLS_API_ENDPOINT=http://localhost:3100/ttls-api/v1/
+ * WEBADE_AUTH_ENDPOINT=http://localhost:3100/oauth2/v1/
+ *
+ * Scenario files are JSON, of the form:
+ * {
+ *   description: string,
+ *   fixtures: [string], // Tantalis search responses in api/test/fixtures, whose elements are served as applications
+ *   applications: [object], // more applications, in the same format as the elements of a Tantalis search response
+ *   maxPageRowCount: number, // largest page served, regardless of the pageRowCount asked for (optional)
+ *   tokenExpiresIn: number, // seconds until the WebADE access token expires (optional, default: 43199)
+ *   errors: [ // responses to give instead of the usual one (optional)
+ *     {
+ *       path: string, // request path, without the query string, eg: '/ttls-api/v1/landUseApplications/100001'
+ *       status: number, // http status code to respond with (optional, default: respond as usual, after the delay)
+ *       times: number, // how many requests to respond to like this, before responding as usual (optional, default: all)
+ *       delay: number // milliseconds to wait before responding, to exercise timeouts (optional)
+ *     }
+ *   ]
+ * }
+ */
+
+const express = require('express');
+const moment = require('moment');
+const path = require('path');
+const defaultLog = require('../../helpers/logger')('mockTantalis');
+
+const FIXTURES_DIRECTORY = path.join(__dirname, '..', 'fixtures');
+const SCENARIOS_DIRECTORY = path.join(FIXTURES_DIRECTORY, 'scenarios');
+
+// The only access token the mock Tantalis API accepts.
+const ACCESS_TOKEN = 'MOCK_ACCESS_TOKEN';
+
+/**
+ * Loads a scenario file, along with the applications in its fixtures.
+ *
+ * @param {string} name name of the scenario file in api/test/fixtures/scenarios, without the .json extension
+ * @returns {object} the scenario (see file header), with every application in its applications array
+ */
+exports.loadScenario = function(name) {
+  const scenario = require(path.join(SCENARIOS_DIRECTORY, name + '.json'));
+
+  const fixtureApplications = (scenario.fixtures || []).reduce((applications, fixture) => {
+    return applications.concat(require(path.join(FIXTURES_DIRECTORY, fixture)).elements || []);
+  }, []);
+
+  return Object.assign({}, scenario, {
+    applications: fixtureApplications.concat(scenario.applications || []),
+    errors: scenario.errors || []
+  });
+};
+
+/**
+ * Wraps a page of applications in a Tantalis search response.
+ *
+ * @param {array} applications every matching application
+ * @param {number} pageNumber page number, starting at 1
+ * @param {number} pageRowCount records per page
+ * @returns {object}
+ */
+const getSearchResponse = function(applications, pageNumber, pageRowCount) {
+  const start = (pageNumber - 1) * pageRowCount;
+
+  return {
+    '@type': 'LandUseApplicationResources',
+    links: [],
+    pageNumber: pageNumber,
+    pageRowCount: pageRowCount,
+    totalRowCount: applications.length,
+    totalPageCount: Math.ceil(applications.length / pageRowCount),
+    elements: applications.slice(start, start + pageRowCount)
+  };
+};
+
+/**
+ * Creates the mock server.
+ *
+ * @param {object} scenario scenario to serve (see loadScenario)
+ * @returns {object} express app
+ */
+exports.createServer = function(scenario) {
+  const app = express();
+
+  // Counts requests to each path that has errors, so that an error can stop after a number of times.
+  const errorCounts = {};
+
+  app.use(function(req, res, next) {
+    defaultLog.info(req.method, req.originalUrl);
+
+    const error = scenario.errors.find(candidate => candidate.path === req.path);
+    if (!error) {
+      return next();
+    }
+
+    errorCounts[req.path] = (errorCounts[req.path] || 0) + 1;
+    if (error.times !== undefined && errorCounts[req.path] > error.times) {
+      return next();
+    }
+
+    if (!error.status) {
+      return setTimeout(next, error.delay || 0);
+    }
+
+    setTimeout(() => res.status(error.status).json({ message: 'Mock Tantalis error' }), error.delay || 0);
+  });
+
+  app.get('/oauth2/v1/oauth/token', function(req, res) {
+    if (!req.headers.authorization || !req.headers.authorization.startsWith('Basic ')) {
+      return res.status(401).json({ message: 'Missing client credentials' });
+    }
+
+    res.status(200).json({
+      access_token: ACCESS_TOKEN,
+      token_type: 'bearer',
+      expires_in: scenario.tokenExpiresIn !== undefined ? scenario.tokenExpiresIn : 43199
+    });
+  });
+
+  app.use('/ttls-api', function(req, res, next) {
+    if (req.headers.authorization !== 'Bearer ' + ACCESS_TOKEN) {
+      return res.status(401).json({ message: 'Invalid access token' });
+    }
+    next();
+  });
+
+  // Supports the fileNumber and updated (YYYYMMDD) filters.  Any other filter is ignored.
+  app.get('/ttls-api/v1/landUseApplications', function(req, res) {
+    const pageNumber = Number(req.query.pageNumber) || 1;
+    const pageRowCount = Math.min(Number(req.query.pageRowCount) || 100, scenario.maxPageRowCount || Infinity);
+
+    let applications = scenario.applications;
+
+    if (req.query.fileNumber) {
+      applications = applications.filter(application => application.fileNumber === req.query.fileNumber);
+    }
+
+    if (req.query.updated) {
+      const updatedSince = moment(req.query.updated, 'YYYYMMDD').valueOf();
+      applications = applications.filter(application => application.lastUpdated >= updatedSince);
+    }
+
+    res.status(200).json(getSearchResponse(applications, pageNumber, pageRowCount));
+  });
+
+  app.get('/ttls-api/v1/landUseApplications/:dispositionID', function(req, res) {
+    const application = scenario.applications.find(
+      candidate => String(candidate.landUseApplicationId) === req.params.dispositionID
+    );
+
+    if (!application) {
+      return res.status(404).json({ message: 'Land use application not found' });
+    }
+
+    res.status(200).json(application);
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const scenarioName = process.argv[2] || 'default';
+  const port = Number(process.env.MOCK_TANTALIS_PORT) || 3100;
+  const scenario = exports.loadScenario(scenarioName);
+
+  exports.createServer(scenario).listen(port, function() {
+    defaultLog.info(
+      `Mock Tantalis API serving the '${scenarioName}' scenario (${scenario.description}) on port ${port}`
+    );
+    defaultLog.info(`TTLS_API_ENDPOINT=http://localhost:${port}/ttls-api/v1/`);
+    defaultLog.info(`WEBADE_AUTH_ENDPOINT=http://localhost:${port}/oauth2/v1/`);
+  });
+}
@@ -0,0 +1,108 @@
+const MockTantalis = require('./server');
+
+/*************************************
+  General Test Data + Helper Methods
+*************************************/
+
+let server;
+
+// Starts the mock server with a scenario, and loads a TTLSUtils that calls it.
+function startScenario(scenarioName) {
+  return new Promise(resolve => {
+    server = MockTantalis.createServer(MockTantalis.loadScenario(scenarioName)).listen(0, () => {
+      const endpoint = `http://localhost:${server.address().port}`;
+      process.env.TTLS_API_ENDPOINT = `${endpoint}/ttls-api/v1/`;
+      process.env.WEBADE_AUTH_ENDPOINT = `${endpoint}/oauth2/v1/`;
+      process.env.HTTP_CLIENT_RETRY_DELAY = '1';
+
+      jest.resetModules();
+      resolve(require('../../helpers/ttlsUtils'));
+    });
+  });
+}
+
+function stopScenario(done) {
+  delete process.env.TTLS_API_ENDPOINT;
+  delete process.env.WEBADE_AUTH_ENDPOINT;
+  delete process.env.HTTP_CLIENT_RETRY_DELAY;
+  server.close(done);
+}
+
+/*************************************
+  Tests
+*************************************/
+
+describe('mock Tantalis server', () => {
+  describe('default scenario', () => {
+    let TTLSUtils;
+    beforeAll(() => startScenario('default').then(ttlsUtils => (TTLSUtils = ttlsUtils)));
+    afterAll(done => stopScenario(done));
+
+    test('serves the Tantalis API fixtures', done => {
+      TTLSUtils.getApplicationByFilenumber('7410005').then(applications => {
+        expect(applications.length).toEqual(1);
+        expect(applications[0].DISPOSITION_TRANSACTION_SID).toEqual(933056);
+        expect(applications[0].TENURE_STATUS).toEqual('DISPOSITION IN GOOD STANDING');
+        done();
+      });
+    });
+
+    test('responds with a 404 for an unknown application', done => {
+      TTLSUtils.getApplicationByDispositionID(999999).catch(error => {
+        expect(error).toEqual({ code: 404 });
+        done();
+      });
+    });
+  });
+
+  describe('multi-parcel scenario', () => {
+    let TTLSUtils;
+    beforeAll(() => startScenario('multi-parcel').then(ttlsUtils => (TTLSUtils = ttlsUtils)));
+    afterAll(done => stopScenario(done));
+
+    test('serves every parcel with a geometry, and every interested party', done => {
+      TTLSUtils.getApplicationByDispositionID(100001).then(application => {
+        expect(application.parcels.map(parcel => parcel.properties.INTRID_SID)).toEqual([200001, 200002, 200003]);
+        expect(application.areaHectares).toEqual(7);
+        expect(application.interestedParties).toEqual([
+          { interestedPartyType: 'I', firstName: 'Jane', lastName: 'Doe' },
+          { interestedPartyType: 'O', legalName: 'Mock Holdings Ltd.', divisionBranch: 'Coastal Division' }
+        ]);
+        done();
+      });
+    });
+  });
+
+  describe('pagination scenario', () => {
+    let TTLSUtils;
+    beforeAll(() => startScenario('pagination').then(ttlsUtils => (TTLSUtils = ttlsUtils)));
+    afterAll(done => stopScenario(done));
+
+    test('serves the applications over several pages', done => {
+      TTLSUtils.getAllApplicationIDs({ updated: '20190101' }).then(applicationIDs => {
+        expect(applicationIDs).toEqual([100101, 100102, 100103, 100104, 100105]);
+        done();
+      });
+    });
+  });
+
+  describe('errors scenario', () => {
+    let TTLSUtils;
+    beforeAll(() => startScenario('errors').then(ttlsUtils => (TTLSUtils = ttlsUtils)));
+    afterAll(done => stopScenario(done));
+
+    test('recovers from errors that stop within the retries', done => {
+      TTLSUtils.getApplicationByDispositionID(100201).then(application => {
+        expect(application.CROWN_LANDS_FILE).toEqual('7400201');
+        done();
+      });
+    });
+
+    test('keeps failing with errors that do not stop', done => {
+      TTLSUtils.getApplicationByDispositionID(100202).catch(error => {
+        expect(error).toEqual({ code: 500 });
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,269 @@
+const test_helper = require('./test_helper');
+const app = test_helper.app;
+const mongoose = require('mongoose');
+const request = require('supertest');
+const _ = require('lodash');
+
+const Reconciliation = require('../helpers/reconciliation');
+const Scheduler = require('../helpers/scheduler');
+const TTLSUtils = require('../helpers/ttlsUtils');
+const reconciliationController = require('../controllers/reconciliation.js');
+require('../helpers/models/application');
+require('../helpers/models/job');
+const Application = mongoose.model('Application');
+const Job = mongoose.model('Job');
+
+/*************************************
+  Mock Route Handlers + Helper Methods
+*************************************/
+
+const idirUsername = 'idir/i_am_a_bot';
+
+app.post('/api/reconciliation', function(req, res) {
+  let extraFields = test_helper.buildParams({ reconciliation: req.body });
+  let params = test_helper.createSwaggerParams([], extraFields, idirUsername);
+  return reconciliationController.protectedRun(params, res);
+});
+
+app.get('/api/reconciliation/:id/download', function(req, res) {
+  let extraFields = test_helper.buildParams(_.assign({ jobId: req.params.id }, req.query));
+  let params = test_helper.createSwaggerParams([], extraFields, idirUsername);
+  return reconciliationController.protectedDownload(params, res);
+});
+
+/*************************************
+  General Test Data + Helper Methods
+*************************************/
+
+// Resolves with the job once it has finished running.
+function waitForJob(jobId) {
+  return Job.findById(jobId).then(job => {
+    if (job.status !== 'running') {
+      return job;
+    }
+    return new Promise(resolve => setTimeout(resolve, 50)).then(() => waitForJob(jobId));
+  });
+}
+
+function tantalisApp(status, stage, areaHectares) {
+  return { TENURE_STATUS: status, TENURE_STAGE: stage, areaHectares: areaHectares };
+}
+
+/*************************************
+  Tests
+*************************************/
+
+beforeAll(() => {
+  Scheduler.register(Reconciliation.TASK_NAME, null, Reconciliation.run);
+});
+
+describe('Reconciliation.run', () => {
+  let sameApp;
+  let driftedApp;
+  let goneApp;
+  let failingApp;
+  beforeEach(() => {
+    const fields = { status: 'ACCEPTED', tenureStage: 'APPLICATION', areaHectares: 2, businessUnit: 'SK', tags: [] };
+    sameApp = new Application(_.assign({ name: 'Same', tantalisID: 111111 }, fields));
+    driftedApp = new Application(_.assign({ name: 'Drifted', tantalisID: 222222 }, fields));
+    goneApp = new Application(_.assign({ name: 'Gone', tantalisID: 333333 }, fields));
+    failingApp = new Application(_.assign({ name: 'Failing', tantalisID: 444444 }, fields));
+    let deletedApp = new Application(_.assign({ name: 'Deleted', tantalisID: 555555, isDeleted: true }, fields));
+    let manualApp = new Application(_.assign({ name: 'Manual', tantalisID: 0 }, fields));
+
+    spyOn(TTLSUtils, 'getAllApplicationSummaries').and.returnValue(
+      Promise.resolve([
+        { tantalisID: 111111, fileNumber: '7410001', businessUnit: 'SK' },
+        { tantalisID: 222222, fileNumber: '7410002', businessUnit: 'SK' },
+        { tantalisID: 444444, fileNumber: '7410004', businessUnit: 'SK' },
+        { tantalisID: 555555, fileNumber: '7410005', businessUnit: 'SK' },
+        { tantalisID: 666666, fileNumber: '7410006', businessUnit: 'SK' },
+        { tantalisID: 777777, fileNumber: '7410007', businessUnit: 'KAM' }
+      ])
+    );
+    spyOn(TTLSUtils, 'getApplicationByDispositionID').and.callFake(tantalisID => {
+      switch (tantalisID) {
+        case 111111:
+          return Promise.resolve(tantalisApp('ACCEPTED', 'APPLICATION', 2));
+        case 222222:
+          return Promise.resolve(tantalisApp('OFFERED', 'APPLICATION', 2));
+        case 333333:
+          return Promise.reject({ code: 404 });
+        default:
+          return Promise.reject({ code: 503 });
+      }
+    });
+
+    return Promise.all([
+      sameApp.save(),
+      driftedApp.save(),
+      goneApp.save(),
+      failingApp.save(),
+      deletedApp.save(),
+      manualApp.save()
+    ]);
+  });
+
+  test('reports the applications missing in Tantalis, differing from Tantalis, or failing to look up', done => {
+    Reconciliation.run().then(results => {
+      expect(results.checked).toEqual(4);
+      expect(_.map(results.missingInTantalis, 'name')).toEqual(['Gone']);
+      expect(results.differing.length).toEqual(1);
+      expect(results.differing[0]._id).toEqual(driftedApp._id);
+      expect(results.differing[0].differences).toEqual([{ field: 'status', acrfd: 'ACCEPTED', tantalis: 'OFFERED' }]);
+      expect(results.failed.length).toEqual(1);
+      expect(results.failed[0]).toMatchObject({ name: 'Failing', message: 'Tantalis API responded with: 503' });
+      done();
+    });
+  });
+
+  test('reports the Tantalis applications in the watched business units with no application', done => {
+    Reconciliation.run().then(results => {
+      expect(results.businessUnits).toEqual(['SK']);
+      expect(TTLSUtils.getAllApplicationSummaries).toHaveBeenCalledWith({ businessUnit: 'SK' });
+      expect(results.tantalisApplications).toEqual(5);
+      expect(_.map(results.missingInACRFD, 'tantalisID')).toEqual([555555, 666666]);
+      expect(results.counts).toEqual({ missingInTantalis: 1, differing: 1, missingInACRFD: 2, failed: 1 });
+      expect(results.truncated).toBe(false);
+      done();
+    });
+  });
+
+  test('caps each list of findings, but still counts them all', done => {
+    let maxFindings = Reconciliation.MAX_FINDINGS;
+    Reconciliation.MAX_FINDINGS = 1;
+    Reconciliation.run().then(results => {
+      Reconciliation.MAX_FINDINGS = maxFindings;
+      expect(_.map(results.missingInACRFD, 'tantalisID')).toEqual([555555]);
+      expect(results.counts.missingInACRFD).toEqual(2);
+      expect(results.truncated).toBe(true);
+      done();
+    });
+  });
+
+  test('watches the business units asked for', done => {
+    Reconciliation.run({ businessUnits: ['KAM'] }).then(results => {
+      expect(results.businessUnits).toEqual(['KAM']);
+      expect(_.map(results.missingInACRFD, 'tantalisID')).toEqual([777777]);
+      done();
+    });
+  });
+});
+
+describe('POST /reconciliation', () => {
+  test('starts a reconciliation, and responds with its job', done => {
+    spyOn(TTLSUtils, 'getAllApplicationSummaries').and.returnValue(Promise.resolve([]));
+
+    request(app)
+      .post('/api/reconciliation')
+      .send({ businessUnits: ['SK'] })
+      .expect(202)
+      .then(response => {
+        expect(response.body.name).toEqual('reconciliation');
+        expect(response.body._startedBy).toEqual(idirUsername);
+        return waitForJob(response.body._id);
+      })
+      .then(job => {
+        expect(job.status).toEqual('completed');
+        expect(job.results.businessUnits).toEqual(['SK']);
+        done();
+      });
+  });
+});
+
+describe('GET /reconciliation/{id}/download', () => {
+  const results = {
+    businessUnits: ['SK'],
+    tantalisApplications: 2,
+    checked: 1,
+    missingInTantalis: [],
+    differing: [
+      {
+        _id: '5d2f9b1e3a8f2c0019a1b2c4',
+        tantalisID: 222222,
+        cl_file: 7410002,
+        name: 'Drifted, again',
+        businessUnit: 'SK',
+        differences: [{ field: 'status', acrfd: 'ACCEPTED', tantalis: 'OFFERED' }]
+      }
+    ],
+    missingInACRFD: [{ tantalisID: 666666, fileNumber: '7410006', businessUnit: 'SK' }],
+    failed: []
+  };
+
+  function createJob(status) {
+    return new Job({
+      name: 'reconciliation',
+      key: 'reconciliation:' + new mongoose.Types.ObjectId(),
+      status: status,
+      startedDate: new Date('2019-08-20T00:00:00.000Z'),
+      results: status === 'completed' ? results : null,
+      tags: [['sysadmin']]
+    }).save();
+  }
+
+  test('downloads the report as CSV, one row per finding', done => {
+    createJob('completed')
+      .then(job => request(app).get('/api/reconciliation/' + job._id + '/download'))
+      .then(response => {
+        expect(response.status).toEqual(200);
+        expect(response.headers['content-type']).toMatch(/text\/csv/);
+        expect(response.headers['content-disposition']).toEqual('attachment;filename="reconciliation-2019-08-20.csv"');
+        expect(response.text.split('\r\n')).toEqual([
+          'finding,_id,tantalisID,fileNumber,name,businessUnit,field,acrfd,tantalis,message',
+          'differing,5d2f9b1e3a8f2c0019a1b2c4,222222,7410002,"Drifted, again",SK,status,ACCEPTED,OFFERED,',
+          'missingInACRFD,,666666,7410006,,SK,,,,',
+          ''
+        ]);
+        done();
+      });
+  });
+
+  test('escapes cells that a spreadsheet would run as a formula', done => {
+    new Job({
+      name: 'reconciliation',
+      key: 'reconciliation:' + new mongoose.Types.ObjectId(),
+      status: 'completed',
+      startedDate: new Date('2019-08-20T00:00:00.000Z'),
+      results: { missingInTantalis: [{ tantalisID: 1, name: '=HYPERLINK("http://evil")', businessUnit: '@SK' }] },
+      tags: [['sysadmin']]
+    })
+      .save()
+      .then(job => request(app).get('/api/reconciliation/' + job._id + '/download'))
+      .then(response => {
+        expect(response.text.split('\r\n')[1]).toEqual(
+          'missingInTantalis,,1,,"\'=HYPERLINK(""http://evil"")",\'@SK,,,,'
+        );
+        done();
+      });
+  });
+
+  test('downloads the report as JSON', done => {
+    createJob('completed')
+      .then(job => request(app).get('/api/reconciliation/' + job._id + '/download?format=json'))
+      .then(response => {
+        expect(response.status).toEqual(200);
+        expect(JSON.parse(response.text)).toEqual(results);
+        done();
+      });
+  });
+
+  test('409s if the reconciliation has not completed', done => {
+    createJob('running')
+      .then(job => request(app).get('/api/reconciliation/' + job._id + '/download'))
+      .then(response => {
+        expect(response.status).toEqual(409);
+        done();
+      });
+  });
+
+  test('404s if the job is not a reconciliation', done => {
+    new Job({ name: 'tantalisSync', key: 'tantalisSync:1', status: 'completed', tags: [['sysadmin']] })
+      .save()
+      .then(job => request(app).get('/api/reconciliation/' + job._id + '/download'))
+      .then(response => {
+        expect(response.status).toEqual(404);
+        done();
+      });
+  });
+});
@@ -0,0 +1,238 @@
+const test_helper = require('./test_helper');
+const app = test_helper.app;
+const mongoose = require('mongoose');
+const moment = require('moment');
+const request = require('supertest');
+const _ = require('lodash');
+
+const Codes = require('../helpers/codes');
+const retirementRuleController = require('../controllers/retirementrule.js');
+require('../helpers/models/application');
+require('../helpers/models/audit');
+require('../helpers/models/retirementrule');
+const Application = mongoose.model('Application');
+const Audit = mongoose.model('Audit');
+const RetirementRule = mongoose.model('RetirementRule');
+
+/*************************************
+  Mock Route Handlers + Helper Methods
+*************************************/
+
+const idirUsername = 'idir/i_am_a_bot';
+
+function paramsWithRuleId(req, extraParams) {
+  let params = test_helper.buildParams(_.assign({ ruleId: req.params.id }, extraParams));
+  return test_helper.createSwaggerParams([], params, idirUsername);
+}
+
+app.get('/api/retirementrule', function(req, res) {
+  let params = test_helper.createSwaggerParams([], {}, idirUsername);
+  return retirementRuleController.protectedGet(params, res);
+});
+
+app.get('/api/retirementrule/preview', function(req, res) {
+  let params = test_helper.createSwaggerParams([], test_helper.buildParams(req.query), idirUsername);
+  return retirementRuleController.protectedPreview(params, res);
+});
+
+app.post('/api/retirementrule', function(req, res) {
+  let params = test_helper.createSwaggerParams([], test_helper.buildParams({ rule: req.body }), idirUsername);
+  return retirementRuleController.protectedPost(params, res);
+});
+
+app.put('/api/retirementrule/:id', function(req, res) {
+  return retirementRuleController.protectedPut(paramsWithRuleId(req, { rule: req.body }), res);
+});
+
+app.delete('/api/retirementrule/:id', function(req, res) {
+  return retirementRuleController.protectedDelete(paramsWithRuleId(req), res);
+});
+
+function createRules() {
+  return RetirementRule.create([
+    { status: 'EXPIRED', retentionMonths: 6, tags: [['sysadmin']] },
+    { status: 'CANCELLED', retentionMonths: 1, tags: [['sysadmin']] }
+  ]);
+}
+
+/*************************************
+  Tests
+*************************************/
+
+describe('GET /retirementrule', () => {
+  test('returns the rules, sorted by status', done => {
+    createRules()
+      .then(() => request(app).get('/api/retirementrule'))
+      .then(response => {
+        expect(response.status).toEqual(200);
+        expect(_.map(response.body, 'status')).toEqual(['CANCELLED', 'EXPIRED']);
+        expect(_.map(response.body, 'retentionMonths')).toEqual([1, 6]);
+        done();
+      });
+  });
+});
+
+describe('POST /retirementrule', () => {
+  afterEach(() => {
+    Codes.setCache([]);
+  });
+
+  test('adds a rule, and records it in the audit trail', done => {
+    request(app)
+      .post('/api/retirementrule')
+      .send({ status: 'EXPIRED', retentionMonths: 12 })
+      .expect(200)
+      .then(response => {
+        expect(response.body.status).toEqual('EXPIRED');
+        expect(response.body.retentionMonths).toEqual(12);
+        return Audit.find({ objectType: 'RetirementRule', _objectId: response.body._id });
+      })
+      .then(audits => {
+        expect(audits.length).toEqual(1);
+        expect(audits[0].action).toEqual('create');
+        expect(audits[0]._performedBy).toEqual(idirUsername);
+        done();
+      });
+  });
+
+  test('400s without a retention period', done => {
+    request(app)
+      .post('/api/retirementrule')
+      .send({ status: 'EXPIRED' })
+      .expect(400)
+      .then(() => done());
+  });
+
+  test('accepts a status that is not in the code table yet', done => {
+    Codes.setCache([{ table: 'status', code: 'EX', description: 'EXPIRED', parentCode: null }]);
+
+    request(app)
+      .post('/api/retirementrule')
+      .send({ status: 'CANCELLED', retentionMonths: 6 })
+      .expect(200)
+      .then(response => {
+        expect(response.body.status).toEqual('CANCELLED');
+        done();
+      });
+  });
+});
+
+describe('PUT /retirementrule/{id}', () => {
+  test('changes the retention period', done => {
+    createRules()
+      .then(rules =>
+        request(app)
+          .put('/api/retirementrule/' + rules[0]._id)
+          .send({ retentionMonths: 3 })
+      )
+      .then(response => {
+        expect(response.status).toEqual(200);
+        expect(response.body.status).toEqual('EXPIRED');
+        expect(response.body.retentionMonths).toEqual(3);
+        done();
+      });
+  });
+
+  test('404s if the rule does not exist', done => {
+    request(app)
+      .put('/api/retirementrule/' + new mongoose.Types.ObjectId())
+      .send({ retentionMonths: 3 })
+      .expect(404)
+      .then(() => done());
+  });
+});
+
+describe('DELETE /retirementrule/{id}', () => {
+  test('deletes the rule', done => {
+    createRules()
+      .then(rules => request(app).delete('/api/retirementrule/' + rules[0]._id))
+      .then(response => {
+        expect(response.status).toEqual(200);
+        return RetirementRule.find({});
+      })
+      .then(rules => {
+        expect(_.map(rules, 'status')).toEqual(['CANCELLED']);
+        done();
+      });
+  });
+});
+
+describe('GET /retirementrule/preview', () => {
+  let retired;
+  let soonRetired;
+  beforeEach(() => {
+    retired = new Application({
+      name: 'Retired Application',
+      status: 'EXPIRED',
+      statusHistoryEffectiveDate: moment().subtract(7, 'months'),
+      tags: [['sysadmin'], ['public']]
+    });
+    soonRetired = new Application({
+      name: 'Soon Retired Application',
+      status: 'CANCELLED',
+      statusHistoryEffectiveDate: moment().subtract(20, 'days'),
+      tags: [['sysadmin'], ['public']]
+    });
+    let exempt = new Application({
+      name: 'Exempt Application',
+      status: 'EXPIRED',
+      statusHistoryEffectiveDate: moment().subtract(7, 'months'),
+      retirementExempt: true,
+      tags: [['sysadmin'], ['public']]
+    });
+    let unpublished = new Application({
+      name: 'Unpublished Application',
+      status: 'EXPIRED',
+      statusHistoryEffectiveDate: moment().subtract(7, 'months'),
+      tags: [['sysadmin']]
+    });
+    let deleted = new Application({
+      name: 'Deleted Application',
+      status: 'EXPIRED',
+      statusHistoryEffectiveDate: moment().subtract(7, 'months'),
+      isDeleted: true,
+      tags: [['sysadmin'], ['public']]
+    });
+    return Promise.all([
+      createRules(),
+      retired.save(),
+      soonRetired.save(),
+      exempt.save(),
+      unpublished.save(),
+      deleted.save()
+    ]);
+  });
+
+  test('returns the published, non-exempt applications that would be unpublished, and the rule that retires them', done => {
+    request(app)
+      .get('/api/retirementrule/preview')
+      .expect(200)
+      .then(response => {
+        expect(response.headers['x-total-count']).toEqual('1');
+        expect(response.body.length).toEqual(1);
+        expect(response.body[0]._id).toEqual(retired._id.toString());
+        expect(response.body[0].retentionMonths).toEqual(6);
+        expect(new Date(response.body[0].retiredDate)).toEqual(
+          moment(retired.statusHistoryEffectiveDate)
+            .add(6, 'months')
+            .toDate()
+        );
+        done();
+      });
+  });
+
+  test('looks ahead', done => {
+    request(app)
+      .get('/api/retirementrule/preview')
+      .query({
+        asOf: moment()
+          .add(15, 'days')
+          .toISOString()
+      })
+      .expect(200)
+      .then(response => {
+        expect(_.map(response.body, 'name')).toEqual(['Retired Application', 'Soon Retired Application']);
+        done();
+      });
+  });
+});
@@ -0,0 +1,275 @@
+const test_helper = require('./test_helper'); // eslint-disable-line no-unused-vars
+const mongoose = require('mongoose');
+const _ = require('lodash');
+
+const Actions = require('../helpers/actions');
+const Scheduler = require('../helpers/scheduler');
+const ScheduledPublish = require('../helpers/scheduledPublish');
+require('../helpers/models/application');
+require('../helpers/models/audit');
+require('../helpers/models/commentperiod');
+require('../helpers/models/decision');
+require('../helpers/models/document');
+require('../helpers/models/feature');
+require('../helpers/models/job');
+const Application = mongoose.model('Application');
+const Audit = mongoose.model('Audit');
+const Decision = mongoose.model('Decision');
+const Feature = mongoose.model('Feature');
+const Job = mongoose.model('Job');
+
+/*************************************
+  General Test Data + Helper Methods
+*************************************/
+
+const past = () => new Date(Date.now() - 60 * 1000);
+const future = () => new Date(Date.now() + 60 * 60 * 1000);
+
+/*************************************
+  Tests
+*************************************/
+
+describe('ScheduledPublish.run', () => {
+  test('publishes objects whose publishAt has passed, and clears it', done => {
+    let application = new Application({ name: 'Due Application', tags: [['sysadmin']], publishAt: past() });
+    let feature = new Feature({ applicationID: application._id, tags: [['sysadmin']] });
+    let decision = new Decision({ name: 'Due Decision', tags: [['sysadmin']], publishAt: past() });
+    Promise.all([application.save(), feature.save(), decision.save()])
+      .then(() => ScheduledPublish.run())
+      .then(results => {
+        expect(results.published.length).toEqual(2);
+        expect(results.failed).toEqual([]);
+        return Promise.all([
+          Application.findById(application._id),
+          Feature.findById(feature._id),
+          Decision.findById(decision._id)
+        ]);
+      })
+      .then(([app, feat, dec]) => {
+        expect(Actions.isPublished(app)).toBeTruthy();
+        expect(app.publishAt).toBeNull();
+        expect(Actions.isPublished(feat)).toBeTruthy();
+        expect(Actions.isPublished(dec)).toBeTruthy();
+        expect(dec.publishAt).toBeNull();
+        expect(dec._scheduleClaimedAt).toBeNull();
+        done();
+      });
+  });
+
+  test('leaves an application and its children unpublished if any of them fail to publish', done => {
+    let due = past();
+    let application = new Application({ name: 'Due Application', tags: [['sysadmin']], publishAt: due });
+    let feature = new Feature({ applicationID: application._id, tags: [['sysadmin']] });
+    let decision = new Decision({ name: 'Decision', _application: application._id, tags: [['sysadmin']] });
+    let publish = Actions.publish;
+    spyOn(Actions, 'publish').and.callFake(doc => {
+      return doc._id.equals(feature._id) ? Promise.reject(new Error('Database is down')) : publish(doc);
+    });
+    Promise.all([application.save(), feature.save(), decision.save()])
+      .then(() => ScheduledPublish.run())
+      .then(results => {
+        expect(results.published).toEqual([]);
+        expect(results.failed[0].message).toMatch('changes have been rolled back: Database is down');
+        return Promise.all([
+          Application.findById(application._id),
+          Feature.findById(feature._id),
+          Decision.findById(decision._id)
+        ]);
+      })
+      .then(([app, feat, dec]) => {
+        expect(Actions.isPublished(app)).toBeFalsy();
+        expect(app.publishAt).toEqual(due);
+        expect(Actions.isPublished(feat)).toBeFalsy();
+        expect(Actions.isPublished(dec)).toBeFalsy();
+        done();
+      });
+  });
+
+  test('unpublishes objects whose unpublishAt has passed', done => {
+    let decision = new Decision({ name: 'Expired Decision', tags: [['sysadmin'], ['public']], unpublishAt: past() });
+    decision
+      .save()
+      .then(() => ScheduledPublish.run())
+      .then(results => {
+        expect(results.unpublished).toEqual([{ objectType: 'Decision', _id: decision._id }]);
+        return Decision.findById(decision._id);
+      })
+      .then(dec => {
+        expect(Actions.isPublished(dec)).toBeFalsy();
+        expect(dec.unpublishAt).toBeNull();
+        done();
+      });
+  });
+
+  test('leaves objects that are not due yet, or are deleted, alone', done => {
+    let notDue = new Decision({ name: 'Future Decision', tags: [['sysadmin']], publishAt: future() });
+    let deleted = new Decision({ name: 'Deleted Decision', tags: [['sysadmin']], publishAt: past(), isDeleted: true });
+    Promise.all([notDue.save(), deleted.save()])
+      .then(() => ScheduledPublish.run())
+      .then(results => {
+        expect(results.published).toEqual([]);
+        return Decision.find({ _id: { $in: [notDue._id, deleted._id] } });
+      })
+      .then(decisions => {
+        _.each(decisions, dec => expect(Actions.isPublished(dec)).toBeFalsy());
+        done();
+      });
+  });
+
+  test('keeps the timestamp of objects that fail, and records why, so that they are tried again', done => {
+    let due = past();
+    let decision = new Decision({ name: 'Due Decision', tags: [['sysadmin']], publishAt: due });
+    spyOn(Actions, 'publish').and.returnValue(Promise.reject(new Error('Database is down')));
+    decision
+      .save()
+      .then(() => ScheduledPublish.run())
+      .then(results => {
+        expect(results.failed).toEqual([
+          { objectType: 'Decision', _id: decision._id, action: 'publish', message: 'Database is down' }
+        ]);
+        return Decision.findById(decision._id);
+      })
+      .then(dec => {
+        expect(Actions.isPublished(dec)).toBeFalsy();
+        expect(dec.publishAt).toEqual(due);
+        expect(dec._scheduleClaimedAt).toBeNull();
+        expect(dec._scheduleError).toEqual('Database is down');
+        expect(dec._scheduleAttempts).toEqual(1);
+        expect(dec._scheduleRetryAt.getTime()).toBeGreaterThan(Date.now());
+        return ScheduledPublish.run();
+      })
+      .then(results => {
+        // Not tried again until its retry time.
+        expect(results.failed).toEqual([]);
+        return Audit.find({ _objectId: decision._id, action: 'update' });
+      })
+      .then(audits => {
+        expect(audits.length).toEqual(2);
+        _.each(audits, audit => expect(audit._performedBy).toEqual('scheduler'));
+        done();
+      });
+  });
+
+  test('gives up on objects that have failed too many times', done => {
+    let decision = new Decision({
+      name: 'Due Decision',
+      tags: [['sysadmin']],
+      publishAt: past(),
+      _scheduleAttempts: 4,
+      _scheduleRetryAt: past()
+    });
+    spyOn(Actions, 'publish').and.returnValue(Promise.reject(new Error('Database is down')));
+    decision
+      .save()
+      .then(() => ScheduledPublish.run())
+      .then(() => Decision.findById(decision._id))
+      .then(dec => {
+        expect(dec.publishAt).toBeNull();
+        expect(dec._scheduleAttempts).toEqual(0);
+        expect(dec._scheduleError).toEqual('Database is down (gave up after 5 attempts)');
+        done();
+      });
+  });
+
+  test('leaves objects claimed by another run alone, until the claim expires', done => {
+    let claimed = new Decision({
+      name: 'Claimed Decision',
+      tags: [['sysadmin']],
+      publishAt: past(),
+      _scheduleClaimedAt: new Date()
+    });
+    let abandoned = new Decision({
+      name: 'Abandoned Decision',
+      tags: [['sysadmin']],
+      publishAt: past(),
+      _scheduleClaimedAt: new Date(Date.now() - 60 * 60 * 1000)
+    });
+    Promise.all([claimed.save(), abandoned.save()])
+      .then(() => ScheduledPublish.run())
+      .then(results => {
+        expect(results.published).toEqual([{ objectType: 'Decision', _id: abandoned._id }]);
+        done();
+      });
+  });
+
+  test('records the scheduler as the user in the audit trail', done => {
+    let decision = new Decision({ name: 'Due Decision', tags: [['sysadmin']], publishAt: past() });
+    decision
+      .save()
+      .then(() => ScheduledPublish.run())
+      .then(() => Audit.findOne({ _objectId: decision._id, action: 'publish' }))
+      .then(audit => {
+        expect(audit._performedBy).toEqual('scheduler');
+        done();
+      });
+  });
+});
+
+describe('Scheduler.runTask', () => {
+  beforeAll(() => {
+    Scheduler.register(ScheduledPublish.TASK_NAME, ScheduledPublish.INTERVAL, ScheduledPublish.run, {
+      keepJobsFor: ScheduledPublish.KEEP_JOBS_FOR
+    });
+  });
+
+  beforeEach(() => {
+    // The unique index on the job key is what stops two replicas running the same window.
+    return Job.createIndexes();
+  });
+
+  test('records the run as a job', done => {
+    let decision = new Decision({ name: 'Due Decision', tags: [['sysadmin']], publishAt: past() });
+    decision
+      .save()
+      .then(() => Scheduler.runTask(ScheduledPublish.TASK_NAME, 'scheduledPublish:window'))
+      .then(job => {
+        expect(job.status).toEqual('completed');
+        expect(job._startedBy).toEqual('scheduler');
+        expect(job.finishedDate).toBeDefined();
+        expect(job.results.published.length).toEqual(1);
+        // Deleted by mongo once this has passed.
+        expect(job.expiresAt.getTime()).toEqual(job.finishedDate.getTime() + ScheduledPublish.KEEP_JOBS_FOR);
+        done();
+      });
+  });
+
+  test('marks running jobs whose heartbeat has stopped as failed', done => {
+    let stale = new Job({
+      name: ScheduledPublish.TASK_NAME,
+      key: 'scheduledPublish:stale',
+      status: 'running',
+      heartbeatDate: new Date(Date.now() - 60 * 60 * 1000)
+    });
+    let running = new Job({
+      name: ScheduledPublish.TASK_NAME,
+      key: 'scheduledPublish:running',
+      status: 'running',
+      heartbeatDate: new Date()
+    });
+    Promise.all([stale.save(), running.save()])
+      .then(() => Scheduler.runTask(ScheduledPublish.TASK_NAME, 'scheduledPublish:window'))
+      .then(() => Promise.all([Job.findById(stale._id), Job.findById(running._id)]))
+      .then(([staleJob, runningJob]) => {
+        expect(staleJob.status).toEqual('failed');
+        expect(staleJob.error).toEqual('The task stopped responding');
+        expect(runningJob.status).toEqual('running');
+        done();
+      });
+  });
+
+  test('only runs once per key', done => {
+    Scheduler.runTask(ScheduledPublish.TASK_NAME, 'scheduledPublish:window')
+      .then(job => {
+        expect(job).not.toBeNull();
+        return Scheduler.runTask(ScheduledPublish.TASK_NAME, 'scheduledPublish:window');
+      })
+      .then(job => {
+        expect(job).toBeNull();
+        return Job.countDocuments({ key: 'scheduledPublish:window' });
+      })
+      .then(count => {
+        expect(count).toEqual(1);
+        done();
+      });
+  });
+});
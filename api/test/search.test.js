@@ -3,6 +3,7 @@ const app = test_helper.app;
 const request = require('supertest');
 const fieldNames = [];
 const TTLSUtils = require('../helpers/ttlsUtils');
+const WebADEToken = require('../helpers/webADEToken');
 
 const searchController = require('../controllers/search.js');
 require('../helpers/models/application');
@@ -39,10 +40,6 @@ describe('GET /api/ttlsapi/crownLandFileNumber/', () => {
   const dispSearchResult = {};
 
   describe('when the ttls api login call returns successfully', () => {
-    let loginPromise = new Promise(function(resolve, reject) {
-      resolve('ACCESS_TOKEN');
-    });
-
     let appFileNumSearchPromise = new Promise(function(resolve, reject) {
       resolve([firstResult, secondResult]);
     });
@@ -52,20 +49,17 @@ describe('GET /api/ttlsapi/crownLandFileNumber/', () => {
     });
 
     beforeEach(() => {
-      spyOn(TTLSUtils, 'loginWebADE').and.returnValue(loginPromise);
-
       spyOn(TTLSUtils, 'getApplicationByFilenumber').and.returnValue(appFileNumSearchPromise);
 
       spyOn(TTLSUtils, 'getApplicationByDispositionID').and.returnValue(appDispSearchPromise);
     });
 
-    test('logs in and then searches TTLS by CLFileNumber with that access token', done => {
+    test('searches TTLS by CLFileNumber', done => {
       request(app)
         .get('/api/ttlsapi/crownLandFileNumber/' + clFileNumber)
         .expect(200)
         .then(response => {
-          expect(TTLSUtils.loginWebADE).toHaveBeenCalled();
-          expect(TTLSUtils.getApplicationByFilenumber).toHaveBeenCalledWith('ACCESS_TOKEN', '555555');
+          expect(TTLSUtils.getApplicationByFilenumber).toHaveBeenCalledWith('555555');
           done();
         });
     });
@@ -75,10 +69,10 @@ describe('GET /api/ttlsapi/crownLandFileNumber/', () => {
         .get('/api/ttlsapi/crownLandFileNumber/' + clFileNumber)
         .expect(200)
         .then(response => {
-          expect(TTLSUtils.getApplicationByFilenumber).toHaveBeenCalledWith('ACCESS_TOKEN', '555555');
+          expect(TTLSUtils.getApplicationByFilenumber).toHaveBeenCalledWith('555555');
 
-          expect(TTLSUtils.getApplicationByDispositionID).toHaveBeenCalledWith('ACCESS_TOKEN', 111111);
-          expect(TTLSUtils.getApplicationByDispositionID).toHaveBeenCalledWith('ACCESS_TOKEN', 222222);
+          expect(TTLSUtils.getApplicationByDispositionID).toHaveBeenCalledWith(111111);
+          expect(TTLSUtils.getApplicationByDispositionID).toHaveBeenCalledWith(222222);
 
           done();
         });
@@ -103,7 +97,7 @@ describe('GET /api/ttlsapi/crownLandFileNumber/', () => {
     });
 
     beforeEach(() => {
-      spyOn(TTLSUtils, 'loginWebADE').and.returnValue(loginPromise);
+      spyOn(WebADEToken, 'getToken').and.returnValue(loginPromise);
     });
 
     test('returns that error response', done => {
@@ -125,27 +119,20 @@ describe('GET /api/ttlsapi/dispositionTransactionId/', () => {
   };
 
   describe('when the ttls api login call returns successfully', () => {
-    let loginPromise = new Promise(function(resolve, reject) {
-      resolve('ACCESS_TOKEN');
-    });
-
     let appDispSearchPromise = new Promise(function(resolve, reject) {
       resolve(searchResult);
     });
 
     beforeEach(() => {
-      spyOn(TTLSUtils, 'loginWebADE').and.returnValue(loginPromise);
-
       spyOn(TTLSUtils, 'getApplicationByDispositionID').and.returnValue(appDispSearchPromise);
     });
 
-    test('logs in and then retrieves the application with that access token', done => {
+    test('retrieves the application from TTLS', done => {
       request(app)
         .get('/api/ttlsapi/dispositionTransactionId/' + dispositionId)
         .expect(200)
         .then(response => {
-          expect(TTLSUtils.loginWebADE).toHaveBeenCalled();
-          expect(TTLSUtils.getApplicationByDispositionID).toHaveBeenCalledWith('ACCESS_TOKEN', '666666');
+          expect(TTLSUtils.getApplicationByDispositionID).toHaveBeenCalledWith('666666');
           done();
         });
     });
@@ -157,7 +144,7 @@ describe('GET /api/ttlsapi/dispositionTransactionId/', () => {
     });
 
     beforeEach(() => {
-      spyOn(TTLSUtils, 'loginWebADE').and.returnValue(loginPromise);
+      spyOn(WebADEToken, 'getToken').and.returnValue(loginPromise);
     });
 
     test('returns that error response', done => {
@@ -0,0 +1,339 @@
+const test_helper = require('./test_helper');
+const app = test_helper.app;
+const mongoose = require('mongoose');
+const moment = require('moment');
+const request = require('supertest');
+const _ = require('lodash');
+
+const Actions = require('../helpers/actions');
+const Scheduler = require('../helpers/scheduler');
+const TantalisSync = require('../helpers/tantalisSync');
+const TTLSUtils = require('../helpers/ttlsUtils');
+const WebADEToken = require('../helpers/webADEToken');
+const syncController = require('../controllers/sync.js');
+require('../helpers/models/application');
+require('../helpers/models/audit');
+require('../helpers/models/feature');
+require('../helpers/models/job');
+require('../helpers/models/retirementrule');
+const Application = mongoose.model('Application');
+const Feature = mongoose.model('Feature');
+const Job = mongoose.model('Job');
+const RetirementRule = mongoose.model('RetirementRule');
+
+/*************************************
+  Mock Route Handlers + Helper Methods
+*************************************/
+
+const idirUsername = 'idir/i_am_a_bot';
+
+app.post('/api/sync/run', function(req, res) {
+  let params = test_helper.createSwaggerParams([], {}, idirUsername);
+  return syncController.protectedRun(params, res);
+});
+
+app.get('/api/sync/runs', function(req, res) {
+  let extraFields = test_helper.buildParams(_.omit(req.query, ['pageNum', 'pageSize']));
+  if (req.query.pageNum !== undefined) {
+    _.assignIn(extraFields, test_helper.buildParams({ pageNum: _.toInteger(req.query.pageNum) }));
+  }
+  if (req.query.pageSize !== undefined) {
+    _.assignIn(extraFields, test_helper.buildParams({ pageSize: _.toInteger(req.query.pageSize) }));
+  }
+  let params = test_helper.createSwaggerParams([], extraFields, idirUsername);
+  return syncController.protectedGetRuns(params, res);
+});
+
+/*************************************
+  General Test Data + Helper Methods
+*************************************/
+
+// Resolves with the job once it has finished running.
+function waitForJob(jobId) {
+  return Job.findById(jobId).then(job => {
+    if (job.status !== 'running') {
+      return job;
+    }
+    return new Promise(resolve => setTimeout(resolve, 50)).then(() => waitForJob(jobId));
+  });
+}
+
+/*************************************
+  Tests
+*************************************/
+
+beforeAll(() => {
+  Scheduler.register(TantalisSync.TASK_NAME, TantalisSync.INTERVAL, TantalisSync.run);
+});
+
+describe('TantalisSync.run', () => {
+  describe('unpublishing retired applications', () => {
+    beforeEach(() => {
+      spyOn(TTLSUtils, 'getAllApplicationIDs').and.returnValue(Promise.resolve([]));
+      return RetirementRule.create([
+        { status: 'EXPIRED', retentionMonths: 6, tags: [['sysadmin']] },
+        { status: 'CANCELLED', retentionMonths: 1, tags: [['sysadmin']] }
+      ]);
+    });
+
+    test('unpublishes applications that have been retired for more than 6 months, and their features', done => {
+      let retired = new Application({
+        name: 'Retired Application',
+        status: 'EXPIRED',
+        statusHistoryEffectiveDate: moment().subtract(7, 'months'),
+        tags: [['sysadmin'], ['public']]
+      });
+      let feature = new Feature({ applicationID: retired._id, tags: [['sysadmin'], ['public']] });
+      Promise.all([retired.save(), feature.save()])
+        .then(() => TantalisSync.run())
+        .then(results => {
+          expect(results.unpublished).toEqual([retired._id]);
+          return Promise.all([Application.findById(retired._id), Feature.findById(feature._id)]);
+        })
+        .then(([application, feature]) => {
+          expect(Actions.isPublished(application)).toBeFalsy();
+          expect(Actions.isPublished(feature)).toBeFalsy();
+          done();
+        });
+    });
+
+    test('leaves a retired application and its features published if any of them fail to unpublish', done => {
+      let retired = new Application({
+        name: 'Retired Application',
+        status: 'EXPIRED',
+        statusHistoryEffectiveDate: moment().subtract(7, 'months'),
+        tags: [['sysadmin'], ['public']]
+      });
+      let feature = new Feature({ applicationID: retired._id, tags: [['sysadmin'], ['public']] });
+      let unPublish = Actions.unPublish;
+      spyOn(Actions, 'unPublish').and.callFake(doc => {
+        return doc._id.equals(feature._id) ? Promise.reject(new Error('Database is down')) : unPublish(doc);
+      });
+      Promise.all([retired.save(), feature.save()])
+        .then(() => TantalisSync.run())
+        .then(results => {
+          expect(results.unpublished).toEqual([]);
+          expect(results.failed[0]._id).toEqual(retired._id);
+          expect(results.failed[0].message).toMatch('changes have been rolled back: Database is down');
+          return Promise.all([Application.findById(retired._id), Feature.findById(feature._id)]);
+        })
+        .then(([application, feature]) => {
+          expect(Actions.isPublished(application)).toBeTruthy();
+          expect(Actions.isPublished(feature)).toBeTruthy();
+          done();
+        });
+    });
+
+    test('leaves recently retired, and active, applications published', done => {
+      let recentlyRetired = new Application({
+        name: 'Recently Retired Application',
+        status: 'EXPIRED',
+        statusHistoryEffectiveDate: moment().subtract(1, 'months'),
+        tags: [['sysadmin'], ['public']]
+      });
+      let active = new Application({
+        name: 'Active Application',
+        status: 'ACCEPTED',
+        statusHistoryEffectiveDate: moment().subtract(7, 'months'),
+        tags: [['sysadmin'], ['public']]
+      });
+      Promise.all([recentlyRetired.save(), active.save()])
+        .then(() => TantalisSync.run())
+        .then(results => {
+          expect(results.unpublished).toEqual([]);
+          return Application.find({ _id: { $in: [recentlyRetired._id, active._id] } });
+        })
+        .then(applications => {
+          _.each(applications, application => expect(Actions.isPublished(application)).toBeTruthy());
+          done();
+        });
+    });
+
+    test('uses the retention period of each status', done => {
+      let cancelled = new Application({
+        name: 'Cancelled Application',
+        status: 'CANCELLED',
+        statusHistoryEffectiveDate: moment().subtract(2, 'months'),
+        tags: [['sysadmin'], ['public']]
+      });
+      let expired = new Application({
+        name: 'Expired Application',
+        status: 'EXPIRED',
+        statusHistoryEffectiveDate: moment().subtract(2, 'months'),
+        tags: [['sysadmin'], ['public']]
+      });
+      Promise.all([cancelled.save(), expired.save()])
+        .then(() => TantalisSync.run())
+        .then(results => {
+          expect(results.unpublished).toEqual([cancelled._id]);
+          done();
+        });
+    });
+
+    test('leaves exempt applications published', done => {
+      let exempt = new Application({
+        name: 'Exempt Application',
+        status: 'EXPIRED',
+        statusHistoryEffectiveDate: moment().subtract(7, 'months'),
+        retirementExempt: true,
+        tags: [['sysadmin'], ['public']]
+      });
+      exempt
+        .save()
+        .then(() => TantalisSync.run())
+        .then(results => {
+          expect(results.unpublished).toEqual([]);
+          return Application.findById(exempt._id);
+        })
+        .then(application => {
+          expect(Actions.isPublished(application)).toBeTruthy();
+          done();
+        });
+    });
+
+    test('unpublishes nothing if there are no retirement rules', done => {
+      let retired = new Application({
+        name: 'Retired Application',
+        status: 'EXPIRED',
+        statusHistoryEffectiveDate: moment().subtract(7, 'months'),
+        tags: [['sysadmin'], ['public']]
+      });
+      Promise.all([retired.save(), RetirementRule.deleteMany({})])
+        .then(() => TantalisSync.run())
+        .then(results => {
+          expect(results.unpublished).toEqual([]);
+          done();
+        });
+    });
+  });
+
+  describe('updating applications', () => {
+    let updatedApp;
+    let failingApp;
+    beforeEach(() => {
+      updatedApp = new Application({ name: 'Updated Application', tantalisID: 111111, tags: [['sysadmin']] });
+      failingApp = new Application({ name: 'Failing Application', tantalisID: 222222, tags: [['sysadmin']] });
+      let unchangedApp = new Application({ name: 'Unchanged Application', tantalisID: 333333, tags: [['sysadmin']] });
+      let deletedApp = new Application({ name: 'Deleted Application', tantalisID: 111111, isDeleted: true });
+      return Promise.all([updatedApp.save(), failingApp.save(), unchangedApp.save(), deletedApp.save()]);
+    });
+
+    test('updates the non-deleted applications that were updated in Tantalis, and records any failures', done => {
+      spyOn(TTLSUtils, 'getAllApplicationIDs').and.returnValue(Promise.resolve([111111, 222222, 444444]));
+      spyOn(TTLSUtils, 'updateApplication').and.callFake(application => {
+        if (application.tantalisID === 222222) {
+          return Promise.reject({ code: 503 });
+        }
+        return Promise.resolve({ application: application, features: [] });
+      });
+
+      TantalisSync.run().then(results => {
+        expect(results.checked).toEqual(2);
+        expect(results.updated).toEqual([updatedApp._id]);
+        expect(results.failed).toEqual([
+          { _id: failingApp._id, action: 'update', message: 'Tantalis API responded with: 503' }
+        ]);
+        expect(TTLSUtils.updateApplication.calls.count()).toEqual(2);
+        expect(TTLSUtils.updateApplication.calls.argsFor(0)[1]).toEqual('tantalisSync');
+        done();
+      });
+    });
+
+    test('only looks for applications updated in Tantalis within the lookback period', done => {
+      spyOn(TTLSUtils, 'getAllApplicationIDs').and.returnValue(Promise.resolve([]));
+
+      TantalisSync.run().then(() => {
+        let since = moment()
+          .subtract(TantalisSync.LOOKBACK_DAYS, 'days')
+          .format('YYYYMMDD');
+        expect(TTLSUtils.getAllApplicationIDs).toHaveBeenCalledWith({ updated: since });
+        done();
+      });
+    });
+
+    test('fails if Tantalis cannot be reached', done => {
+      spyOn(WebADEToken, 'getToken').and.returnValue(Promise.reject({ code: 503, message: 'Ooh boy' }));
+
+      TantalisSync.run().catch(error => {
+        expect(error.message).toEqual('Ooh boy');
+        done();
+      });
+    });
+  });
+});
+
+describe('POST /sync/run', () => {
+  test('starts a sync, and responds with its job', done => {
+    spyOn(TTLSUtils, 'getAllApplicationIDs').and.returnValue(Promise.resolve([]));
+
+    request(app)
+      .post('/api/sync/run')
+      .expect(202)
+      .then(response => {
+        expect(response.body.name).toEqual('tantalisSync');
+        expect(response.body._startedBy).toEqual(idirUsername);
+        return waitForJob(response.body._id);
+      })
+      .then(job => {
+        expect(job.status).toEqual('completed');
+        expect(job.results).toEqual({ unpublished: [], checked: 0, updated: [], failed: [] });
+        done();
+      });
+  });
+
+  test('records why a sync failed', done => {
+    spyOn(WebADEToken, 'getToken').and.returnValue(Promise.reject({ code: 503, message: 'Ooh boy' }));
+
+    request(app)
+      .post('/api/sync/run')
+      .expect(202)
+      .then(response => waitForJob(response.body._id))
+      .then(job => {
+        expect(job.status).toEqual('failed');
+        expect(job.error).toEqual('Ooh boy');
+        done();
+      });
+  });
+});
+
+describe('GET /sync/runs', () => {
+  beforeEach(() => {
+    return Job.create([
+      {
+        name: 'tantalisSync',
+        key: 'tantalisSync:1',
+        status: 'completed',
+        startedDate: moment().subtract(2, 'days')
+      },
+      {
+        name: 'tantalisSync',
+        key: 'tantalisSync:2',
+        status: 'failed',
+        startedDate: moment().subtract(1, 'days')
+      },
+      { name: 'scheduledPublish', key: 'scheduledPublish:1', status: 'completed' }
+    ]);
+  });
+
+  test('returns the sync runs, newest first', done => {
+    request(app)
+      .get('/api/sync/runs')
+      .expect(200)
+      .then(response => {
+        expect(response.headers['x-total-count']).toEqual('2');
+        expect(_.map(response.body, 'key')).toEqual(['tantalisSync:2', 'tantalisSync:1']);
+        done();
+      });
+  });
+
+  test('can be filtered by status', done => {
+    request(app)
+      .get('/api/sync/runs')
+      .query({ status: 'failed' })
+      .expect(200)
+      .then(response => {
+        expect(_.map(response.body, 'key')).toEqual(['tantalisSync:2']);
+        done();
+      });
+  });
+});
@@ -0,0 +1,107 @@
+const test_helper = require('./test_helper');
+const app = test_helper.app;
+const featureFactory = require('./factories/feature_factory').factory;
+const request = require('supertest');
+const _ = require('lodash');
+
+const tilesController = require('../controllers/tiles.js');
+const Actions = require('../helpers/actions');
+const Tiles = require('../helpers/tiles');
+require('../helpers/models/feature');
+require('../helpers/models/application');
+
+/*************************************
+  Mock Route Handlers + Helper Methods
+*************************************/
+
+app.get('/api/public/tiles/:z/:x/:y.pbf', function(req, res) {
+  let extraFields = test_helper.buildParams({
+    z: _.toNumber(req.params.z),
+    x: _.toNumber(req.params.x),
+    y: _.toNumber(req.params.y)
+  });
+  let params = test_helper.createPublicSwaggerParams([], extraFields);
+  return tilesController.publicGet(params, res);
+});
+
+// A parcel in Victoria, which is in tile 8/40/88.
+const victoria = {
+  type: 'GeometryCollection',
+  geometries: [
+    {
+      type: 'Polygon',
+      coordinates: [[[-123.4, 48.4], [-123.3, 48.4], [-123.3, 48.5], [-123.4, 48.5], [-123.4, 48.4]]]
+    }
+  ]
+};
+
+/*************************************
+  Tests
+*************************************/
+
+describe('GET /public/tiles/{z}/{x}/{y}.pbf', () => {
+  beforeEach(() => {
+    // Collections are dropped after each test, so the index is too.
+    Tiles.invalidate();
+  });
+
+  test('responds with a vector tile of the published features', done => {
+    featureFactory
+      .create('feature', { geometry: victoria })
+      .then(() => request(app).get('/api/public/tiles/8/40/88.pbf'))
+      .then(response => {
+        expect(response.status).toEqual(200);
+        expect(response.headers['content-type']).toMatch('application/x-protobuf');
+        expect(response.headers['cache-control']).toMatch('public');
+        done();
+      });
+  });
+
+  test('responds with no content for an empty tile', done => {
+    featureFactory
+      .create('feature', { geometry: victoria })
+      .then(() => request(app).get('/api/public/tiles/8/41/88.pbf'))
+      .then(response => {
+        expect(response.status).toEqual(204);
+        done();
+      });
+  });
+
+  test('leaves out unpublished features', done => {
+    featureFactory
+      .create('feature', { geometry: victoria, tags: [['sysadmin']] })
+      .then(() => request(app).get('/api/public/tiles/8/40/88.pbf'))
+      .then(response => {
+        expect(response.status).toEqual(204);
+        done();
+      });
+  });
+
+  test('leaves out features once they are unpublished', done => {
+    featureFactory
+      .create('feature', { geometry: victoria })
+      .then(feature => {
+        return request(app)
+          .get('/api/public/tiles/8/40/88.pbf')
+          .then(response => {
+            expect(response.status).toEqual(200);
+            return Actions.unPublish(feature);
+          });
+      })
+      .then(() => request(app).get('/api/public/tiles/8/40/88.pbf'))
+      .then(response => {
+        expect(response.status).toEqual(204);
+        done();
+      });
+  });
+
+  test('rejects a tile outside the bounds of the zoom', done => {
+    request(app)
+      .get('/api/public/tiles/2/4/0.pbf')
+      .expect(400)
+      .then(response => {
+        expect(response.body.message).toEqual('Invalid tile: 2/4/0');
+        done();
+      });
+  });
+});
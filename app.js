@@ -14,6 +14,13 @@ const hostname = process.env.API_HOSTNAME || 'localhost:3000';
 // winston logger needs to be created before any local classes that use the logger are loaded.
 const defaultLog = require('./api/helpers/logger')('app');
 const auth = require('./api/helpers/auth');
+const Scheduler = require('./api/helpers/scheduler');
+const ScheduledPublish = require('./api/helpers/scheduledPublish');
+const TantalisSync = require('./api/helpers/tantalisSync');
+const ApplicationImport = require('./api/helpers/applicationImport');
+const TantalisCodeSync = require('./api/helpers/tantalisCodeSync');
+const Codes = require('./api/helpers/codes');
+const Reconciliation = require('./api/helpers/reconciliation');
 
 const dbConnection =
   'mongodb://' +
@@ -110,8 +117,25 @@ swaggerTools.initializeMiddleware(swaggerConfig, function(middleware) {
       require('./api/helpers/models/commentperiod');
       require('./api/helpers/models/decision');
       require('./api/helpers/models/review');
+      require('./api/helpers/models/audit');
+      require('./api/helpers/models/job');
+      require('./api/helpers/models/code');
+      require('./api/helpers/models/retirementrule');
       defaultLog.info('db model loading done.');
 
+      // Load the Tantalis code tables, used to check filter values
+      Codes.loadCache();
+
+      // Start running scheduled tasks
+      Scheduler.register(ScheduledPublish.TASK_NAME, ScheduledPublish.INTERVAL, ScheduledPublish.run, {
+        keepJobsFor: ScheduledPublish.KEEP_JOBS_FOR
+      });
+      Scheduler.register(TantalisSync.TASK_NAME, TantalisSync.INTERVAL, TantalisSync.run);
+      Scheduler.register(ApplicationImport.TASK_NAME, null, ApplicationImport.run);
+      Scheduler.register(TantalisCodeSync.TASK_NAME, TantalisCodeSync.INTERVAL, TantalisCodeSync.run);
+      Scheduler.register(Reconciliation.TASK_NAME, null, Reconciliation.run);
+      Scheduler.start();
+
       app.listen(3000, '0.0.0.0', function() {
         defaultLog.info('Started server on port 3000');
       });
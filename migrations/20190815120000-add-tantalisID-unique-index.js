@@ -0,0 +1,54 @@
+'use strict';
+
+var dbm;
+var type; // eslint-disable-line no-unused-vars
+var seed; // eslint-disable-line no-unused-vars
+
+/**
+ * We receive the dbmigrate dependency from dbmigrate initially.
+ * This enables us to not have to rely on NODE_PATH.
+ */
+exports.setup = function(options, seedLink) {
+  dbm = options.dbmigrate;
+  type = dbm.dataType;
+  seed = seedLink;
+};
+
+/**
+ * Only one non-deleted application per disposition (tantalisID).  Applications that haven't been linked to Tantalis
+ * (tantalisID 0) and deleted applications are left out of the index.
+ *
+ * Fails if there are already duplicates: list them with GET /api/application/duplicates, and merge or delete them first.
+ */
+exports.up = function(db) {
+  return db.getDbInstance().then(mClient => {
+    return mClient
+      .collection('applications')
+      .createIndex(
+        { tantalisID: 1, isDeleted: 1 },
+        {
+          name: 'tantalisIDUniqueIndex',
+          unique: true,
+          partialFilterExpression: { isDeleted: false, tantalisID: { $gt: 0 } }
+        }
+      )
+      .then(() => mClient.close())
+      .catch(err => {
+        console.log('DB Up: tantalisIDUniqueIndex err:', err);
+        mClient.close();
+        throw err;
+      });
+  });
+};
+
+exports.down = function(db) {
+  return db.removeIndex('applications', 'tantalisIDUniqueIndex', function(err) {
+    if (err) {
+      console.log('DB Down: tantalisIDUniqueIndex err:', err);
+    }
+  });
+};
+
+exports._meta = {
+  version: 1
+};
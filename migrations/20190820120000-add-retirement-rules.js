@@ -0,0 +1,78 @@
+'use strict';
+
+var dbm;
+var type; // eslint-disable-line no-unused-vars
+var seed; // eslint-disable-line no-unused-vars
+
+/**
+ * We receive the dbmigrate dependency from dbmigrate initially.
+ * This enables us to not have to rely on NODE_PATH.
+ */
+exports.setup = function(options, seedLink) {
+  dbm = options.dbmigrate;
+  type = dbm.dataType;
+  seed = seedLink;
+};
+
+// The statuses that were retired after 6 months before retirement rules were configurable.
+var RETIRED_STATUSES = [
+  'ABANDONED',
+  'CANCELLED',
+  'OFFER NOT ACCEPTED',
+  'OFFER RESCINDED',
+  'RETURNED',
+  'REVERTED',
+  'SOLD',
+  'SUSPENDED',
+  'WITHDRAWN',
+  'ACTIVE',
+  'COMPLETED',
+  'DISPOSITION IN GOOD STANDING',
+  'EXPIRED',
+  'HISTORIC',
+  'DISALLOWED'
+];
+
+/**
+ * Adds a retirement rule for each of the statuses that used to be hard-coded, with the same 6 month retention period.
+ * Statuses that already have a rule are left as they are.
+ */
+exports.up = function(db) {
+  return db.getDbInstance().then(mClient => {
+    return mClient
+      .collection('retirementrules')
+      .bulkWrite(
+        RETIRED_STATUSES.map(status => ({
+          updateOne: {
+            filter: { status: status },
+            update: { $setOnInsert: { status: status, retentionMonths: 6, tags: [['sysadmin']] } },
+            upsert: true
+          }
+        }))
+      )
+      .then(() => mClient.close())
+      .catch(err => {
+        console.log('DB Up: retirementrules err:', err);
+        mClient.close();
+        throw err;
+      });
+  });
+};
+
+exports.down = function(db) {
+  return db.getDbInstance().then(mClient => {
+    return mClient
+      .collection('retirementrules')
+      .deleteMany({ status: { $in: RETIRED_STATUSES }, retentionMonths: 6 })
+      .then(() => mClient.close())
+      .catch(err => {
+        console.log('DB Down: retirementrules err:', err);
+        mClient.close();
+        throw err;
+      });
+  });
+};
+
+exports._meta = {
+  version: 1
+};